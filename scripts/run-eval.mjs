@@ -0,0 +1,155 @@
+#!/usr/bin/env node
+// Runs an evaluation suite against a running app and prints a pass/fail report.
+//
+//   npm run eval -- sample-floorplan --set <schematicSetId> \
+//     --target openai:gpt-4.1 --target openai:gpt-4.1-mini --out report.md
+//
+// The suite is either a name from evals/ or a path to a suite JSON file.
+// Authenticate with --api-key or EVAL_API_KEY (create one in the app first).
+
+import { existsSync, promises as fs } from "fs";
+import path from "path";
+import { parseArgs } from "util";
+
+const USAGE =
+  "Usage: npm run eval -- <suite name | suite.json> [--set <schematicSetId>] [--target provider[:model]]... [--base-url http://localhost:3000] [--api-key svk_…] [--out report.json|report.md]";
+
+const formatUsd = (value) =>
+  typeof value === "number" ? `$${value.toFixed(4)}` : "n/a";
+
+const parseTarget = (value) => {
+  const [provider, ...model] = value.split(":");
+  return { provider, model: model.join(":") || undefined };
+};
+
+function renderMarkdown(report) {
+  const lines = [
+    `# Evaluation: ${report.suite}`,
+    "",
+    `Run ${report.id} · ${report.createdAt}${
+      report.schematicSetId ? ` · set ${report.schematicSetId}` : ""
+    }`,
+    "",
+    "| Target | Passed | Failed | Errored | Tokens | Cost |",
+    "| --- | --- | --- | --- | --- | --- |",
+    ...report.targets.map(
+      (target) =>
+        `| ${target.label} | ${target.passed}/${target.total} | ${
+          target.failed
+        } | ${target.errored} | ${target.usage?.total_tokens ?? "n/a"} | ${formatUsd(
+          target.totalCostUsd
+        )} |`
+    ),
+  ];
+
+  for (const target of report.targets) {
+    lines.push("", `## ${target.label}`, "");
+    for (const entry of target.cases) {
+      lines.push(
+        `- ${entry.passed ? "PASS" : "FAIL"} **${entry.caseId}**: ${entry.question}`
+      );
+      if (entry.error) {
+        lines.push(`  - error: ${entry.error}`);
+      }
+      for (const assertion of entry.assertions) {
+        lines.push(
+          `  - ${assertion.passed ? "ok" : "x"} \`${assertion.assertion}\` (${assertion.detail})`
+        );
+      }
+    }
+  }
+
+  const divergent = report.diffs.filter((diff) => diff.divergent);
+  if (report.diffs.length > 0) {
+    lines.push("", "## Model differences", "");
+    if (divergent.length === 0) {
+      lines.push("All targets agree on every case.");
+    }
+    for (const diff of divergent) {
+      lines.push(`- **${diff.caseId}**: ${diff.question}`);
+      for (const result of diff.results) {
+        lines.push(
+          `  - ${result.label}: ${result.passed ? "PASS" : "FAIL"}${
+            result.failedAssertions.length > 0
+              ? ` — ${result.failedAssertions.join("; ")}`
+              : ""
+          }`
+        );
+      }
+    }
+  }
+
+  return `${lines.join("\n")}\n`;
+}
+
+async function main() {
+  const { values, positionals } = parseArgs({
+    allowPositionals: true,
+    options: {
+      set: { type: "string" },
+      target: { type: "string", multiple: true },
+      "base-url": { type: "string" },
+      "api-key": { type: "string" },
+      out: { type: "string" },
+      help: { type: "boolean", short: "h" },
+    },
+  });
+
+  if (values.help || positionals.length !== 1) {
+    console.log(USAGE);
+    process.exit(values.help ? 0 : 2);
+  }
+
+  const [suiteArg] = positionals;
+  const suite = existsSync(suiteArg)
+    ? JSON.parse(await fs.readFile(suiteArg, "utf8"))
+    : suiteArg;
+  const baseUrl =
+    values["base-url"] ?? process.env.EVAL_BASE_URL ?? "http://localhost:3000";
+
+  const apiKey = values["api-key"] ?? process.env.EVAL_API_KEY;
+
+  const res = await fetch(new URL("/api/evaluations", baseUrl), {
+    method: "POST",
+    headers: {
+      "Content-Type": "application/json",
+      ...(apiKey ? { Authorization: `Bearer ${apiKey}` } : {}),
+    },
+    body: JSON.stringify({
+      suite,
+      schematicSetId: values.set,
+      targets: values.target?.map(parseTarget),
+    }),
+  });
+  const payload = await res.json();
+  if (!res.ok) {
+    console.error(
+      `Evaluation failed (HTTP ${res.status}): ${payload.details ?? payload.error}`
+    );
+    process.exit(1);
+  }
+
+  const { report } = payload;
+  const markdown = renderMarkdown(report);
+  console.log(markdown);
+
+  if (values.out) {
+    await fs.writeFile(
+      values.out,
+      path.extname(values.out) === ".md"
+        ? markdown
+        : JSON.stringify(report, null, 2)
+    );
+    console.log(`Report written to ${values.out}`);
+  }
+
+  const allPassed = report.targets.every(
+    (target) => target.passed === target.total
+  );
+  process.exit(allPassed ? 0 : 1);
+}
+
+main().catch((error) => {
+  console.error(error instanceof Error ? error.message : error);
+  process.exit(1);
+});
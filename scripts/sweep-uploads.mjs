@@ -0,0 +1,67 @@
+#!/usr/bin/env node
+// Deletes expired blob/S3 uploads through a running app. Suitable for cron.
+//
+//   npm run sweep-uploads -- [--dry-run] [--base-url http://localhost:3000]
+//
+// Authenticate with --api-key / SWEEP_API_KEY belonging to a workspace owner
+// (that workspace only) or with UPLOAD_SWEEP_SECRET (sweeps every workspace).
+// --api-key takes precedence over both variables.
+
+import { parseArgs } from "util";
+
+const USAGE =
+  "Usage: npm run sweep-uploads -- [--dry-run] [--base-url http://localhost:3000] [--api-key svk_…]";
+
+async function main() {
+  const { values } = parseArgs({
+    options: {
+      "dry-run": { type: "boolean" },
+      "base-url": { type: "string" },
+      "api-key": { type: "string" },
+      help: { type: "boolean", short: "h" },
+    },
+  });
+
+  if (values.help) {
+    console.log(USAGE);
+    process.exit(0);
+  }
+
+  const baseUrl =
+    values["base-url"] ?? process.env.SWEEP_BASE_URL ?? "http://localhost:3000";
+  const credential =
+    values["api-key"] ??
+    process.env.UPLOAD_SWEEP_SECRET ??
+    process.env.SWEEP_API_KEY;
+
+  const res = await fetch(new URL("/api/uploads/sweep", baseUrl), {
+    method: "POST",
+    headers: {
+      "Content-Type": "application/json",
+      ...(credential ? { Authorization: `Bearer ${credential}` } : {}),
+    },
+    body: JSON.stringify({ dryRun: values["dry-run"] === true }),
+  });
+  const payload = await res.json();
+  if (!res.ok) {
+    console.error(`Sweep failed (HTTP ${res.status}): ${payload.error}`);
+    process.exit(1);
+  }
+
+  const verb = payload.dryRun ? "Would delete" : "Deleted";
+  for (const object of payload.deleted) {
+    console.log(`${verb} ${object.backend}:${object.key}`);
+  }
+  for (const object of payload.failed) {
+    console.error(`Failed ${object.backend}:${object.key}: ${object.error}`);
+  }
+  console.log(
+    `${verb} ${payload.deleted.length}, kept ${payload.kept.length} (in saved sets), failed ${payload.failed.length} (${payload.scope}).`
+  );
+  process.exit(payload.failed.length > 0 ? 1 : 0);
+}
+
+main().catch((error) => {
+  console.error(error instanceof Error ? error.message : error);
+  process.exit(1);
+});
@@ -0,0 +1,191 @@
+import { schematicConfig } from "@/config/schematic";
+import { authenticate, authenticationRequired } from "@/lib/auth";
+import { getSchematicSet } from "@/lib/library/store";
+import { checkBudget, checkEstimateRateLimit } from "@/lib/quotas";
+import { getThread } from "@/lib/threads/store";
+import { checkImageSources } from "@/lib/uploads/validation";
+import { resolveAnswerMode } from "@/lib/vision/answerModes";
+import { estimateCostUsd, estimateRequestUsage } from "@/lib/vision/cost";
+import { withGrounding } from "@/lib/vision/grounding";
+import { checkImageEdits } from "@/lib/vision/imageEdits";
+import { resolveVisionProvider } from "@/lib/vision/providers";
+import { buildVisionRequest } from "@/lib/vision/request";
+import { NextResponse } from "next/server";
+
+// Pairs each image part with the label text the pipeline puts before it.
+function describeImages(imageInputs, imageSizes, imageTokens) {
+  const images = [];
+  let label = null;
+
+  for (const part of imageInputs) {
+    if (part.type === "input_text") {
+      label = part.text;
+      continue;
+    }
+
+    const index = images.length;
+    images.push({
+      label,
+      detail: part.detail ?? "high",
+      width: imageSizes[index]?.width ?? null,
+      height: imageSizes[index]?.height ?? null,
+      tokens: imageTokens[index],
+    });
+  }
+
+  return images;
+}
+
+/**
+ * Accepts the same JSON body as /api/analyze and predicts its token usage
+ * and cost without calling the model or uploading anything.
+ */
+export async function POST(req) {
+  const auth = await authenticate(req);
+  if (!auth) {
+    return authenticationRequired();
+  }
+
+  const limited = checkEstimateRateLimit(auth);
+  if (limited) {
+    return NextResponse.json(
+      { error: limited.error, quota: limited.quota },
+      {
+        status: limited.status,
+        headers: { "Retry-After": String(limited.retryAfterSeconds) },
+      }
+    );
+  }
+
+  let body;
+  try {
+    body = await req.json();
+  } catch {
+    return NextResponse.json(
+      { error: "Invalid JSON payload." },
+      { status: 400 }
+    );
+  }
+
+  const threadId =
+    typeof body.threadId === "string" ? body.threadId.trim() : "";
+  const thread = threadId ? await getThread(threadId, auth.workspaceId) : null;
+  if (threadId && !thread) {
+    return NextResponse.json(
+      { error: `Conversation "${threadId}" was not found.` },
+      { status: 404 }
+    );
+  }
+
+  const schematicSetId =
+    typeof body.schematicSetId === "string" ? body.schematicSetId.trim() : "";
+  const schematicSet = schematicSetId
+    ? await getSchematicSet(schematicSetId, auth.workspaceId)
+    : null;
+  if (schematicSetId && !schematicSet) {
+    return NextResponse.json(
+      { error: `Schematic set "${schematicSetId}" was not found.` },
+      { status: 404 }
+    );
+  }
+
+  const uploadPayloads = Array.isArray(body.uploads) ? body.uploads : [];
+  const rejectedSource = await checkImageSources(
+    uploadPayloads,
+    auth.workspaceId
+  );
+  if (rejectedSource) {
+    return NextResponse.json(
+      { error: rejectedSource.error },
+      { status: rejectedSource.status }
+    );
+  }
+
+  const rejectedEdits = checkImageEdits(uploadPayloads);
+  if (rejectedEdits) {
+    return NextResponse.json(
+      { error: rejectedEdits.error },
+      { status: rejectedEdits.status }
+    );
+  }
+
+  let answerMode;
+  let provider;
+  try {
+    answerMode = resolveAnswerMode(body.answerMode);
+    if (body.grounding === true) {
+      answerMode = withGrounding(answerMode);
+    }
+    provider = resolveVisionProvider(body.provider);
+  } catch (error) {
+    return NextResponse.json({ error: error.message }, { status: 400 });
+  }
+
+  try {
+    const {
+      model,
+      request,
+      imageInputs,
+      imageSizes,
+      uploadSummaries,
+      contextTokens,
+    } = await buildVisionRequest({
+      question: typeof body.prompt === "string" ? body.prompt.trim() : "",
+      uploadPayloads,
+      tiling: body.tiling,
+      preprocess: body.preprocess,
+      workspaceId: auth.workspaceId,
+      thread,
+      schematicSet,
+      answerMode,
+      provider,
+      modelName: body.model,
+      dryRun: true,
+    });
+
+    const usage = estimateRequestUsage(request, imageSizes, { contextTokens });
+    const pricing = provider.pricingUsdPerMTok;
+    // Structured modes may retry, resending the input each time.
+    const attempts = answerMode.schema
+      ? schematicConfig.model.structuredOutputAttempts ?? 2
+      : 1;
+    const expected = estimateCostUsd(usage, pricing);
+    const costUsd = expected
+      ? {
+          min: estimateCostUsd({ ...usage, output_tokens: 0 }, pricing)
+            .totalUsd,
+          expected: expected.totalUsd,
+          max: expected.totalUsd * attempts,
+        }
+      : null;
+
+    return NextResponse.json({
+      provider: provider.name,
+      model,
+      answerMode: answerMode.name,
+      usage: {
+        inputTokens: usage.input_tokens,
+        contextTokens: usage.contextTokens,
+        imageTokens: usage.imageTokens.reduce((sum, tokens) => sum + tokens, 0),
+        maxOutputTokens: usage.output_tokens,
+        attempts,
+      },
+      imageCount: usage.images,
+      images: describeImages(imageInputs, imageSizes, usage.imageTokens),
+      costUsd,
+      pricingUsdPerMTok: pricing,
+      uploadSummaries,
+      blockedBy: (await checkBudget(auth, costUsd?.expected)) ?? null,
+    });
+  } catch (error) {
+    console.error("Failed to estimate analyze cost", error);
+    return NextResponse.json(
+      {
+        error: "Failed to estimate analyze cost.",
+        details:
+          error instanceof Error ? error.message : "Unknown error occurred.",
+      },
+      { status: 500 }
+    );
+  }
+}
@@ -1,420 +1,429 @@
 import { schematicConfig } from "@/config/schematic";
 import {
-  EXT_LOOKUP_BY_MIME,
-  MAX_UPLOAD_BYTES,
-  MAX_UPLOAD_COUNT,
-  MIME_LOOKUP,
-  sanitizeEnv,
-  trimSlashes,
-} from "@/lib/uploads/constants";
-import { promises as fs } from "fs";
-import OpenAI from "openai";
+  buildCacheKey,
+  getResponseCache,
+  normalizePromptForCache,
+  resolveCacheDirective,
+} from "@/lib/cache";
+import { authenticate, authenticationRequired } from "@/lib/auth";
+import { recordHistoryEntry } from "@/lib/history/store";
+import { getSchematicSet } from "@/lib/library/store";
+import { checkBudget, checkRateLimit, recordSpend } from "@/lib/quotas";
+import { MIME_LOOKUP } from "@/lib/uploads/constants";
+import { checkImageSources } from "@/lib/uploads/validation";
+import {
+  mergeUsage,
+  resolveAnswerMode,
+  validateStructuredOutput,
+} from "@/lib/vision/answerModes";
+import {
+  estimateCostUsd,
+  estimateRequestUsage,
+  withReportedUsage,
+} from "@/lib/vision/cost";
+import { checkImageEdits } from "@/lib/vision/imageEdits";
+import { resolveGrounding, withGrounding } from "@/lib/vision/grounding";
+import { buildVisionRequest } from "@/lib/vision/request";
+import { appendThreadTurn, createThread, getThread } from "@/lib/threads/store";
+import { resolveVisionProvider } from "@/lib/vision/providers";
 import { NextResponse } from "next/server";
 import path from "path";
-import { S3Client, PutObjectCommand, GetObjectCommand } from "@aws-sdk/client-s3";
-import { getSignedUrl } from "@aws-sdk/s3-request-presigner";
 import { randomUUID } from "crypto";
 
-const openaiClient = new OpenAI({
-  apiKey: process.env.OPENAI_API_KEY,
-});
-
-const AWS_UPLOAD_PREFIX = sanitizeEnv(process.env.AWS_VISION_PREFIX) ?? "vision-uploads";
-const AWS_REGION = sanitizeEnv(process.env.AWS_REGION) ?? "us-east-1";
-const AWS_BUCKET = sanitizeEnv(process.env.AWS_BUCKET_NAME);
-const AWS_ACCESS_KEY_ID = sanitizeEnv(process.env.AWS_ACCESS_KEY_ID);
-const AWS_ACCESS_KEY_SECRET = sanitizeEnv(process.env.AWS_ACCESS_KEY_SECRET);
-const AWS_SCHEMATICS_FOLDER =
-  sanitizeEnv(process.env.AWS_SCHEMATICS_FOLDER) ?? "schematics";
-
-const hasAwsConfig = Boolean(AWS_BUCKET && AWS_ACCESS_KEY_ID && AWS_ACCESS_KEY_SECRET);
-
-const s3Client = hasAwsConfig
-  ? new S3Client({
-      region: AWS_REGION,
-      credentials: {
-        accessKeyId: AWS_ACCESS_KEY_ID,
-        secretAccessKey: AWS_ACCESS_KEY_SECRET,
-      },
-    })
-  : null;
-
-function toDataUrl(filePath, fileBuffer) {
-  const ext = path.extname(filePath).toLowerCase();
-  const mimeType = MIME_LOOKUP[ext];
-
-  if (!mimeType) {
-    throw new Error(
-      `Unsupported schematic image extension "${ext}". Update MIME_LOOKUP to continue.`
-    );
+async function ensureStructuredAnswer({
+  provider,
+  answerMode,
+  request,
+  response,
+  signal,
+}) {
+  if (!answerMode.schema) {
+    return { response, output: response.text, usage: response.usage };
   }
 
-  return `data:${mimeType};base64,${fileBuffer.toString("base64")}`;
-}
-
-function bufferToDataUrl(buffer, mimeType = "application/octet-stream") {
-  return `data:${mimeType};base64,${buffer.toString("base64")}`;
-}
-
-function normalizeUploads(uploads = []) {
-  if (!Array.isArray(uploads) || uploads.length === 0) {
-    return [];
-  }
-
-  return uploads
-    .slice(0, MAX_UPLOAD_COUNT)
-    .map((upload, index) => {
-      const id = `upload-${index + 1}`;
-      const name = upload.name?.trim() || `Uploaded image ${index + 1}`;
-      const detail = upload.detail ?? "high";
-      const dataUrl = typeof upload.dataUrl === "string" ? upload.dataUrl.trim() : "";
-      const remoteUrl =
-        typeof upload.url === "string" ? upload.url.trim() : "";
-      const s3Key =
-        typeof upload.s3Key === "string"
-          ? trimSlashes(upload.s3Key.trim())
-          : undefined;
-      const blobPathname =
-        typeof upload.blobPathname === "string"
-          ? trimSlashes(upload.blobPathname.trim())
-          : typeof upload.blobPath === "string"
-          ? trimSlashes(upload.blobPath.trim())
-          : undefined;
-      const bufferCandidate =
-        Buffer.isBuffer(upload.buffer)
-          ? upload.buffer
-          : upload.buffer instanceof ArrayBuffer
-          ? Buffer.from(upload.buffer)
-          : upload.buffer instanceof Uint8Array
-          ? Buffer.from(upload.buffer)
-          : null;
-      const reportedBytes =
-        typeof upload.bytes === "number" && Number.isFinite(upload.bytes)
-          ? upload.bytes
-          : typeof upload.size === "number" && Number.isFinite(upload.size)
-          ? upload.size
-          : undefined;
-      const explicitMime =
-        typeof upload.mimeType === "string"
-          ? upload.mimeType.toLowerCase()
-          : typeof upload.type === "string"
-          ? upload.type.toLowerCase()
-          : undefined;
-
-      if (bufferCandidate) {
-        const bytes = reportedBytes ?? bufferCandidate.length;
-        if (bytes > MAX_UPLOAD_BYTES) {
-          throw new Error(
-            `Uploaded image "${
-              upload.name ?? `#${index + 1}`
-            }" exceeds the ${MAX_UPLOAD_BYTES / (1024 * 1024)}MB limit.`
-          );
-        }
-
-        const ext = path.extname(name).toLowerCase();
-        const inferredMime =
-          explicitMime ?? MIME_LOOKUP[ext] ?? "application/octet-stream";
-
-        return {
-          id,
-          name,
-          detail,
-          buffer: bufferCandidate,
-          mimeType: inferredMime,
-          bytes,
-          dataUrl: dataUrl || undefined,
-          blobPathname,
-        };
-      }
+  const maxAttempts = schematicConfig.model.structuredOutputAttempts ?? 2;
+  let attempts = 1;
+  let usage = response.usage;
+  let currentResponse = response;
+  let validation = validateStructuredOutput(answerMode, currentResponse.text);
 
-      if (dataUrl) {
-        const dataUrlMatch =
-          /^data:(?<mime>[^;]+);base64,(?<data>.+)$/i.exec(dataUrl);
-
-        if (!dataUrlMatch?.groups?.data) {
-          throw new Error(
-            `Uploaded image #${index + 1} is missing a valid base64 data URL.`
-          );
-        }
-
-        const buffer = Buffer.from(dataUrlMatch.groups.data, "base64");
-        if (buffer.length > MAX_UPLOAD_BYTES) {
-          throw new Error(
-            `Uploaded image "${
-              upload.name ?? `#${index + 1}`
-            }" exceeds the ${MAX_UPLOAD_BYTES / (1024 * 1024)}MB limit.`
-          );
+  while (validation.errors.length > 0 && attempts < maxAttempts) {
+    const repairMessage = {
+      role: "user",
+      content: [
+        {
+          type: "input_text",
+          text: [
+            "Your previous reply did not match the required JSON schema:",
+            ...validation.errors.map((issue) => `- ${issue}`),
+            "Reply again with only a corrected JSON document.",
+          ].join("\n"),
+        },
+      ],
+    };
+    const retryRequest = provider.supportsPreviousResponse
+      ? {
+          ...request,
+          instructions: undefined,
+          previousResponseId: currentResponse.id,
+          messages: [repairMessage],
         }
-
-        return {
-          id,
-          name,
-          detail,
-          dataUrl,
-          buffer,
-          mimeType: dataUrlMatch.groups.mime?.toLowerCase() ?? "application/octet-stream",
-          bytes: buffer.length,
-          blobPathname,
-        };
-      }
-
-      if (remoteUrl) {
-        return {
-          id,
-          name,
-          detail,
-          remoteUrl,
-          bytes: reportedBytes,
-          mimeType: explicitMime,
-          blobPathname,
+      : {
+          ...request,
+          messages: [
+            ...request.messages,
+            { role: "assistant", content: currentResponse.text },
+            repairMessage,
+          ],
         };
-      }
 
-      if (s3Key) {
-        return {
-          id,
-          name,
-          detail,
-          s3Key,
-          bytes: reportedBytes,
-          mimeType: explicitMime,
-          blobPathname,
-        };
-      }
+    try {
+      currentResponse = await provider.generate(retryRequest, { signal });
+    } catch (error) {
+      // The earlier attempts were billed even though this one failed.
+      throw withReportedUsage(error, mergeUsage(usage, error?.usage));
+    }
+    usage = mergeUsage(usage, currentResponse.usage);
+    attempts += 1;
+    validation = validateStructuredOutput(answerMode, currentResponse.text);
+  }
 
-      throw new Error(
-        `Upload "${name}" must include either a base64 dataUrl, direct url, or s3Key.`
-      );
-    });
+  return {
+    response: currentResponse,
+    output: currentResponse.text,
+    usage,
+    structured: validation.errors.length === 0 ? validation.data : null,
+    validation: {
+      valid: validation.errors.length === 0,
+      attempts,
+      errors: validation.errors,
+    },
+  };
 }
 
-async function uploadBufferToS3(buffer, mimeType) {
-  if (!s3Client) {
+async function readCachedAnswer(responseCache, key) {
+  try {
+    return await responseCache.get(key);
+  } catch (error) {
+    console.error("Response cache lookup failed", { error, key });
     return null;
   }
+}
 
-  const extension = EXT_LOOKUP_BY_MIME[mimeType] ?? "bin";
-  const keySegments = [
-    trimSlashes(AWS_UPLOAD_PREFIX),
-    trimSlashes(AWS_SCHEMATICS_FOLDER),
-    `${randomUUID()}.${extension}`,
-  ].filter(Boolean);
-  const key = keySegments.join("/");
-
-  await s3Client.send(
-    new PutObjectCommand({
-      Bucket: AWS_BUCKET,
-      Key: key,
-      Body: buffer,
-      ContentType: mimeType,
-      CacheControl: "max-age=3600",
-    })
-  );
+async function storeCachedAnswer(cache, entry) {
+  try {
+    await cache.backend.set(cache.key, entry, cache.ttlSeconds);
+  } catch (error) {
+    console.error("Failed to store answer in the response cache", {
+      error,
+      key: cache.key,
+    });
+  }
+}
 
-  const signedUrl = await getSignedUrl(
-    s3Client,
-    new GetObjectCommand({
-      Bucket: AWS_BUCKET,
-      Key: key,
-    }),
-    { expiresIn: 60 * 60 }
+// Only URLs and stored objects can be replayed; inline bytes are not persisted.
+function buildRerunRequest({
+  question,
+  uploadPayloads,
+  tiling,
+  preprocess,
+  answerModeName,
+  providerName,
+  modelName,
+  schematicSetId,
+  grounding,
+}) {
+  const reusable = uploadPayloads.filter((upload) =>
+    ["url", "s3Key", "storageKey"].some(
+      (field) => typeof upload[field] === "string"
+    )
   );
 
-  return { key, url: signedUrl };
+  return {
+    prompt: question,
+    answerMode: answerModeName,
+    provider: providerName,
+    model: modelName,
+    schematicSetId,
+    tiling,
+    preprocess,
+    grounding,
+    uploads: reusable.map((upload) => ({
+      name: upload.name,
+      detail: upload.detail,
+      url: upload.url,
+      s3Key: upload.s3Key,
+      blobPathname: upload.blobPathname,
+      storageKey: upload.storageKey,
+      storageBackend: upload.storageBackend,
+      uploadId: upload.uploadId,
+      mimeType: upload.mimeType,
+      size: upload.size ?? upload.bytes,
+      pages: upload.pages,
+      dpi: upload.dpi,
+      rotate: upload.rotate,
+      crop: upload.crop,
+      cropMode: upload.cropMode,
+      building: upload.building,
+      floor: upload.floor,
+    })),
+    omittedUploads: uploadPayloads.length - reusable.length,
+  };
 }
 
-async function createSignedUrlForKey(key) {
-  if (!s3Client) {
-    throw new Error("AWS credentials are not configured for S3 access.");
+async function logHistory(history, fields) {
+  if (!history) {
+    return undefined;
   }
 
-  const sanitizedKey = trimSlashes(key);
-  const signedUrl = await getSignedUrl(
-    s3Client,
-    new GetObjectCommand({
-      Bucket: AWS_BUCKET,
-      Key: sanitizedKey,
-    }),
-    { expiresIn: 60 * 60 }
-  );
-
-  return { key: sanitizedKey, url: signedUrl };
+  try {
+    const entry = await recordHistoryEntry({
+      ...history.base,
+      ...fields,
+      latencyMs: Date.now() - history.startedAt,
+    });
+    return entry.id;
+  } catch (error) {
+    console.error("Failed to record analyze history", error);
+    return undefined;
+  }
 }
 
-async function buildImageInputs(uploadPayloads) {
-  const contents = [];
-  const normalizedUploads = normalizeUploads(uploadPayloads);
-  const uploadSummaries = [];
-
-  for (const image of schematicConfig.images) {
-    const absolutePath = path.join(
-      process.cwd(),
-      "public",
-      image.path.replace(/^\/+/, "")
-    );
+async function chargeSpend(auth, costEstimate) {
+  try {
+    await recordSpend(auth, costEstimate?.totalUsd);
+  } catch (error) {
+    console.error("Failed to record spend", error);
+  }
+}
 
-    const file = await fs.readFile(absolutePath);
+// A failed or cancelled call is still charged for the usage the provider had
+// reported; history keeps it alongside the failure.
+async function chargeFailedCall(auth, provider, error) {
+  const usage = error?.usage;
+  const costEstimate = estimateCostUsd(usage, provider.pricingUsdPerMTok);
+  await chargeSpend(auth, costEstimate);
+  return usage ? { usage, costEstimate } : {};
+}
 
-    contents.push({
-      type: "input_text",
-      text: `Reference ${image.id}: ${image.label}${
-        image.caption ? ` — ${image.caption}` : ""
-      }`,
-    });
+const describeFailure = (error) => ({
+  message: "Vision request failed.",
+  details: error instanceof Error ? error.message : "Unknown error occurred.",
+});
 
-    contents.push({
-      type: "input_image",
-      image_url: toDataUrl(absolutePath, file),
-      detail: image.detail ?? "high",
+async function recordTurn({
+  auth,
+  workspaceId,
+  thread,
+  question,
+  output,
+  response,
+  usage = response.usage,
+  model,
+  provider,
+  imageInputs,
+  uploadSummaries,
+  imageFrames = [],
+  schematicSetId,
+  answerMode,
+  structured = null,
+  validation,
+  cache = null,
+  history = null,
+}) {
+  const costEstimate = cache?.hit
+    ? { inputUsd: 0, outputUsd: 0, totalUsd: 0 }
+    : estimateCostUsd(usage, provider.pricingUsdPerMTok);
+  await chargeSpend(auth, costEstimate);
+  const uploadsAttached = imageInputs.filter(
+    (item) => item.type === "input_image"
+  ).length;
+  const targetThread = thread ?? (await createThread(workspaceId));
+  // Earlier turns' images stay addressable in chained follow-ups.
+  const grounding = answerMode.grounded
+    ? resolveGrounding(structured, [
+        ...(thread?.turns.flatMap((turn) => turn.imageFrames ?? []) ?? []),
+        ...imageFrames,
+      ])
+    : null;
+
+  const turn = {
+    id: randomUUID(),
+    createdAt: new Date().toISOString(),
+    question,
+    output,
+    responseId: response.id,
+    provider: provider.name,
+    model,
+    schematicSetId,
+    answerMode: answerMode.name,
+    structured,
+    validation,
+    usage,
+    costEstimate,
+    uploadsAttached,
+    uploadSummaries,
+    imageFrames,
+    grounding,
+    cached: Boolean(cache?.hit),
+  };
+  await appendThreadTurn(targetThread.id, turn);
+
+  // Answers that failed schema validation are not worth replaying.
+  if (cache?.write && !cache.hit && validation?.valid !== false) {
+    await storeCachedAnswer(cache, {
+      output,
+      structured,
+      validation,
+      usage,
+      responseId: response.id,
+      provider: provider.name,
+      model,
+      answerMode: answerMode.name,
+      cachedAt: turn.createdAt,
     });
   }
 
-  for (const upload of normalizedUploads) {
-    let imageUrlPayload;
-    let strategy;
-    const summary = {
-      id: upload.id,
-      name: upload.name,
-    };
-    if (typeof upload.bytes === "number") {
-      summary.bytes = upload.bytes;
-    }
+  const payload = {
+    output,
+    answerMode: answerMode.name,
+    structured,
+    validation,
+    usage,
+    costEstimate,
+    provider: provider.name,
+    model,
+    uploadsAttached,
+    uploadSummaries,
+    grounding,
+    threadId: targetThread.id,
+    turnId: turn.id,
+    responseId: response.id,
+    contextChained: provider.supportsPreviousResponse,
+    cached: Boolean(cache?.hit),
+    cacheKey: cache?.key,
+    cachedAt: cache?.hit ? cache.cachedAt : undefined,
+  };
+  payload.historyId = await logHistory(history, {
+    status: "succeeded",
+    ...payload,
+  });
 
-    if (typeof upload.mimeType === "string") {
-      summary.mimeType = upload.mimeType;
-    }
+  return payload;
+}
 
-    if (upload.remoteUrl) {
-      imageUrlPayload = upload.remoteUrl;
-      const isBlobUrl = /vercel-storage\.com/i.test(upload.remoteUrl);
-      strategy = isBlobUrl ? "vercel-blob" : "remote-url";
-      summary.strategy = strategy;
-      summary.url = upload.remoteUrl;
-      if (upload.blobPathname) {
-        summary.blobPathname = upload.blobPathname;
-      }
-    }
+const encodeSseEvent = (event, data) =>
+  `event: ${event}\ndata: ${JSON.stringify(data)}\n\n`;
+
+function streamVisionResponse(req, request, turnContext) {
+  const encoder = new TextEncoder();
+  const abortController = new AbortController();
+  const { provider, answerMode } = turnContext;
+  req.signal?.addEventListener("abort", () => abortController.abort());
+
+  return new ReadableStream({
+    async start(controller) {
+      const send = (event, data) =>
+        controller.enqueue(encoder.encode(encodeSseEvent(event, data)));
 
-    if (!imageUrlPayload && upload.s3Key) {
       try {
-        const presigned = await createSignedUrlForKey(upload.s3Key);
-        if (presigned?.url) {
-          imageUrlPayload = presigned.url;
-          strategy = "s3-key";
-          summary.strategy = strategy;
-          summary.key = presigned.key;
-          summary.url = presigned.url;
+        for await (const event of provider.stream(request, {
+          signal: abortController.signal,
+        })) {
+          if (event.type === "delta") {
+            send("delta", { text: event.text });
+          } else if (event.type === "completed") {
+            const answer = await ensureStructuredAnswer({
+              provider,
+              answerMode,
+              request,
+              response: event.response,
+              signal: abortController.signal,
+            });
+            const result = await recordTurn({ ...turnContext, ...answer });
+            send("done", result);
+          }
         }
       } catch (error) {
-        console.error("Failed to sign existing S3 key", {
-          error,
-          key: upload.s3Key,
-          name: upload.name,
-        });
-        throw new Error(
-          `Unable to load uploaded image "${upload.name}" from S3.`
+        const spent = await chargeFailedCall(
+          turnContext.auth,
+          provider,
+          error
         );
-      }
-    }
-
-    if (!imageUrlPayload && upload.buffer && s3Client) {
-      try {
-        const offloadResult = await uploadBufferToS3(
-          upload.buffer,
-          upload.mimeType
-        );
-
-        if (offloadResult?.url) {
-          imageUrlPayload = offloadResult.url;
-          strategy = "s3";
-          summary.strategy = strategy;
-          summary.key = offloadResult.key;
-          summary.url = offloadResult.url;
+        if (abortController.signal.aborted) {
+          await logHistory(turnContext.history, {
+            status: "cancelled",
+            uploadSummaries: turnContext.uploadSummaries,
+            ...spent,
+          });
+        } else {
+          console.error("Vision stream failed", error);
+          const failure = describeFailure(error);
+          await logHistory(turnContext.history, {
+            status: "failed",
+            uploadSummaries: turnContext.uploadSummaries,
+            error: failure,
+            ...spent,
+          });
+          send("error", { error: failure.message, details: failure.details });
+        }
+      } finally {
+        try {
+          controller.close();
+        } catch {
+          // Stream already cancelled by the client.
         }
-      } catch (error) {
-        console.error("Failed to offload upload to S3, falling back to inline", {
-          error,
-          name: upload.name,
-        });
-      }
-    }
-
-    if (!imageUrlPayload) {
-      const inlineDataUrl =
-        upload.dataUrl ||
-        (upload.buffer && upload.mimeType
-          ? bufferToDataUrl(upload.buffer, upload.mimeType)
-          : null);
-
-      if (inlineDataUrl) {
-        imageUrlPayload = inlineDataUrl;
-        strategy = "inline";
-        summary.strategy = strategy;
       }
-    }
-
-    if (!imageUrlPayload) {
-      throw new Error(
-        `Unable to determine an image URL for upload "${upload.name}".`
-      );
-    }
-
-    uploadSummaries.push(summary);
-
-    if (upload.buffer) {
-      upload.buffer = undefined;
-    }
-
-    contents.push({
-      type: "input_text",
-      text: `Uploaded ${upload.id}: ${upload.name}`,
-    });
-    contents.push({
-      type: "input_image",
-      image_url: imageUrlPayload,
-      detail: upload.detail,
-    });
-  }
-
-  return {
-    contents,
-    uploadSummaries,
-  };
+    },
+    cancel() {
+      abortController.abort();
+    },
+  });
 }
 
-function estimateCostUsd(usage) {
-  if (!usage || !schematicConfig.model.pricingUsdPerMTok) {
-    return null;
-  }
-
-  const { input_tokens: inputTokens = 0, output_tokens: outputTokens = 0 } =
-    usage;
-  const { input: inputRate, output: outputRate } =
-    schematicConfig.model.pricingUsdPerMTok;
+function replayCachedStream(payload) {
+  const encoder = new TextEncoder();
 
-  const inputUsd = (inputTokens / 1_000_000) * inputRate;
-  const outputUsd = (outputTokens / 1_000_000) * outputRate;
-
-  return {
-    inputUsd,
-    outputUsd,
-    totalUsd: inputUsd + outputUsd,
-  };
+  return new ReadableStream({
+    start(controller) {
+      controller.enqueue(
+        encoder.encode(encodeSseEvent("delta", { text: payload.output }))
+      );
+      controller.enqueue(encoder.encode(encodeSseEvent("done", payload)));
+      controller.close();
+    },
+  });
 }
 
-export async function POST(req) {
-  if (!process.env.OPENAI_API_KEY) {
-    return NextResponse.json(
-      {
-        error: "OPENAI_API_KEY is not configured on the server.",
-      },
-      { status: 500 }
-    );
+const SSE_HEADERS = {
+  "Content-Type": "text/event-stream; charset=utf-8",
+  "Cache-Control": "no-cache, no-transform",
+  Connection: "keep-alive",
+};
+
+// In-process batch runners (evaluations and audits) pass
+// `{ skipRateLimit: true }` once startBatchRun has admitted the run; their
+// calls still count against spend budgets.
+export async function POST(req, context = {}) {
+  const startedAt = Date.now();
+  const auth = await authenticate(req);
+  if (!auth) {
+    return authenticationRequired();
   }
 
   const contentType = req.headers.get("content-type") ?? "";
   let question = "";
   let uploadPayloads = [];
+  let tiling;
+  let preprocess;
+  let threadId;
+  let stream = false;
+  let answerModeName;
+  let providerName;
+  let modelName;
+  let grounding = false;
+  let schematicSetId;
+  let cacheOption;
 
   if (contentType.includes("multipart/form-data")) {
     let formData;
@@ -442,6 +451,57 @@ export async function POST(req) {
         ? formData.get("detail").trim()
         : undefined;
 
+    const threadField = formData.get("threadId");
+    if (typeof threadField === "string" && threadField.trim().length > 0) {
+      threadId = threadField.trim();
+    }
+
+    stream = formData.get("stream") === "true";
+    if (typeof formData.get("answerMode") === "string") {
+      answerModeName = formData.get("answerMode");
+    }
+    if (typeof formData.get("provider") === "string") {
+      providerName = formData.get("provider");
+    }
+    if (typeof formData.get("model") === "string") {
+      modelName = formData.get("model");
+    }
+    grounding = formData.get("grounding") === "true";
+    const setField = formData.get("schematicSetId");
+    if (typeof setField === "string" && setField.trim().length > 0) {
+      schematicSetId = setField.trim();
+    }
+
+    const cacheField = formData.get("cache");
+    if (typeof cacheField === "string" && cacheField.trim().length > 0) {
+      try {
+        cacheOption = JSON.parse(cacheField);
+      } catch (error) {
+        console.warn("Unable to parse cache JSON", error);
+      }
+    }
+
+    const tilingField = formData.get("tiling");
+    if (typeof tilingField === "string" && tilingField.trim().length > 0) {
+      try {
+        tiling = JSON.parse(tilingField);
+      } catch (error) {
+        console.warn("Unable to parse tiling JSON", error);
+      }
+    }
+
+    const preprocessField = formData.get("preprocess");
+    if (
+      typeof preprocessField === "string" &&
+      preprocessField.trim().length > 0
+    ) {
+      try {
+        preprocess = JSON.parse(preprocessField);
+      } catch (error) {
+        console.warn("Unable to parse preprocess JSON", error);
+      }
+    }
+
     let uploadsMeta = {};
     const metaField = formData.get("uploadsMeta");
     if (typeof metaField === "string" && metaField.trim().length > 0) {
@@ -504,6 +564,13 @@ export async function POST(req) {
         buffer,
         mimeType,
         bytes,
+        pages: meta.pages,
+        dpi: meta.dpi,
+        rotate: meta.rotate,
+        crop: meta.crop,
+        cropMode: meta.cropMode,
+        building: meta.building,
+        floor: meta.floor,
       });
       index += 1;
     }
@@ -522,6 +589,23 @@ export async function POST(req) {
     if (Array.isArray(body.uploads)) {
       uploadPayloads = body.uploads;
     }
+    tiling = body.tiling;
+    preprocess = body.preprocess;
+    cacheOption = body.cache;
+    stream = body.stream === true;
+    answerModeName = body.answerMode;
+    providerName = body.provider;
+    modelName = body.model;
+    grounding = body.grounding === true;
+    if (
+      typeof body.schematicSetId === "string" &&
+      body.schematicSetId.trim().length > 0
+    ) {
+      schematicSetId = body.schematicSetId.trim();
+    }
+    if (typeof body.threadId === "string" && body.threadId.trim().length > 0) {
+      threadId = body.threadId.trim();
+    }
   }
 
   if (!question) {
@@ -531,66 +615,218 @@ export async function POST(req) {
     );
   }
 
-  try {
-    const model = process.env.OPENAI_VISION_MODEL ?? schematicConfig.model.name;
-    const { contents: imageInputs, uploadSummaries } = await buildImageInputs(
-      uploadPayloads
-    );
+  const history = {
+    startedAt,
+    base: {
+      workspaceId: auth.workspaceId,
+      userId: auth.user.id,
+      prompt: question,
+      stream,
+      threadId,
+      schematicSetId,
+      answerMode: answerModeName,
+      provider: providerName,
+      model: modelName,
+      rerun: buildRerunRequest({
+        question,
+        uploadPayloads,
+        tiling,
+        preprocess,
+        answerModeName,
+        providerName,
+        modelName,
+        schematicSetId,
+        grounding,
+      }),
+    },
+  };
+  const reject = async (status, message, { quota, headers } = {}) => {
+    await logHistory(history, { status: "failed", error: { message, status } });
+    return NextResponse.json({ error: message, quota }, { status, headers });
+  };
 
-    const response = await openaiClient.responses.create({
-      model,
-      max_output_tokens: schematicConfig.model.maxOutputTokens,
-      input: [
-        {
-          role: "system",
-          content: [
-            {
-              type: "input_text",
-              text: schematicConfig.systemPrompt,
-            },
-          ],
-        },
-        {
-          role: "user",
-          content: [
-            {
-              type: "input_text",
-              text: [
-                "A facilities manager is asking a question about the schematic.",
-                "Return a concise, direct answer grounded in the drawing.",
-                "If applicable, lay out instructions step-by-step with bullet numbers.",
-                "If information is missing or unreadable, describe what else is needed.",
-                "",
-                `Question: ${question}`,
-              ].join("\n"),
-            },
-            ...imageInputs,
-          ],
-        },
-      ],
+  const limited = context.skipRateLimit ? null : checkRateLimit(auth);
+  if (limited) {
+    return reject(limited.status, limited.error, {
+      quota: limited.quota,
+      headers: { "Retry-After": String(limited.retryAfterSeconds) },
     });
+  }
+
+  let thread = null;
+  if (threadId) {
+    thread = await getThread(threadId, auth.workspaceId);
+    if (!thread) {
+      return reject(404, `Conversation "${threadId}" was not found.`);
+    }
+  }
+
+  let schematicSet = null;
+  if (schematicSetId) {
+    schematicSet = await getSchematicSet(schematicSetId, auth.workspaceId);
+    if (!schematicSet) {
+      return reject(404, `Schematic set "${schematicSetId}" was not found.`);
+    }
+  }
+
+  const rejectedSource = await checkImageSources(
+    uploadPayloads,
+    auth.workspaceId
+  );
+  if (rejectedSource) {
+    return reject(rejectedSource.status, rejectedSource.error);
+  }
+
+  const rejectedEdits = checkImageEdits(uploadPayloads);
+  if (rejectedEdits) {
+    return reject(rejectedEdits.status, rejectedEdits.error);
+  }
+
+  let answerMode;
+  let provider;
+  let cacheDirective;
+  try {
+    answerMode = resolveAnswerMode(answerModeName);
+    if (grounding) {
+      answerMode = withGrounding(answerMode);
+    }
+    provider = resolveVisionProvider(providerName);
+    cacheDirective = resolveCacheDirective(cacheOption);
+  } catch (error) {
+    return reject(400, error.message);
+  }
+
+  let responseCache;
+  try {
+    responseCache = getResponseCache(auth.workspaceId);
+  } catch (error) {
+    return reject(500, error.message);
+  }
 
-    const costEstimate = estimateCostUsd(response.usage);
+  if (provider.missingConfiguration) {
+    return reject(500, provider.missingConfiguration);
+  }
 
-    return NextResponse.json({
-      output: response.output_text,
-      usage: response.usage,
-      costEstimate,
+  try {
+    const {
       model,
-      uploadsAttached: imageInputs.filter(
-        (item) => item.type === "input_image"
-      ).length,
+      request,
+      guidance,
+      imageInputs,
       uploadSummaries,
+      imageFingerprints,
+      imageFrames,
+      imageSizes,
+      contextTokens,
+    } = await buildVisionRequest({
+      question,
+      uploadPayloads,
+      tiling,
+      preprocess,
+      workspaceId: auth.workspaceId,
+      thread,
+      schematicSet,
+      answerMode,
+      provider,
+      modelName,
     });
+    const turnContext = {
+      auth,
+      workspaceId: auth.workspaceId,
+      thread,
+      question,
+      model,
+      provider,
+      imageInputs,
+      uploadSummaries,
+      imageFrames,
+      schematicSetId: schematicSet?.id,
+      answerMode,
+      history,
+    };
+
+    // Only fresh conversations are cached; follow-ups depend on earlier turns.
+    if (responseCache && !thread?.turns.length && cacheDirective.write) {
+      const key = buildCacheKey({
+        workspaceId: auth.workspaceId,
+        prompt: normalizePromptForCache(question),
+        provider: provider.name,
+        model,
+        answerMode: answerMode.name,
+        instructions: request.instructions,
+        guidance,
+        maxOutputTokens: request.maxOutputTokens,
+        responseFormat: request.responseFormat,
+        images: imageFingerprints,
+      });
+      turnContext.cache = {
+        backend: responseCache,
+        key,
+        ttlSeconds: cacheDirective.ttlSeconds,
+        write: true,
+      };
+
+      const hit = cacheDirective.read
+        ? await readCachedAnswer(responseCache, key)
+        : null;
+      if (hit) {
+        const payload = await recordTurn({
+          ...turnContext,
+          output: hit.output,
+          structured: hit.structured,
+          validation: hit.validation,
+          response: { id: hit.responseId },
+          usage: null,
+          cache: { ...turnContext.cache, hit: true, cachedAt: hit.cachedAt },
+        });
+
+        return stream
+          ? new Response(replayCachedStream(payload), { headers: SSE_HEADERS })
+          : NextResponse.json(payload);
+      }
+    }
+
+    const overBudget = await checkBudget(
+      auth,
+      estimateCostUsd(
+        estimateRequestUsage(request, imageSizes, { contextTokens }),
+        provider.pricingUsdPerMTok
+      )?.totalUsd
+    );
+    if (overBudget) {
+      return reject(overBudget.status, overBudget.error, {
+        quota: overBudget.quota,
+      });
+    }
+
+    if (stream) {
+      return new Response(streamVisionResponse(req, request, turnContext), {
+        headers: SSE_HEADERS,
+      });
+    }
+
+    const response = await provider.generate(request, { signal: req.signal });
+    const answer = await ensureStructuredAnswer({
+      provider,
+      answerMode,
+      request,
+      response,
+      signal: req.signal,
+    });
+
+    return NextResponse.json(await recordTurn({ ...turnContext, ...answer }));
   } catch (error) {
-    console.error("Vision request failed", error);
+    const failure = describeFailure(error);
+    const spent = await chargeFailedCall(auth, provider, error);
+    if (req.signal?.aborted) {
+      await logHistory(history, { status: "cancelled", ...spent });
+    } else {
+      console.error("Vision request failed", error);
+      await logHistory(history, { status: "failed", error: failure, ...spent });
+    }
 
     return NextResponse.json(
-      {
-        error: "Vision request failed.",
-        details:
-          error instanceof Error ? error.message : "Unknown error occurred.",
-      },
+      { error: failure.message, details: failure.details },
       { status: 500 }
     );
   }
@@ -0,0 +1,22 @@
+import { authenticate, authenticationRequired } from "@/lib/auth";
+import { getAudit } from "@/lib/audits/store";
+import { NextResponse } from "next/server";
+
+export async function GET(req, { params }) {
+  const auth = await authenticate(req);
+  if (!auth) {
+    return authenticationRequired();
+  }
+
+  const { auditId } = await params;
+  const audit = await getAudit(auditId, auth.workspaceId);
+
+  if (!audit) {
+    return NextResponse.json(
+      { error: `Audit "${auditId}" was not found.` },
+      { status: 404 }
+    );
+  }
+
+  return NextResponse.json({ audit });
+}
@@ -0,0 +1,144 @@
+import { schematicConfig } from "@/config/schematic";
+import {
+  authenticate,
+  authenticationRequired,
+  forwardedAuthHeaders,
+} from "@/lib/auth";
+import { listRuleSets, resolveRuleSet, runAudit } from "@/lib/audits/runner";
+import { listAudits, saveAudit } from "@/lib/audits/store";
+import { normalizeTargets } from "@/lib/evaluations/runner";
+import { getSchematicSet } from "@/lib/library/store";
+import { finishBatchRun, startBatchRun } from "@/lib/quotas";
+import { checkImageSources } from "@/lib/uploads/validation";
+import { NextResponse } from "next/server";
+
+// Rules run one after another against the model, so allow long requests.
+export const maxDuration = 800;
+
+export async function GET(req) {
+  const auth = await authenticate(req);
+  if (!auth) {
+    return authenticationRequired();
+  }
+
+  try {
+    const audits = await listAudits(auth.workspaceId);
+    return NextResponse.json({ ruleSets: listRuleSets(), audits });
+  } catch (error) {
+    console.error("Failed to list audits", error);
+    return NextResponse.json(
+      { error: "Failed to list audits." },
+      { status: 500 }
+    );
+  }
+}
+
+export async function POST(req) {
+  const auth = await authenticate(req);
+  if (!auth) {
+    return authenticationRequired();
+  }
+
+  let body;
+  try {
+    body = await req.json();
+  } catch {
+    return NextResponse.json(
+      { error: "Invalid JSON payload." },
+      { status: 400 }
+    );
+  }
+
+  const ruleSet = resolveRuleSet(body?.ruleSet ?? undefined);
+  if (ruleSet.error) {
+    return NextResponse.json(
+      { error: ruleSet.error },
+      { status: ruleSet.status }
+    );
+  }
+
+  const targets = normalizeTargets({
+    provider: body.provider,
+    model: body.model,
+  });
+  if (targets.error) {
+    return NextResponse.json({ error: targets.error }, { status: 400 });
+  }
+
+  const schematicSetId =
+    typeof body.schematicSetId === "string" && body.schematicSetId.trim()
+      ? body.schematicSetId.trim()
+      : undefined;
+  if (schematicSetId && !(await getSchematicSet(schematicSetId, auth.workspaceId))) {
+    return NextResponse.json(
+      { error: `Schematic set "${schematicSetId}" was not found.` },
+      { status: 404 }
+    );
+  }
+
+  if (body.uploads !== undefined && !Array.isArray(body.uploads)) {
+    return NextResponse.json(
+      { error: "uploads must be an array." },
+      { status: 400 }
+    );
+  }
+
+  const uploads = body.uploads?.length > 0 ? body.uploads : undefined;
+  if (!schematicSetId && !uploads && schematicConfig.images.length === 0) {
+    return NextResponse.json(
+      { error: "Attach schematics with schematicSetId or uploads to audit." },
+      { status: 400 }
+    );
+  }
+
+  const rejected = uploads
+    ? await checkImageSources(uploads, auth.workspaceId)
+    : null;
+  if (rejected) {
+    return NextResponse.json(
+      { error: rejected.error },
+      { status: rejected.status }
+    );
+  }
+
+  const limited = startBatchRun(auth);
+  if (limited) {
+    return NextResponse.json(
+      { error: limited.error, quota: limited.quota },
+      {
+        status: limited.status,
+        headers: limited.retryAfterSeconds
+          ? { "Retry-After": String(limited.retryAfterSeconds) }
+          : undefined,
+      }
+    );
+  }
+
+  try {
+    const audit = await runAudit({
+      ruleSet: ruleSet.value,
+      target: targets.value[0],
+      schematicSetId,
+      uploads,
+      cache: body.cache,
+      workspaceId: auth.workspaceId,
+      // Each rule calls analyze as the same user, so auth checks still apply.
+      headers: forwardedAuthHeaders(req),
+      signal: req.signal,
+    });
+    await saveAudit(audit);
+    return NextResponse.json({ audit }, { status: 201 });
+  } catch (error) {
+    console.error("Audit run failed", error);
+    return NextResponse.json(
+      {
+        error: "Audit run failed.",
+        details:
+          error instanceof Error ? error.message : "Unknown error occurred.",
+      },
+      { status: 500 }
+    );
+  } finally {
+    finishBatchRun(auth);
+  }
+}
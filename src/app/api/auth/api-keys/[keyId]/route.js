@@ -0,0 +1,22 @@
+import { authenticate, authenticationRequired } from "@/lib/auth";
+import { revokeApiKey } from "@/lib/auth/apiKeys";
+import { NextResponse } from "next/server";
+
+export async function DELETE(req, { params }) {
+  const auth = await authenticate(req);
+  if (!auth) {
+    return authenticationRequired();
+  }
+
+  const { keyId } = await params;
+  const revoked = await revokeApiKey(keyId, auth.user.id);
+
+  if (!revoked) {
+    return NextResponse.json(
+      { error: `API key "${keyId}" was not found.` },
+      { status: 404 }
+    );
+  }
+
+  return NextResponse.json({ revoked: true, keyId });
+}
@@ -0,0 +1,58 @@
+import { authenticate, authenticationRequired } from "@/lib/auth";
+import { createApiKey, listApiKeys } from "@/lib/auth/apiKeys";
+import { NextResponse } from "next/server";
+
+export async function GET(req) {
+  const auth = await authenticate(req);
+  if (!auth) {
+    return authenticationRequired();
+  }
+
+  try {
+    const keys = await listApiKeys(auth.user.id);
+    return NextResponse.json({ keys });
+  } catch (error) {
+    console.error("Failed to list API keys", error);
+    return NextResponse.json(
+      { error: "Failed to list API keys." },
+      { status: 500 }
+    );
+  }
+}
+
+export async function POST(req) {
+  const auth = await authenticate(req);
+  if (!auth) {
+    return authenticationRequired();
+  }
+
+  let body;
+  try {
+    body = await req.json();
+  } catch {
+    return NextResponse.json(
+      { error: "Invalid JSON payload." },
+      { status: 400 }
+    );
+  }
+
+  const name = typeof body?.name === "string" ? body.name.trim() : "";
+  if (!name) {
+    return NextResponse.json({ error: "name is required." }, { status: 400 });
+  }
+
+  try {
+    const { value, error } = await createApiKey(auth.user, name);
+    if (error) {
+      return NextResponse.json({ error }, { status: 400 });
+    }
+
+    return NextResponse.json(value, { status: 201 });
+  } catch (caught) {
+    console.error("Failed to create API key", caught);
+    return NextResponse.json(
+      { error: "Failed to create API key." },
+      { status: 500 }
+    );
+  }
+}
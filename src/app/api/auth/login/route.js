@@ -0,0 +1,47 @@
+import { SESSION_COOKIE, sessionCookieOptions } from "@/lib/auth";
+import { createSession } from "@/lib/auth/sessions";
+import { publicUser, verifyCredentials } from "@/lib/auth/users";
+import { NextResponse } from "next/server";
+
+export async function POST(req) {
+  let body;
+  try {
+    body = await req.json();
+  } catch {
+    return NextResponse.json(
+      { error: "Invalid JSON payload." },
+      { status: 400 }
+    );
+  }
+
+  const email =
+    typeof body?.email === "string" ? body.email.trim().toLowerCase() : "";
+  const password = typeof body?.password === "string" ? body.password : "";
+  if (!email || !password) {
+    return NextResponse.json(
+      { error: "email and password are required." },
+      { status: 400 }
+    );
+  }
+
+  try {
+    const user = await verifyCredentials({ email, password });
+    if (!user) {
+      return NextResponse.json(
+        { error: "Incorrect email or password." },
+        { status: 401 }
+      );
+    }
+
+    const response = NextResponse.json({ user: publicUser(user) });
+    response.cookies.set(
+      SESSION_COOKIE,
+      await createSession(user.id),
+      sessionCookieOptions()
+    );
+    return response;
+  } catch (error) {
+    console.error("Failed to sign in", error);
+    return NextResponse.json({ error: "Failed to sign in." }, { status: 500 });
+  }
+}
@@ -0,0 +1,14 @@
+import { SESSION_COOKIE, readSessionToken } from "@/lib/auth";
+import { deleteSession } from "@/lib/auth/sessions";
+import { NextResponse } from "next/server";
+
+export async function POST(req) {
+  const token = readSessionToken(req);
+  if (token) {
+    await deleteSession(token);
+  }
+
+  const response = NextResponse.json({ signedOut: true });
+  response.cookies.delete(SESSION_COOKIE);
+  return response;
+}
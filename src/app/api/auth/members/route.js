@@ -0,0 +1,78 @@
+import { authenticate, authenticationRequired, isAuthEnabled } from "@/lib/auth";
+import {
+  createUser,
+  listWorkspaceMembers,
+  normalizeCredentials,
+  publicUser,
+} from "@/lib/auth/users";
+import { NextResponse } from "next/server";
+
+export async function GET(req) {
+  const auth = await authenticate(req);
+  if (!auth) {
+    return authenticationRequired();
+  }
+
+  try {
+    const members = isAuthEnabled()
+      ? await listWorkspaceMembers(auth.workspaceId)
+      : [auth.user];
+    return NextResponse.json({ members });
+  } catch (error) {
+    console.error("Failed to list workspace members", error);
+    return NextResponse.json(
+      { error: "Failed to list workspace members." },
+      { status: 500 }
+    );
+  }
+}
+
+export async function POST(req) {
+  const auth = await authenticate(req);
+  if (!auth) {
+    return authenticationRequired();
+  }
+
+  if (!isAuthEnabled() || auth.user.role !== "owner") {
+    return NextResponse.json(
+      { error: "Only workspace owners can add members." },
+      { status: 403 }
+    );
+  }
+
+  let body;
+  try {
+    body = await req.json();
+  } catch {
+    return NextResponse.json(
+      { error: "Invalid JSON payload." },
+      { status: 400 }
+    );
+  }
+
+  const { value, error } = normalizeCredentials(body);
+  if (error) {
+    return NextResponse.json({ error }, { status: 400 });
+  }
+
+  try {
+    const created = await createUser({
+      ...value,
+      workspaceId: auth.workspaceId,
+    });
+    if (created.error) {
+      return NextResponse.json({ error: created.error }, { status: 409 });
+    }
+
+    return NextResponse.json(
+      { member: publicUser(created.value) },
+      { status: 201 }
+    );
+  } catch (caught) {
+    console.error("Failed to add workspace member", caught);
+    return NextResponse.json(
+      { error: "Failed to add workspace member." },
+      { status: 500 }
+    );
+  }
+}
@@ -0,0 +1,70 @@
+import {
+  SESSION_COOKIE,
+  isAuthEnabled,
+  isSignupOpen,
+  sessionCookieOptions,
+} from "@/lib/auth";
+import { createSession } from "@/lib/auth/sessions";
+import {
+  countUsers,
+  createUser,
+  normalizeCredentials,
+  publicUser,
+} from "@/lib/auth/users";
+import { NextResponse } from "next/server";
+
+export async function POST(req) {
+  if (!isAuthEnabled()) {
+    return NextResponse.json(
+      { error: "Authentication is disabled on this server." },
+      { status: 400 }
+    );
+  }
+
+  let body;
+  try {
+    body = await req.json();
+  } catch {
+    return NextResponse.json(
+      { error: "Invalid JSON payload." },
+      { status: 400 }
+    );
+  }
+
+  const { value, error } = normalizeCredentials(body);
+  if (error) {
+    return NextResponse.json({ error }, { status: 400 });
+  }
+
+  try {
+    // The first account bootstraps the deployment; later ones need open signup.
+    if (!isSignupOpen() && (await countUsers()) > 0) {
+      return NextResponse.json(
+        { error: "Sign-up is closed. Ask a workspace owner to add you." },
+        { status: 403 }
+      );
+    }
+
+    const created = await createUser(value);
+    if (created.error) {
+      return NextResponse.json({ error: created.error }, { status: 409 });
+    }
+
+    const response = NextResponse.json(
+      { user: publicUser(created.value) },
+      { status: 201 }
+    );
+    response.cookies.set(
+      SESSION_COOKIE,
+      await createSession(created.value.id),
+      sessionCookieOptions()
+    );
+    return response;
+  } catch (caught) {
+    console.error("Failed to register account", caught);
+    return NextResponse.json(
+      { error: "Failed to register account." },
+      { status: 500 }
+    );
+  }
+}
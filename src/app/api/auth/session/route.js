@@ -0,0 +1,29 @@
+import { authenticate, isAuthEnabled, isSignupOpen } from "@/lib/auth";
+import { countUsers, getWorkspace } from "@/lib/auth/users";
+import { NextResponse } from "next/server";
+
+export async function GET(req) {
+  const auth = await authenticate(req);
+
+  if (!auth) {
+    return NextResponse.json(
+      {
+        error: "Not signed in.",
+        authEnabled: true,
+        signupOpen: isSignupOpen() || (await countUsers()) === 0,
+      },
+      { status: 401 }
+    );
+  }
+
+  const workspace = isAuthEnabled()
+    ? await getWorkspace(auth.workspaceId)
+    : null;
+
+  return NextResponse.json({
+    authEnabled: isAuthEnabled(),
+    method: auth.method,
+    user: auth.user,
+    workspace: workspace ?? { id: auth.workspaceId, name: "Local workspace" },
+  });
+}
@@ -0,0 +1,20 @@
+import { authenticate, authenticationRequired } from "@/lib/auth";
+import { describeQuotas } from "@/lib/quotas";
+import { NextResponse } from "next/server";
+
+export async function GET(req) {
+  const auth = await authenticate(req);
+  if (!auth) {
+    return authenticationRequired();
+  }
+
+  try {
+    return NextResponse.json(await describeQuotas(auth));
+  } catch (error) {
+    console.error("Failed to read spend budget", error);
+    return NextResponse.json(
+      { error: "Failed to read spend budget." },
+      { status: 500 }
+    );
+  }
+}
@@ -0,0 +1,37 @@
+import { authenticate, authenticationRequired } from "@/lib/auth";
+import { getResponseCache } from "@/lib/cache";
+import { NextResponse } from "next/server";
+
+// Cache keys are sha256 digests; anything else cannot exist.
+const CACHE_KEY_PATTERN = /^[a-f0-9]{64}$/;
+
+export async function DELETE(req, { params }) {
+  const auth = await authenticate(req);
+  if (!auth) {
+    return authenticationRequired();
+  }
+
+  const { cacheKey } = await params;
+
+  let removed = false;
+  if (CACHE_KEY_PATTERN.test(cacheKey)) {
+    try {
+      removed = Boolean(await getResponseCache(auth.workspaceId)?.delete(cacheKey));
+    } catch (error) {
+      console.error("Failed to invalidate cached answer", { error, cacheKey });
+      return NextResponse.json(
+        { error: "Failed to invalidate cached answer." },
+        { status: 500 }
+      );
+    }
+  }
+
+  if (!removed) {
+    return NextResponse.json(
+      { error: `Cached answer "${cacheKey}" was not found.` },
+      { status: 404 }
+    );
+  }
+
+  return NextResponse.json({ deleted: true, cacheKey });
+}
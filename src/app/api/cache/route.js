@@ -0,0 +1,81 @@
+import { schematicConfig } from "@/config/schematic";
+import { authenticate, authenticationRequired } from "@/lib/auth";
+import { getResponseCache } from "@/lib/cache";
+import { NextResponse } from "next/server";
+
+function resolveCache(workspaceId) {
+  try {
+    return { cache: getResponseCache(workspaceId) };
+  } catch (error) {
+    return {
+      failure: NextResponse.json({ error: error.message }, { status: 500 }),
+    };
+  }
+}
+
+export async function GET(req) {
+  const auth = await authenticate(req);
+  if (!auth) {
+    return authenticationRequired();
+  }
+
+  const { cache, failure } = resolveCache(auth.workspaceId);
+  if (failure) {
+    return failure;
+  }
+
+  if (!cache) {
+    return NextResponse.json({ enabled: false });
+  }
+
+  try {
+    return NextResponse.json({
+      enabled: true,
+      backend: cache.name,
+      ttlSeconds: schematicConfig.cache?.ttlSeconds,
+      maxTtlSeconds: schematicConfig.cache?.maxTtlSeconds,
+      ...(await cache.stats()),
+    });
+  } catch (error) {
+    console.error("Failed to read response cache stats", error);
+    return NextResponse.json(
+      { error: "Failed to read response cache stats." },
+      { status: 500 }
+    );
+  }
+}
+
+export async function DELETE(req) {
+  const auth = await authenticate(req);
+  if (!auth) {
+    return authenticationRequired();
+  }
+
+  // Clears only this workspace's answers; members share them, so only owners
+  // may wipe them.
+  if (auth.user.role !== "owner") {
+    return NextResponse.json(
+      { error: "Only workspace owners can clear the response cache." },
+      { status: 403 }
+    );
+  }
+
+  const { cache, failure } = resolveCache(auth.workspaceId);
+  if (failure) {
+    return failure;
+  }
+
+  if (!cache) {
+    return NextResponse.json({ cleared: 0 });
+  }
+
+  try {
+    return NextResponse.json({ cleared: await cache.clear() });
+  } catch (error) {
+    console.error("Failed to clear response cache", error);
+    return NextResponse.json(
+      { error: "Failed to clear response cache." },
+      { status: 500 }
+    );
+  }
+}
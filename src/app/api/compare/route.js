@@ -0,0 +1,77 @@
+import {
+  authenticate,
+  authenticationRequired,
+  forwardedAuthHeaders,
+} from "@/lib/auth";
+import { compareRevisions, resolveRevision } from "@/lib/revisions/compare";
+import { NextResponse } from "next/server";
+
+// Diffing two full-resolution sheets and describing the changes takes a while.
+export const maxDuration = 300;
+
+export async function POST(req) {
+  const auth = await authenticate(req);
+  if (!auth) {
+    return authenticationRequired();
+  }
+
+  let body;
+  try {
+    body = await req.json();
+  } catch {
+    return NextResponse.json(
+      { error: "Invalid JSON payload." },
+      { status: 400 }
+    );
+  }
+
+  const before = await resolveRevision(
+    body?.before,
+    auth.workspaceId,
+    "before"
+  );
+  if (before.error) {
+    return NextResponse.json(
+      { error: before.error },
+      { status: before.status }
+    );
+  }
+
+  const after = await resolveRevision(body.after, auth.workspaceId, "after");
+  if (after.error) {
+    return NextResponse.json({ error: after.error }, { status: after.status });
+  }
+
+  try {
+    const result = await compareRevisions({
+      before: before.value,
+      after: after.value,
+      question: body.question,
+      workspaceId: auth.workspaceId,
+      provider: body.provider,
+      model: body.model,
+      cache: body.cache,
+      // The analyze call runs as the same user, so quotas still apply.
+      headers: forwardedAuthHeaders(req),
+      signal: req.signal,
+    });
+    if (result.error) {
+      return NextResponse.json(
+        { error: result.error },
+        { status: result.status }
+      );
+    }
+
+    return NextResponse.json({ comparison: result.value });
+  } catch (error) {
+    console.error("Revision comparison failed", error);
+    return NextResponse.json(
+      {
+        error: "Revision comparison failed.",
+        details:
+          error instanceof Error ? error.message : "Unknown error occurred.",
+      },
+      { status: 500 }
+    );
+  }
+}
@@ -0,0 +1,22 @@
+import { authenticate, authenticationRequired } from "@/lib/auth";
+import { getEvaluationReport } from "@/lib/evaluations/store";
+import { NextResponse } from "next/server";
+
+export async function GET(req, { params }) {
+  const auth = await authenticate(req);
+  if (!auth) {
+    return authenticationRequired();
+  }
+
+  const { reportId } = await params;
+  const report = await getEvaluationReport(reportId, auth.workspaceId);
+
+  if (!report) {
+    return NextResponse.json(
+      { error: `Evaluation report "${reportId}" was not found.` },
+      { status: 404 }
+    );
+  }
+
+  return NextResponse.json({ report });
+}
@@ -0,0 +1,131 @@
+import {
+  authenticate,
+  authenticationRequired,
+  forwardedAuthHeaders,
+} from "@/lib/auth";
+import {
+  listSuites,
+  loadSuite,
+  normalizeSuite,
+  normalizeTargets,
+  runEvaluation,
+} from "@/lib/evaluations/runner";
+import {
+  listEvaluationReports,
+  saveEvaluationReport,
+} from "@/lib/evaluations/store";
+import { getSchematicSet } from "@/lib/library/store";
+import { finishBatchRun, startBatchRun } from "@/lib/quotas";
+import { NextResponse } from "next/server";
+
+// Suites run sequentially against the model, so allow long requests.
+export const maxDuration = 800;
+
+export async function GET(req) {
+  const auth = await authenticate(req);
+  if (!auth) {
+    return authenticationRequired();
+  }
+
+  try {
+    const [suites, reports] = await Promise.all([
+      listSuites(),
+      listEvaluationReports(auth.workspaceId),
+    ]);
+    return NextResponse.json({ suites, reports });
+  } catch (error) {
+    console.error("Failed to list evaluations", error);
+    return NextResponse.json(
+      { error: "Failed to list evaluations." },
+      { status: 500 }
+    );
+  }
+}
+
+export async function POST(req) {
+  const auth = await authenticate(req);
+  if (!auth) {
+    return authenticationRequired();
+  }
+
+  let body;
+  try {
+    body = await req.json();
+  } catch {
+    return NextResponse.json(
+      { error: "Invalid JSON payload." },
+      { status: 400 }
+    );
+  }
+
+  let suiteInput = body?.suite;
+  if (typeof suiteInput === "string") {
+    suiteInput = await loadSuite(suiteInput);
+    if (!suiteInput) {
+      return NextResponse.json(
+        { error: `Evaluation suite "${body.suite}" was not found.` },
+        { status: 404 }
+      );
+    }
+  }
+
+  const suite = normalizeSuite(suiteInput);
+  if (suite.error) {
+    return NextResponse.json({ error: suite.error }, { status: 400 });
+  }
+
+  const targets = normalizeTargets(body.targets);
+  if (targets.error) {
+    return NextResponse.json({ error: targets.error }, { status: 400 });
+  }
+
+  const schematicSetId =
+    typeof body.schematicSetId === "string" && body.schematicSetId.trim()
+      ? body.schematicSetId.trim()
+      : suite.value.schematicSetId;
+  if (schematicSetId && !(await getSchematicSet(schematicSetId, auth.workspaceId))) {
+    return NextResponse.json(
+      { error: `Schematic set "${schematicSetId}" was not found.` },
+      { status: 404 }
+    );
+  }
+
+  const limited = startBatchRun(auth);
+  if (limited) {
+    return NextResponse.json(
+      { error: limited.error, quota: limited.quota },
+      {
+        status: limited.status,
+        headers: limited.retryAfterSeconds
+          ? { "Retry-After": String(limited.retryAfterSeconds) }
+          : undefined,
+      }
+    );
+  }
+
+  try {
+    const report = await runEvaluation({
+      suite: suite.value,
+      targets: targets.value,
+      schematicSetId,
+      workspaceId: auth.workspaceId,
+      // Each case calls analyze as the same user, so auth checks still apply.
+      headers: forwardedAuthHeaders(req),
+      signal: req.signal,
+    });
+    await saveEvaluationReport(report);
+    return NextResponse.json({ report }, { status: 201 });
+  } catch (error) {
+    console.error("Evaluation run failed", error);
+    return NextResponse.json(
+      {
+        error: "Evaluation run failed.",
+        details:
+          error instanceof Error ? error.message : "Unknown error occurred.",
+      },
+      { status: 500 }
+    );
+  } finally {
+    finishBatchRun(auth);
+  }
+}
@@ -0,0 +1,80 @@
+import { authenticate, authenticationRequired } from "@/lib/auth";
+import {
+  deleteFloorGraph,
+  getFloorGraph,
+  normalizeGraphInput,
+  updateFloorGraph,
+} from "@/lib/floorGraphs/store";
+import { NextResponse } from "next/server";
+
+const notFound = (graphId) =>
+  NextResponse.json(
+    { error: `Floor graph "${graphId}" was not found.` },
+    { status: 404 }
+  );
+
+export async function GET(req, { params }) {
+  const auth = await authenticate(req);
+  if (!auth) {
+    return authenticationRequired();
+  }
+
+  const { graphId } = await params;
+  const graph = await getFloorGraph(graphId, auth.workspaceId);
+
+  return graph ? NextResponse.json({ graph }) : notFound(graphId);
+}
+
+// Hand corrections: `nodes` and `edges` replace the stored lists. Edges left
+// pointing at removed nodes are dropped when only `nodes` is sent.
+export async function PATCH(req, { params }) {
+  const auth = await authenticate(req);
+  if (!auth) {
+    return authenticationRequired();
+  }
+
+  const { graphId } = await params;
+
+  let body;
+  try {
+    body = await req.json();
+  } catch {
+    return NextResponse.json(
+      { error: "Invalid JSON payload." },
+      { status: 400 }
+    );
+  }
+
+  const existing = await getFloorGraph(graphId, auth.workspaceId);
+  if (!existing) {
+    return notFound(graphId);
+  }
+
+  const { value, error } = normalizeGraphInput(body, existing);
+  if (error) {
+    return NextResponse.json({ error }, { status: 400 });
+  }
+
+  const graph = await updateFloorGraph(graphId, (current) => ({
+    ...current,
+    ...value,
+    editedAt:
+      value.nodes || value.edges ? new Date().toISOString() : current.editedAt,
+  }));
+
+  return graph ? NextResponse.json({ graph }) : notFound(graphId);
+}
+
+export async function DELETE(req, { params }) {
+  const auth = await authenticate(req);
+  if (!auth) {
+    return authenticationRequired();
+  }
+
+  const { graphId } = await params;
+  const removed = await deleteFloorGraph(graphId, auth.workspaceId);
+
+  return removed
+    ? NextResponse.json({ deleted: true, graphId })
+    : notFound(graphId);
+}
@@ -0,0 +1,82 @@
+import { authenticate, authenticationRequired } from "@/lib/auth";
+import {
+  describePath,
+  findShortestPath,
+  normalizeAvoidTypes,
+  resolveGraphNode,
+} from "@/lib/floorGraphs/routing";
+import { getFloorGraph } from "@/lib/floorGraphs/store";
+import { NextResponse } from "next/server";
+
+// Answers a route question from the stored graph: no model call, and the
+// same graph always gives the same route.
+export async function POST(req, { params }) {
+  const auth = await authenticate(req);
+  if (!auth) {
+    return authenticationRequired();
+  }
+
+  const { graphId } = await params;
+
+  let body;
+  try {
+    body = await req.json();
+  } catch {
+    return NextResponse.json(
+      { error: "Invalid JSON payload." },
+      { status: 400 }
+    );
+  }
+
+  const graph = await getFloorGraph(graphId, auth.workspaceId);
+  if (!graph) {
+    return NextResponse.json(
+      { error: `Floor graph "${graphId}" was not found.` },
+      { status: 404 }
+    );
+  }
+
+  const start = resolveGraphNode(graph, body?.from, "from");
+  if (start.error) {
+    return NextResponse.json({ error: start.error }, { status: start.status });
+  }
+
+  const destination = resolveGraphNode(graph, body.to, "to");
+  if (destination.error) {
+    return NextResponse.json(
+      { error: destination.error },
+      { status: destination.status }
+    );
+  }
+
+  const avoid = normalizeAvoidTypes(body.avoid);
+  if (avoid.error) {
+    return NextResponse.json({ error: avoid.error }, { status: 400 });
+  }
+
+  const path = findShortestPath(graph, start.value.id, destination.value.id, {
+    avoid: avoid.value,
+  });
+  if (!path) {
+    return NextResponse.json(
+      {
+        error: `No route connects ${start.value.label} to ${
+          destination.value.label
+        }${avoid.value.length > 0 ? ` without ${avoid.value.join(", ")}` : ""}.`,
+      },
+      { status: 404 }
+    );
+  }
+
+  return NextResponse.json({
+    route: {
+      graphId: graph.id,
+      from: start.value,
+      to: destination.value,
+      avoid: avoid.value,
+      length: path.length,
+      nodes: path.nodes,
+      steps: describePath(path),
+    },
+  });
+}
@@ -0,0 +1,133 @@
+import {
+  authenticate,
+  authenticationRequired,
+  forwardedAuthHeaders,
+} from "@/lib/auth";
+import { extractFloorGraph } from "@/lib/floorGraphs/extract";
+import {
+  createFloorGraph,
+  findFloorGraphForSet,
+  listFloorGraphs,
+  updateFloorGraph,
+} from "@/lib/floorGraphs/store";
+import { getSchematicSet } from "@/lib/library/store";
+import { NextResponse } from "next/server";
+
+// Large sets can take the model a while to trace.
+export const maxDuration = 300;
+
+export async function GET(req) {
+  const auth = await authenticate(req);
+  if (!auth) {
+    return authenticationRequired();
+  }
+
+  try {
+    const graphs = await listFloorGraphs(auth.workspaceId);
+    return NextResponse.json({ graphs });
+  } catch (error) {
+    console.error("Failed to list floor graphs", error);
+    return NextResponse.json(
+      { error: "Failed to list floor graphs." },
+      { status: 500 }
+    );
+  }
+}
+
+// Extracts a schematic set's graph with the model. Each set has one graph;
+// pass `replace: true` to extract it again over the stored one.
+export async function POST(req) {
+  const auth = await authenticate(req);
+  if (!auth) {
+    return authenticationRequired();
+  }
+
+  let body;
+  try {
+    body = await req.json();
+  } catch {
+    return NextResponse.json(
+      { error: "Invalid JSON payload." },
+      { status: 400 }
+    );
+  }
+
+  const schematicSetId =
+    typeof body?.schematicSetId === "string" ? body.schematicSetId.trim() : "";
+  if (!schematicSetId) {
+    return NextResponse.json(
+      { error: "schematicSetId is required." },
+      { status: 400 }
+    );
+  }
+
+  const set = await getSchematicSet(schematicSetId, auth.workspaceId);
+  if (!set) {
+    return NextResponse.json(
+      { error: `Schematic set "${schematicSetId}" was not found.` },
+      { status: 404 }
+    );
+  }
+
+  const existing = await findFloorGraphForSet(set.id, auth.workspaceId);
+  if (existing && body.replace !== true) {
+    return NextResponse.json(
+      {
+        error: `Schematic set "${set.id}" already has floor graph "${existing.id}". Pass replace: true to extract it again.`,
+        graphId: existing.id,
+      },
+      { status: 409 }
+    );
+  }
+
+  const name =
+    typeof body.name === "string" && body.name.trim()
+      ? body.name.trim()
+      : undefined;
+
+  try {
+    const extracted = await extractFloorGraph({
+      schematicSetId: set.id,
+      workspaceId: auth.workspaceId,
+      provider: body.provider,
+      model: body.model,
+      cache: body.cache,
+      // The analyze call runs as the same user, so quotas still apply.
+      headers: forwardedAuthHeaders(req),
+      signal: req.signal,
+    });
+    if (extracted.error) {
+      return NextResponse.json(
+        { error: extracted.error },
+        { status: extracted.status }
+      );
+    }
+
+    const { dropped, ...graph } = extracted.value;
+    const record = existing
+      ? await updateFloorGraph(existing.id, (current) => ({
+          ...current,
+          ...graph,
+          name: name ?? current.name,
+        }))
+      : await createFloorGraph(
+          { ...graph, name: name ?? set.name, schematicSetId: set.id },
+          auth.workspaceId
+        );
+
+    return NextResponse.json(
+      { graph: record, dropped },
+      { status: existing ? 200 : 201 }
+    );
+  } catch (caught) {
+    console.error("Floor graph extraction failed", caught);
+    return NextResponse.json(
+      {
+        error: "Floor graph extraction failed.",
+        details:
+          caught instanceof Error ? caught.message : "Unknown error occurred.",
+      },
+      { status: 500 }
+    );
+  }
+}
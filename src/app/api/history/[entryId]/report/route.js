@@ -0,0 +1,72 @@
+import { authenticate, authenticationRequired } from "@/lib/auth";
+import { getHistoryEntry } from "@/lib/history/store";
+import { buildReport } from "@/lib/reports/build";
+import { reportToDocx } from "@/lib/reports/docx";
+import { reportToMarkdown } from "@/lib/reports/markdown";
+import { reportToPdf } from "@/lib/reports/pdf";
+import { NextResponse } from "next/server";
+
+const FORMATS = {
+  pdf: { extension: "pdf", contentType: "application/pdf", render: reportToPdf },
+  docx: {
+    extension: "docx",
+    contentType:
+      "application/vnd.openxmlformats-officedocument.wordprocessingml.document",
+    render: reportToDocx,
+  },
+  markdown: {
+    extension: "md",
+    contentType: "text/markdown; charset=utf-8",
+    render: reportToMarkdown,
+  },
+};
+
+export async function GET(req, { params }) {
+  const auth = await authenticate(req);
+  if (!auth) {
+    return authenticationRequired();
+  }
+
+  const { searchParams } = new URL(req.url);
+  const format = searchParams.get("format") ?? "pdf";
+  if (!FORMATS[format]) {
+    return NextResponse.json(
+      { error: "format must be pdf, docx or markdown." },
+      { status: 400 }
+    );
+  }
+
+  const { entryId } = await params;
+  const entry = await getHistoryEntry(entryId, auth.workspaceId);
+  if (!entry) {
+    return NextResponse.json(
+      { error: `History entry "${entryId}" was not found.` },
+      { status: 404 }
+    );
+  }
+
+  let body;
+  try {
+    const report = await buildReport(entry, auth.workspaceId);
+    body = await FORMATS[format].render(report);
+  } catch (error) {
+    console.error("Failed to export answer report", error);
+    return NextResponse.json(
+      {
+        error: "Failed to export answer report.",
+        details: error instanceof Error ? error.message : String(error),
+      },
+      { status: 500 }
+    );
+  }
+
+  const filename = `report-${entryId.replace(/[^a-zA-Z0-9-]/g, "")}.${
+    FORMATS[format].extension
+  }`;
+  return new Response(body, {
+    headers: {
+      "Content-Type": FORMATS[format].contentType,
+      "Content-Disposition": `attachment; filename="${filename}"`,
+    },
+  });
+}
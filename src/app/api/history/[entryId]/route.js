@@ -0,0 +1,41 @@
+import { authenticate, authenticationRequired } from "@/lib/auth";
+import { deleteHistoryEntry, getHistoryEntry } from "@/lib/history/store";
+import { NextResponse } from "next/server";
+
+export async function GET(req, { params }) {
+  const auth = await authenticate(req);
+  if (!auth) {
+    return authenticationRequired();
+  }
+
+  const { entryId } = await params;
+  const entry = await getHistoryEntry(entryId, auth.workspaceId);
+
+  if (!entry) {
+    return NextResponse.json(
+      { error: `History entry "${entryId}" was not found.` },
+      { status: 404 }
+    );
+  }
+
+  return NextResponse.json({ entry });
+}
+
+export async function DELETE(req, { params }) {
+  const auth = await authenticate(req);
+  if (!auth) {
+    return authenticationRequired();
+  }
+
+  const { entryId } = await params;
+  const removed = await deleteHistoryEntry(entryId, auth.workspaceId);
+
+  if (!removed) {
+    return NextResponse.json(
+      { error: `History entry "${entryId}" was not found.` },
+      { status: 404 }
+    );
+  }
+
+  return NextResponse.json({ deleted: true, entryId });
+}
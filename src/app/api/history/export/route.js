@@ -0,0 +1,70 @@
+import { authenticate, authenticationRequired } from "@/lib/auth";
+import { historyToMarkdown } from "@/lib/history/export";
+import { HISTORY_STATUSES, listHistoryEntries } from "@/lib/history/store";
+import { NextResponse } from "next/server";
+
+const FORMATS = {
+  json: { extension: "json", contentType: "application/json; charset=utf-8" },
+  markdown: { extension: "md", contentType: "text/markdown; charset=utf-8" },
+};
+
+export async function GET(req) {
+  const auth = await authenticate(req);
+  if (!auth) {
+    return authenticationRequired();
+  }
+
+  const { searchParams } = new URL(req.url);
+  const format = searchParams.get("format") ?? "json";
+  if (!FORMATS[format]) {
+    return NextResponse.json(
+      { error: "format must be json or markdown." },
+      { status: 400 }
+    );
+  }
+
+  const status = searchParams.get("status") || undefined;
+  if (status && !HISTORY_STATUSES.includes(status)) {
+    return NextResponse.json(
+      { error: `Unknown status "${status}".` },
+      { status: 400 }
+    );
+  }
+
+  const threadId = searchParams.get("threadId") || undefined;
+  const ids = searchParams.get("ids")?.split(",").filter(Boolean);
+
+  let entries;
+  try {
+    entries = await listHistoryEntries(auth.workspaceId, { status, threadId });
+  } catch (error) {
+    console.error("Failed to export analyze history", error);
+    return NextResponse.json(
+      { error: "Failed to export analyze history." },
+      { status: 500 }
+    );
+  }
+
+  if (ids?.length) {
+    entries = entries.filter((entry) => ids.includes(entry.id));
+  }
+
+  const body =
+    format === "markdown"
+      ? historyToMarkdown(entries, {
+          title: threadId ? `Conversation ${threadId}` : "Query history",
+        })
+      : JSON.stringify({ exportedAt: new Date().toISOString(), entries }, null, 2);
+  const filename = `${
+    threadId ? `thread-${threadId.replace(/[^a-zA-Z0-9-]/g, "")}` : "history"
+  }.${
+    FORMATS[format].extension
+  }`;
+
+  return new Response(body, {
+    headers: {
+      "Content-Type": FORMATS[format].contentType,
+      "Content-Disposition": `attachment; filename="${filename}"`,
+    },
+  });
+}
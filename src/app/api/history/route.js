@@ -0,0 +1,53 @@
+import { authenticate, authenticationRequired } from "@/lib/auth";
+import {
+  HISTORY_STATUSES,
+  listHistoryEntries,
+  summarizeHistoryEntry,
+} from "@/lib/history/store";
+import { NextResponse } from "next/server";
+
+const DEFAULT_LIMIT = 50;
+const MAX_LIMIT = 200;
+
+export async function GET(req) {
+  const auth = await authenticate(req);
+  if (!auth) {
+    return authenticationRequired();
+  }
+
+  const { searchParams } = new URL(req.url);
+  const status = searchParams.get("status") || undefined;
+  if (status && !HISTORY_STATUSES.includes(status)) {
+    return NextResponse.json(
+      {
+        error: `Unknown status "${status}". Allowed: ${HISTORY_STATUSES.join(
+          ", "
+        )}.`,
+      },
+      { status: 400 }
+    );
+  }
+
+  const requestedLimit = Number.parseInt(searchParams.get("limit") ?? "", 10);
+  const limit = Math.min(
+    Number.isFinite(requestedLimit) && requestedLimit > 0
+      ? requestedLimit
+      : DEFAULT_LIMIT,
+    MAX_LIMIT
+  );
+
+  try {
+    const entries = await listHistoryEntries(auth.workspaceId, {
+      status,
+      threadId: searchParams.get("threadId") || undefined,
+      limit,
+    });
+    return NextResponse.json({ entries: entries.map(summarizeHistoryEntry) });
+  } catch (error) {
+    console.error("Failed to list analyze history", error);
+    return NextResponse.json(
+      { error: "Failed to list analyze history." },
+      { status: 500 }
+    );
+  }
+}
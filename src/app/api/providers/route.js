@@ -0,0 +1,6 @@
+import { listVisionProviders } from "@/lib/vision/providers";
+import { NextResponse } from "next/server";
+
+export async function GET() {
+  return NextResponse.json({ providers: listVisionProviders() });
+}
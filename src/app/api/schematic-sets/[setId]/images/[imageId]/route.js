@@ -0,0 +1,106 @@
+import { authenticate, authenticationRequired } from "@/lib/auth";
+import {
+  getSchematicSet,
+  normalizeImageInput,
+  updateSchematicSet,
+} from "@/lib/library/store";
+import { checkImageSources } from "@/lib/uploads/validation";
+import { NextResponse } from "next/server";
+
+async function findImage(setId, imageId, workspaceId) {
+  const set = await getSchematicSet(setId, workspaceId);
+  if (!set) {
+    return {
+      error: NextResponse.json(
+        { error: `Schematic set "${setId}" was not found.` },
+        { status: 404 }
+      ),
+    };
+  }
+
+  const image = set.images.find((candidate) => candidate.id === imageId);
+  if (!image) {
+    return {
+      error: NextResponse.json(
+        { error: `Image "${imageId}" is not part of schematic set "${setId}".` },
+        { status: 404 }
+      ),
+    };
+  }
+
+  return { set, image };
+}
+
+export async function PATCH(req, { params }) {
+  const auth = await authenticate(req);
+  if (!auth) {
+    return authenticationRequired();
+  }
+
+  const { setId, imageId } = await params;
+
+  let body;
+  try {
+    body = await req.json();
+  } catch {
+    return NextResponse.json(
+      { error: "Invalid JSON payload." },
+      { status: 400 }
+    );
+  }
+
+  const found = await findImage(setId, imageId, auth.workspaceId);
+  if (found.error) {
+    return found.error;
+  }
+
+  const { value: image, error } = normalizeImageInput(body, found.image);
+  if (error) {
+    return NextResponse.json({ error }, { status: 400 });
+  }
+
+  // Label and caption edits leave an already accepted source alone.
+  const changesSource = ["url", "s3Key", "storageKey", "blobPathname"].some(
+    (field) => field in body
+  );
+  const rejected = await checkImageSources(
+    changesSource ? [image] : [],
+    auth.workspaceId
+  );
+  if (rejected) {
+    return NextResponse.json(
+      { error: rejected.error },
+      { status: rejected.status }
+    );
+  }
+
+  const set = await updateSchematicSet(setId, (current) => ({
+    ...current,
+    images: current.images.map((candidate) =>
+      candidate.id === imageId ? image : candidate
+    ),
+  }));
+
+  return NextResponse.json({ set, image });
+}
+
+export async function DELETE(req, { params }) {
+  const auth = await authenticate(req);
+  if (!auth) {
+    return authenticationRequired();
+  }
+
+  const { setId, imageId } = await params;
+
+  const found = await findImage(setId, imageId, auth.workspaceId);
+  if (found.error) {
+    return found.error;
+  }
+
+  const set = await updateSchematicSet(setId, (current) => ({
+    ...current,
+    images: current.images.filter((candidate) => candidate.id !== imageId),
+  }));
+
+  return NextResponse.json({ set, deleted: true, imageId });
+}
@@ -0,0 +1,63 @@
+import { authenticate, authenticationRequired } from "@/lib/auth";
+import {
+  MAX_SET_IMAGES,
+  getSchematicSet,
+  normalizeImageInput,
+  updateSchematicSet,
+} from "@/lib/library/store";
+import { checkImageSources } from "@/lib/uploads/validation";
+import { NextResponse } from "next/server";
+
+export async function POST(req, { params }) {
+  const auth = await authenticate(req);
+  if (!auth) {
+    return authenticationRequired();
+  }
+
+  const { setId } = await params;
+
+  let body;
+  try {
+    body = await req.json();
+  } catch {
+    return NextResponse.json(
+      { error: "Invalid JSON payload." },
+      { status: 400 }
+    );
+  }
+
+  const existing = await getSchematicSet(setId, auth.workspaceId);
+  if (!existing) {
+    return NextResponse.json(
+      { error: `Schematic set "${setId}" was not found.` },
+      { status: 404 }
+    );
+  }
+
+  if (existing.images.length >= MAX_SET_IMAGES) {
+    return NextResponse.json(
+      { error: `A schematic set holds at most ${MAX_SET_IMAGES} images.` },
+      { status: 400 }
+    );
+  }
+
+  const { value: image, error } = normalizeImageInput(body);
+  if (error) {
+    return NextResponse.json({ error }, { status: 400 });
+  }
+
+  const rejected = await checkImageSources([image], auth.workspaceId);
+  if (rejected) {
+    return NextResponse.json(
+      { error: rejected.error },
+      { status: rejected.status }
+    );
+  }
+
+  const set = await updateSchematicSet(setId, (current) => ({
+    ...current,
+    images: [...current.images, image],
+  }));
+
+  return NextResponse.json({ set, image }, { status: 201 });
+}
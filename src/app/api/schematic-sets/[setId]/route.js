@@ -0,0 +1,88 @@
+import { authenticate, authenticationRequired } from "@/lib/auth";
+import {
+  deleteSchematicSet,
+  getSchematicSet,
+  normalizeSetInput,
+  updateSchematicSet,
+} from "@/lib/library/store";
+import { checkImageSources } from "@/lib/uploads/validation";
+import { NextResponse } from "next/server";
+
+const notFound = (setId) =>
+  NextResponse.json(
+    { error: `Schematic set "${setId}" was not found.` },
+    { status: 404 }
+  );
+
+export async function GET(req, { params }) {
+  const auth = await authenticate(req);
+  if (!auth) {
+    return authenticationRequired();
+  }
+
+  const { setId } = await params;
+  const set = await getSchematicSet(setId, auth.workspaceId);
+
+  return set ? NextResponse.json({ set }) : notFound(setId);
+}
+
+export async function PATCH(req, { params }) {
+  const auth = await authenticate(req);
+  if (!auth) {
+    return authenticationRequired();
+  }
+
+  const { setId } = await params;
+
+  let body;
+  try {
+    body = await req.json();
+  } catch {
+    return NextResponse.json(
+      { error: "Invalid JSON payload." },
+      { status: 400 }
+    );
+  }
+
+  const existing = await getSchematicSet(setId, auth.workspaceId);
+  if (!existing) {
+    return notFound(setId);
+  }
+
+  const { value, error } = normalizeSetInput(body, existing);
+  if (error) {
+    return NextResponse.json({ error }, { status: 400 });
+  }
+
+  const rejected = await checkImageSources(
+    Array.isArray(body.images) ? value.images : [],
+    auth.workspaceId
+  );
+  if (rejected) {
+    return NextResponse.json(
+      { error: rejected.error },
+      { status: rejected.status }
+    );
+  }
+
+  const set = await updateSchematicSet(setId, (current) => ({
+    ...current,
+    ...value,
+  }));
+
+  return set ? NextResponse.json({ set }) : notFound(setId);
+}
+
+export async function DELETE(req, { params }) {
+  const auth = await authenticate(req);
+  if (!auth) {
+    return authenticationRequired();
+  }
+
+  const { setId } = await params;
+  const removed = await deleteSchematicSet(setId, auth.workspaceId);
+
+  return removed
+    ? NextResponse.json({ deleted: true, setId })
+    : notFound(setId);
+}
@@ -0,0 +1,70 @@
+import { authenticate, authenticationRequired } from "@/lib/auth";
+import {
+  createSchematicSet,
+  listSchematicSets,
+  normalizeSetInput,
+} from "@/lib/library/store";
+import { checkImageSources } from "@/lib/uploads/validation";
+import { NextResponse } from "next/server";
+
+export async function GET(req) {
+  const auth = await authenticate(req);
+  if (!auth) {
+    return authenticationRequired();
+  }
+
+  try {
+    const sets = await listSchematicSets(auth.workspaceId);
+    return NextResponse.json({ sets });
+  } catch (error) {
+    console.error("Failed to list schematic sets", error);
+    return NextResponse.json(
+      { error: "Failed to list schematic sets." },
+      { status: 500 }
+    );
+  }
+}
+
+export async function POST(req) {
+  const auth = await authenticate(req);
+  if (!auth) {
+    return authenticationRequired();
+  }
+
+  let body;
+  try {
+    body = await req.json();
+  } catch {
+    return NextResponse.json(
+      { error: "Invalid JSON payload." },
+      { status: 400 }
+    );
+  }
+
+  const { value, error } = normalizeSetInput(body);
+  if (error) {
+    return NextResponse.json({ error }, { status: 400 });
+  }
+
+  const rejected = await checkImageSources(
+    value.images ?? [],
+    auth.workspaceId
+  );
+  if (rejected) {
+    return NextResponse.json(
+      { error: rejected.error },
+      { status: rejected.status }
+    );
+  }
+
+  try {
+    const set = await createSchematicSet(value, auth.workspaceId);
+    return NextResponse.json({ set }, { status: 201 });
+  } catch (caught) {
+    console.error("Failed to create schematic set", caught);
+    return NextResponse.json(
+      { error: "Failed to create schematic set." },
+      { status: 500 }
+    );
+  }
+}
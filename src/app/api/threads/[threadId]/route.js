@@ -0,0 +1,41 @@
+import { authenticate, authenticationRequired } from "@/lib/auth";
+import { deleteThread, getThread } from "@/lib/threads/store";
+import { NextResponse } from "next/server";
+
+export async function GET(req, { params }) {
+  const auth = await authenticate(req);
+  if (!auth) {
+    return authenticationRequired();
+  }
+
+  const { threadId } = await params;
+  const thread = await getThread(threadId, auth.workspaceId);
+
+  if (!thread) {
+    return NextResponse.json(
+      { error: `Conversation "${threadId}" was not found.` },
+      { status: 404 }
+    );
+  }
+
+  return NextResponse.json({ thread });
+}
+
+export async function DELETE(req, { params }) {
+  const auth = await authenticate(req);
+  if (!auth) {
+    return authenticationRequired();
+  }
+
+  const { threadId } = await params;
+  const removed = await deleteThread(threadId, auth.workspaceId);
+
+  if (!removed) {
+    return NextResponse.json(
+      { error: `Conversation "${threadId}" was not found.` },
+      { status: 404 }
+    );
+  }
+
+  return NextResponse.json({ deleted: true, threadId });
+}
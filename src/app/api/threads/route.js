@@ -0,0 +1,21 @@
+import { authenticate, authenticationRequired } from "@/lib/auth";
+import { listThreads } from "@/lib/threads/store";
+import { NextResponse } from "next/server";
+
+export async function GET(req) {
+  const auth = await authenticate(req);
+  if (!auth) {
+    return authenticationRequired();
+  }
+
+  try {
+    const threads = await listThreads(auth.workspaceId);
+    return NextResponse.json({ threads });
+  } catch (error) {
+    console.error("Failed to list conversation threads", error);
+    return NextResponse.json(
+      { error: "Failed to list conversation threads." },
+      { status: 500 }
+    );
+  }
+}
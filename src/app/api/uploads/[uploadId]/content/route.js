@@ -0,0 +1,110 @@
+import { authenticate, authenticationRequired } from "@/lib/auth";
+import { getStorageBackend } from "@/lib/storage";
+import { MAX_UPLOAD_BYTES } from "@/lib/uploads/constants";
+import { getUploadObject, summarizeUploadObject } from "@/lib/uploads/objects";
+import { NextResponse } from "next/server";
+
+const notFound = (uploadId) =>
+  NextResponse.json(
+    { error: `Upload "${uploadId}" was not found.` },
+    { status: 404 }
+  );
+
+const tooLarge = () =>
+  NextResponse.json(
+    {
+      error: `File exceeds the ${Math.floor(
+        MAX_UPLOAD_BYTES / (1024 * 1024)
+      )}MB limit.`,
+    },
+    { status: 413 }
+  );
+
+// Receives the bytes of an upload stored on the local disk. The browser then
+// confirms it with PATCH /api/uploads/:uploadId like any other backend.
+export async function PUT(req, { params }) {
+  const auth = await authenticate(req);
+  if (!auth) {
+    return authenticationRequired();
+  }
+
+  const { uploadId } = await params;
+  const record = await getUploadObject(uploadId, auth.workspaceId);
+  if (!record) {
+    return notFound(uploadId);
+  }
+
+  if (record.backend !== "local") {
+    return NextResponse.json(
+      { error: "This upload goes directly to its storage backend." },
+      { status: 405 }
+    );
+  }
+
+  if (record.status !== "pending") {
+    return NextResponse.json(
+      { error: "This upload has already been stored." },
+      { status: 409 }
+    );
+  }
+
+  if (Number(req.headers.get("content-length")) > MAX_UPLOAD_BYTES) {
+    return tooLarge();
+  }
+
+  const buffer = Buffer.from(await req.arrayBuffer());
+  if (buffer.length > MAX_UPLOAD_BYTES) {
+    return tooLarge();
+  }
+
+  try {
+    await getStorageBackend("local").put(record.key, buffer, record.mimeType);
+    return NextResponse.json({ upload: summarizeUploadObject(record) });
+  } catch (error) {
+    console.error("Failed to store upload", { error, uploadId });
+    return NextResponse.json(
+      { error: "Failed to store upload." },
+      { status: 500 }
+    );
+  }
+}
+
+// Serves a stored upload to the browser for previews, whatever its backend.
+export async function GET(req, { params }) {
+  const auth = await authenticate(req);
+  if (!auth) {
+    return authenticationRequired();
+  }
+
+  const { uploadId } = await params;
+  const record = await getUploadObject(uploadId, auth.workspaceId);
+  if (!record || record.status !== "stored") {
+    return notFound(uploadId);
+  }
+
+  const storage = getStorageBackend(record.backend);
+  if (!storage) {
+    return NextResponse.json(
+      {
+        error: `Storage backend "${record.backend}" is not configured on the server.`,
+      },
+      { status: 500 }
+    );
+  }
+
+  try {
+    const buffer = await storage.get(record.key);
+    return new Response(buffer, {
+      headers: {
+        "Content-Type": record.mimeType ?? "application/octet-stream",
+        "Cache-Control": "private, max-age=3600",
+      },
+    });
+  } catch (error) {
+    console.error("Failed to read upload", { error, uploadId });
+    return NextResponse.json(
+      { error: "Failed to read upload." },
+      { status: 500 }
+    );
+  }
+}
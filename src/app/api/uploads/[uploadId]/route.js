@@ -0,0 +1,130 @@
+import { authenticate, authenticationRequired } from "@/lib/auth";
+import { hashContent } from "@/lib/cache";
+import { getStorageBackend, previewUrlFor } from "@/lib/storage";
+import { MAX_UPLOAD_BYTES } from "@/lib/uploads/constants";
+import { inspectImage } from "@/lib/uploads/inspect";
+import {
+  completeUploadObject,
+  deleteUploadObject,
+  getUploadObject,
+  releaseUploadObject,
+  summarizeUploadObject,
+} from "@/lib/uploads/objects";
+import { NextResponse } from "next/server";
+
+const notFound = (uploadId) =>
+  NextResponse.json(
+    { error: `Upload "${uploadId}" was not found.` },
+    { status: 404 }
+  );
+
+// The browser confirms a finished upload so it can be reused and swept. The
+// stored bytes are inspected and hashed here; a file that is not a usable
+// image is deleted. Blob URLs come from the blob store, never the client.
+export async function PATCH(req, { params }) {
+  const auth = await authenticate(req);
+  if (!auth) {
+    return authenticationRequired();
+  }
+
+  const { uploadId } = await params;
+  const record = await getUploadObject(uploadId, auth.workspaceId);
+  if (!record) {
+    return notFound(uploadId);
+  }
+
+  // The size is checked before the object is downloaded.
+  const storage = getStorageBackend(record.backend);
+  if (!storage) {
+    return NextResponse.json(
+      {
+        error: `Storage backend "${record.backend}" is not configured on the server.`,
+      },
+      { status: 500 }
+    );
+  }
+
+  let stored;
+  let buffer;
+  let tooLarge = false;
+  try {
+    stored = await storage.stat(record.key);
+    tooLarge = stored.bytes > MAX_UPLOAD_BYTES;
+    buffer = tooLarge ? null : await storage.get(record.key);
+  } catch (error) {
+    console.error("Failed to read finished upload", { error, uploadId });
+    return NextResponse.json(
+      { error: "The uploaded file was not found in storage." },
+      { status: 400 }
+    );
+  }
+
+  const inspected = tooLarge
+    ? {
+        status: 413,
+        error: `File exceeds the ${Math.floor(
+          MAX_UPLOAD_BYTES / (1024 * 1024)
+        )}MB limit.`,
+      }
+    : await inspectImage(buffer, record.name ?? "The uploaded file");
+  if (inspected.error) {
+    // The caller needs the inspection error even if the cleanup fails; the
+    // sweeper removes the object later.
+    try {
+      await deleteUploadObject(record);
+    } catch (error) {
+      console.error("Failed to delete rejected upload", { error, uploadId });
+    }
+    return NextResponse.json(
+      { error: inspected.error },
+      { status: inspected.status }
+    );
+  }
+
+  const updated = await completeUploadObject(record.id, {
+    url: stored.url,
+    bytes: buffer.length,
+    contentHash: hashContent(buffer),
+    detected: inspected.value,
+  });
+
+  return NextResponse.json({
+    upload: {
+      ...summarizeUploadObject(updated),
+      previewUrl: previewUrlFor(updated),
+    },
+  });
+}
+
+// "Remove" in the UI. The object may be shared through dedup, so it is only
+// released to the sweeper; see releaseUploadObject.
+export async function DELETE(req, { params }) {
+  const auth = await authenticate(req);
+  if (!auth) {
+    return authenticationRequired();
+  }
+
+  const { uploadId } = await params;
+  const record = await getUploadObject(uploadId, auth.workspaceId);
+  if (!record) {
+    return notFound(uploadId);
+  }
+
+  try {
+    const released = await releaseUploadObject(record.id);
+    return NextResponse.json({
+      released: true,
+      upload: summarizeUploadObject(released),
+    });
+  } catch (error) {
+    console.error("Failed to release upload", { error, uploadId });
+    return NextResponse.json(
+      {
+        error: "Failed to release upload.",
+        details:
+          error instanceof Error ? error.message : "Unknown error occurred.",
+      },
+      { status: 500 }
+    );
+  }
+}
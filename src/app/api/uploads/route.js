@@ -1,43 +1,38 @@
+import { authenticate, authenticationRequired } from "@/lib/auth";
+import {
+  buildStorageKey,
+  getUploadStorage,
+  previewUrlFor,
+} from "@/lib/storage";
 import {
   EXT_LOOKUP_BY_MIME,
   MAX_UPLOAD_BYTES,
   deduceMimeFromName,
-  sanitizeEnv,
-  trimSlashes,
 } from "@/lib/uploads/constants";
-import { generateClientTokenFromReadWriteToken } from "@vercel/blob/client";
-import { NextResponse } from "next/server";
+import {
+  findUploadObjectByHash,
+  touchUploadObject,
+  trackUploadObject,
+} from "@/lib/uploads/objects";
 import { randomUUID } from "crypto";
+import { NextResponse } from "next/server";
 import path from "path";
 
-const BLOB_PREFIX =
-  sanitizeEnv(process.env.BLOB_UPLOAD_PREFIX) ??
-  sanitizeEnv(process.env.AWS_VISION_PREFIX) ??
-  "vision-uploads";
-const BLOB_FOLDER =
-  sanitizeEnv(process.env.BLOB_UPLOAD_FOLDER) ??
-  sanitizeEnv(process.env.AWS_SCHEMATICS_FOLDER) ??
-  "schematics";
-const BLOB_READ_WRITE_TOKEN = sanitizeEnv(process.env.BLOB_READ_WRITE_TOKEN);
-
 const SUPPORTED_MIME_TYPES = new Set(Object.keys(EXT_LOOKUP_BY_MIME));
-
-const buildPathname = (extension) => {
-  const segments = [
-    trimSlashes(BLOB_PREFIX),
-    trimSlashes(BLOB_FOLDER),
-    `${randomUUID()}.${extension}`,
-  ].filter(Boolean);
-
-  return segments.join("/");
-};
+const CONTENT_HASH_PATTERN = /^[a-f0-9]{64}$/;
 
 export async function POST(req) {
-  if (!BLOB_READ_WRITE_TOKEN) {
-    return NextResponse.json(
-      { error: "BLOB_READ_WRITE_TOKEN is not configured on the server." },
-      { status: 500 }
-    );
+  const auth = await authenticate(req);
+  if (!auth) {
+    return authenticationRequired();
+  }
+
+  let storage;
+  try {
+    storage = getUploadStorage();
+  } catch (error) {
+    console.error("Upload storage is misconfigured", error);
+    return NextResponse.json({ error: error.message }, { status: 500 });
   }
 
   let body;
@@ -57,6 +52,11 @@ export async function POST(req) {
     typeof body?.size === "number" && Number.isFinite(body.size)
       ? body.size
       : undefined;
+  const contentHash =
+    typeof body?.contentHash === "string" &&
+    CONTENT_HASH_PATTERN.test(body.contentHash.toLowerCase())
+      ? body.contentHash.toLowerCase()
+      : undefined;
 
   if (!filename) {
     return NextResponse.json(
@@ -97,27 +97,60 @@ export async function POST(req) {
     path.extname(filename).replace(/^\./, "") ||
     "bin";
 
-  const pathname = buildPathname(extension);
+  // The same file uploaded again in this workspace reuses the stored object.
+  // Stored hashes are computed by the server from the bytes, so a hash the
+  // client makes up only matches a file the workspace really has.
+  const existing = await findUploadObjectByHash({
+    backend: storage.name,
+    workspaceId: auth.workspaceId,
+    contentHash,
+  });
+  if (existing) {
+    // Attaching it again keeps it from expiring if it was removed elsewhere.
+    await touchUploadObject(existing.backend, existing.key);
+    return NextResponse.json({
+      existing: {
+        uploadId: existing.id,
+        backend: storage.name,
+        key: existing.key,
+        previewUrl: previewUrlFor(existing),
+        contentType: existing.mimeType,
+      },
+    });
+  }
+
+  // Each workspace uploads under its own folder.
+  const key = buildStorageKey(auth.workspaceId, `${randomUUID()}.${extension}`);
 
   try {
-    const token = await generateClientTokenFromReadWriteToken({
-      token: BLOB_READ_WRITE_TOKEN,
-      pathname,
-      maximumSizeInBytes: MAX_UPLOAD_BYTES,
-      allowedContentTypes: Array.from(SUPPORTED_MIME_TYPES),
-      addRandomSuffix: false,
-      allowOverwrite: false,
+    const tracked = await trackUploadObject({
+      backend: storage.name,
+      key,
+      name: filename,
+      workspaceId: auth.workspaceId,
+      userId: auth.user.id,
+      mimeType: inferredMime,
+      bytes: size,
+      origin: "client-upload",
+    });
+    const target = await storage.createUploadTarget({
+      key,
+      contentType: inferredMime,
+      maxBytes: MAX_UPLOAD_BYTES,
+      uploadId: tracked.id,
     });
 
     return NextResponse.json({
-      token,
-      pathname,
+      uploadId: tracked.id,
+      backend: storage.name,
+      key,
       contentType: inferredMime,
+      target,
     });
   } catch (error) {
-    console.error("Failed to generate blob upload token", error);
+    console.error("Failed to prepare upload target", error);
     return NextResponse.json(
-      { error: "Failed to generate blob upload token." },
+      { error: "Failed to prepare upload target." },
       { status: 500 }
     );
   }
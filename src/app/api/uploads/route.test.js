@@ -0,0 +1,192 @@
+import { existsSync } from "fs";
+import path from "path";
+import sharp from "sharp";
+import { afterEach, beforeAll, describe, expect, it, vi } from "vitest";
+import { POST } from "@/app/api/uploads/route";
+import { DELETE, PATCH } from "@/app/api/uploads/[uploadId]/route";
+import { PUT } from "@/app/api/uploads/[uploadId]/content/route";
+import { hashContent } from "@/lib/cache";
+import { DATA_DIR } from "@/lib/persistence/jsonStore";
+import { getStorageBackend } from "@/lib/storage";
+import {
+  getUploadObject,
+  sweepUploadObjects,
+  trackUploadObject,
+} from "@/lib/uploads/objects";
+
+process.env.STORAGE_BACKEND = "local";
+
+const HOUR_MS = 60 * 60 * 1000;
+
+const jsonRequest = (method, body) =>
+  new Request("http://localhost/api/uploads", {
+    method,
+    headers: { "Content-Type": "application/json" },
+    body: body === undefined ? undefined : JSON.stringify(body),
+  });
+
+const withId = (uploadId) => ({ params: Promise.resolve({ uploadId }) });
+
+const prepare = async (png, contentHash) =>
+  (
+    await POST(
+      jsonRequest("POST", {
+        filename: "plan.png",
+        contentType: "image/png",
+        size: png.length,
+        contentHash,
+      })
+    )
+  ).json();
+
+async function sendBytes(uploadId, bytes) {
+  const put = await PUT(
+    new Request("http://localhost", {
+      method: "PUT",
+      headers: { "Content-Type": "image/png" },
+      body: bytes,
+    }),
+    withId(uploadId)
+  );
+  expect(put.status).toBe(200);
+}
+
+// Runs the browser's side of an upload: prepare, send the bytes, confirm.
+async function upload(png, contentHash = hashContent(png)) {
+  const prepared = await prepare(png, contentHash);
+  if (prepared.existing) {
+    return prepared;
+  }
+
+  await sendBytes(prepared.uploadId, png);
+  const confirmed = await PATCH(
+    jsonRequest("PATCH"),
+    withId(prepared.uploadId)
+  );
+  expect(confirmed.status).toBe(200);
+  return prepared;
+}
+
+// Each test uses its own colour so earlier uploads never dedup it.
+const solidPng = (background) =>
+  sharp({ create: { width: 320, height: 240, channels: 3, background } })
+    .png()
+    .toBuffer();
+
+let png;
+beforeAll(async () => {
+  png = await solidPng("#ffffff");
+});
+
+describe("upload dedup", () => {
+  it("reuses a stored upload with the same bytes", async () => {
+    const first = await upload(png);
+    const second = await prepare(png, hashContent(png));
+
+    expect(second.existing.uploadId).toBe(first.uploadId);
+    const record = await getUploadObject(first.uploadId, "local");
+    expect(record).toMatchObject({
+      status: "stored",
+      contentHash: hashContent(png),
+    });
+  });
+
+  it("only matches hashes the server computed", async () => {
+    const other = await solidPng("#000000");
+    const claimed = "f".repeat(64);
+    const stored = await upload(other, claimed);
+
+    expect((await prepare(other, claimed)).existing).toBeUndefined();
+    expect(
+      (await prepare(other, hashContent(other))).existing.uploadId
+    ).toBe(stored.uploadId);
+  });
+});
+
+describe("confirming an upload", () => {
+  afterEach(() => {
+    vi.restoreAllMocks();
+  });
+
+  it("reports a backend the server has no credentials for", async () => {
+    delete process.env.AWS_BUCKET_NAME;
+    const record = await trackUploadObject({
+      backend: "s3",
+      key: "vision-uploads/schematics/plan.png",
+      name: "plan.png",
+      workspaceId: "local",
+      origin: "client-upload",
+    });
+
+    const res = await PATCH(jsonRequest("PATCH"), withId(record.id));
+
+    expect(res.status).toBe(500);
+    expect((await res.json()).error).toMatch(/"s3" is not configured/);
+  });
+
+  it("returns the inspection error even if the cleanup fails", async () => {
+    const { uploadId } = await prepare(png, undefined);
+    await sendBytes(uploadId, Buffer.from("not an image at all"));
+    vi.spyOn(getStorageBackend("local"), "delete").mockRejectedValue(
+      new Error("disk is read-only")
+    );
+    vi.spyOn(console, "error").mockImplementation(() => {});
+
+    const res = await PATCH(jsonRequest("PATCH"), withId(uploadId));
+
+    expect(res.status).toBe(415);
+    expect((await res.json()).error).toMatch(/is not a PNG/);
+  });
+});
+
+describe("removing an upload", () => {
+  it("releases the shared object instead of deleting it", async () => {
+    const { uploadId } = await upload(await solidPng("#ff0000"));
+    const before = await getUploadObject(uploadId, "local");
+
+    const res = await DELETE(jsonRequest("DELETE"), withId(uploadId));
+    const body = await res.json();
+
+    expect(res.status).toBe(200);
+    expect(body.released).toBe(true);
+    const record = await getUploadObject(uploadId, "local");
+    expect(record.releasedAt).toBeTruthy();
+    expect(Date.parse(record.expiresAt)).toBe(
+      Date.parse(before.lastUsedAt) + 24 * HOUR_MS
+    );
+    expect(
+      existsSync(path.join(DATA_DIR, "uploads", ...record.key.split("/")))
+    ).toBe(true);
+  });
+
+  it("restores the usual expiry when the file is attached again", async () => {
+    const bytes = await solidPng("#00ff00");
+    const { uploadId } = await upload(bytes);
+    await DELETE(jsonRequest("DELETE"), withId(uploadId));
+
+    await prepare(bytes, hashContent(bytes));
+
+    const record = await getUploadObject(uploadId, "local");
+    expect(record.releasedAt).toBeUndefined();
+    expect(Date.parse(record.expiresAt)).toBeGreaterThan(
+      Date.now() + 71 * HOUR_MS
+    );
+  });
+
+  it("leaves released objects to the sweeper", async () => {
+    const bytes = await solidPng("#0000ff");
+    const { uploadId } = await upload(bytes);
+    await DELETE(jsonRequest("DELETE"), withId(uploadId));
+    const record = await getUploadObject(uploadId, "local");
+
+    const early = await sweepUploadObjects({ workspaceId: "local" });
+    expect(early.deleted.map((object) => object.id)).not.toContain(uploadId);
+
+    const late = await sweepUploadObjects({
+      workspaceId: "local",
+      now: Date.parse(record.expiresAt),
+    });
+    expect(late.deleted.map((object) => object.id)).toContain(uploadId);
+    expect(await getUploadObject(uploadId, "local")).toBeNull();
+  });
+});
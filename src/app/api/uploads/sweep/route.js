@@ -0,0 +1,69 @@
+import { authenticate, authenticationRequired } from "@/lib/auth";
+import { sanitizeEnv } from "@/lib/uploads/constants";
+import { sweepUploadObjects } from "@/lib/uploads/objects";
+import { createHash, timingSafeEqual } from "crypto";
+import { NextResponse } from "next/server";
+
+const SWEEP_SECRET = sanitizeEnv(process.env.UPLOAD_SWEEP_SECRET);
+
+const digest = (value) => createHash("sha256").update(value).digest();
+
+// Schedulers authenticate with the shared secret and sweep every workspace.
+const hasSweepSecret = (req) => {
+  const header = req.headers.get("authorization") ?? "";
+  const match = /^Bearer\s+(.+)$/i.exec(header);
+  return Boolean(
+    SWEEP_SECRET &&
+      match &&
+      timingSafeEqual(digest(match[1].trim()), digest(SWEEP_SECRET))
+  );
+};
+
+/**
+ * Deletes expired, unreferenced upload objects. Workspace owners sweep their
+ * own workspace; `Authorization: Bearer $UPLOAD_SWEEP_SECRET` sweeps all.
+ * Pass `{ "dryRun": true }` to list what would be deleted.
+ */
+export async function POST(req) {
+  let workspaceId;
+  if (!hasSweepSecret(req)) {
+    const auth = await authenticate(req);
+    if (!auth) {
+      return authenticationRequired();
+    }
+
+    if (auth.user.role !== "owner") {
+      return NextResponse.json(
+        { error: "Only workspace owners can sweep uploads." },
+        { status: 403 }
+      );
+    }
+    workspaceId = auth.workspaceId;
+  }
+
+  let body = {};
+  try {
+    body = await req.json();
+  } catch {
+    // An empty body runs a real sweep.
+  }
+
+  try {
+    const result = await sweepUploadObjects({
+      workspaceId,
+      dryRun: body?.dryRun === true,
+    });
+
+    return NextResponse.json({
+      dryRun: body?.dryRun === true,
+      scope: workspaceId ? "workspace" : "all",
+      ...result,
+    });
+  } catch (error) {
+    console.error("Failed to sweep uploads", error);
+    return NextResponse.json(
+      { error: "Failed to sweep uploads." },
+      { status: 500 }
+    );
+  }
+}
@@ -1,13 +1,62 @@
 "use client";
 
+import AccountPanel from "@/components/AccountPanel";
+import AuditPanel from "@/components/AuditPanel";
+import BudgetCard from "@/components/BudgetCard";
+import CostEstimate from "@/components/CostEstimate";
+import HistoryPanel from "@/components/HistoryPanel";
+import RevisionComparePanel from "@/components/RevisionComparePanel";
+import SchematicLibraryPanel from "@/components/SchematicLibraryPanel";
+import GroundingOverlay from "@/components/GroundingOverlay";
+import SignInPanel from "@/components/SignInPanel";
+import StructuredAnswer from "@/components/StructuredAnswer";
+import UploadImageEditor from "@/components/UploadImageEditor";
+import { DEFAULT_ANSWER_MODE, answerModes } from "@/config/answerModes";
 import { schematicConfig } from "@/config/schematic";
-import { put } from "@vercel/blob/client";
+import { uploadFileToStorage } from "@/lib/storage/client";
 import Image from "next/image";
-import { useMemo, useState } from "react";
+import { useEffect, useMemo, useRef, useState } from "react";
 
 const MAX_UPLOAD_MB = 12;
 const MAX_UPLOAD_COUNT = 6;
 
+const isPdfFile = (upload) =>
+  upload.mimeType === "application/pdf" || /\.pdf$/i.test(upload.name);
+
+const ENHANCE_OPTIONS = [
+  { value: "none", label: "As uploaded" },
+  { value: "sharpen", label: "Sharpen faint linework" },
+  { value: "binarize", label: "Black and white (binarize)" },
+];
+
+const DEFAULT_ENHANCE = schematicConfig.preprocessing?.enhance ?? "none";
+
+const describePreprocessing = (step) => {
+  switch (step.step) {
+    case "convert":
+      return `${step.from.replace("image/", "")} → ${step.to.replace("image/", "")}`;
+    case "downscale":
+      return `${step.from.width}×${step.from.height} → ${step.to.width}×${step.to.height}`;
+    default:
+      return step.step;
+  }
+};
+
+const STRATEGY_LABELS = {
+  s3: "S3 offload",
+  "s3-key": "S3 key",
+  "vercel-blob": "Blob URL",
+  "remote-url": "Remote URL",
+  inline: "Inline",
+  tiled: "Tiled",
+};
+
+const REPORT_FORMATS = [
+  { format: "pdf", label: "PDF" },
+  { format: "docx", label: "Word" },
+  { format: "markdown", label: "Markdown" },
+];
+
 const formatUsd = (amount) => {
   if (typeof amount !== "number" || Number.isNaN(amount)) {
     return "—";
@@ -16,41 +65,155 @@ const formatUsd = (amount) => {
   return `$${amount.toFixed(amount < 0.01 ? 4 : 2)}`;
 };
 
+const toUploadPayload = (upload) => ({
+  name: upload.name,
+  detail: upload.detail,
+  // Stored uploads are resolved by key; `url` is only their browser preview.
+  url: upload.storageKey ? undefined : upload.url,
+  storageKey: upload.storageKey,
+  storageBackend: upload.storageBackend,
+  uploadId: upload.uploadId,
+  size: upload.size,
+  mimeType: upload.mimeType,
+  pages: upload.pages || undefined,
+  rotate: upload.rotate || undefined,
+  crop: upload.crop,
+  cropMode: upload.crop ? upload.cropMode : undefined,
+  floor: upload.floor || undefined,
+});
+
+// Signed-out callers get `{ user: null, signupOpen }`.
+const fetchSession = async () => {
+  const res = await fetch("/api/auth/session");
+  const payload = await res.json();
+  return res.ok ? payload : { user: null, signupOpen: payload.signupOpen };
+};
+
+const readEventStream = async (res, onEvent) => {
+  const reader = res.body.getReader();
+  const decoder = new TextDecoder();
+  let buffered = "";
+
+  while (true) {
+    const { done, value } = await reader.read();
+    if (done) {
+      break;
+    }
+
+    buffered += decoder.decode(value, { stream: true });
+    const frames = buffered.split("\n\n");
+    buffered = frames.pop() ?? "";
+
+    for (const frame of frames) {
+      const eventLine = frame.match(/^event: (.+)$/m);
+      const dataLine = frame.match(/^data: (.+)$/m);
+      if (eventLine && dataLine) {
+        onEvent(eventLine[1], JSON.parse(dataLine[1]));
+      }
+    }
+  }
+};
+
 export default function Home() {
   const [prompt, setPrompt] = useState("");
-  const [response, setResponse] = useState(null);
+  const [answerMode, setAnswerMode] = useState(DEFAULT_ANSWER_MODE);
+  const [providers, setProviders] = useState([]);
+  const [provider, setProvider] = useState("");
+  const [turns, setTurns] = useState([]);
+  const [threadId, setThreadId] = useState(null);
+  const [pendingQuestion, setPendingQuestion] = useState(null);
+  const [sentUploadIds, setSentUploadIds] = useState([]);
+  const [streamingOutput, setStreamingOutput] = useState("");
+  const abortControllerRef = useRef(null);
   const [isLoading, setIsLoading] = useState(false);
   const [error, setError] = useState(null);
   const [uploads, setUploads] = useState([]);
+  const [schematicSet, setSchematicSet] = useState(null);
   const [uploadError, setUploadError] = useState(null);
   const [isUploadingFiles, setIsUploadingFiles] = useState(false);
+  const [historyRefreshKey, setHistoryRefreshKey] = useState(0);
+  const [grounding, setGrounding] = useState(false);
+  const [enhance, setEnhance] = useState(DEFAULT_ENHANCE);
+  const [activeAnswerIndex, setActiveAnswerIndex] = useState(null);
+  const [imageSizes, setImageSizes] = useState({});
+  const [session, setSession] = useState(null);
 
-  const canSubmit = useMemo(
-    () => !!prompt.trim() && !isLoading && !isUploadingFiles,
-    [prompt, isLoading, isUploadingFiles]
-  );
+  const response = turns.length > 0 ? turns[turns.length - 1] : null;
 
-  const requestBlobUploadToken = async (file) => {
-    const response = await fetch("/api/uploads", {
-      method: "POST",
-      headers: {
-        "Content-Type": "application/json",
-      },
-      body: JSON.stringify({
-        filename: file.name,
-        contentType: file.type,
-        size: file.size,
-      }),
-    });
-
-    const payload = await response.json();
-    if (!response.ok) {
-      throw new Error(payload?.error ?? "Failed to prepare upload.");
+  const recordImageSize = (key) => (event) => {
+    const { naturalWidth: width, naturalHeight: height } = event.currentTarget;
+    setImageSizes((prev) => ({ ...prev, [key]: { width, height } }));
+  };
+
+  // Overlays follow the latest answer; matching is by how each preview was sent.
+  const renderOverlay = (key, matches) => {
+    if (!response?.grounding) {
+      return null;
     }
 
-    return payload;
+    return (
+      <GroundingOverlay
+        annotations={response.grounding.annotations.filter((annotation) =>
+          matches(annotation.target ?? {})
+        )}
+        route={response.grounding.route.filter((segment) =>
+          matches(segment.target ?? {})
+        )}
+        size={imageSizes[key]}
+        activeIndex={activeAnswerIndex}
+        onSelect={setActiveAnswerIndex}
+      />
+    );
   };
 
+  useEffect(() => {
+    let cancelled = false;
+
+    fetchSession()
+      .then((current) => {
+        if (!cancelled) {
+          setSession(current);
+        }
+      })
+      .catch(() => setSession({ user: null, signupOpen: false }));
+
+    return () => {
+      cancelled = true;
+    };
+  }, []);
+
+  useEffect(() => {
+    let cancelled = false;
+
+    fetch("/api/providers")
+      .then((res) => (res.ok ? res.json() : { providers: [] }))
+      .then((payload) => {
+        if (cancelled) {
+          return;
+        }
+
+        const available = (payload.providers ?? []).filter(
+          (candidate) => candidate.configured
+        );
+        setProviders(available);
+        setProvider(
+          available.find((candidate) => candidate.isDefault)?.name ??
+            available[0]?.name ??
+            ""
+        );
+      })
+      .catch(() => undefined);
+
+    return () => {
+      cancelled = true;
+    };
+  }, []);
+
+  const canSubmit = useMemo(
+    () => !!prompt.trim() && !isLoading && !isUploadingFiles,
+    [prompt, isLoading, isUploadingFiles]
+  );
+
   const handleSubmit = async (event) => {
     event.preventDefault();
 
@@ -58,9 +221,15 @@ export default function Home() {
       return;
     }
 
+    const question = prompt.trim();
+
+    const abortController = new AbortController();
+    abortControllerRef.current = abortController;
+
     setIsLoading(true);
     setError(null);
-    setResponse(null);
+    setPendingQuestion(question);
+    setStreamingOutput("");
 
     try {
       const validUploads = uploads.filter(
@@ -75,38 +244,163 @@ export default function Home() {
 
       setUploadError(null);
 
+      // Images already attached earlier in the thread stay in the model context.
+      const newUploads = validUploads.filter(
+        (upload) => !sentUploadIds.includes(upload.id)
+      );
+
       const res = await fetch("/api/analyze", {
         method: "POST",
         headers: {
           "Content-Type": "application/json",
         },
+        signal: abortController.signal,
         body: JSON.stringify({
-          prompt,
-          uploads: validUploads.map((upload) => ({
-            name: upload.name,
-            detail: upload.detail,
-            url: upload.url,
-            blobPathname: upload.blobPathname,
-            size: upload.size,
-            mimeType: upload.mimeType,
-          })),
+          prompt: question,
+          threadId: threadId ?? undefined,
+          stream: true,
+          answerMode,
+          grounding: grounding || undefined,
+          preprocess: enhance === DEFAULT_ENHANCE ? undefined : { enhance },
+          provider: provider || undefined,
+          schematicSetId: schematicSet?.id,
+          uploads: newUploads.map(toUploadPayload),
         }),
       });
 
-      const result = await res.json();
-
       if (!res.ok) {
-        throw new Error(result.error ?? "Vision request failed.");
+        const failure = await res.json();
+        throw new Error(failure.error ?? "Vision request failed.");
       }
 
-      setResponse(result);
+      let result = null;
+      await readEventStream(res, (eventName, data) => {
+        if (eventName === "delta") {
+          setStreamingOutput((prev) => prev + data.text);
+        } else if (eventName === "done") {
+          result = data;
+        } else if (eventName === "error") {
+          throw new Error(data.details ?? data.error ?? "Vision request failed.");
+        }
+      });
+
+      if (!result) {
+        throw new Error("The vision stream ended before the answer completed.");
+      }
+
+      setThreadId(result.threadId ?? null);
+      setActiveAnswerIndex(null);
+      setTurns((prev) => [
+        ...prev,
+        { ...result, id: result.turnId ?? `turn-${prev.length + 1}`, question },
+      ]);
+      if (result.contextChained) {
+        setSentUploadIds((prev) => [
+          ...prev,
+          ...newUploads.map((upload) => upload.id),
+        ]);
+      }
+      setPrompt("");
     } catch (caught) {
-      setError(
-        caught instanceof Error ? caught.message : "Vision request failed."
-      );
+      if (abortController.signal.aborted) {
+        setError("Request cancelled.");
+      } else {
+        setError(
+          caught instanceof Error ? caught.message : "Vision request failed."
+        );
+      }
     } finally {
+      abortControllerRef.current = null;
       setIsLoading(false);
+      setPendingQuestion(null);
+      setHistoryRefreshKey((key) => key + 1);
+      setStreamingOutput("");
+    }
+  };
+
+  const handleCancel = () => {
+    abortControllerRef.current?.abort();
+  };
+
+  const handleNewConversation = () => {
+    setThreadId(null);
+    setTurns([]);
+    setSentUploadIds([]);
+    setActiveAnswerIndex(null);
+    setError(null);
+  };
+
+  const handleSignedIn = async () => {
+    setSession(await fetchSession());
+  };
+
+  const handleSignOut = async () => {
+    await fetch("/api/auth/logout", { method: "POST" });
+    handleNewConversation();
+    setUploads([]);
+    setSchematicSet(null);
+    setSession(await fetchSession());
+  };
+
+  const handleOpenHistory = async (entry) => {
+    handleNewConversation();
+    setPrompt(entry.prompt);
+
+    if (entry.threadId) {
+      const res = await fetch(`/api/threads/${entry.threadId}`);
+      if (res.ok) {
+        const { thread } = await res.json();
+        setThreadId(thread.id);
+        setTurns(thread.turns);
+        return;
+      }
+    }
+
+    setError(
+      entry.error
+        ? `${entry.error.message}${
+            entry.error.details ? ` ${entry.error.details}` : ""
+          }`
+        : "This conversation is no longer stored."
+    );
+  };
+
+  const handleRerunHistory = async (entry) => {
+    const rerun = entry.rerun ?? { prompt: entry.prompt, uploads: [] };
+    handleNewConversation();
+    setPrompt(rerun.prompt);
+    setAnswerMode(
+      answerModes[rerun.answerMode] ? rerun.answerMode : DEFAULT_ANSWER_MODE
+    );
+    setEnhance(rerun.preprocess?.enhance ?? DEFAULT_ENHANCE);
+    if (providers.some((candidate) => candidate.name === rerun.provider)) {
+      setProvider(rerun.provider);
     }
+
+    let set = null;
+    if (rerun.schematicSetId) {
+      const res = await fetch(`/api/schematic-sets/${rerun.schematicSetId}`);
+      set = res.ok ? (await res.json()).set : null;
+    }
+    setSchematicSet(set);
+
+    setUploads(
+      rerun.uploads
+        .filter(
+          (upload) => upload.url || (upload.storageKey && upload.uploadId)
+        )
+        .map((upload) => ({
+          ...upload,
+          id: crypto.randomUUID?.() ?? `upload-${Date.now()}-${upload.name}`,
+          url: upload.url ?? `/api/uploads/${upload.uploadId}/content`,
+          size: upload.size ?? 0,
+        }))
+    );
+    setUploadError(
+      rerun.omittedUploads > 0
+        ? `${rerun.omittedUploads} inline upload(s) from the original request were not stored. Re-attach them before sending.`
+        : null
+    );
   };
 
   const handleExampleClick = (question) => {
@@ -149,26 +443,17 @@ export default function Home() {
     try {
       for (const file of files) {
         try {
-          const tokenPayload = await requestBlobUploadToken(file);
-          const resolvedMime = (
-            tokenPayload.contentType ||
-            file.type ||
-            ""
-          ).toLowerCase();
-          const blob = await put(tokenPayload.pathname, file, {
-            access: "public",
-            token: tokenPayload.token,
-            contentType: resolvedMime || tokenPayload.contentType || file.type,
-          });
-
+          const stored = await uploadFileToStorage(file);
           successfulUploads.push({
             id: crypto.randomUUID?.() ?? `upload-${Date.now()}-${file.name}`,
+            uploadId: stored.uploadId,
+            storageKey: stored.storageKey,
+            storageBackend: stored.storageBackend,
             name: file.name,
             size: file.size,
             detail: "high",
-            url: blob.url,
-            blobPathname: blob.pathname,
-            mimeType: resolvedMime || tokenPayload.contentType || file.type,
+            url: stored.previewUrl,
+            mimeType: stored.mimeType,
           });
         } catch (caught) {
           if (!firstError) {
@@ -191,38 +476,95 @@ export default function Home() {
     setUploadError(firstError);
   };
 
+  const handleSchematicSetSaved = (set) => {
+    setSchematicSet(set);
+    setUploads([]);
+  };
+
+  const handleUploadPagesChange = (id, pages) => {
+    setUploads((prev) =>
+      prev.map((upload) => (upload.id === id ? { ...upload, pages } : upload))
+    );
+  };
+
+  // An edited image is new content, so it is sent again even mid-thread.
+  const handleUploadEditChange = (id, patch) => {
+    setUploads((prev) =>
+      prev.map((upload) => (upload.id === id ? { ...upload, ...patch } : upload))
+    );
+    setSentUploadIds((prev) => prev.filter((sentId) => sentId !== id));
+  };
+
+  // Releases the stored file so the sweeper can expire it; other attachments
+  // may share it through dedup, so the server decides when it goes.
   const handleRemoveUpload = (id) => {
-    setUploads((prev) => prev.filter((upload) => upload.id !== id));
+    const removed = uploads.find((upload) => upload.id === id);
+    const remaining = uploads.filter((upload) => upload.id !== id);
+    setUploads(remaining);
+
+    if (
+      removed?.uploadId &&
+      !remaining.some((upload) => upload.uploadId === removed.uploadId)
+    ) {
+      fetch(`/api/uploads/${removed.uploadId}`, { method: "DELETE" }).catch(
+        () => undefined
+      );
+    }
   };
 
+  const header = (
+    <header className="border-b border-zinc-200 bg-white/70 px-6 py-6 backdrop-blur dark:border-zinc-800 dark:bg-zinc-900/70">
+      <div className="mx-auto flex w-full max-w-6xl flex-col gap-2 sm:flex-row sm:items-end sm:justify-between">
+        <div>
+          <p className="text-sm uppercase tracking-[0.3em] text-zinc-500 dark:text-zinc-400">
+            Vision POC
+          </p>
+          <h1 className="text-2xl font-semibold sm:text-3xl">
+            {schematicConfig.displayName}
+          </h1>
+          <p className="text-sm text-zinc-600 dark:text-zinc-400">
+            Upload one or more schematic exports below, then ask the model
+            pointed questions about the space. Keep prompts natural—no special
+            formatting required.
+          </p>
+        </div>
+        <div className="text-sm text-zinc-500 dark:text-zinc-400">
+          Model default:{" "}
+          <code className="rounded bg-zinc-100 px-1.5 py-0.5 text-xs dark:bg-zinc-800 dark:text-zinc-200">
+            {process.env.NEXT_PUBLIC_OPENAI_VISION_MODEL ??
+              schematicConfig.model.name}
+          </code>
+        </div>
+      </div>
+    </header>
+  );
+
+  if (!session?.user) {
+    return (
+      <div className="flex min-h-screen flex-col bg-zinc-50 text-zinc-900 dark:bg-black dark:text-zinc-100">
+        {header}
+        <main className="mx-auto flex w-full max-w-6xl flex-1 items-start justify-center px-6 py-12">
+          {session ? (
+            <SignInPanel
+              signupOpen={session.signupOpen}
+              onSignedIn={handleSignedIn}
+            />
+          ) : (
+            <p className="text-sm text-zinc-500 dark:text-zinc-400">
+              Checking your session…
+            </p>
+          )}
+        </main>
+      </div>
+    );
+  }
+
   return (
     <div className="flex min-h-screen flex-col bg-zinc-50 text-zinc-900 dark:bg-black dark:text-zinc-100">
-      <header className="border-b border-zinc-200 bg-white/70 px-6 py-6 backdrop-blur dark:border-zinc-800 dark:bg-zinc-900/70">
-        <div className="mx-auto flex w-full max-w-6xl flex-col gap-2 sm:flex-row sm:items-end sm:justify-between">
-          <div>
-            <p className="text-sm uppercase tracking-[0.3em] text-zinc-500 dark:text-zinc-400">
-              Vision POC
-            </p>
-            <h1 className="text-2xl font-semibold sm:text-3xl">
-              {schematicConfig.displayName}
-            </h1>
-            <p className="text-sm text-zinc-600 dark:text-zinc-400">
-              Upload one or more schematic exports below, then ask the model
-              pointed questions about the space. Keep prompts natural—no special
-              formatting required.
-            </p>
-          </div>
-          <div className="text-sm text-zinc-500 dark:text-zinc-400">
-            Model default:{" "}
-            <code className="rounded bg-zinc-100 px-1.5 py-0.5 text-xs dark:bg-zinc-800 dark:text-zinc-200">
-              {process.env.NEXT_PUBLIC_OPENAI_VISION_MODEL ??
-                schematicConfig.model.name}
-            </code>
-          </div>
-        </div>
-      </header>
+      {header}
       <main className="mx-auto flex w-full max-w-6xl flex-1 flex-col gap-8 px-6 py-8 lg:flex-row">
         <section className="w-full max-w-xl space-y-6 lg:w-[380px]">
+          <AccountPanel session={session} onSignOut={handleSignOut} />
           <form
             onSubmit={handleSubmit}
             className="flex flex-col gap-3 rounded-2xl border border-zinc-200 bg-white p-5 shadow-sm dark:border-zinc-800 dark:bg-zinc-900"
@@ -237,6 +579,75 @@ export default function Home() {
               rows={4}
               className="w-full resize-none rounded-lg border border-zinc-300 bg-white p-3 text-sm shadow-inner focus:border-blue-500 focus:outline-none focus:ring-2 focus:ring-blue-500/40 dark:border-zinc-700 dark:bg-zinc-950"
             />
+            <label className="flex flex-col gap-1 text-xs font-medium text-zinc-700 dark:text-zinc-200">
+              Answer format
+              <select
+                value={answerMode}
+                onChange={(event) => setAnswerMode(event.target.value)}
+                className="rounded-lg border border-zinc-300 bg-white px-2 py-1.5 text-sm font-normal dark:border-zinc-700 dark:bg-zinc-950"
+              >
+                {Object.entries(answerModes)
+                  .filter(([, mode]) => !mode.toolOnly)
+                  .map(([key, mode]) => (
+                    <option key={key} value={key}>
+                      {mode.label}
+                    </option>
+                  ))}
+              </select>
+              <span className="font-normal text-zinc-500 dark:text-zinc-400">
+                {answerModes[answerMode]?.description}
+              </span>
+            </label>
+            <label className="flex items-center gap-2 text-xs font-medium text-zinc-700 dark:text-zinc-200">
+              <input
+                type="checkbox"
+                checked={grounding}
+                onChange={(event) => setGrounding(event.target.checked)}
+              />
+              Show locations on the plan
+              <span className="font-normal text-zinc-500 dark:text-zinc-400">
+                (boxes and route overlays)
+              </span>
+            </label>
+            <label className="flex flex-col gap-1 text-xs font-medium text-zinc-700 dark:text-zinc-200">
+              Image enhancement
+              <select
+                value={enhance}
+                onChange={(event) => setEnhance(event.target.value)}
+                className="rounded-lg border border-zinc-300 bg-white px-2 py-1.5 text-sm font-normal dark:border-zinc-700 dark:bg-zinc-950"
+              >
+                {ENHANCE_OPTIONS.map((option) => (
+                  <option key={option.value} value={option.value}>
+                    {option.label}
+                  </option>
+                ))}
+              </select>
+            </label>
+            {providers.length > 1 ? (
+              <label className="flex flex-col gap-1 text-xs font-medium text-zinc-700 dark:text-zinc-200">
+                Vision provider
+                <select
+                  value={provider}
+                  onChange={(event) => setProvider(event.target.value)}
+                  className="rounded-lg border border-zinc-300 bg-white px-2 py-1.5 text-sm font-normal dark:border-zinc-700 dark:bg-zinc-950"
+                >
+                  {providers.map((candidate) => (
+                    <option key={candidate.name} value={candidate.name}>
+                      {candidate.label}
+                      {candidate.defaultModel
+                        ? ` · ${candidate.defaultModel}`
+                        : ""}
+                    </option>
+                  ))}
+                </select>
+              </label>
+            ) : null}
+            <SchematicLibraryPanel
+              selectedSetId={schematicSet?.id ?? null}
+              onSelect={setSchematicSet}
+              onSaved={handleSchematicSetSaved}
+              uploads={uploads}
+            />
             <div className="space-y-2 rounded-lg border border-zinc-300 bg-zinc-50 p-3 text-xs text-zinc-700 dark:border-zinc-700 dark:bg-zinc-950 dark:text-zinc-300">
               <div className="flex items-center justify-between text-[13px] font-medium text-zinc-800 dark:text-zinc-100">
                 Additional images
@@ -245,7 +656,8 @@ export default function Home() {
                 </span>
               </div>
               <p>
-                Optional session uploads (PNG/JPEG, &lt;= {MAX_UPLOAD_MB}MB each).
+                Optional session uploads (PNG/JPEG or the source PDF, &lt;={" "}
+                {MAX_UPLOAD_MB}MB each). PDF pages are rasterized on the server.
                 Files stream to Vercel Blob storage first, then only signed URLs
                 reach the model.
               </p>
@@ -259,7 +671,7 @@ export default function Home() {
               >
                 <input
                   type="file"
-                  accept=".png,.jpg,.jpeg,.webp,.tif,.tiff"
+                  accept=".png,.jpg,.jpeg,.webp,.tif,.tiff,.pdf"
                   multiple
                   className="hidden"
                   disabled={isUploadingFiles}
@@ -283,35 +695,97 @@ export default function Home() {
                   {uploads.map((upload) => (
                     <li
                       key={upload.id}
-                      className="flex items-center justify-between rounded-md border border-zinc-200 bg-white px-2 py-1.5 text-[13px] dark:border-zinc-700 dark:bg-zinc-900"
+                      className="space-y-1.5 rounded-md border border-zinc-200 bg-white px-2 py-1.5 text-[13px] dark:border-zinc-700 dark:bg-zinc-900"
                     >
-                      <span className="mr-2 truncate" title={upload.name}>
-                        {upload.name}
-                      </span>
-                      <div className="flex items-center gap-2 text-xs text-zinc-500 dark:text-zinc-400">
-                        <span>
-                          {(upload.size / (1024 * 1024)).toFixed(2)}MB
+                      <div className="flex items-center justify-between">
+                        <span className="mr-2 truncate" title={upload.name}>
+                          {upload.name}
                         </span>
-                        <button
-                          type="button"
-                          onClick={() => handleRemoveUpload(upload.id)}
-                          className="rounded bg-zinc-200 px-1.5 py-0.5 text-xs font-semibold text-zinc-700 transition hover:bg-zinc-300 dark:bg-zinc-800 dark:text-zinc-200 dark:hover:bg-zinc-700"
-                        >
-                          Remove
-                        </button>
+                        <div className="flex items-center gap-2 text-xs text-zinc-500 dark:text-zinc-400">
+                          {isPdfFile(upload) ? (
+                            <input
+                              value={upload.pages ?? ""}
+                              onChange={(event) =>
+                                handleUploadPagesChange(
+                                  upload.id,
+                                  event.target.value
+                                )
+                              }
+                              placeholder="Pages, e.g. 1-3"
+                              title="Leave empty to send every page (up to the configured limit)."
+                              className="w-24 rounded border border-zinc-300 bg-white px-1.5 py-0.5 text-xs dark:border-zinc-700 dark:bg-zinc-900"
+                            />
+                          ) : null}
+                          <input
+                            value={upload.floor ?? ""}
+                            onChange={(event) =>
+                              handleUploadEditChange(upload.id, {
+                                floor: event.target.value,
+                              })
+                            }
+                            placeholder="Floor"
+                            title="Which floor this plan shows, e.g. 1 or B2. Helps routes that change floors."
+                            className="w-14 rounded border border-zinc-300 bg-white px-1.5 py-0.5 text-xs dark:border-zinc-700 dark:bg-zinc-900"
+                          />
+                          <span>
+                            {(upload.size / (1024 * 1024)).toFixed(2)}MB
+                          </span>
+                          <button
+                            type="button"
+                            onClick={() => handleRemoveUpload(upload.id)}
+                            className="rounded bg-zinc-200 px-1.5 py-0.5 text-xs font-semibold text-zinc-700 transition hover:bg-zinc-300 dark:bg-zinc-800 dark:text-zinc-200 dark:hover:bg-zinc-700"
+                          >
+                            Remove
+                          </button>
+                        </div>
                       </div>
+                      <UploadImageEditor
+                        upload={upload}
+                        allowEdits={!isPdfFile(upload)}
+                        onChange={(patch) =>
+                          handleUploadEditChange(upload.id, patch)
+                        }
+                      />
                     </li>
                   ))}
                 </ul>
               ) : null}
             </div>
-            <button
-              type="submit"
-              disabled={!canSubmit}
-              className="mt-2 inline-flex items-center justify-center rounded-lg bg-blue-600 px-4 py-2 text-sm font-medium text-white transition hover:bg-blue-700 disabled:cursor-not-allowed disabled:bg-blue-400"
-            >
-              {isLoading ? "Analyzing…" : "Send to Vision"}
-            </button>
+            {isLoading ? (
+              <button
+                type="button"
+                onClick={handleCancel}
+                className="mt-2 inline-flex items-center justify-center rounded-lg bg-zinc-700 px-4 py-2 text-sm font-medium text-white transition hover:bg-zinc-800 dark:bg-zinc-600 dark:hover:bg-zinc-500"
+              >
+                Analyzing… Cancel
+              </button>
+            ) : (
+              <button
+                type="submit"
+                disabled={!canSubmit}
+                className="mt-2 inline-flex items-center justify-center rounded-lg bg-blue-600 px-4 py-2 text-sm font-medium text-white transition hover:bg-blue-700 disabled:cursor-not-allowed disabled:bg-blue-400"
+              >
+                Send to Vision
+              </button>
+            )}
+            <CostEstimate
+              prompt={prompt.trim()}
+              body={{
+                threadId: threadId ?? undefined,
+                answerMode,
+                grounding: grounding || undefined,
+                preprocess:
+                  enhance === DEFAULT_ENHANCE ? undefined : { enhance },
+                provider: provider || undefined,
+                schematicSetId: schematicSet?.id,
+                uploads: uploads
+                  .filter(
+                    (upload) =>
+                      upload.url && !sentUploadIds.includes(upload.id)
+                  )
+                  .map(toUploadPayload),
+              }}
+            />
           </form>
 
           <div className="rounded-2xl border border-dashed border-zinc-300 bg-white/40 p-4 text-sm text-zinc-700 dark:border-zinc-700 dark:bg-zinc-900/40 dark:text-zinc-300">
@@ -333,6 +807,34 @@ export default function Home() {
             </ul>
           </div>
 
+          <HistoryPanel
+            refreshKey={historyRefreshKey}
+            onOpen={handleOpenHistory}
+            onRerun={handleRerunHistory}
+          />
+
+          <AuditPanel
+            schematicSetId={schematicSet?.id ?? null}
+            uploads={uploads
+              .filter((upload) => upload.url)
+              .map(toUploadPayload)}
+            provider={provider}
+            onAudited={() => setHistoryRefreshKey((key) => key + 1)}
+          />
+
+          <RevisionComparePanel
+            uploads={uploads
+              .filter((upload) => upload.url)
+              .map((upload) => ({
+                id: upload.id,
+                name: upload.name,
+                payload: toUploadPayload(upload),
+              }))}
+            provider={provider}
+            refreshKey={schematicSet?.id}
+            onCompared={() => setHistoryRefreshKey((key) => key + 1)}
+          />
+
           {schematicConfig.model.pricingUsdPerMTok ? (
             <div className="rounded-2xl border border-zinc-200 bg-white p-4 text-sm text-zinc-700 dark:border-zinc-800 dark:bg-zinc-900 dark:text-zinc-300">
               <p className="font-medium text-zinc-900 dark:text-zinc-100">
@@ -346,6 +848,7 @@ export default function Home() {
               </p>
             </div>
           ) : null}
+          <BudgetCard refreshKey={historyRefreshKey} />
 
         </section>
 
@@ -364,7 +867,14 @@ export default function Home() {
                     sizes="(min-width: 1024px) 40vw, 90vw"
                     className="object-contain"
                     priority
+                    onLoad={recordImageSize(`reference:${image.id}`)}
                   />
+                  {renderOverlay(
+                    `reference:${image.id}`,
+                    (target) =>
+                      target.source === "reference" &&
+                      target.referenceId === image.id
+                  )}
                 </div>
                 <figcaption className="text-sm font-medium text-zinc-800 dark:text-zinc-100">
                   {image.label}
@@ -376,6 +886,33 @@ export default function Home() {
                 </figcaption>
               </figure>
             ))}
+            {schematicSet?.images.map((image) => (
+              <figure
+                key={image.id}
+                className="flex flex-col gap-2 rounded-2xl border border-emerald-200 bg-emerald-50/60 p-4 shadow-sm dark:border-emerald-800 dark:bg-emerald-950/40"
+              >
+                <div className="relative h-72 w-full overflow-hidden rounded-xl border border-emerald-200 bg-white dark:border-emerald-700 dark:bg-emerald-900/40">
+                  {/* eslint-disable-next-line @next/next/no-img-element */}
+                  <img
+                    src={image.url ?? `/api/uploads/${image.uploadId}/content`}
+                    alt={image.label}
+                    className="h-full w-full object-contain"
+                    onLoad={recordImageSize(`library:${image.id}`)}
+                  />
+                  {renderOverlay(
+                    `library:${image.id}`,
+                    (target) => target.libraryImageId === image.id
+                  )}
+                </div>
+                <figcaption className="text-sm font-medium text-emerald-900 dark:text-emerald-100">
+                  {image.label}
+                  <span className="block text-xs font-normal text-emerald-700 dark:text-emerald-200">
+                    {schematicSet.name}
+                    {image.caption ? ` · ${image.caption}` : ""}
+                  </span>
+                </figcaption>
+              </figure>
+            ))}
             {uploads.length > 0
               ? uploads.map((upload) => (
                   <figure
@@ -383,12 +920,29 @@ export default function Home() {
                     className="flex flex-col gap-2 rounded-2xl border border-blue-200 bg-blue-50/60 p-4 shadow-sm dark:border-blue-800 dark:bg-blue-950/40"
                   >
                     <div className="relative h-72 w-full overflow-hidden rounded-xl border border-blue-200 bg-white dark:border-blue-700 dark:bg-blue-900/40">
-                      {/* eslint-disable-next-line @next/next/no-img-element */}
-                      <img
-                        src={upload.dataUrl}
-                        alt={upload.name}
-                        className="h-full w-full object-contain"
-                      />
+                      {isPdfFile(upload) ? (
+                        <div className="flex h-full w-full items-center justify-center text-sm text-blue-700 dark:text-blue-200">
+                          PDF · {upload.pages ? `pages ${upload.pages}` : "all pages"}
+                        </div>
+                      ) : (
+                        <>
+                          {/* eslint-disable-next-line @next/next/no-img-element */}
+                          <img
+                            src={upload.url}
+                            alt={upload.name}
+                            className="h-full w-full object-contain"
+                            onLoad={recordImageSize(`upload:${upload.id}`)}
+                          />
+                          {renderOverlay(
+                            `upload:${upload.id}`,
+                            (target) =>
+                              !target.libraryImageId &&
+                              (target.uploadId
+                                ? target.uploadId === upload.uploadId
+                                : target.url === upload.url)
+                          )}
+                        </>
+                      )}
                     </div>
                     <figcaption className="text-sm font-medium text-blue-900 dark:text-blue-100">
                       {upload.name}
@@ -403,7 +957,9 @@ export default function Home() {
                   </figure>
                 ))
               : null}
-            {schematicConfig.images.length === 0 && uploads.length === 0 ? (
+            {schematicConfig.images.length === 0 &&
+            uploads.length === 0 &&
+            !schematicSet?.images.length ? (
               <div className="col-span-full flex flex-col items-center justify-center gap-2 rounded-2xl border border-dashed border-zinc-300 bg-white p-10 text-center text-sm text-zinc-500 dark:border-zinc-700 dark:bg-zinc-900">
                 <span className="text-base font-medium text-zinc-700 dark:text-zinc-200">
                   No schematics attached yet
@@ -420,13 +976,25 @@ export default function Home() {
           <div className="flex flex-1 flex-col gap-4 rounded-2xl border border-zinc-200 bg-white p-6 shadow-sm dark:border-zinc-800 dark:bg-zinc-900">
             <div className="flex items-center justify-between">
               <h2 className="text-lg font-semibold text-zinc-900 dark:text-zinc-100">
-                Vision response
+                Conversation
               </h2>
-              {response?.model ? (
-                <code className="rounded bg-zinc-100 px-2 py-1 text-xs text-zinc-700 dark:bg-zinc-800 dark:text-zinc-200">
-                  {response.model}
-                </code>
-              ) : null}
+              <div className="flex items-center gap-2">
+                {response?.model ? (
+                  <code className="rounded bg-zinc-100 px-2 py-1 text-xs text-zinc-700 dark:bg-zinc-800 dark:text-zinc-200">
+                    {response.model}
+                  </code>
+                ) : null}
+                {turns.length > 0 ? (
+                  <button
+                    type="button"
+                    onClick={handleNewConversation}
+                    disabled={isLoading}
+                    className="rounded bg-zinc-200 px-2 py-1 text-xs font-semibold text-zinc-700 transition hover:bg-zinc-300 disabled:cursor-not-allowed disabled:opacity-60 dark:bg-zinc-800 dark:text-zinc-200 dark:hover:bg-zinc-700"
+                  >
+                    New conversation
+                  </button>
+                ) : null}
+              </div>
             </div>
 
             {error ? (
@@ -435,14 +1003,69 @@ export default function Home() {
               </p>
             ) : null}
 
-            {response?.output ? (
-              <pre className="whitespace-pre-wrap rounded-xl border border-zinc-200 bg-zinc-50 p-4 text-sm leading-relaxed text-zinc-900 dark:border-zinc-700 dark:bg-zinc-950 dark:text-zinc-100">
-                {response.output}
-              </pre>
+            {turns.length > 0 || pendingQuestion ? (
+              <ol className="flex max-h-[32rem] flex-col gap-4 overflow-y-auto pr-1">
+                {turns.map((turn) => (
+                  <li key={turn.id} className="flex flex-col gap-2">
+                    <p className="self-end rounded-xl bg-blue-600 px-3 py-2 text-sm text-white">
+                      {turn.question}
+                    </p>
+                    {turn.structured ? (
+                      <StructuredAnswer
+                        answerMode={turn.answerMode}
+                        data={turn.structured}
+                        {...(turn === response && turn.grounding
+                          ? {
+                              activeIndex: activeAnswerIndex,
+                              onSelectIndex: setActiveAnswerIndex,
+                            }
+                          : {})}
+                      />
+                    ) : (
+                      <pre className="whitespace-pre-wrap rounded-xl border border-zinc-200 bg-zinc-50 p-4 text-sm leading-relaxed text-zinc-900 dark:border-zinc-700 dark:bg-zinc-950 dark:text-zinc-100">
+                        {turn.output}
+                      </pre>
+                    )}
+                    {turn.validation && !turn.validation.valid ? (
+                      <p className="rounded-lg border border-amber-300 bg-amber-50 p-2 text-xs text-amber-800 dark:border-amber-700 dark:bg-amber-950/50 dark:text-amber-200">
+                        The answer did not match the{" "}
+                        {answerModes[turn.answerMode]?.label ?? turn.answerMode}{" "}
+                        schema after {turn.validation.attempts} attempt(s):{" "}
+                        {turn.validation.errors.join("; ")}
+                      </p>
+                    ) : null}
+                    {turn.costEstimate ? (
+                      <span className="text-[11px] text-zinc-500 dark:text-zinc-400">
+                        {turn.cached
+                          ? "Cached answer · no new tokens"
+                          : `${turn.usage?.total_tokens ?? "—"} tokens`}{" "}
+                        · {formatUsd(turn.costEstimate.totalUsd)}
+                      </span>
+                    ) : null}
+                  </li>
+                ))}
+                {pendingQuestion ? (
+                  <li className="flex flex-col gap-2">
+                    <p className="self-end rounded-xl bg-blue-600 px-3 py-2 text-sm text-white">
+                      {pendingQuestion}
+                    </p>
+                    {streamingOutput ? (
+                      <pre className="whitespace-pre-wrap rounded-xl border border-zinc-200 bg-zinc-50 p-4 text-sm leading-relaxed text-zinc-900 dark:border-zinc-700 dark:bg-zinc-950 dark:text-zinc-100">
+                        {streamingOutput}
+                      </pre>
+                    ) : (
+                      <p className="text-sm text-zinc-500 dark:text-zinc-400">
+                        Analyzing…
+                      </p>
+                    )}
+                  </li>
+                ) : null}
+              </ol>
             ) : (
               !error && (
                 <p className="text-sm text-zinc-500 dark:text-zinc-400">
-                  Submit a prompt to see the model output here.
+                  Submit a prompt to see the model output here. Follow-up
+                  questions continue the same conversation.
                 </p>
               )
             )}
@@ -493,15 +1116,43 @@ export default function Home() {
                           {summary.name}
                         </span>
                         <span className="uppercase tracking-wide text-[10px] text-blue-600 dark:text-blue-300">
-                          {summary.strategy === "s3" ? "S3 offload" : "Inline"}
+                          {STRATEGY_LABELS[summary.strategy] ?? "Inline"}
+                          {summary.tiling
+                            ? ` ${summary.tiling.rows}×${summary.tiling.columns}`
+                            : ""}
                         </span>
                         <span className="text-[10px] text-zinc-500 dark:text-zinc-400">
+                          {summary.detected?.width
+                            ? `${summary.detected.width}×${summary.detected.height} px · `
+                            : ""}
                           {(summary.bytes / (1024 * 1024)).toFixed(2)}MB
                         </span>
+                        {summary.preprocessing?.length ? (
+                          <span className="w-full text-[10px] text-zinc-500 dark:text-zinc-400">
+                            Preprocessed:{" "}
+                            {summary.preprocessing
+                              .map(describePreprocessing)
+                              .join(" · ")}
+                          </span>
+                        ) : null}
                       </div>
                     ))}
                   </div>
                 ) : null}
+                {response.historyId ? (
+                  <div className="flex flex-wrap items-center gap-3">
+                    <span className="font-semibold">Download report:</span>
+                    {REPORT_FORMATS.map(({ format, label }) => (
+                      <a
+                        key={format}
+                        href={`/api/history/${response.historyId}/report?format=${format}`}
+                        className="text-blue-700 underline dark:text-blue-300"
+                      >
+                        {label}
+                      </a>
+                    ))}
+                  </div>
+                ) : null}
               </div>
             ) : null}
           </div>
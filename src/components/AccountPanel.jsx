@@ -0,0 +1,142 @@
+"use client";
+
+import { useEffect, useState } from "react";
+
+const formatDate = (iso) =>
+  iso
+    ? new Date(iso).toLocaleDateString(undefined, {
+        month: "short",
+        day: "numeric",
+      })
+    : "never";
+
+export default function AccountPanel({ session, onSignOut }) {
+  const [keys, setKeys] = useState([]);
+  const [keyName, setKeyName] = useState("");
+  const [newToken, setNewToken] = useState(null);
+  const [accountError, setAccountError] = useState(null);
+  const [refreshKey, setRefreshKey] = useState(0);
+
+  useEffect(() => {
+    let cancelled = false;
+
+    fetch("/api/auth/api-keys")
+      .then((res) => (res.ok ? res.json() : { keys: [] }))
+      .then((payload) => {
+        if (!cancelled) {
+          setKeys(payload.keys ?? []);
+        }
+      })
+      .catch(() => undefined);
+
+    return () => {
+      cancelled = true;
+    };
+  }, [refreshKey]);
+
+  const callKeysApi = async (url, init) => {
+    setAccountError(null);
+    try {
+      const res = await fetch(url, init);
+      const payload = await res.json();
+      if (!res.ok) {
+        throw new Error(payload.error ?? "API key request failed.");
+      }
+
+      setRefreshKey((key) => key + 1);
+      return payload;
+    } catch (caught) {
+      setAccountError(
+        caught instanceof Error ? caught.message : "API key request failed."
+      );
+      return null;
+    }
+  };
+
+  const handleCreateKey = async (event) => {
+    event.preventDefault();
+    const payload = await callKeysApi("/api/auth/api-keys", {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify({ name: keyName }),
+    });
+    if (payload) {
+      setNewToken(payload.token);
+      setKeyName("");
+    }
+  };
+
+  const buttonClassName =
+    "rounded bg-zinc-200 px-1.5 py-0.5 text-[11px] font-semibold text-zinc-700 transition hover:bg-zinc-300 dark:bg-zinc-800 dark:text-zinc-200 dark:hover:bg-zinc-700";
+
+  return (
+    <div className="space-y-3 rounded-2xl border border-zinc-200 bg-white p-4 text-sm text-zinc-700 dark:border-zinc-800 dark:bg-zinc-900 dark:text-zinc-300">
+      <div className="flex items-center justify-between">
+        <div>
+          <p className="font-medium text-zinc-900 dark:text-zinc-100">
+            {session.user.name ?? session.user.email}
+          </p>
+          <p className="text-xs text-zinc-500 dark:text-zinc-400">
+            {session.workspace.name} · {session.user.role}
+          </p>
+        </div>
+        {session.authEnabled ? (
+          <button type="button" onClick={onSignOut} className={buttonClassName}>
+            Sign out
+          </button>
+        ) : null}
+      </div>
+      <p className="text-xs font-medium text-zinc-800 dark:text-zinc-100">
+        API keys
+      </p>
+      {keys.length > 0 ? (
+        <ul className="space-y-1 text-xs">
+          {keys.map((key) => (
+            <li key={key.id} className="flex items-center justify-between gap-2">
+              <span className="truncate">
+                {key.name} · <code>{key.preview}</code> · used{" "}
+                {formatDate(key.lastUsedAt)}
+              </span>
+              <button
+                type="button"
+                onClick={() =>
+                  callKeysApi(`/api/auth/api-keys/${key.id}`, {
+                    method: "DELETE",
+                  })
+                }
+                className={buttonClassName}
+              >
+                Revoke
+              </button>
+            </li>
+          ))}
+        </ul>
+      ) : null}
+      {newToken ? (
+        <p className="break-all rounded-md border border-amber-300 bg-amber-50 px-2 py-1 text-xs text-amber-800 dark:border-amber-700 dark:bg-amber-950/50 dark:text-amber-200">
+          Copy this key now; it is not shown again: <code>{newToken}</code>
+        </p>
+      ) : null}
+      <form onSubmit={handleCreateKey} className="flex gap-2">
+        <input
+          value={keyName}
+          onChange={(event) => setKeyName(event.target.value)}
+          placeholder="Key name, e.g. CI evals"
+          className="min-w-0 flex-1 rounded-md border border-zinc-300 bg-white px-2 py-1 text-xs dark:border-zinc-700 dark:bg-zinc-950"
+        />
+        <button
+          type="submit"
+          disabled={!keyName.trim()}
+          className={`${buttonClassName} disabled:cursor-not-allowed disabled:opacity-60`}
+        >
+          Create key
+        </button>
+      </form>
+      {accountError ? (
+        <p className="rounded-md border border-red-300 bg-red-50 px-2 py-1 text-xs text-red-700 dark:border-red-700 dark:bg-red-950/60 dark:text-red-200">
+          {accountError}
+        </p>
+      ) : null}
+    </div>
+  );
+}
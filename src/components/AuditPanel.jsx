@@ -0,0 +1,177 @@
+"use client";
+
+import { useEffect, useState } from "react";
+
+const STATUS_STYLES = {
+  pass:
+    "bg-emerald-100 text-emerald-800 dark:bg-emerald-950 dark:text-emerald-200",
+  fail: "bg-red-100 text-red-800 dark:bg-red-950 dark:text-red-200",
+  unknown: "bg-zinc-200 text-zinc-700 dark:bg-zinc-800 dark:text-zinc-200",
+};
+
+const formatUsd = (amount) => `$${amount.toFixed(amount < 0.01 ? 4 : 2)}`;
+
+function StatusBadge({ status }) {
+  return (
+    <span
+      className={`rounded px-1.5 py-0.5 text-[10px] font-semibold uppercase ${STATUS_STYLES[status]}`}
+    >
+      {status}
+    </span>
+  );
+}
+
+// Runs a configured rule set against the selected library set and uploads.
+// `uploads` are payloads as sent to /api/analyze.
+export default function AuditPanel({
+  schematicSetId,
+  uploads,
+  provider,
+  onAudited,
+}) {
+  const [ruleSets, setRuleSets] = useState([]);
+  const [ruleSetName, setRuleSetName] = useState("");
+  const [audit, setAudit] = useState(null);
+  const [isRunning, setIsRunning] = useState(false);
+  const [auditError, setAuditError] = useState(null);
+
+  useEffect(() => {
+    let cancelled = false;
+
+    fetch("/api/audits")
+      .then((res) => (res.ok ? res.json() : { ruleSets: [] }))
+      .then((payload) => {
+        if (!cancelled) {
+          setRuleSets(payload.ruleSets ?? []);
+          setRuleSetName((current) => current || payload.ruleSets?.[0]?.name);
+        }
+      })
+      .catch(() => undefined);
+
+    return () => {
+      cancelled = true;
+    };
+  }, []);
+
+  const hasImages = Boolean(schematicSetId) || uploads.length > 0;
+  const selectedRuleSet = ruleSets.find((set) => set.name === ruleSetName);
+
+  const handleRun = async () => {
+    if (!ruleSetName || !hasImages) {
+      return;
+    }
+
+    setIsRunning(true);
+    setAuditError(null);
+    setAudit(null);
+    try {
+      const res = await fetch("/api/audits", {
+        method: "POST",
+        headers: {
+          "Content-Type": "application/json",
+        },
+        body: JSON.stringify({
+          ruleSet: ruleSetName,
+          schematicSetId: schematicSetId ?? undefined,
+          uploads: uploads.length > 0 ? uploads : undefined,
+          provider: provider || undefined,
+        }),
+      });
+      const payload = await res.json();
+      if (!res.ok) {
+        throw new Error(payload.details ?? payload.error ?? "Audit failed.");
+      }
+
+      setAudit(payload.audit);
+      onAudited?.(payload.audit);
+    } catch (caught) {
+      setAuditError(caught instanceof Error ? caught.message : "Audit failed.");
+    } finally {
+      setIsRunning(false);
+    }
+  };
+
+  return (
+    <div className="space-y-2 rounded-2xl border border-zinc-200 bg-white p-4 text-xs text-zinc-700 dark:border-zinc-800 dark:bg-zinc-900 dark:text-zinc-300">
+      <p className="text-sm font-medium text-zinc-900 dark:text-zinc-100">
+        Compliance audit
+      </p>
+      <select
+        value={ruleSetName}
+        onChange={(event) => setRuleSetName(event.target.value)}
+        className="w-full rounded-md border border-zinc-300 bg-white px-2 py-1.5 text-sm dark:border-zinc-700 dark:bg-zinc-900"
+      >
+        {ruleSets.map((ruleSet) => (
+          <option key={ruleSet.name} value={ruleSet.name}>
+            {ruleSet.label} ({ruleSet.ruleCount} rules)
+          </option>
+        ))}
+      </select>
+      {selectedRuleSet?.description ? (
+        <p className="text-[11px] text-zinc-500 dark:text-zinc-400">
+          {selectedRuleSet.description} Each rule is one model request against
+          the selected set and uploads.
+        </p>
+      ) : null}
+      <button
+        type="button"
+        onClick={handleRun}
+        disabled={isRunning || !ruleSetName || !hasImages}
+        className="w-full rounded-md bg-zinc-800 px-2 py-1 text-xs font-medium text-white transition hover:bg-zinc-900 disabled:cursor-not-allowed disabled:opacity-60 dark:bg-zinc-700 dark:hover:bg-zinc-600"
+      >
+        {isRunning
+          ? "Auditing…"
+          : hasImages
+          ? "Run audit"
+          : "Attach a set or uploads to audit"}
+      </button>
+      {auditError ? (
+        <p className="rounded-md border border-red-300 bg-red-50 px-2 py-1 text-xs text-red-700 dark:border-red-700 dark:bg-red-950/60 dark:text-red-200">
+          {auditError}
+        </p>
+      ) : null}
+      {audit ? (
+        <div className="space-y-2 border-t border-zinc-200 pt-2 dark:border-zinc-800">
+          <div className="flex items-center justify-between">
+            <span className="flex items-center gap-1.5 font-medium text-zinc-900 dark:text-zinc-100">
+              <StatusBadge status={audit.status} />
+              {audit.counts.pass} pass · {audit.counts.fail} fail ·{" "}
+              {audit.counts.unknown} unknown
+            </span>
+            {typeof audit.totalCostUsd === "number" ? (
+              <span className="text-[11px] text-zinc-500 dark:text-zinc-400">
+                {formatUsd(audit.totalCostUsd)}
+              </span>
+            ) : null}
+          </div>
+          <ul className="space-y-1.5">
+            {audit.rules.map((rule) => (
+              <li
+                key={rule.ruleId}
+                className="rounded-md border border-zinc-200 px-2 py-1.5 dark:border-zinc-700"
+              >
+                <div className="flex items-start gap-1.5">
+                  <StatusBadge status={rule.status} />
+                  <span className="font-medium text-zinc-900 dark:text-zinc-100">
+                    {rule.title}
+                  </span>
+                </div>
+                {rule.reference ? (
+                  <p className="text-[11px] text-zinc-500 dark:text-zinc-400">
+                    {rule.reference}
+                  </p>
+                ) : null}
+                <p className="mt-1">{rule.error ?? rule.evidence}</p>
+                {rule.locations.length > 0 ? (
+                  <p className="text-[11px] text-zinc-500 dark:text-zinc-400">
+                    {rule.locations.join(" · ")}
+                  </p>
+                ) : null}
+              </li>
+            ))}
+          </ul>
+        </div>
+      ) : null}
+    </div>
+  );
+}
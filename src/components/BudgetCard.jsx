@@ -0,0 +1,63 @@
+"use client";
+
+import { useEffect, useState } from "react";
+
+const formatLimit = (period) =>
+  period.limitUsd === null
+    ? `$${period.spentUsd.toFixed(2)} spent · no limit`
+    : `$${period.remainingUsd.toFixed(2)} of $${period.limitUsd.toFixed(2)} left`;
+
+export default function BudgetCard({ refreshKey }) {
+  const [quotas, setQuotas] = useState(null);
+
+  useEffect(() => {
+    let cancelled = false;
+
+    fetch("/api/budget")
+      .then((res) => (res.ok ? res.json() : null))
+      .then((payload) => {
+        if (!cancelled) {
+          setQuotas(payload);
+        }
+      })
+      .catch(() => undefined);
+
+    return () => {
+      cancelled = true;
+    };
+  }, [refreshKey]);
+
+  const budget = quotas?.budgets.find((entry) => entry.scope === "user");
+  if (!quotas?.enabled || !budget) {
+    return null;
+  }
+
+  return (
+    <div className="rounded-2xl border border-zinc-200 bg-white p-4 text-sm text-zinc-700 dark:border-zinc-800 dark:bg-zinc-900 dark:text-zinc-300">
+      <p className="font-medium text-zinc-900 dark:text-zinc-100">
+        Your spend budget
+      </p>
+      <dl className="mt-2 grid grid-cols-[auto_1fr] gap-x-3 gap-y-1 text-xs">
+        <dt className="text-zinc-500 dark:text-zinc-400">Today</dt>
+        <dd>{formatLimit(budget.day)}</dd>
+        <dt className="text-zinc-500 dark:text-zinc-400">This month</dt>
+        <dd>{formatLimit(budget.month)}</dd>
+        {budget.rateLimit ? (
+          <>
+            <dt className="text-zinc-500 dark:text-zinc-400">Rate limit</dt>
+            <dd>
+              {budget.rateLimit.remaining}/{budget.rateLimit.limit} requests
+              left this minute
+            </dd>
+          </>
+        ) : null}
+        {quotas.maxRequestCostUsd !== null ? (
+          <>
+            <dt className="text-zinc-500 dark:text-zinc-400">Per request</dt>
+            <dd>up to ${quotas.maxRequestCostUsd.toFixed(2)} expected cost</dd>
+          </>
+        ) : null}
+      </dl>
+    </div>
+  );
+}
@@ -0,0 +1,87 @@
+"use client";
+
+import { useEffect, useState } from "react";
+
+const ESTIMATE_DEBOUNCE_MS = 400;
+
+// Matches the server's text estimate in src/lib/vision/cost.js.
+const CHARS_PER_TOKEN = 4;
+
+const formatUsd = (amount) => `$${amount.toFixed(amount < 0.01 ? 4 : 2)}`;
+
+// Adds the prompt to an estimate made without it, so typing doesn't call the
+// server. The prompt is input, sent again on every attempt.
+function withPrompt(estimate, prompt) {
+  const tokens = Math.ceil(prompt.length / CHARS_PER_TOKEN);
+  const inputUsd =
+    (tokens * (estimate.pricingUsdPerMTok?.input ?? 0)) / 1_000_000;
+  const { usage, costUsd } = estimate;
+
+  return {
+    ...estimate,
+    usage: { ...usage, inputTokens: usage.inputTokens + tokens },
+    costUsd: costUsd && {
+      min: costUsd.min + inputUsd,
+      expected: costUsd.expected + inputUsd,
+      max: costUsd.max + inputUsd * usage.attempts,
+    },
+  };
+}
+
+// `body` is the analyze payload without its prompt; it is re-estimated
+// (debounced) whenever its serialized form changes. `prompt` is priced here.
+export default function CostEstimate({ body, prompt }) {
+  const [baseEstimate, setEstimate] = useState(null);
+  const serialized = JSON.stringify(body);
+
+  useEffect(() => {
+    let cancelled = false;
+    const timer = setTimeout(() => {
+      fetch("/api/analyze/estimate", {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: serialized,
+      })
+        .then((res) => (res.ok ? res.json() : null))
+        .then((payload) => {
+          if (!cancelled) {
+            setEstimate(payload);
+          }
+        })
+        .catch(() => undefined);
+    }, ESTIMATE_DEBOUNCE_MS);
+
+    return () => {
+      cancelled = true;
+      clearTimeout(timer);
+    };
+  }, [serialized]);
+
+  if (!baseEstimate) {
+    return null;
+  }
+
+  const estimate = withPrompt(baseEstimate, prompt);
+
+  const { usage, costUsd, imageCount, blockedBy } = estimate;
+
+  return (
+    <div className="space-y-1 text-xs text-zinc-500 dark:text-zinc-400">
+      <p
+        title={`${imageCount.high} high-detail and ${imageCount.low} low-detail images · ${usage.imageTokens.toLocaleString()} image tokens${
+          usage.contextTokens
+            ? ` · ${usage.contextTokens.toLocaleString()} from earlier turns`
+            : ""
+        } · up to ${usage.maxOutputTokens.toLocaleString()} output tokens per attempt`}
+      >
+        ≈{usage.inputTokens.toLocaleString()} input tokens
+        {costUsd
+          ? ` · ${formatUsd(costUsd.min)}–${formatUsd(costUsd.max)}`
+          : ""}
+      </p>
+      {blockedBy ? (
+        <p className="text-amber-700 dark:text-amber-300">{blockedBy.error}</p>
+      ) : null}
+    </div>
+  );
+}
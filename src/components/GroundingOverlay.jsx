@@ -0,0 +1,77 @@
+"use client";
+
+// Draws answer annotations over an object-contain preview. The SVG shares the
+// image's aspect ratio and centring, so normalized coordinates line up.
+export default function GroundingOverlay({
+  annotations,
+  route,
+  size,
+  activeIndex,
+  onSelect,
+}) {
+  if (!size || (annotations.length === 0 && route.length === 0)) {
+    return null;
+  }
+
+  const { width, height } = size;
+  const markerRadius = Math.max(width, height) * 0.01;
+
+  return (
+    <svg
+      viewBox={`0 0 ${width} ${height}`}
+      preserveAspectRatio="xMidYMid meet"
+      className="pointer-events-none absolute inset-0 h-full w-full"
+    >
+      {route.map((segment, index) => (
+        <polyline
+          key={`route-${index}`}
+          points={segment.points
+            .map((point) => `${point.x * width},${point.y * height}`)
+            .join(" ")}
+          fill="none"
+          stroke="#2563eb"
+          strokeWidth={3}
+          strokeDasharray="8 6"
+          strokeLinecap="round"
+          strokeLinejoin="round"
+          vectorEffect="non-scaling-stroke"
+        />
+      ))}
+      {annotations.map((annotation, index) => {
+        const isActive =
+          activeIndex !== null && annotation.answerIndex === activeIndex;
+        const sharedProps = {
+          className: "pointer-events-auto cursor-pointer",
+          fill: isActive ? "rgba(245, 158, 11, 0.35)" : "rgba(37, 99, 235, 0.15)",
+          stroke: isActive ? "#f59e0b" : "#2563eb",
+          strokeWidth: isActive ? 3 : 2,
+          vectorEffect: "non-scaling-stroke",
+          onClick: () => onSelect(annotation.answerIndex),
+        };
+
+        return annotation.kind === "box" ? (
+          <rect
+            key={`${annotation.id}-${index}`}
+            x={annotation.x * width}
+            y={annotation.y * height}
+            width={annotation.width * width}
+            height={annotation.height * height}
+            {...sharedProps}
+          >
+            <title>{annotation.label}</title>
+          </rect>
+        ) : (
+          <circle
+            key={`${annotation.id}-${index}`}
+            cx={annotation.x * width}
+            cy={annotation.y * height}
+            r={markerRadius}
+            {...sharedProps}
+          >
+            <title>{annotation.label}</title>
+          </circle>
+        );
+      })}
+    </svg>
+  );
+}
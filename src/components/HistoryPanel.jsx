@@ -0,0 +1,172 @@
+"use client";
+
+import { useEffect, useState } from "react";
+
+const STATUS_STYLES = {
+  succeeded:
+    "bg-emerald-100 text-emerald-800 dark:bg-emerald-950 dark:text-emerald-200",
+  failed: "bg-red-100 text-red-800 dark:bg-red-950 dark:text-red-200",
+  cancelled: "bg-zinc-200 text-zinc-700 dark:bg-zinc-800 dark:text-zinc-200",
+};
+
+const STATUS_FILTERS = ["", "succeeded", "failed", "cancelled"];
+
+const formatTime = (iso) =>
+  new Date(iso).toLocaleString(undefined, {
+    month: "short",
+    day: "numeric",
+    hour: "2-digit",
+    minute: "2-digit",
+  });
+
+export default function HistoryPanel({ refreshKey, onOpen, onRerun }) {
+  const [entries, setEntries] = useState([]);
+  const [status, setStatus] = useState("");
+  const [historyError, setHistoryError] = useState(null);
+
+  useEffect(() => {
+    let cancelled = false;
+    const query = new URLSearchParams({ limit: "25" });
+    if (status) {
+      query.set("status", status);
+    }
+
+    fetch(`/api/history?${query}`)
+      .then((res) => (res.ok ? res.json() : { entries: [] }))
+      .then((payload) => {
+        if (!cancelled) {
+          setEntries(payload.entries ?? []);
+        }
+      })
+      .catch(() => undefined);
+
+    return () => {
+      cancelled = true;
+    };
+  }, [status, refreshKey]);
+
+  const loadEntry = async (entryId, handler) => {
+    setHistoryError(null);
+    try {
+      const res = await fetch(`/api/history/${entryId}`);
+      const payload = await res.json();
+      if (!res.ok) {
+        throw new Error(payload.error ?? "Failed to load history entry.");
+      }
+
+      await handler(payload.entry);
+    } catch (caught) {
+      setHistoryError(
+        caught instanceof Error ? caught.message : "Failed to load history entry."
+      );
+    }
+  };
+
+  const exportQuery = status ? `&status=${status}` : "";
+  const buttonClassName =
+    "rounded bg-zinc-200 px-1.5 py-0.5 text-[11px] font-semibold text-zinc-700 transition hover:bg-zinc-300 dark:bg-zinc-800 dark:text-zinc-200 dark:hover:bg-zinc-700";
+
+  return (
+    <div className="space-y-3 rounded-2xl border border-zinc-200 bg-white p-4 text-sm text-zinc-700 dark:border-zinc-800 dark:bg-zinc-900 dark:text-zinc-300">
+      <div className="flex items-center justify-between">
+        <p className="font-medium text-zinc-900 dark:text-zinc-100">History</p>
+        <select
+          value={status}
+          onChange={(event) => setStatus(event.target.value)}
+          className="rounded-md border border-zinc-300 bg-white px-1.5 py-0.5 text-xs dark:border-zinc-700 dark:bg-zinc-950"
+        >
+          {STATUS_FILTERS.map((value) => (
+            <option key={value} value={value}>
+              {value ? value[0].toUpperCase() + value.slice(1) : "All requests"}
+            </option>
+          ))}
+        </select>
+      </div>
+      {entries.length > 0 ? (
+        <ul className="max-h-72 space-y-2 overflow-y-auto pr-1">
+          {entries.map((entry) => (
+            <li
+              key={entry.id}
+              className="space-y-1 rounded-lg border border-zinc-200 p-2 text-xs dark:border-zinc-700"
+            >
+              <p className="line-clamp-2 text-zinc-800 dark:text-zinc-100">
+                {entry.prompt}
+              </p>
+              <div className="flex flex-wrap items-center gap-1.5 text-[11px] text-zinc-500 dark:text-zinc-400">
+                <span
+                  className={`rounded px-1.5 py-0.5 font-semibold ${
+                    STATUS_STYLES[entry.status] ?? STATUS_STYLES.cancelled
+                  }`}
+                >
+                  {entry.status}
+                </span>
+                <span>{formatTime(entry.createdAt)}</span>
+                {typeof entry.latencyMs === "number" ? (
+                  <span>· {(entry.latencyMs / 1000).toFixed(1)}s</span>
+                ) : null}
+                {entry.cached ? <span>· cached</span> : null}
+                {entry.model ? <span>· {entry.model}</span> : null}
+              </div>
+              {entry.error ? (
+                <p className="text-[11px] text-red-700 dark:text-red-300">
+                  {entry.error}
+                </p>
+              ) : null}
+              <div className="flex gap-1.5">
+                <button
+                  type="button"
+                  onClick={() => loadEntry(entry.id, onOpen)}
+                  className={buttonClassName}
+                >
+                  Open
+                </button>
+                <button
+                  type="button"
+                  onClick={() => loadEntry(entry.id, onRerun)}
+                  className={buttonClassName}
+                >
+                  Re-run
+                </button>
+                <a
+                  href={`/api/history/export?format=markdown&ids=${entry.id}`}
+                  className={buttonClassName}
+                >
+                  Export
+                </a>
+                <a
+                  href={`/api/history/${entry.id}/report?format=pdf`}
+                  className={buttonClassName}
+                >
+                  Report
+                </a>
+              </div>
+            </li>
+          ))}
+        </ul>
+      ) : (
+        <p className="text-xs text-zinc-500 dark:text-zinc-400">
+          Analyze requests appear here once submitted.
+        </p>
+      )}
+      {historyError ? (
+        <p className="rounded-md border border-red-300 bg-red-50 px-2 py-1 text-xs text-red-700 dark:border-red-700 dark:bg-red-950/60 dark:text-red-200">
+          {historyError}
+        </p>
+      ) : null}
+      <div className="flex gap-2 text-xs">
+        <a
+          href={`/api/history/export?format=json${exportQuery}`}
+          className="text-blue-700 underline dark:text-blue-300"
+        >
+          Export JSON
+        </a>
+        <a
+          href={`/api/history/export?format=markdown${exportQuery}`}
+          className="text-blue-700 underline dark:text-blue-300"
+        >
+          Export Markdown
+        </a>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,268 @@
+"use client";
+
+import { useEffect, useState } from "react";
+
+const CHANGE_STYLES = {
+  added:
+    "bg-emerald-100 text-emerald-800 dark:bg-emerald-950 dark:text-emerald-200",
+  removed: "bg-red-100 text-red-800 dark:bg-red-950 dark:text-red-200",
+};
+
+const formatUsd = (amount) => `$${amount.toFixed(amount < 0.01 ? 4 : 2)}`;
+
+// Options are keyed "upload:<id>" or "library:<setId>:<imageId>".
+function buildOptions(uploads, sets) {
+  return [
+    ...uploads.map((upload) => ({
+      key: `upload:${upload.id}`,
+      label: upload.name,
+      reference: upload.payload,
+    })),
+    ...sets.flatMap((set) =>
+      set.images.map((image) => ({
+        key: `library:${set.id}:${image.id}`,
+        label: [set.name, set.revision && `Rev ${set.revision}`, image.label]
+          .filter(Boolean)
+          .join(" · "),
+        reference: { schematicSetId: set.id, imageId: image.id },
+      }))
+    ),
+  ];
+}
+
+// `uploads` are `{ id, name, payload }` with payloads as sent to /api/analyze.
+export default function RevisionComparePanel({
+  uploads,
+  provider,
+  refreshKey,
+  onCompared,
+}) {
+  const [sets, setSets] = useState([]);
+  const [beforeKey, setBeforeKey] = useState("");
+  const [afterKey, setAfterKey] = useState("");
+  const [question, setQuestion] = useState("");
+  const [comparison, setComparison] = useState(null);
+  const [activeRegionId, setActiveRegionId] = useState(null);
+  const [isComparing, setIsComparing] = useState(false);
+  const [compareError, setCompareError] = useState(null);
+
+  useEffect(() => {
+    let cancelled = false;
+
+    fetch("/api/schematic-sets")
+      .then((res) => (res.ok ? res.json() : { sets: [] }))
+      .then((payload) => {
+        if (!cancelled) {
+          setSets(payload.sets ?? []);
+        }
+      })
+      .catch(() => undefined);
+
+    return () => {
+      cancelled = true;
+    };
+  }, [refreshKey]);
+
+  const options = buildOptions(uploads, sets);
+  const before = options.find((option) => option.key === beforeKey);
+  const after = options.find((option) => option.key === afterKey);
+
+  const handleCompare = async () => {
+    if (!before || !after || before.key === after.key) {
+      return;
+    }
+
+    setIsComparing(true);
+    setCompareError(null);
+    setComparison(null);
+    setActiveRegionId(null);
+    try {
+      const res = await fetch("/api/compare", {
+        method: "POST",
+        headers: {
+          "Content-Type": "application/json",
+        },
+        body: JSON.stringify({
+          before: before.reference,
+          after: after.reference,
+          question: question.trim() || undefined,
+          provider: provider || undefined,
+        }),
+      });
+      const payload = await res.json();
+      if (!res.ok) {
+        throw new Error(
+          payload.details ?? payload.error ?? "Revision comparison failed."
+        );
+      }
+
+      setComparison(payload.comparison);
+      onCompared?.(payload.comparison);
+    } catch (caught) {
+      setCompareError(
+        caught instanceof Error ? caught.message : "Revision comparison failed."
+      );
+    } finally {
+      setIsComparing(false);
+    }
+  };
+
+  const selectClassName =
+    "w-full rounded-md border border-zinc-300 bg-white px-2 py-1.5 text-sm dark:border-zinc-700 dark:bg-zinc-900";
+
+  return (
+    <div className="space-y-2 rounded-2xl border border-zinc-200 bg-white p-4 text-xs text-zinc-700 dark:border-zinc-800 dark:bg-zinc-900 dark:text-zinc-300">
+      <p className="text-sm font-medium text-zinc-900 dark:text-zinc-100">
+        Compare revisions
+      </p>
+      <p>
+        Pick two revisions of the same sheet. They are aligned and diffed
+        locally, and only the changed regions are sent to the model.
+      </p>
+      {[
+        ["Earlier revision", beforeKey, setBeforeKey],
+        ["Later revision", afterKey, setAfterKey],
+      ].map(([label, value, setValue]) => (
+        <label key={label} className="flex flex-col gap-1 font-medium">
+          {label}
+          <select
+            value={value}
+            onChange={(event) => setValue(event.target.value)}
+            className={selectClassName}
+          >
+            <option value="">Choose an image</option>
+            {options.map((option) => (
+              <option key={option.key} value={option.key}>
+                {option.label}
+              </option>
+            ))}
+          </select>
+        </label>
+      ))}
+      <input
+        value={question}
+        onChange={(event) => setQuestion(event.target.value)}
+        placeholder="Focus (optional), e.g. only doors and walls"
+        className="w-full rounded-md border border-zinc-300 bg-white px-2 py-1 text-xs dark:border-zinc-700 dark:bg-zinc-900"
+      />
+      <button
+        type="button"
+        onClick={handleCompare}
+        disabled={isComparing || !before || !after || beforeKey === afterKey}
+        className="w-full rounded-md bg-zinc-800 px-2 py-1 text-xs font-medium text-white transition hover:bg-zinc-900 disabled:cursor-not-allowed disabled:opacity-60 dark:bg-zinc-700 dark:hover:bg-zinc-600"
+      >
+        {isComparing ? "Comparing…" : "Compare"}
+      </button>
+      {compareError ? (
+        <p className="rounded-md border border-red-300 bg-red-50 px-2 py-1 text-xs text-red-700 dark:border-red-700 dark:bg-red-950/60 dark:text-red-200">
+          {compareError}
+        </p>
+      ) : null}
+      {comparison ? (
+        <div className="space-y-2 border-t border-zinc-200 pt-2 dark:border-zinc-800">
+          <div className="relative overflow-hidden rounded-md border border-zinc-200 dark:border-zinc-700">
+            {/* eslint-disable-next-line @next/next/no-img-element */}
+            <img
+              src={comparison.overlay}
+              alt={`Differences from ${comparison.before.label} to ${comparison.after.label}`}
+              className="block w-full"
+            />
+            {comparison.regions.map((region, index) => (
+              <button
+                key={region.id}
+                type="button"
+                onClick={() =>
+                  setActiveRegionId((current) =>
+                    current === region.id ? null : region.id
+                  )
+                }
+                title={region.id}
+                className={
+                  "absolute border-2 text-left text-[10px] font-semibold leading-none " +
+                  (activeRegionId === region.id
+                    ? "border-amber-500 bg-amber-400/25"
+                    : "border-blue-600 bg-blue-600/10")
+                }
+                style={{
+                  left: `${region.x * 100}%`,
+                  top: `${region.y * 100}%`,
+                  width: `${region.width * 100}%`,
+                  height: `${region.height * 100}%`,
+                }}
+              >
+                <span className="bg-blue-600 px-0.5 text-white">
+                  {index + 1}
+                </span>
+              </button>
+            ))}
+          </div>
+          <p className="text-[11px] text-zinc-500 dark:text-zinc-400">
+            Green was added and red removed in {comparison.after.label}.
+            {comparison.omittedRegions > 0
+              ? ` ${comparison.omittedRegions} smaller changed regions were not described.`
+              : ""}
+          </p>
+          <p className="text-sm text-zinc-800 dark:text-zinc-100">
+            {comparison.summary}
+          </p>
+          {comparison.changes.length > 0 ? (
+            <ul className="space-y-1.5">
+              {comparison.changes.map((change, index) => {
+                const regionIndex = comparison.regions.findIndex(
+                  (region) => region.id === change.regionId
+                );
+                return (
+                  <li
+                    key={`${change.regionId}-${index}`}
+                    onClick={() => setActiveRegionId(change.regionId)}
+                    className={
+                      "cursor-pointer rounded-md border px-2 py-1.5 " +
+                      (activeRegionId && activeRegionId === change.regionId
+                        ? "border-amber-400 bg-amber-50 dark:border-amber-600 dark:bg-amber-950/40"
+                        : "border-zinc-200 dark:border-zinc-700")
+                    }
+                  >
+                    <div className="flex items-center gap-1.5">
+                      <span className="font-semibold">
+                        {regionIndex >= 0 ? regionIndex + 1 : "—"}
+                      </span>
+                      <span
+                        className={
+                          "rounded px-1.5 py-0.5 text-[10px] font-semibold uppercase " +
+                          (CHANGE_STYLES[change.changeType] ??
+                            "bg-zinc-200 text-zinc-700 dark:bg-zinc-800 dark:text-zinc-200")
+                        }
+                      >
+                        {change.changeType}
+                      </span>
+                      <span className="text-zinc-500 dark:text-zinc-400">
+                        {change.category}
+                      </span>
+                    </div>
+                    <p className="mt-1">{change.description}</p>
+                    {change.location ? (
+                      <p className="text-[11px] text-zinc-500 dark:text-zinc-400">
+                        {change.location}
+                      </p>
+                    ) : null}
+                  </li>
+                );
+              })}
+            </ul>
+          ) : null}
+          {comparison.unchangedRegions.length > 0 ? (
+            <p className="text-[11px] text-zinc-500 dark:text-zinc-400">
+              No meaningful change (redrawn or shifted only):{" "}
+              {comparison.unchangedRegions.join(", ")}
+            </p>
+          ) : null}
+          {typeof comparison.costEstimate?.totalUsd === "number" ? (
+            <p className="text-[11px] text-zinc-500 dark:text-zinc-400">
+              {comparison.model} · {formatUsd(comparison.costEstimate.totalUsd)}
+            </p>
+          ) : null}
+        </div>
+      ) : null}
+    </div>
+  );
+}
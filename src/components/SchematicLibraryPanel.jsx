@@ -0,0 +1,195 @@
+"use client";
+
+import { useEffect, useState } from "react";
+
+const EMPTY_DRAFT = { name: "", building: "", floor: "", revision: "" };
+
+const describeSet = (set) =>
+  [
+    set.building,
+    set.floor && `Floor ${set.floor}`,
+    set.revision && `Rev ${set.revision}`,
+  ]
+    .filter(Boolean)
+    .join(" · ");
+
+export default function SchematicLibraryPanel({
+  selectedSetId,
+  onSelect,
+  onSaved,
+  uploads,
+}) {
+  const [sets, setSets] = useState([]);
+  const [draft, setDraft] = useState(EMPTY_DRAFT);
+  const [isSaving, setIsSaving] = useState(false);
+  const [libraryError, setLibraryError] = useState(null);
+
+  useEffect(() => {
+    let cancelled = false;
+
+    fetch("/api/schematic-sets")
+      .then((res) => (res.ok ? res.json() : { sets: [] }))
+      .then((payload) => {
+        if (!cancelled) {
+          setSets(payload.sets ?? []);
+        }
+      })
+      .catch(() => undefined);
+
+    return () => {
+      cancelled = true;
+    };
+  }, []);
+
+  const handleSelect = (event) => {
+    const set = sets.find((candidate) => candidate.id === event.target.value);
+    onSelect(set ?? null);
+  };
+
+  const handleSave = async () => {
+    const savable = uploads.filter((upload) => upload.url);
+    if (!draft.name.trim() || savable.length === 0) {
+      return;
+    }
+
+    setIsSaving(true);
+    setLibraryError(null);
+    try {
+      const res = await fetch("/api/schematic-sets", {
+        method: "POST",
+        headers: {
+          "Content-Type": "application/json",
+        },
+        body: JSON.stringify({
+          ...draft,
+          images: savable.map((upload) => ({
+            label: upload.name,
+            detail: upload.detail,
+            url: upload.storageKey ? undefined : upload.url,
+            storageKey: upload.storageKey,
+            storageBackend: upload.storageBackend,
+            uploadId: upload.uploadId,
+            mimeType: upload.mimeType,
+            bytes: upload.size,
+            floor: upload.floor || undefined,
+          })),
+        }),
+      });
+      const payload = await res.json();
+      if (!res.ok) {
+        throw new Error(payload.error ?? "Failed to save schematic set.");
+      }
+
+      setSets((prev) =>
+        [...prev, payload.set].sort((a, b) => a.name.localeCompare(b.name))
+      );
+      setDraft(EMPTY_DRAFT);
+      onSaved(payload.set);
+    } catch (caught) {
+      setLibraryError(
+        caught instanceof Error ? caught.message : "Failed to save schematic set."
+      );
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  const handleDelete = async () => {
+    if (!selectedSetId) {
+      return;
+    }
+
+    setLibraryError(null);
+    const res = await fetch(`/api/schematic-sets/${selectedSetId}`, {
+      method: "DELETE",
+    });
+    if (!res.ok) {
+      const payload = await res.json();
+      setLibraryError(payload.error ?? "Failed to delete schematic set.");
+      return;
+    }
+
+    setSets((prev) => prev.filter((set) => set.id !== selectedSetId));
+    onSelect(null);
+  };
+
+  const selectedSet = sets.find((set) => set.id === selectedSetId);
+  const inputClassName =
+    "w-full rounded-md border border-zinc-300 bg-white px-2 py-1 text-xs dark:border-zinc-700 dark:bg-zinc-900";
+
+  return (
+    <div className="space-y-2 rounded-lg border border-zinc-300 bg-zinc-50 p-3 text-xs text-zinc-700 dark:border-zinc-700 dark:bg-zinc-950 dark:text-zinc-300">
+      <div className="flex items-center justify-between text-[13px] font-medium text-zinc-800 dark:text-zinc-100">
+        Schematic library
+        {selectedSet ? (
+          <button
+            type="button"
+            onClick={handleDelete}
+            className="rounded bg-zinc-200 px-1.5 py-0.5 text-xs font-semibold text-zinc-700 transition hover:bg-zinc-300 dark:bg-zinc-800 dark:text-zinc-200 dark:hover:bg-zinc-700"
+          >
+            Delete set
+          </button>
+        ) : null}
+      </div>
+      <select
+        value={selectedSetId ?? ""}
+        onChange={handleSelect}
+        className="w-full rounded-md border border-zinc-300 bg-white px-2 py-1.5 text-sm dark:border-zinc-700 dark:bg-zinc-900"
+      >
+        <option value="">No saved set</option>
+        {sets.map((set) => (
+          <option key={set.id} value={set.id}>
+            {set.name} ({set.images.length})
+          </option>
+        ))}
+      </select>
+      {selectedSet && describeSet(selectedSet) ? (
+        <p className="text-[11px] text-zinc-500 dark:text-zinc-400">
+          {describeSet(selectedSet)}
+        </p>
+      ) : null}
+      {uploads.some((upload) => upload.url) ? (
+        <div className="space-y-1.5 border-t border-zinc-200 pt-2 dark:border-zinc-800">
+          <p>
+            Save the current uploads as a reusable set. They move out of this
+            session and are sent through the set instead.
+          </p>
+          <input
+            value={draft.name}
+            onChange={(event) =>
+              setDraft((prev) => ({ ...prev, name: event.target.value }))
+            }
+            placeholder="Set name"
+            className={inputClassName}
+          />
+          <div className="grid grid-cols-3 gap-1.5">
+            {["building", "floor", "revision"].map((field) => (
+              <input
+                key={field}
+                value={draft[field]}
+                onChange={(event) =>
+                  setDraft((prev) => ({ ...prev, [field]: event.target.value }))
+                }
+                placeholder={field[0].toUpperCase() + field.slice(1)}
+                className={inputClassName}
+              />
+            ))}
+          </div>
+          <button
+            type="button"
+            onClick={handleSave}
+            disabled={isSaving || !draft.name.trim()}
+            className="w-full rounded-md bg-zinc-800 px-2 py-1 text-xs font-medium text-white transition hover:bg-zinc-900 disabled:cursor-not-allowed disabled:opacity-60 dark:bg-zinc-700 dark:hover:bg-zinc-600"
+          >
+            {isSaving ? "Saving…" : "Save as schematic set"}
+          </button>
+        </div>
+      ) : null}
+      {libraryError ? (
+        <p className="rounded-md border border-red-300 bg-red-50 px-2 py-1 text-xs text-red-700 dark:border-red-700 dark:bg-red-950/60 dark:text-red-200">
+          {libraryError}
+        </p>
+      ) : null}
+    </div>
+  );
+}
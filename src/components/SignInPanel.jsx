@@ -0,0 +1,114 @@
+"use client";
+
+import { useState } from "react";
+
+export default function SignInPanel({ signupOpen, onSignedIn }) {
+  const [mode, setMode] = useState(signupOpen ? "register" : "login");
+  const [email, setEmail] = useState("");
+  const [password, setPassword] = useState("");
+  const [name, setName] = useState("");
+  const [isSubmitting, setIsSubmitting] = useState(false);
+  const [authError, setAuthError] = useState(null);
+
+  const handleSubmit = async (event) => {
+    event.preventDefault();
+    setIsSubmitting(true);
+    setAuthError(null);
+
+    try {
+      const res = await fetch(`/api/auth/${mode}`, {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify({
+          email,
+          password,
+          name: mode === "register" ? name || undefined : undefined,
+        }),
+      });
+      const payload = await res.json();
+      if (!res.ok) {
+        throw new Error(payload.error ?? "Sign-in failed.");
+      }
+
+      setPassword("");
+      await onSignedIn();
+    } catch (caught) {
+      setAuthError(caught instanceof Error ? caught.message : "Sign-in failed.");
+    } finally {
+      setIsSubmitting(false);
+    }
+  };
+
+  const inputClassName =
+    "rounded-lg border border-zinc-300 bg-white px-2 py-1.5 text-sm font-normal dark:border-zinc-700 dark:bg-zinc-950";
+
+  return (
+    <form
+      onSubmit={handleSubmit}
+      className="mx-auto flex w-full max-w-sm flex-col gap-3 rounded-2xl border border-zinc-200 bg-white p-6 shadow-sm dark:border-zinc-800 dark:bg-zinc-900"
+    >
+      <h2 className="text-lg font-semibold text-zinc-900 dark:text-zinc-100">
+        {mode === "register" ? "Create an account" : "Sign in"}
+      </h2>
+      {mode === "register" ? (
+        <label className="flex flex-col gap-1 text-xs font-medium text-zinc-700 dark:text-zinc-200">
+          Name
+          <input
+            value={name}
+            onChange={(event) => setName(event.target.value)}
+            className={inputClassName}
+          />
+        </label>
+      ) : null}
+      <label className="flex flex-col gap-1 text-xs font-medium text-zinc-700 dark:text-zinc-200">
+        Email
+        <input
+          type="email"
+          required
+          autoComplete="email"
+          value={email}
+          onChange={(event) => setEmail(event.target.value)}
+          className={inputClassName}
+        />
+      </label>
+      <label className="flex flex-col gap-1 text-xs font-medium text-zinc-700 dark:text-zinc-200">
+        Password
+        <input
+          type="password"
+          required
+          autoComplete={mode === "register" ? "new-password" : "current-password"}
+          value={password}
+          onChange={(event) => setPassword(event.target.value)}
+          className={inputClassName}
+        />
+      </label>
+      {authError ? (
+        <p className="rounded-md border border-red-300 bg-red-50 px-2 py-1 text-xs text-red-700 dark:border-red-700 dark:bg-red-950/60 dark:text-red-200">
+          {authError}
+        </p>
+      ) : null}
+      <button
+        type="submit"
+        disabled={isSubmitting}
+        className="rounded-lg bg-blue-600 px-3 py-2 text-sm font-semibold text-white transition hover:bg-blue-700 disabled:cursor-not-allowed disabled:opacity-60"
+      >
+        {isSubmitting
+          ? "Please wait…"
+          : mode === "register"
+          ? "Create account"
+          : "Sign in"}
+      </button>
+      {signupOpen ? (
+        <button
+          type="button"
+          onClick={() => setMode(mode === "register" ? "login" : "register")}
+          className="text-xs text-blue-700 underline dark:text-blue-300"
+        >
+          {mode === "register"
+            ? "Already have an account? Sign in"
+            : "Need an account? Register"}
+        </button>
+      ) : null}
+    </form>
+  );
+}
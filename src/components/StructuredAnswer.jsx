@@ -0,0 +1,255 @@
+const SEVERITY_STYLES = {
+  critical: "bg-red-100 text-red-800 dark:bg-red-950 dark:text-red-200",
+  major: "bg-amber-100 text-amber-800 dark:bg-amber-950 dark:text-amber-200",
+  minor: "bg-blue-100 text-blue-800 dark:bg-blue-950 dark:text-blue-200",
+  info: "bg-zinc-200 text-zinc-700 dark:bg-zinc-800 dark:text-zinc-200",
+};
+
+const tableClassName =
+  "w-full border-collapse overflow-hidden rounded-xl border border-zinc-200 text-left text-xs dark:border-zinc-700";
+const headerCellClassName =
+  "border-b border-zinc-200 bg-zinc-100 px-3 py-2 font-semibold text-zinc-700 dark:border-zinc-700 dark:bg-zinc-800 dark:text-zinc-200";
+const cellClassName =
+  "border-b border-zinc-200 px-3 py-2 align-top text-zinc-800 dark:border-zinc-700 dark:text-zinc-100";
+const activeRowClassName = "bg-amber-50 dark:bg-amber-950/40";
+
+// Rows and steps are 1-indexed to match the model's `answerIndex`.
+const selectableProps = (index, activeIndex, onSelectIndex) =>
+  onSelectIndex
+    ? {
+        onClick: () => onSelectIndex(activeIndex === index ? null : index),
+        className: `cursor-pointer ${
+          activeIndex === index ? activeRowClassName : ""
+        }`,
+      }
+    : {};
+
+function FreeformAnswer({ data }) {
+  return (
+    <pre className="whitespace-pre-wrap rounded-xl border border-zinc-200 bg-zinc-50 p-4 text-sm leading-relaxed text-zinc-900 dark:border-zinc-700 dark:bg-zinc-950 dark:text-zinc-100">
+      {data.answer}
+    </pre>
+  );
+}
+
+function WayfindingAnswer({ data, activeIndex, onSelectIndex }) {
+  return (
+    <div className="flex flex-col gap-3 text-sm text-zinc-800 dark:text-zinc-100">
+      <p>
+        <span className="font-semibold">{data.start}</span> →{" "}
+        <span className="font-semibold">{data.destination}</span>
+      </p>
+      <p className="text-zinc-600 dark:text-zinc-300">{data.summary}</p>
+      <ol className="flex flex-col gap-2">
+        {data.steps.map((step) => (
+          <li
+            key={step.order}
+            onClick={
+              onSelectIndex
+                ? () =>
+                    onSelectIndex(
+                      activeIndex === step.order ? null : step.order
+                    )
+                : undefined
+            }
+            className={`flex gap-3 rounded-lg border p-3 ${
+              activeIndex === step.order
+                ? "border-amber-400 bg-amber-50 dark:border-amber-600 dark:bg-amber-950/40"
+                : "border-zinc-200 bg-zinc-50 dark:border-zinc-700 dark:bg-zinc-950"
+            } ${onSelectIndex ? "cursor-pointer" : ""}`}
+          >
+            <span className="flex h-6 w-6 shrink-0 items-center justify-center rounded-full bg-blue-600 text-xs font-semibold text-white">
+              {step.order}
+            </span>
+            <div className="flex flex-col gap-1">
+              <span>{step.instruction}</span>
+              {step.landmarks.length > 0 ? (
+                <span className="text-xs text-zinc-500 dark:text-zinc-400">
+                  Landmarks: {step.landmarks.join(", ")}
+                </span>
+              ) : null}
+              {step.distanceHint ? (
+                <span className="text-xs text-zinc-500 dark:text-zinc-400">
+                  {step.distanceHint}
+                </span>
+              ) : null}
+            </div>
+          </li>
+        ))}
+      </ol>
+      {data.warnings.length > 0 ? (
+        <ul className="list-disc pl-5 text-xs text-amber-700 dark:text-amber-300">
+          {data.warnings.map((warning) => (
+            <li key={warning}>{warning}</li>
+          ))}
+        </ul>
+      ) : null}
+    </div>
+  );
+}
+
+function FixtureCountAnswer({ data, activeIndex, onSelectIndex }) {
+  return (
+    <div className="flex flex-col gap-3 text-sm text-zinc-800 dark:text-zinc-100">
+      <p>
+        <span className="text-2xl font-semibold">{data.total}</span>{" "}
+        {data.subject}
+        <span className="ml-2 rounded bg-zinc-200 px-1.5 py-0.5 text-[10px] uppercase tracking-wide text-zinc-700 dark:bg-zinc-800 dark:text-zinc-200">
+          {data.confidence} confidence
+        </span>
+      </p>
+      <table className={tableClassName}>
+        <thead>
+          <tr>
+            <th className={headerCellClassName}>#</th>
+            <th className={headerCellClassName}>Item</th>
+            <th className={headerCellClassName}>Location</th>
+            <th className={headerCellClassName}>Notes</th>
+          </tr>
+        </thead>
+        <tbody>
+          {data.items.map((item, index) => (
+            <tr
+              key={`${item.label}-${index}`}
+              {...selectableProps(index + 1, activeIndex, onSelectIndex)}
+            >
+              <td className={cellClassName}>{index + 1}</td>
+              <td className={cellClassName}>{item.label}</td>
+              <td className={cellClassName}>
+                {item.location}
+                {item.imageId ? (
+                  <span className="block text-[10px] text-zinc-500 dark:text-zinc-400">
+                    {item.imageId}
+                  </span>
+                ) : null}
+              </td>
+              <td className={cellClassName}>{item.notes ?? "—"}</td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+      {data.notes ? (
+        <p className="text-xs text-zinc-500 dark:text-zinc-400">{data.notes}</p>
+      ) : null}
+    </div>
+  );
+}
+
+function AccessibilityAuditAnswer({ data, activeIndex, onSelectIndex }) {
+  return (
+    <div className="flex flex-col gap-3 text-sm text-zinc-800 dark:text-zinc-100">
+      <p className="text-zinc-600 dark:text-zinc-300">{data.summary}</p>
+      <table className={tableClassName}>
+        <thead>
+          <tr>
+            <th className={headerCellClassName}>Severity</th>
+            <th className={headerCellClassName}>Finding</th>
+            <th className={headerCellClassName}>Location</th>
+            <th className={headerCellClassName}>Recommendation</th>
+          </tr>
+        </thead>
+        <tbody>
+          {data.findings.map((finding, index) => (
+            <tr
+              key={`${finding.title}-${index}`}
+              {...selectableProps(index + 1, activeIndex, onSelectIndex)}
+            >
+              <td className={cellClassName}>
+                <span
+                  className={`rounded px-1.5 py-0.5 text-[10px] font-semibold uppercase tracking-wide ${
+                    SEVERITY_STYLES[finding.severity] ?? SEVERITY_STYLES.info
+                  }`}
+                >
+                  {finding.severity}
+                </span>
+              </td>
+              <td className={cellClassName}>
+                <span className="font-medium">{finding.title}</span>
+                <span className="block text-zinc-600 dark:text-zinc-300">
+                  {finding.description}
+                </span>
+              </td>
+              <td className={cellClassName}>{finding.location}</td>
+              <td className={cellClassName}>
+                {finding.recommendation ?? "—"}
+              </td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+    </div>
+  );
+}
+
+function FloorGraphAnswer({ data }) {
+  return (
+    <div className="flex flex-col gap-3 text-sm text-zinc-800 dark:text-zinc-100">
+      <p className="text-zinc-600 dark:text-zinc-300">
+        {data.nodes.length} nodes · {data.edges.length} connections. Save it
+        with <code>POST /api/floor-graphs</code> to answer routes from it.
+      </p>
+      <table className={tableClassName}>
+        <thead>
+          <tr>
+            <th className={headerCellClassName}>Node</th>
+            <th className={headerCellClassName}>Type</th>
+            <th className={headerCellClassName}>Connects to</th>
+          </tr>
+        </thead>
+        <tbody>
+          {data.nodes.map((node, index) => (
+            <tr key={`${node.id}-${index}`}>
+              <td className={cellClassName}>
+                {node.label}
+                <span className="block text-[10px] text-zinc-500 dark:text-zinc-400">
+                  {node.id} · {node.imageId}
+                </span>
+              </td>
+              <td className={cellClassName}>{node.type}</td>
+              <td className={cellClassName}>
+                {data.edges
+                  .filter(
+                    (edge) => edge.from === node.id || edge.to === node.id
+                  )
+                  .map((edge) => (edge.from === node.id ? edge.to : edge.from))
+                  .join(", ") || "—"}
+              </td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+      {data.notes ? (
+        <p className="text-xs text-zinc-500 dark:text-zinc-400">{data.notes}</p>
+      ) : null}
+    </div>
+  );
+}
+
+const RENDERERS = {
+  freeform: FreeformAnswer,
+  wayfinding: WayfindingAnswer,
+  "fixture-count": FixtureCountAnswer,
+  "accessibility-audit": AccessibilityAuditAnswer,
+  "floor-graph": FloorGraphAnswer,
+};
+
+export default function StructuredAnswer({
+  answerMode,
+  data,
+  activeIndex = null,
+  onSelectIndex,
+}) {
+  const Renderer = RENDERERS[answerMode];
+
+  if (!Renderer || !data) {
+    return null;
+  }
+
+  return (
+    <Renderer
+      data={data}
+      activeIndex={activeIndex}
+      onSelectIndex={onSelectIndex}
+    />
+  );
+}
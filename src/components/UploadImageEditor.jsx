@@ -0,0 +1,203 @@
+"use client";
+
+import { useRef, useState } from "react";
+
+const DETAIL_OPTIONS = [
+  { value: "high", label: "High detail" },
+  { value: "low", label: "Low detail" },
+  { value: "auto", label: "Auto detail" },
+];
+
+const MIN_CROP_FRACTION = 0.02;
+
+const clamp = (value) => Math.min(Math.max(value, 0), 1);
+const round = (value) => Math.round(value * 1000) / 1000;
+
+// Sizes the unrotated <img> so that, once rotated about its centre, it fills
+// a box with the rotated image's aspect ratio.
+const rotatedImageStyle = (rotate, size) => {
+  const quarterTurn = rotate === 90 || rotate === 270;
+  const ratio = size.height / size.width;
+
+  return {
+    position: "absolute",
+    left: "50%",
+    top: "50%",
+    width: quarterTurn ? `${ratio * 100}%` : "100%",
+    height: quarterTurn ? `${(1 / ratio) * 100}%` : "100%",
+    transform: `translate(-50%, -50%) rotate(${rotate}deg)`,
+  };
+};
+
+/**
+ * Detail, rotation and crop controls for one attached image. The crop is a
+ * 0-1 rectangle on the rotated image and is applied by the server; "focus"
+ * sends it in addition to the full sheet, "replace" sends only the crop.
+ */
+export default function UploadImageEditor({ upload, allowEdits, onChange }) {
+  const [isCropping, setIsCropping] = useState(false);
+  const [naturalSize, setNaturalSize] = useState(null);
+  const [dragStart, setDragStart] = useState(null);
+  const [draft, setDraft] = useState(null);
+  const frameRef = useRef(null);
+  const rotate = upload.rotate ?? 0;
+  const crop = draft ?? upload.crop;
+
+  const toFraction = (event) => {
+    const bounds = frameRef.current.getBoundingClientRect();
+    return {
+      x: clamp((event.clientX - bounds.left) / bounds.width),
+      y: clamp((event.clientY - bounds.top) / bounds.height),
+    };
+  };
+
+  const handlePointerDown = (event) => {
+    event.currentTarget.setPointerCapture(event.pointerId);
+    setDragStart(toFraction(event));
+    setDraft(null);
+  };
+
+  const handlePointerMove = (event) => {
+    if (!dragStart) {
+      return;
+    }
+
+    const point = toFraction(event);
+    setDraft({
+      x: round(Math.min(dragStart.x, point.x)),
+      y: round(Math.min(dragStart.y, point.y)),
+      width: round(Math.abs(point.x - dragStart.x)),
+      height: round(Math.abs(point.y - dragStart.y)),
+    });
+  };
+
+  const handlePointerUp = () => {
+    if (
+      draft &&
+      draft.width >= MIN_CROP_FRACTION &&
+      draft.height >= MIN_CROP_FRACTION
+    ) {
+      onChange({ crop: draft, cropMode: upload.cropMode ?? "focus" });
+    }
+    setDragStart(null);
+    setDraft(null);
+  };
+
+  const controlClassName =
+    "rounded border border-zinc-300 bg-white px-1.5 py-0.5 text-xs dark:border-zinc-700 dark:bg-zinc-900";
+  const buttonClassName =
+    "rounded bg-zinc-200 px-1.5 py-0.5 text-xs font-semibold text-zinc-700 transition hover:bg-zinc-300 dark:bg-zinc-800 dark:text-zinc-200 dark:hover:bg-zinc-700";
+
+  return (
+    <div className="space-y-2">
+      <div className="flex flex-wrap items-center gap-2 text-xs text-zinc-500 dark:text-zinc-400">
+        <select
+          value={upload.detail ?? "high"}
+          onChange={(event) => onChange({ detail: event.target.value })}
+          className={controlClassName}
+        >
+          {DETAIL_OPTIONS.map((option) => (
+            <option key={option.value} value={option.value}>
+              {option.label}
+            </option>
+          ))}
+        </select>
+        {allowEdits ? (
+          <>
+            <button
+              type="button"
+              onClick={() =>
+                // A crop is drawn on the rotated image, so rotating drops it.
+                onChange({
+                  rotate: (rotate + 90) % 360,
+                  crop: undefined,
+                  cropMode: undefined,
+                })
+              }
+              className={buttonClassName}
+            >
+              Rotate{rotate ? ` (${rotate}°)` : ""}
+            </button>
+            <button
+              type="button"
+              onClick={() => setIsCropping(!isCropping)}
+              className={buttonClassName}
+            >
+              {isCropping ? "Done" : upload.crop ? "Edit crop" : "Crop"}
+            </button>
+            {upload.crop ? (
+              <>
+                <select
+                  value={upload.cropMode ?? "focus"}
+                  onChange={(event) => onChange({ cropMode: event.target.value })}
+                  className={controlClassName}
+                >
+                  <option value="focus">Add as zoomed region</option>
+                  <option value="replace">Send only the crop</option>
+                </select>
+                <button
+                  type="button"
+                  onClick={() => onChange({ crop: undefined, cropMode: undefined })}
+                  className={buttonClassName}
+                >
+                  Clear crop
+                </button>
+              </>
+            ) : null}
+          </>
+        ) : null}
+      </div>
+      {allowEdits && isCropping ? (
+        <div>
+          <div
+            ref={frameRef}
+            onPointerDown={handlePointerDown}
+            onPointerMove={handlePointerMove}
+            onPointerUp={handlePointerUp}
+            className="relative w-full cursor-crosshair touch-none select-none overflow-hidden rounded-md border border-zinc-300 bg-zinc-100 dark:border-zinc-700 dark:bg-zinc-950"
+            style={{
+              aspectRatio: naturalSize
+                ? rotate === 90 || rotate === 270
+                  ? `${naturalSize.height} / ${naturalSize.width}`
+                  : `${naturalSize.width} / ${naturalSize.height}`
+                : "4 / 3",
+            }}
+          >
+            {/* eslint-disable-next-line @next/next/no-img-element */}
+            <img
+              src={upload.url}
+              alt={upload.name}
+              draggable={false}
+              onLoad={(event) =>
+                setNaturalSize({
+                  width: event.currentTarget.naturalWidth,
+                  height: event.currentTarget.naturalHeight,
+                })
+              }
+              style={
+                naturalSize
+                  ? rotatedImageStyle(rotate, naturalSize)
+                  : { opacity: 0 }
+              }
+              className="pointer-events-none max-w-none"
+            />
+            {crop ? (
+              <div
+                className="pointer-events-none absolute border-2 border-dashed border-blue-600 bg-blue-500/15"
+                style={{
+                  left: `${crop.x * 100}%`,
+                  top: `${crop.y * 100}%`,
+                  width: `${crop.width * 100}%`,
+                  height: `${crop.height * 100}%`,
+                }}
+              />
+            ) : null}
+          </div>
+          <p className="mt-1 text-[11px] text-zinc-500 dark:text-zinc-400">
+            Drag over the area the model should zoom into.
+          </p>
+        </div>
+      ) : null}
+    </div>
+  );
+}
@@ -0,0 +1,264 @@
+const nullableString = { type: ["string", "null"] };
+
+export const DEFAULT_ANSWER_MODE = "freeform";
+
+export const FLOOR_GRAPH_NODE_TYPES = [
+  "room",
+  "door",
+  "corridor",
+  "stair",
+  "elevator",
+  "entrance",
+  "other",
+];
+
+export const answerModes = {
+  freeform: {
+    label: "Free-form answer",
+    description: "Plain-text answer, best for open-ended questions.",
+  },
+  wayfinding: {
+    label: "Wayfinding route",
+    description: "Ordered turn-by-turn steps with the landmarks along the way.",
+    instructions: [
+      "Answer as a wayfinding route from the start to the destination.",
+      "Return one step per decision point, in walking order, naming the landmarks that confirm each step.",
+    ],
+    maxOutputTokens: 2048,
+    schema: {
+      type: "object",
+      additionalProperties: false,
+      required: ["summary", "start", "destination", "steps", "warnings"],
+      properties: {
+        summary: { type: "string" },
+        start: { type: "string" },
+        destination: { type: "string" },
+        steps: {
+          type: "array",
+          items: {
+            type: "object",
+            additionalProperties: false,
+            required: ["order", "instruction", "landmarks", "distanceHint"],
+            properties: {
+              order: { type: "integer", minimum: 1 },
+              instruction: { type: "string" },
+              landmarks: { type: "array", items: { type: "string" } },
+              distanceHint: nullableString,
+            },
+          },
+        },
+        warnings: { type: "array", items: { type: "string" } },
+      },
+    },
+  },
+  "fixture-count": {
+    label: "Fixture count",
+    description: "A total plus every counted item and where it sits.",
+    instructions: [
+      "Answer as an inventory of the requested fixtures or spaces.",
+      "List every counted item once with its location; total must equal the number of items.",
+    ],
+    maxOutputTokens: 2048,
+    schema: {
+      type: "object",
+      additionalProperties: false,
+      required: ["subject", "total", "items", "confidence", "notes"],
+      properties: {
+        subject: { type: "string" },
+        total: { type: "integer", minimum: 0 },
+        items: {
+          type: "array",
+          items: {
+            type: "object",
+            additionalProperties: false,
+            required: ["label", "location", "imageId", "notes"],
+            properties: {
+              label: { type: "string" },
+              location: { type: "string" },
+              imageId: nullableString,
+              notes: nullableString,
+            },
+          },
+        },
+        confidence: { type: "string", enum: ["low", "medium", "high"] },
+        notes: nullableString,
+      },
+    },
+  },
+  "accessibility-audit": {
+    label: "Accessibility audit",
+    description: "Findings with a location, severity and recommendation.",
+    instructions: [
+      "Answer as an accessibility audit of the schematics.",
+      "Report each barrier or notable accessible feature as a separate finding with a severity.",
+    ],
+    maxOutputTokens: 2048,
+    schema: {
+      type: "object",
+      additionalProperties: false,
+      required: ["summary", "findings"],
+      properties: {
+        summary: { type: "string" },
+        findings: {
+          type: "array",
+          items: {
+            type: "object",
+            additionalProperties: false,
+            required: [
+              "title",
+              "location",
+              "severity",
+              "description",
+              "recommendation",
+            ],
+            properties: {
+              title: { type: "string" },
+              location: { type: "string" },
+              severity: {
+                type: "string",
+                enum: ["critical", "major", "minor", "info"],
+              },
+              description: { type: "string" },
+              recommendation: nullableString,
+            },
+          },
+        },
+      },
+    },
+  },
+  "audit-rule": {
+    label: "Audit rule",
+    description: "Pass, fail or unknown for one compliance rule, with evidence.",
+    // One rule per call, asked by POST /api/audits.
+    toolOnly: true,
+    instructions: [
+      "The question is a single compliance rule. Decide whether the schematics satisfy it.",
+      "Answer pass only when the plans show the rule is met and fail only when they show it is not. Answer unknown when they do not show enough to decide, for example when a floor is missing or labels are unreadable.",
+      "Give the evidence you relied on in `evidence`, and name the rooms, doors or areas it refers to in `locations`.",
+    ],
+    maxOutputTokens: 1024,
+    schema: {
+      type: "object",
+      additionalProperties: false,
+      required: ["status", "evidence", "locations"],
+      properties: {
+        status: { type: "string", enum: ["pass", "fail", "unknown"] },
+        evidence: { type: "string" },
+        locations: { type: "array", items: { type: "string" } },
+      },
+    },
+  },
+  "revision-compare": {
+    label: "Revision changes",
+    description:
+      "What changed between two revisions of a sheet, region by region.",
+    // Expects the region pairs POST /api/compare builds, so it is not offered
+    // for ordinary questions.
+    toolOnly: true,
+    instructions: [
+      "Each attached image is one region where a local pixel diff found changes between two revisions of the same sheet: the earlier revision is on the left, the later on the right.",
+      "Report every real change with the region id from the image's name (e.g. region-2): walls moved, rooms renamed or renumbered, doors, fixtures or equipment added or removed, dimensions or notes edited.",
+      "If a region only differs by noise such as a slight shift, line weight or scan speckle, list its id in `unchangedRegions` instead.",
+    ],
+    maxOutputTokens: 4096,
+    schema: {
+      type: "object",
+      additionalProperties: false,
+      required: ["summary", "changes", "unchangedRegions"],
+      properties: {
+        summary: { type: "string" },
+        changes: {
+          type: "array",
+          items: {
+            type: "object",
+            additionalProperties: false,
+            required: [
+              "regionId",
+              "category",
+              "changeType",
+              "description",
+              "location",
+            ],
+            properties: {
+              regionId: { type: "string" },
+              category: {
+                type: "string",
+                enum: [
+                  "wall",
+                  "door",
+                  "room",
+                  "label",
+                  "fixture",
+                  "equipment",
+                  "dimension",
+                  "annotation",
+                  "other",
+                ],
+              },
+              changeType: {
+                type: "string",
+                enum: ["added", "removed", "moved", "renamed", "modified"],
+              },
+              description: { type: "string" },
+              location: nullableString,
+            },
+          },
+        },
+        unchangedRegions: { type: "array", items: { type: "string" } },
+      },
+    },
+  },
+  "floor-graph": {
+    label: "Floor graph",
+    description:
+      "Spaces, doors and circulation as nodes joined by walkable connections, for deterministic routing.",
+    instructions: [
+      "Answer as a navigable graph of the floor plan, not as prose.",
+      "Add one node per room or space, door, corridor segment or junction, stair, elevator and building entrance, with a short unique id and the label printed on the plan (or a descriptive one when unlabeled).",
+      "Set `imageId` to the image id from the image's label (e.g. upload-2) and x/y to the node's approximate centre, normalized to 0-1 across that whole image.",
+      "Add one edge per direct walkable connection between two nodes, such as a room to its door or a door to the corridor outside it. Rooms connect only through their doors.",
+      "For stairs and elevators, set `coreId` to the name of the stair or shaft (e.g. Stair 6) so the same core can be matched on every floor; otherwise null. Do not add edges between images of different floors.",
+    ],
+    maxOutputTokens: 8192,
+    schema: {
+      type: "object",
+      additionalProperties: false,
+      required: ["nodes", "edges", "notes"],
+      properties: {
+        nodes: {
+          type: "array",
+          items: {
+            type: "object",
+            additionalProperties: false,
+            required: ["id", "type", "label", "imageId", "x", "y", "coreId"],
+            properties: {
+              id: { type: "string" },
+              type: {
+                type: "string",
+                enum: FLOOR_GRAPH_NODE_TYPES,
+              },
+              label: { type: "string" },
+              imageId: { type: "string" },
+              x: { type: "number", minimum: 0, maximum: 1 },
+              y: { type: "number", minimum: 0, maximum: 1 },
+              coreId: nullableString,
+            },
+          },
+        },
+        edges: {
+          type: "array",
+          items: {
+            type: "object",
+            additionalProperties: false,
+            required: ["from", "to"],
+            properties: {
+              from: { type: "string" },
+              to: { type: "string" },
+            },
+          },
+        },
+        notes: nullableString,
+      },
+    },
+  },
+};
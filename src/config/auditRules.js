@@ -0,0 +1,56 @@
+// Compliance checklists for POST /api/audits. Each rule is asked as its own
+// question against the attached schematics, so word questions to be
+// answerable from the plans alone. Add a set here to make it selectable.
+export const DEFAULT_AUDIT_RULE_SET = "ada-basics";
+
+export const auditRuleSets = {
+  "ada-basics": {
+    label: "ADA basics",
+    description:
+      "Plan-level checks drawn from the 2010 ADA Standards for Accessible Design.",
+    rules: [
+      {
+        id: "accessible-restroom-per-floor",
+        title: "Accessible restroom on every floor",
+        reference: "ADA 2010 §213.2",
+        question:
+          "Does every floor shown that has restrooms have at least one accessible (wheelchair) toilet room or stall? Name it on each floor, and name any floor without one.",
+      },
+      {
+        id: "ramp-near-entrances",
+        title: "Step-free access at entrances",
+        reference: "ADA 2010 §206.4",
+        question:
+          "Is at least 60% of the public entrances step-free, either level or served by a ramp or lift next to the entrance? List each entrance and how it is reached.",
+      },
+      {
+        id: "elevator-reachable-from-exits",
+        title: "Elevator reachable from every exit",
+        reference: "ADA 2010 §206.2.3",
+        question:
+          "Where the building has more than one floor, can an elevator or platform lift be reached without stairs or steps from every exit and entrance? Name any exit that cannot reach one step-free.",
+      },
+      {
+        id: "accessible-route-between-stories",
+        title: "Every story on an accessible route",
+        reference: "ADA 2010 §206.2.3",
+        question:
+          "Does an elevator or platform lift serve every floor shown, so each story is connected to the others without stairs? Name any floor it does not serve.",
+      },
+      {
+        id: "door-clear-width",
+        title: "Doors on accessible routes at least 32 inches clear",
+        reference: "ADA 2010 §404.2.3",
+        question:
+          "Where door widths are dimensioned or scheduled, do doors on the main routes give at least 32 inches (815 mm) of clear width? List any narrower doors.",
+      },
+      {
+        id: "area-of-refuge",
+        title: "Area of refuge at exit stairs above grade",
+        reference: "ADA 2010 §207.1 (IBC 1009)",
+        question:
+          "On floors above or below the ground floor, is an area of refuge or an enclosed exit stair with wheelchair space shown at each exit stair? Name any exit stair without one.",
+      },
+    ],
+  },
+};
@@ -14,11 +14,128 @@ export const schematicConfig = {
   model: {
     name: "gpt-4.1",
     maxOutputTokens: 1024,
+    structuredOutputAttempts: 2, // first try plus one schema-repair retry
     pricingUsdPerMTok: {
       input: 2, // $15 per 1M input tokens (OpenAI pricing as of Oct 2024)
       output: 8, // $60 per 1M output tokens
     },
   },
+  providers: {
+    default: "openai", // overridden by VISION_PROVIDER or a per-request `provider`
+    "azure-openai": {
+      apiVersion: "2025-04-01-preview",
+      pricingUsdPerMTok: { input: 2, output: 8 },
+    },
+    "openai-compatible": {
+      defaultModel: "llava",
+      pricingUsdPerMTok: null, // self-hosted servers have no per-token price
+    },
+    mock: {
+      pricingUsdPerMTok: { input: 0, output: 0 },
+    },
+  },
+  cache: {
+    enabled: true,
+    backend: "memory", // "memory", "filesystem" or "redis"; RESPONSE_CACHE_BACKEND overrides
+    ttlSeconds: 86_400, // per-request `cache.ttlSeconds` overrides, up to maxTtlSeconds
+    maxTtlSeconds: 604_800,
+    maxEntries: 500, // memory backend only
+    keyPrefix: "vision-cache:", // redis backend only
+  },
+  history: {
+    maxEntries: 1000, // per workspace; oldest analyze requests are pruned beyond this
+  },
+  quotas: {
+    enabled: true,
+    requestsPerMinute: 20, // per user, and again per API key; null disables
+    estimatesPerMinute: 60, // cost estimates, counted apart from requests
+    maxConcurrentRuns: 1, // evaluations and audits in progress per user and per key
+    user: { dailyBudgetUsd: 10, monthlyBudgetUsd: 100 }, // null means unlimited
+    apiKey: { dailyBudgetUsd: 5, monthlyBudgetUsd: 50 },
+    maxRequestCostUsd: 1, // hard cap on one call's expected cost
+    unknownImageTokens: 1445, // high-detail images whose size can't be read
+  },
+  auth: {
+    enabled: true, // AUTH_DISABLED=true turns this off for local demos
+    sessionTtlSeconds: 604_800,
+    sessionCookie: "vision_session",
+    allowSignup: false, // the first account can always register; AUTH_ALLOW_SIGNUP overrides
+    minPasswordLength: 10,
+  },
+  pdf: {
+    defaultDpi: 300, // per-upload `dpi` overrides, clamped to minDpi..maxDpi
+    minDpi: 72,
+    maxDpi: 1200,
+    maxPages: 10, // per PDF upload; pick pages with e.g. "1-3,5"
+    maxPagePixels: 150_000_000, // lowers the DPI for very large sheets
+  },
+  tiling: {
+    enabled: true,
+    minLongEdgePx: 4096, // only split exports whose longest side exceeds this
+    targetTileEdgePx: 2048, // grid is derived from this unless rows/columns are set
+    rows: undefined,
+    columns: undefined,
+    overlapRatio: 0.12, // share of each tile's width/height repeated in its neighbours
+    maxTiles: 16,
+    tileMaxEdgePx: 2048,
+    tileFormat: "png",
+    overviewMaxEdgePx: 2048,
+    overviewDetail: "high",
+    maxInputPixels: 600_000_000,
+  },
+  preprocessing: {
+    enabled: true,
+    convertMimeTypes: ["image/tiff", "image/webp"], // re-encoded as outputFormat
+    outputFormat: "png", // "jpeg" suits scanned photos better than linework
+    maxLongEdgePx: 8192, // 4x4 tiles of 2048 px; anything larger is lost to tile downscaling
+    enhance: "none", // or "sharpen" / "binarize" for faint CAD linework; requests may override
+    binarizeThreshold: 180, // 0-255 grey level; darker pixels become black
+    maxInputPixels: 600_000_000,
+  },
+  storage: {
+    backend: "auto", // "blob", "s3" or "local"; "auto" picks the first configured in that order
+    offloadBackend: "auto", // where the server copies images it would inline; "auto" prefers S3, "none" always inlines
+    signedUrlTtlSeconds: 60 * 60,
+    // localDirectory: "/var/lib/vision-uploads", // defaults to .data/uploads
+  },
+  // Checked against each uploaded file's real pixel size.
+  imageLimits: {
+    minEdgePx: 200, // smaller images are too coarse to read line work from
+    maxEdgePx: 40_000,
+    maxPixels: 300_000_000, // larger images are treated as decompression bombs
+  },
+  // Image URLs accepted besides the workspace's own uploads. Anything else is
+  // rejected before the server fetches it or forwards it to a model.
+  remoteImages: {
+    allowedHosts: [], // e.g. "plans.example.com", or "*.example.com" for subdomains
+    allowedUrlPrefixes: [], // e.g. "https://cdn.example.com/floorplans/"
+    verify: "head", // "head" checks type and size, "sniff" also reads the file signature, "none" skips both
+    verifyTimeoutMs: 5000,
+  },
+  uploadRetention: {
+    clientUploadTtlHours: 72, // browser uploads, counted from their last use in a question
+    offloadTtlHours: 24, // copies the server makes to send one request
+    releasedTtlHours: 24, // uploads removed in the UI, unless used again
+  },
+  compare: {
+    workingEdgePx: 1600, // both revisions are scaled to this for aligning and diffing
+    maxShiftPx: 24, // largest offset between revisions searched when aligning, at working size
+    diffThreshold: 64, // grey-level change (0-255) that counts as a changed pixel
+    cellPx: 16, // changed pixels are grouped into cells of this size, then into regions
+    minCellPixels: 8, // fewer changed pixels in a cell are treated as noise
+    minRegionCells: 2,
+    maxRegions: 6, // each region is one image in the model request
+    regionPaddingRatio: 0.15, // context kept around each region when cropping
+    regionImageEdgePx: 768, // size of each side of a region image
+  },
+  reports: {
+    thumbnailEdgePx: 1024, // longest side of the annotated images in exported reports
+  },
+  floorGraphs: {
+    // Cost of one floor change through a stair or elevator, in sheet widths
+    // (the unit of same-floor distances); elevators include the wait.
+    floorChangeLength: { stair: 0.5, elevator: 0.8 },
+  },
   exampleQuestions: [
     "How do I get from Stair 6 to Elevator 3? Provide clear step-by-step directions.",
     "How many restrooms include at least two lavatories, and where are they located?",
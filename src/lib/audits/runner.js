@@ -0,0 +1,257 @@
+import { POST as analyze } from "@/app/api/analyze/route";
+import { DEFAULT_AUDIT_RULE_SET, auditRuleSets } from "@/config/auditRules";
+import { deleteThread } from "@/lib/threads/store";
+import { mergeUsage } from "@/lib/vision/answerModes";
+import { randomUUID } from "crypto";
+
+export const MAX_AUDIT_RULES = 30;
+
+const RULE_STATUSES = ["pass", "fail", "unknown"];
+
+const optionalText = (value) =>
+  typeof value === "string" && value.trim().length > 0
+    ? value.trim()
+    : undefined;
+
+export const listRuleSets = () =>
+  Object.entries(auditRuleSets).map(([name, ruleSet]) => ({
+    name,
+    label: ruleSet.label ?? name,
+    description: ruleSet.description,
+    ruleCount: ruleSet.rules.length,
+  }));
+
+function normalizeRule(input, index) {
+  if (!input || typeof input !== "object" || Array.isArray(input)) {
+    return { error: `Rule #${index + 1} must be an object.` };
+  }
+
+  const id = optionalText(input.id) ?? `rule-${index + 1}`;
+  const question = optionalText(input.question);
+  if (!question) {
+    return { error: `Rule "${id}" needs a \`question\`.` };
+  }
+
+  return {
+    value: {
+      id,
+      title: optionalText(input.title) ?? question,
+      reference: optionalText(input.reference),
+      question,
+    },
+  };
+}
+
+/**
+ * Resolves the rule set an audit runs: a name from `src/config/auditRules.js`
+ * (the default when omitted) or an inline `{ name, rules }` object. Returns
+ * `{ value }` or `{ status, error }`.
+ */
+export function resolveRuleSet(input = DEFAULT_AUDIT_RULE_SET) {
+  let name = "custom";
+  let ruleSet = input;
+  if (typeof input === "string") {
+    name = input.trim();
+    ruleSet = auditRuleSets[name];
+    if (!ruleSet) {
+      return {
+        status: 404,
+        error: `Audit rule set "${name}" was not found. Available: ${Object.keys(
+          auditRuleSets
+        ).join(", ")}.`,
+      };
+    }
+  }
+
+  if (!ruleSet || typeof ruleSet !== "object" || Array.isArray(ruleSet)) {
+    return {
+      status: 400,
+      error: "ruleSet must be a rule set name or a { name, rules } object.",
+    };
+  }
+
+  if (!Array.isArray(ruleSet.rules) || ruleSet.rules.length === 0) {
+    return { status: 400, error: "Rule set needs a non-empty `rules` array." };
+  }
+
+  if (ruleSet.rules.length > MAX_AUDIT_RULES) {
+    return {
+      status: 400,
+      error: `A rule set holds at most ${MAX_AUDIT_RULES} rules.`,
+    };
+  }
+
+  const rules = [];
+  const seenIds = new Set();
+  for (const [index, entry] of ruleSet.rules.entries()) {
+    const normalized = normalizeRule(entry, index);
+    if (normalized.error) {
+      return { status: 400, error: normalized.error };
+    }
+
+    if (seenIds.has(normalized.value.id)) {
+      return {
+        status: 400,
+        error: `Rule id "${normalized.value.id}" is used twice.`,
+      };
+    }
+    seenIds.add(normalized.value.id);
+    rules.push(normalized.value);
+  }
+
+  return {
+    value: {
+      name: optionalText(ruleSet.name) ?? name,
+      label: optionalText(ruleSet.label) ?? optionalText(ruleSet.name) ?? name,
+      rules,
+    },
+  };
+}
+
+async function runRule(
+  rule,
+  { target, schematicSetId, uploads, cache, workspaceId, headers, signal }
+) {
+  const startedAt = Date.now();
+  const result = {
+    ruleId: rule.id,
+    title: rule.title,
+    reference: rule.reference,
+    question: rule.question,
+  };
+
+  try {
+    const response = await analyze(
+      new Request("http://localhost/api/analyze", {
+        method: "POST",
+        headers: { ...headers, "Content-Type": "application/json" },
+        body: JSON.stringify({
+          prompt: `Rule: ${rule.title}${
+            rule.reference ? ` (${rule.reference})` : ""
+          }. ${rule.question}`,
+          answerMode: "audit-rule",
+          provider: target.provider,
+          model: target.model,
+          schematicSetId,
+          uploads,
+          cache,
+        }),
+        signal,
+      }),
+      // The route admitted the audit with startBatchRun; calls still count
+      // against budgets.
+      { skipRateLimit: true }
+    );
+    const payload = await response.json();
+
+    if (payload.threadId) {
+      // Each rule is a one-off question, not a conversation.
+      await deleteThread(payload.threadId, workspaceId);
+    }
+
+    if (!response.ok) {
+      throw new Error(payload.details ?? payload.error ?? "Analyze failed.");
+    }
+
+    const structured = payload.structured;
+    return {
+      ...result,
+      // An answer that failed validation cannot support a pass or a fail.
+      status: RULE_STATUSES.includes(structured?.status)
+        ? structured.status
+        : "unknown",
+      evidence: structured?.evidence ?? payload.output,
+      locations: structured?.locations ?? [],
+      validation: payload.validation,
+      usage: payload.usage,
+      costEstimate: payload.costEstimate,
+      cached: payload.cached,
+      historyId: payload.historyId,
+      durationMs: Date.now() - startedAt,
+    };
+  } catch (error) {
+    if (signal?.aborted) {
+      throw new Error("Audit cancelled.");
+    }
+
+    return {
+      ...result,
+      status: "unknown",
+      evidence: null,
+      locations: [],
+      error: error instanceof Error ? error.message : "Unknown error occurred.",
+      durationMs: Date.now() - startedAt,
+    };
+  }
+}
+
+// Any failed rule fails the audit; otherwise an unknown rule leaves it open.
+const overallStatus = (counts) =>
+  counts.fail > 0 ? "fail" : counts.unknown > 0 ? "unknown" : "pass";
+
+/**
+ * Asks each rule of a rule set as its own `audit-rule` question through the
+ * analyze route, one call at a time, and aggregates the answers into a
+ * pass/fail/unknown report. Rules whose call fails are reported as unknown
+ * with the error.
+ */
+export async function runAudit({
+  ruleSet,
+  target,
+  schematicSetId,
+  uploads,
+  cache,
+  workspaceId,
+  headers = {},
+  signal,
+}) {
+  const startedAt = new Date().toISOString();
+  const rules = [];
+
+  for (const rule of ruleSet.rules) {
+    if (signal?.aborted) {
+      throw new Error("Audit cancelled.");
+    }
+
+    rules.push(
+      await runRule(rule, {
+        target,
+        schematicSetId,
+        uploads,
+        cache,
+        workspaceId,
+        headers,
+        signal,
+      })
+    );
+  }
+
+  const counts = Object.fromEntries(
+    RULE_STATUSES.map((status) => [
+      status,
+      rules.filter((rule) => rule.status === status).length,
+    ])
+  );
+  const costs = rules
+    .map((rule) => rule.costEstimate?.totalUsd)
+    .filter((value) => typeof value === "number");
+
+  return {
+    id: randomUUID(),
+    ruleSet: { name: ruleSet.name, label: ruleSet.label },
+    createdAt: startedAt,
+    completedAt: new Date().toISOString(),
+    schematicSetId,
+    uploadNames: uploads?.map((upload) => upload.name ?? "Upload") ?? [],
+    workspaceId,
+    provider: target.provider,
+    model: target.model,
+    status: overallStatus(counts),
+    counts: { ...counts, total: rules.length },
+    errored: rules.filter((rule) => rule.error).length,
+    usage: mergeUsage(...rules.map((rule) => rule.usage)) ?? null,
+    totalCostUsd:
+      costs.length > 0 ? costs.reduce((total, value) => total + value, 0) : null,
+    rules,
+  };
+}
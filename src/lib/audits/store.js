@@ -0,0 +1,33 @@
+import { inWorkspace } from "@/lib/auth";
+import { createJsonStore } from "@/lib/persistence/jsonStore";
+
+const audits = createJsonStore("audits");
+
+export const summarizeAudit = (audit) => ({
+  id: audit.id,
+  ruleSet: audit.ruleSet,
+  createdAt: audit.createdAt,
+  schematicSetId: audit.schematicSetId,
+  provider: audit.provider,
+  model: audit.model,
+  status: audit.status,
+  counts: audit.counts,
+  totalCostUsd: audit.totalCostUsd,
+});
+
+export async function listAudits(workspaceId) {
+  const records = await audits.list();
+  return records
+    .filter((audit) => inWorkspace(audit, workspaceId))
+    .sort((a, b) => b.createdAt.localeCompare(a.createdAt))
+    .map(summarizeAudit);
+}
+
+export async function getAudit(auditId, workspaceId) {
+  const audit = await audits.get(auditId);
+  return inWorkspace(audit, workspaceId) ? audit : null;
+}
+
+export function saveAudit(audit) {
+  return audits.put(audit);
+}
@@ -0,0 +1,75 @@
+import { hashToken } from "@/lib/auth/sessions";
+import { createJsonStore } from "@/lib/persistence/jsonStore";
+import { randomBytes, randomUUID } from "crypto";
+
+export const API_KEY_PREFIX = "svk_";
+export const MAX_API_KEYS_PER_USER = 20;
+
+const apiKeys = createJsonStore("api-keys");
+
+export const summarizeApiKey = (key) => ({
+  id: key.id,
+  name: key.name,
+  preview: key.preview,
+  createdAt: key.createdAt,
+  lastUsedAt: key.lastUsedAt ?? null,
+});
+
+export async function listApiKeys(userId) {
+  const records = await apiKeys.list();
+  return records
+    .filter((key) => key.userId === userId)
+    .sort((a, b) => b.createdAt.localeCompare(a.createdAt))
+    .map(summarizeApiKey);
+}
+
+/**
+ * Mints a key for `user`. The plaintext `token` is returned once; only its
+ * hash is kept.
+ */
+export async function createApiKey(user, name) {
+  if ((await listApiKeys(user.id)).length >= MAX_API_KEYS_PER_USER) {
+    return {
+      error: `Each account holds at most ${MAX_API_KEYS_PER_USER} API keys.`,
+    };
+  }
+
+  const token = `${API_KEY_PREFIX}${randomBytes(24).toString("base64url")}`;
+  const key = await apiKeys.put({
+    id: randomUUID(),
+    name,
+    userId: user.id,
+    workspaceId: user.workspaceId,
+    preview: `${token.slice(0, API_KEY_PREFIX.length + 4)}…${token.slice(-4)}`,
+    tokenHash: hashToken(token),
+    createdAt: new Date().toISOString(),
+  });
+
+  return { value: { key: summarizeApiKey(key), token } };
+}
+
+export async function findApiKey(token) {
+  if (typeof token !== "string" || !token.startsWith(API_KEY_PREFIX)) {
+    return null;
+  }
+
+  const tokenHash = hashToken(token);
+  const records = await apiKeys.list();
+  return records.find((key) => key.tokenHash === tokenHash) ?? null;
+}
+
+export function touchApiKey(keyId) {
+  return apiKeys.update(keyId, (key) => ({
+    ...key,
+    lastUsedAt: new Date().toISOString(),
+  }));
+}
+
+export async function revokeApiKey(keyId, userId) {
+  const key = await apiKeys.get(keyId);
+  if (!key || key.userId !== userId) {
+    return false;
+  }
+
+  return apiKeys.remove(keyId);
+}
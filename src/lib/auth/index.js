@@ -0,0 +1,117 @@
+import { schematicConfig } from "@/config/schematic";
+import { findApiKey, touchApiKey } from "@/lib/auth/apiKeys";
+import { getSession, sessionTtlSeconds } from "@/lib/auth/sessions";
+import { getUser, publicUser } from "@/lib/auth/users";
+import { sanitizeEnv } from "@/lib/uploads/constants";
+import { NextResponse } from "next/server";
+
+// Records written before auth existed (or with auth disabled) belong here.
+export const LOCAL_WORKSPACE_ID = "local";
+
+const LOCAL_USER = {
+  id: "local",
+  email: null,
+  name: "Local user",
+  role: "owner",
+  workspaceId: LOCAL_WORKSPACE_ID,
+};
+
+const authConfig = schematicConfig.auth ?? {};
+
+export const SESSION_COOKIE = authConfig.sessionCookie ?? "vision_session";
+
+export const isAuthEnabled = () =>
+  sanitizeEnv(process.env.AUTH_DISABLED) !== "true" &&
+  authConfig.enabled !== false;
+
+export const isSignupOpen = () =>
+  (sanitizeEnv(process.env.AUTH_ALLOW_SIGNUP) ?? String(authConfig.allowSignup)) ===
+  "true";
+
+export const inWorkspace = (record, workspaceId) =>
+  Boolean(record) &&
+  (record.workspaceId ?? LOCAL_WORKSPACE_ID) === workspaceId;
+
+export const sessionCookieOptions = () => ({
+  httpOnly: true,
+  sameSite: "lax",
+  secure: process.env.NODE_ENV === "production",
+  path: "/",
+  maxAge: sessionTtlSeconds(),
+});
+
+// Plain Requests (e.g. the evaluation runner's) have no `cookies` helper.
+function readCookie(req, name) {
+  const header = req.headers.get("cookie") ?? "";
+  for (const part of header.split(";")) {
+    const [key, ...rest] = part.trim().split("=");
+    if (key === name) {
+      return decodeURIComponent(rest.join("="));
+    }
+  }
+
+  return undefined;
+}
+
+export const readSessionToken = (req) => readCookie(req, SESSION_COOKIE);
+
+/**
+ * Resolves the caller from a `Bearer` API key or the session cookie.
+ * Returns `{ user, workspaceId, method }`, or null when neither is valid.
+ */
+export async function authenticate(req) {
+  if (!isAuthEnabled()) {
+    return { user: LOCAL_USER, workspaceId: LOCAL_WORKSPACE_ID, method: "none" };
+  }
+
+  const authorization = req.headers.get("authorization") ?? "";
+  const bearer = authorization.match(/^Bearer\s+(\S+)$/i)?.[1];
+  if (bearer) {
+    const key = await findApiKey(bearer);
+    const user = key ? await getUser(key.userId) : null;
+    if (!user) {
+      return null;
+    }
+
+    // Avoid rewriting the key store on every request.
+    if (!key.lastUsedAt || Date.now() - Date.parse(key.lastUsedAt) > 60_000) {
+      await touchApiKey(key.id);
+    }
+
+    return {
+      user: publicUser(user),
+      workspaceId: user.workspaceId,
+      method: "api-key",
+      apiKeyId: key.id,
+    };
+  }
+
+  const session = await getSession(readSessionToken(req));
+  const user = session ? await getUser(session.userId) : null;
+  if (!user) {
+    return null;
+  }
+
+  return {
+    user: publicUser(user),
+    workspaceId: user.workspaceId,
+    method: "session",
+  };
+}
+
+export const authenticationRequired = () =>
+  NextResponse.json(
+    {
+      error:
+        "Authentication required. Sign in or send an API key as a Bearer token.",
+    },
+    { status: 401 }
+  );
+
+// Headers that let an internal request act as the same caller.
+export const forwardedAuthHeaders = (req) =>
+  Object.fromEntries(
+    ["authorization", "cookie"]
+      .map((name) => [name, req.headers.get(name)])
+      .filter(([, value]) => value)
+  );
@@ -0,0 +1,27 @@
+import { randomBytes, scrypt, timingSafeEqual } from "crypto";
+import { promisify } from "util";
+
+const scryptAsync = promisify(scrypt);
+const KEY_LENGTH = 64;
+
+// Stored as `scrypt$<salt>$<hash>` so the scheme can change later.
+export async function hashPassword(password) {
+  const salt = randomBytes(16).toString("base64url");
+  const hash = await scryptAsync(password, salt, KEY_LENGTH);
+  return `scrypt$${salt}$${hash.toString("base64url")}`;
+}
+
+export async function verifyPassword(password, stored) {
+  const [scheme, salt, expected] =
+    typeof stored === "string" ? stored.split("$") : [];
+  if (scheme !== "scrypt" || !salt || !expected) {
+    return false;
+  }
+
+  const actual = await scryptAsync(password, salt, KEY_LENGTH);
+  const expectedBuffer = Buffer.from(expected, "base64url");
+  return (
+    expectedBuffer.length === actual.length &&
+    timingSafeEqual(expectedBuffer, actual)
+  );
+}
@@ -0,0 +1,49 @@
+import { schematicConfig } from "@/config/schematic";
+import { createJsonStore } from "@/lib/persistence/jsonStore";
+import { createHash, randomBytes } from "crypto";
+
+const sessions = createJsonStore("sessions");
+
+// Only token hashes are stored, so a leaked data directory can't be replayed.
+export const hashToken = (token) =>
+  createHash("sha256").update(token).digest("hex");
+
+export const sessionTtlSeconds = () =>
+  schematicConfig.auth?.sessionTtlSeconds ?? 604_800;
+
+export async function createSession(userId) {
+  const token = randomBytes(32).toString("base64url");
+  const now = Date.now();
+
+  await sessions.put({
+    id: hashToken(token),
+    userId,
+    createdAt: new Date(now).toISOString(),
+    expiresAt: new Date(now + sessionTtlSeconds() * 1000).toISOString(),
+  });
+
+  for (const session of await sessions.list()) {
+    if (Date.parse(session.expiresAt) <= now) {
+      await sessions.remove(session.id);
+    }
+  }
+
+  return token;
+}
+
+export async function getSession(token) {
+  if (typeof token !== "string" || token.length === 0) {
+    return null;
+  }
+
+  const session = await sessions.get(hashToken(token));
+  if (!session || Date.parse(session.expiresAt) <= Date.now()) {
+    return null;
+  }
+
+  return session;
+}
+
+export function deleteSession(token) {
+  return sessions.remove(hashToken(token));
+}
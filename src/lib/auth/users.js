@@ -0,0 +1,113 @@
+import { schematicConfig } from "@/config/schematic";
+import { hashPassword, verifyPassword } from "@/lib/auth/passwords";
+import { createJsonStore } from "@/lib/persistence/jsonStore";
+import { randomUUID } from "crypto";
+
+export const USER_ROLES = ["owner", "member"];
+
+const users = createJsonStore("users");
+const workspaces = createJsonStore("workspaces");
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+export const publicUser = (user) => ({
+  id: user.id,
+  email: user.email,
+  name: user.name,
+  role: user.role,
+  workspaceId: user.workspaceId,
+  createdAt: user.createdAt,
+});
+
+export function normalizeCredentials(input) {
+  if (!input || typeof input !== "object" || Array.isArray(input)) {
+    return { error: "Credentials must be a JSON object." };
+  }
+
+  const email =
+    typeof input.email === "string" ? input.email.trim().toLowerCase() : "";
+  if (!EMAIL_PATTERN.test(email)) {
+    return { error: "A valid email is required." };
+  }
+
+  const password = typeof input.password === "string" ? input.password : "";
+  const minLength = schematicConfig.auth?.minPasswordLength ?? 10;
+  if (password.length < minLength) {
+    return {
+      error: `Passwords must be at least ${minLength} characters long.`,
+    };
+  }
+
+  const name =
+    typeof input.name === "string" && input.name.trim()
+      ? input.name.trim()
+      : undefined;
+
+  return { value: { email, password, name } };
+}
+
+export async function countUsers() {
+  return (await users.list()).length;
+}
+
+export function getUser(userId) {
+  return users.get(userId);
+}
+
+export async function findUserByEmail(email) {
+  const records = await users.list();
+  return records.find((user) => user.email === email) ?? null;
+}
+
+export function getWorkspace(workspaceId) {
+  return workspaces.get(workspaceId);
+}
+
+export async function listWorkspaceMembers(workspaceId) {
+  const records = await users.list();
+  return records
+    .filter((user) => user.workspaceId === workspaceId)
+    .sort((a, b) => a.createdAt.localeCompare(b.createdAt))
+    .map(publicUser);
+}
+
+/**
+ * Creates an account. Without a `workspaceId` the user gets a new workspace
+ * of their own and owns it; otherwise they join that workspace as a member.
+ */
+export async function createUser({ email, password, name, workspaceId }) {
+  if (await findUserByEmail(email)) {
+    return { error: `An account for ${email} already exists.` };
+  }
+
+  const now = new Date().toISOString();
+  let workspace = workspaceId ? await getWorkspace(workspaceId) : null;
+  if (!workspace) {
+    workspace = await workspaces.put({
+      id: randomUUID(),
+      name: `${name ?? email}'s workspace`,
+      createdAt: now,
+    });
+  }
+
+  const user = await users.put({
+    id: randomUUID(),
+    email,
+    name,
+    role: workspaceId ? "member" : "owner",
+    workspaceId: workspace.id,
+    passwordHash: await hashPassword(password),
+    createdAt: now,
+  });
+
+  return { value: user };
+}
+
+export async function verifyCredentials({ email, password }) {
+  const user = await findUserByEmail(email);
+  if (!user || !(await verifyPassword(password, user.passwordHash))) {
+    return null;
+  }
+
+  return user;
+}
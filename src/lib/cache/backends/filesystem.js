@@ -0,0 +1,98 @@
+import { promises as fs } from "fs";
+import path from "path";
+
+export function createFilesystemCacheBackend({ directory }) {
+  // Keys are hex digests, so they are safe to use as file names.
+  const entryPath = (key) => path.join(directory, `${key}.json`);
+
+  async function readEntry(key) {
+    try {
+      return JSON.parse(await fs.readFile(entryPath(key), "utf8"));
+    } catch (error) {
+      if (error?.code === "ENOENT" || error instanceof SyntaxError) {
+        return null;
+      }
+
+      throw error;
+    }
+  }
+
+  async function removeEntry(key) {
+    try {
+      await fs.unlink(entryPath(key));
+      return true;
+    } catch (error) {
+      if (error?.code === "ENOENT") {
+        return false;
+      }
+
+      throw error;
+    }
+  }
+
+  async function listKeys(prefix) {
+    try {
+      const files = await fs.readdir(directory);
+      return files
+        .filter((file) => file.startsWith(prefix) && file.endsWith(".json"))
+        .map((file) => file.slice(0, -".json".length));
+    } catch (error) {
+      if (error?.code === "ENOENT") {
+        return [];
+      }
+
+      throw error;
+    }
+  }
+
+  return {
+    name: "filesystem",
+
+    async get(key) {
+      const entry = await readEntry(key);
+      if (!entry) {
+        return null;
+      }
+
+      if (entry.expiresAt <= Date.now()) {
+        await removeEntry(key);
+        return null;
+      }
+
+      return entry.value;
+    },
+
+    async set(key, value, ttlSeconds) {
+      await fs.mkdir(directory, { recursive: true });
+      const target = entryPath(key);
+      const tempPath = `${target}.${process.pid}.tmp`;
+      await fs.writeFile(
+        tempPath,
+        JSON.stringify({ value, expiresAt: Date.now() + ttlSeconds * 1000 })
+      );
+      await fs.rename(tempPath, target);
+    },
+
+    delete: removeEntry,
+
+    async clear(prefix = "") {
+      const keys = await listKeys(prefix);
+      await Promise.all(keys.map(removeEntry));
+      return keys.length;
+    },
+
+    async stats(prefix = "") {
+      let entries = 0;
+      for (const key of await listKeys(prefix)) {
+        const entry = await readEntry(key);
+        if (!entry || entry.expiresAt <= Date.now()) {
+          await removeEntry(key);
+        } else {
+          entries += 1;
+        }
+      }
+
+      return { entries, directory };
+    },
+  };
+}
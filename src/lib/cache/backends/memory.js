@@ -0,0 +1,64 @@
+export function createMemoryCacheBackend({ maxEntries = 500 } = {}) {
+  // Map iteration follows insertion order, so re-inserting on read keeps the
+  // least recently used entry first in line for eviction.
+  const entries = new Map();
+
+  const isExpired = (entry) => entry.expiresAt <= Date.now();
+
+  return {
+    name: "memory",
+
+    async get(key) {
+      const entry = entries.get(key);
+      if (!entry) {
+        return null;
+      }
+
+      entries.delete(key);
+      if (isExpired(entry)) {
+        return null;
+      }
+
+      entries.set(key, entry);
+      return entry.value;
+    },
+
+    async set(key, value, ttlSeconds) {
+      entries.delete(key);
+      entries.set(key, { value, expiresAt: Date.now() + ttlSeconds * 1000 });
+
+      while (entries.size > maxEntries) {
+        entries.delete(entries.keys().next().value);
+      }
+    },
+
+    async delete(key) {
+      return entries.delete(key);
+    },
+
+    async clear(prefix = "") {
+      let count = 0;
+      for (const key of entries.keys()) {
+        if (key.startsWith(prefix)) {
+          entries.delete(key);
+          count += 1;
+        }
+      }
+
+      return count;
+    },
+
+    async stats(prefix = "") {
+      let count = 0;
+      for (const [key, entry] of entries) {
+        if (isExpired(entry)) {
+          entries.delete(key);
+        } else if (key.startsWith(prefix)) {
+          count += 1;
+        }
+      }
+
+      return { entries: count, maxEntries };
+    },
+  };
+}
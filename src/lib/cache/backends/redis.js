@@ -0,0 +1,56 @@
+import Redis from "ioredis";
+
+// Works with any server that speaks the Redis protocol (Redis, Valkey, KeyDB,
+// Dragonfly, ...).
+export function createRedisCacheBackend({ url, keyPrefix }) {
+  const client = new Redis(url, { lazyConnect: true, maxRetriesPerRequest: 2 });
+  const prefixed = (key) => `${keyPrefix}${key}`;
+
+  async function scanKeys(prefix) {
+    const keys = [];
+    let cursor = "0";
+    do {
+      const [nextCursor, batch] = await client.scan(
+        cursor,
+        "MATCH",
+        `${keyPrefix}${prefix}*`,
+        "COUNT",
+        200
+      );
+      keys.push(...batch);
+      cursor = nextCursor;
+    } while (cursor !== "0");
+
+    return keys;
+  }
+
+  return {
+    name: "redis",
+
+    async get(key) {
+      const raw = await client.get(prefixed(key));
+      return raw ? JSON.parse(raw) : null;
+    },
+
+    async set(key, value, ttlSeconds) {
+      await client.set(prefixed(key), JSON.stringify(value), "EX", ttlSeconds);
+    },
+
+    async delete(key) {
+      return (await client.del(prefixed(key))) > 0;
+    },
+
+    async clear(prefix = "") {
+      const keys = await scanKeys(prefix);
+      if (keys.length > 0) {
+        await client.del(...keys);
+      }
+
+      return keys.length;
+    },
+
+    async stats(prefix = "") {
+      return { entries: (await scanKeys(prefix)).length, keyPrefix };
+    },
+  };
+}
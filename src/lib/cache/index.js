@@ -0,0 +1,116 @@
+import { schematicConfig } from "@/config/schematic";
+import { DATA_DIR } from "@/lib/persistence/jsonStore";
+import { sanitizeEnv } from "@/lib/uploads/constants";
+import { createFilesystemCacheBackend } from "@/lib/cache/backends/filesystem";
+import { createMemoryCacheBackend } from "@/lib/cache/backends/memory";
+import { createRedisCacheBackend } from "@/lib/cache/backends/redis";
+import { createHash } from "crypto";
+import path from "path";
+
+// Bump when the shape of cached answers or the key inputs change.
+const CACHE_KEY_VERSION = 1;
+
+const cacheConfig = schematicConfig.cache ?? {};
+
+const BACKEND_FACTORIES = {
+  memory: () =>
+    createMemoryCacheBackend({ maxEntries: cacheConfig.maxEntries }),
+  filesystem: () =>
+    createFilesystemCacheBackend({
+      directory: path.join(DATA_DIR, "response-cache"),
+    }),
+  redis: () => {
+    const url = sanitizeEnv(process.env.REDIS_URL);
+    if (!url) {
+      throw new Error("REDIS_URL is not configured on the server.");
+    }
+
+    return createRedisCacheBackend({
+      url,
+      keyPrefix: cacheConfig.keyPrefix ?? "vision-cache:",
+    });
+  },
+};
+
+let backend;
+
+/**
+ * One backend holds every workspace's answers, so callers get a view whose
+ * keys carry a workspace prefix: `clear` and `stats` only reach their own
+ * entries, and a leaked cache key cannot invalidate another workspace's.
+ */
+function scopeToWorkspace(cache, workspaceId) {
+  const prefix = `${hashContent(String(workspaceId)).slice(0, 16)}-`;
+
+  return {
+    name: cache.name,
+    get: (key) => cache.get(prefix + key),
+    set: (key, value, ttlSeconds) => cache.set(prefix + key, value, ttlSeconds),
+    delete: (key) => cache.delete(prefix + key),
+    clear: () => cache.clear(prefix),
+    stats: () => cache.stats(prefix),
+  };
+}
+
+export function getResponseCache(workspaceId) {
+  if (backend === undefined) {
+    const name =
+      sanitizeEnv(process.env.RESPONSE_CACHE_BACKEND) ??
+      cacheConfig.backend ??
+      "memory";
+    const factory = BACKEND_FACTORIES[name];
+
+    if (cacheConfig.enabled === false || name === "none") {
+      backend = null;
+    } else if (!factory) {
+      throw new Error(
+        `Unknown response cache backend "${name}". Allowed: ${Object.keys(
+          BACKEND_FACTORIES
+        ).join(", ")}, none.`
+      );
+    } else {
+      backend = factory();
+    }
+  }
+
+  return backend && scopeToWorkspace(backend, workspaceId);
+}
+
+export const hashContent = (content) =>
+  createHash("sha256").update(content).digest("hex");
+
+export const normalizePromptForCache = (prompt) =>
+  prompt.trim().replace(/\s+/g, " ").toLowerCase();
+
+export function buildCacheKey(parts) {
+  return hashContent(JSON.stringify({ version: CACHE_KEY_VERSION, ...parts }));
+}
+
+/**
+ * Reads the per-request `cache` field: `false` skips the cache entirely,
+ * `{ refresh: true }` skips the lookup but stores the fresh answer, and
+ * `ttlSeconds` overrides the configured lifetime (capped at `maxTtlSeconds`).
+ */
+export function resolveCacheDirective(value) {
+  const defaultTtl = cacheConfig.ttlSeconds ?? 86_400;
+  const maxTtl = cacheConfig.maxTtlSeconds ?? defaultTtl;
+
+  if (value === false || value === "false") {
+    return { read: false, write: false, ttlSeconds: defaultTtl };
+  }
+
+  const options = value && typeof value === "object" ? value : {};
+  const requestedTtl = Number(options.ttlSeconds);
+  if (options.ttlSeconds !== undefined && !(requestedTtl > 0)) {
+    throw new Error("cache.ttlSeconds must be a positive number of seconds.");
+  }
+
+  return {
+    read: options.refresh !== true,
+    write: true,
+    ttlSeconds: Math.min(
+      Math.round(options.ttlSeconds !== undefined ? requestedTtl : defaultTtl),
+      maxTtl
+    ),
+  };
+}
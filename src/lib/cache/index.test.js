@@ -0,0 +1,32 @@
+import { describe, expect, it } from "vitest";
+import { buildCacheKey, getResponseCache } from "@/lib/cache";
+
+describe("getResponseCache", () => {
+  it("keeps each workspace's entries to itself", async () => {
+    const ours = getResponseCache("ws-a");
+    const theirs = getResponseCache("ws-b");
+    const key = buildCacheKey({ prompt: "count the doors" });
+
+    await ours.set(key, { output: "12" }, 60);
+    await theirs.set(key, { output: "7" }, 60);
+    await theirs.set(buildCacheKey({ prompt: "list rooms" }), {}, 60);
+
+    expect(await ours.get(key)).toEqual({ output: "12" });
+    expect((await ours.stats()).entries).toBe(1);
+    expect((await theirs.stats()).entries).toBe(2);
+
+    expect(await ours.clear()).toBe(1);
+    expect(await ours.get(key)).toBeNull();
+    expect(await theirs.get(key)).toEqual({ output: "7" });
+  });
+
+  it("only deletes keys in the caller's workspace", async () => {
+    const key = buildCacheKey({ prompt: "where is the boiler" });
+    await getResponseCache("ws-a").set(key, { output: "basement" }, 60);
+
+    expect(await getResponseCache("ws-b").delete(key)).toBe(false);
+    expect(await getResponseCache("ws-a").get(key)).toEqual({
+      output: "basement",
+    });
+  });
+});
@@ -0,0 +1,231 @@
+import { Worker } from "worker_threads";
+
+// Suites are user input and `matches` runs them against model output, so
+// bound both sides of the regex. Length limits don't stop catastrophic
+// backtracking, so the match itself runs in a worker that is killed after
+// MATCH_TIMEOUT_MS.
+const MAX_PATTERN_LENGTH = 200;
+const MAX_MATCH_INPUT_LENGTH = 20_000;
+const MATCH_TIMEOUT_MS = 1_000;
+
+const MATCH_WORKER_SOURCE = `
+const { parentPort, workerData } = require("worker_threads");
+const { source, flags, input } = workerData;
+parentPort.postMessage(new RegExp(source, flags).test(input));
+`;
+
+// Free-form answers mention other numbers too ("From Stair 6, there are 3
+// restrooms"), so only a number in a count phrase is taken as the count.
+const COUNT_PHRASES = [
+  /\b(?:there (?:are|is|were|was)|total(?: of| is|:)?|count(?: is|:)?|found|counted|identified)\s+(\d+)\b/i,
+  /\b(\d+)\s+(?:in total|total)\b/i,
+  /^\s*(\d+)\s*\.?\s*$/,
+];
+
+const COMPARATORS = {
+  "==": (actual, expected) => actual === expected,
+  "!=": (actual, expected) => actual !== expected,
+  ">=": (actual, expected) => actual >= expected,
+  "<=": (actual, expected) => actual <= expected,
+  ">": (actual, expected) => actual > expected,
+  "<": (actual, expected) => actual < expected,
+};
+
+const ASSERTION_PATTERNS = [
+  {
+    type: "count",
+    pattern: /^count\s*(==|!=|>=|<=|>|<)\s*(\d+)$/i,
+    build: ([, operator, value]) => ({
+      operator,
+      value: Number.parseInt(value, 10),
+    }),
+  },
+  {
+    type: "not-mentions",
+    pattern: /^(?:does not mention|not mentions?)\s+(.+)$/i,
+    build: ([, text]) => ({ text }),
+  },
+  {
+    type: "mentions",
+    pattern: /^mentions?\s+(.+)$/i,
+    build: ([, text]) => ({ text }),
+  },
+  {
+    type: "steps-include",
+    pattern: /^steps? includes?\s+(.+)$/i,
+    build: ([, text]) => ({ text }),
+  },
+  {
+    type: "matches",
+    pattern: /^matches\s+\/(.+)\/([a-z]*)$/i,
+    // Drop stateful flags so one regex can be reused across targets.
+    build: ([, source, flags]) => {
+      if (source.length > MAX_PATTERN_LENGTH) {
+        throw new Error(
+          `"matches" patterns are limited to ${MAX_PATTERN_LENGTH} characters.`
+        );
+      }
+
+      return { regex: new RegExp(source, flags.replace(/[gy]/g, "")) };
+    },
+  },
+];
+
+const normalizeText = (value) =>
+  String(value ?? "")
+    .toLowerCase()
+    .replace(/\s+/g, " ")
+    .trim();
+
+const stripQuotes = (text) => text.trim().replace(/^(["'])(.*)\1$/, "$2");
+
+/**
+ * Parses an assertion such as `count == 4`, `mentions Elevator 3`,
+ * `steps include Corridor B` or `matches /stair\s*6/i`. Throws on anything
+ * else so a bad suite fails before any model call is made.
+ */
+export function parseAssertion(source) {
+  if (typeof source !== "string" || source.trim().length === 0) {
+    throw new Error("Assertions must be non-empty strings.");
+  }
+
+  for (const { type, pattern, build } of ASSERTION_PATTERNS) {
+    const match = pattern.exec(source.trim());
+    if (!match) {
+      continue;
+    }
+
+    const parsed = { type, source: source.trim(), ...build(match) };
+    if (parsed.text !== undefined) {
+      parsed.text = stripQuotes(parsed.text);
+    }
+
+    return parsed;
+  }
+
+  throw new Error(
+    `Unrecognised assertion "${source}". Use "count <op> <n>", "mentions <text>", "does not mention <text>", "steps include <text>" or "matches /regex/".`
+  );
+}
+
+// Resolves true or false, or null when the pattern ran out of time.
+function testInWorker(regex, input) {
+  return new Promise((resolve, reject) => {
+    const worker = new Worker(MATCH_WORKER_SOURCE, {
+      eval: true,
+      workerData: { source: regex.source, flags: regex.flags, input },
+    });
+    const timer = setTimeout(() => {
+      worker.terminate();
+      resolve(null);
+    }, MATCH_TIMEOUT_MS);
+    worker.once("message", (matched) => {
+      clearTimeout(timer);
+      worker.terminate();
+      resolve(matched);
+    });
+    worker.once("error", (error) => {
+      clearTimeout(timer);
+      reject(error);
+    });
+  });
+}
+
+// Structured counts win; otherwise look for a count phrase in the text.
+function resolveCount(result) {
+  for (const field of ["total", "count"]) {
+    if (Number.isInteger(result.structured?.[field])) {
+      return result.structured[field];
+    }
+  }
+
+  if (Array.isArray(result.structured?.items)) {
+    return result.structured.items.length;
+  }
+
+  const output = result.output ?? "";
+  for (const phrase of COUNT_PHRASES) {
+    const match = phrase.exec(output);
+    if (match) {
+      return Number.parseInt(match[1], 10);
+    }
+  }
+
+  return null;
+}
+
+function resolveSteps(result) {
+  if (Array.isArray(result.structured?.steps)) {
+    return result.structured.steps.map((step) =>
+      [step.instruction, ...(step.landmarks ?? [])].join(" ")
+    );
+  }
+
+  return (result.output ?? "")
+    .split("\n")
+    .filter((line) => /^\s*(?:\d+[.)]|[-*•])\s+/.test(line));
+}
+
+export async function evaluateAssertion(assertion, result) {
+  const output = normalizeText(result.output);
+
+  switch (assertion.type) {
+    case "count": {
+      const actual = resolveCount(result);
+      return {
+        assertion: assertion.source,
+        passed:
+          actual !== null &&
+          COMPARATORS[assertion.operator](actual, assertion.value),
+        detail: actual === null ? "No count found in the answer." : `count was ${actual}`,
+      };
+    }
+    case "mentions":
+    case "not-mentions": {
+      const found = output.includes(normalizeText(assertion.text));
+      return {
+        assertion: assertion.source,
+        passed: assertion.type === "mentions" ? found : !found,
+        detail: found
+          ? `"${assertion.text}" appears in the answer.`
+          : `"${assertion.text}" does not appear in the answer.`,
+      };
+    }
+    case "steps-include": {
+      const steps = resolveSteps(result);
+      const index = steps.findIndex((step) =>
+        normalizeText(step).includes(normalizeText(assertion.text))
+      );
+      return {
+        assertion: assertion.source,
+        passed: index !== -1,
+        detail:
+          index !== -1
+            ? `Found in step ${index + 1} of ${steps.length}.`
+            : `Not found in any of ${steps.length} step(s).`,
+      };
+    }
+    case "matches": {
+      const matched = await testInWorker(
+        assertion.regex,
+        (result.output ?? "").slice(0, MAX_MATCH_INPUT_LENGTH)
+      );
+      return {
+        assertion: assertion.source,
+        passed: matched === true,
+        detail:
+          matched === null
+            ? `Pattern took longer than ${MATCH_TIMEOUT_MS} ms and was stopped.`
+            : matched
+            ? "Pattern matched."
+            : "Pattern did not match.",
+      };
+    }
+    default:
+      return {
+        assertion: assertion.source,
+        passed: false,
+        detail: `Unknown assertion type "${assertion.type}".`,
+      };
+  }
+}
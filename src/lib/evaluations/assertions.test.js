@@ -0,0 +1,101 @@
+import { describe, expect, it } from "vitest";
+import {
+  evaluateAssertion,
+  parseAssertion,
+} from "@/lib/evaluations/assertions";
+
+const check = (source, result) =>
+  evaluateAssertion(parseAssertion(source), result);
+
+describe("parseAssertion", () => {
+  it("parses each assertion form", () => {
+    expect(parseAssertion("count >= 3")).toMatchObject({
+      type: "count",
+      operator: ">=",
+      value: 3,
+    });
+    expect(parseAssertion('mentions "Stair 6"')).toMatchObject({
+      type: "mentions",
+      text: "Stair 6",
+    });
+    expect(parseAssertion("does not mention Elevator")).toMatchObject({
+      type: "not-mentions",
+      text: "Elevator",
+    });
+    expect(parseAssertion("steps include Corridor B").type).toBe(
+      "steps-include"
+    );
+    expect(parseAssertion("matches /stair\\s*6/gi").regex.flags).toBe("i");
+  });
+
+  it("rejects unknown assertions and oversized patterns", () => {
+    expect(() => parseAssertion("roughly 4")).toThrow(/Unrecognised/);
+    expect(() => parseAssertion(`matches /${"a".repeat(201)}/`)).toThrow(
+      /200 characters/
+    );
+  });
+});
+
+describe("evaluateAssertion", () => {
+  it("prefers structured counts", async () => {
+    const result = await check("count == 4", {
+      output: "There are 9 doors.",
+      structured: { total: 4 },
+    });
+    expect(result.passed).toBe(true);
+    expect(result.detail).toBe("count was 4");
+  });
+
+  it("reads the count from a count phrase, not the first number", async () => {
+    const result = await check("count == 3", {
+      output: "From Stair 6, there are 3 restrooms.",
+    });
+    expect(result).toMatchObject({ passed: true, detail: "count was 3" });
+  });
+
+  it("fails a count when the answer has none", async () => {
+    const result = await check("count > 0", { output: "Stair 6 is north." });
+    expect(result).toMatchObject({
+      passed: false,
+      detail: "No count found in the answer.",
+    });
+  });
+
+  it("matches mentions case- and whitespace-insensitively", async () => {
+    const output = "Take  STAIR 6 to the lobby.";
+    expect((await check("mentions stair 6", { output })).passed).toBe(true);
+    expect((await check("does not mention stair 6", { output })).passed).toBe(
+      false
+    );
+  });
+
+  it("finds text in numbered steps", async () => {
+    const result = await check("steps include corridor b", {
+      output: "Intro\n1. Leave Stair 6\n2. Follow Corridor B east",
+    });
+    expect(result).toMatchObject({
+      passed: true,
+      detail: "Found in step 2 of 2.",
+    });
+  });
+
+  it("tests regex patterns", async () => {
+    const output = "Use stair 6.";
+    expect((await check("matches /stair\\s*6/i", { output })).passed).toBe(
+      true
+    );
+    expect((await check("matches /elevator/", { output })).passed).toBe(
+      false
+    );
+  });
+
+  it("stops a catastrophically backtracking pattern", async () => {
+    const startedAt = Date.now();
+    const result = await check("matches /^(a|aa)+$/", {
+      output: `${"a".repeat(60)}b`,
+    });
+    expect(result.passed).toBe(false);
+    expect(result.detail).toMatch(/was stopped/);
+    expect(Date.now() - startedAt).toBeLessThan(5_000);
+  });
+});
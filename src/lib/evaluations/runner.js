@@ -0,0 +1,344 @@
+import { POST as analyze } from "@/app/api/analyze/route";
+import {
+  evaluateAssertion,
+  parseAssertion,
+} from "@/lib/evaluations/assertions";
+import { deleteThread } from "@/lib/threads/store";
+import { mergeUsage, resolveAnswerMode } from "@/lib/vision/answerModes";
+import { resolveVisionProvider } from "@/lib/vision/providers";
+import { randomUUID } from "crypto";
+import { promises as fs } from "fs";
+import path from "path";
+
+export const MAX_EVAL_CASES = 50;
+export const MAX_EVAL_TARGETS = 4;
+
+const SUITES_DIR = path.join(process.cwd(), "evals");
+const SUITE_NAME_PATTERN = /^[a-zA-Z0-9_-]+$/;
+
+const optionalText = (value) =>
+  typeof value === "string" && value.trim().length > 0
+    ? value.trim()
+    : undefined;
+
+export async function listSuites() {
+  let files;
+  try {
+    files = await fs.readdir(SUITES_DIR);
+  } catch (error) {
+    if (error?.code === "ENOENT") {
+      return [];
+    }
+
+    throw error;
+  }
+
+  const suites = [];
+  for (const file of files.filter((name) => name.endsWith(".json")).sort()) {
+    const name = file.slice(0, -".json".length);
+    const suite = await loadSuite(name);
+    suites.push({
+      name,
+      title: suite?.name ?? name,
+      caseCount: Array.isArray(suite?.cases) ? suite.cases.length : 0,
+    });
+  }
+
+  return suites;
+}
+
+export async function loadSuite(name) {
+  if (typeof name !== "string" || !SUITE_NAME_PATTERN.test(name)) {
+    return null;
+  }
+
+  try {
+    return JSON.parse(
+      await fs.readFile(path.join(SUITES_DIR, `${name}.json`), "utf8")
+    );
+  } catch (error) {
+    if (error?.code === "ENOENT") {
+      return null;
+    }
+
+    throw error;
+  }
+}
+
+function normalizeCase(input, index, defaults) {
+  if (!input || typeof input !== "object" || Array.isArray(input)) {
+    return { error: `Case #${index + 1} must be an object.` };
+  }
+
+  const id = optionalText(input.id) ?? `case-${index + 1}`;
+  const question = optionalText(input.question);
+  if (!question) {
+    return { error: `Case "${id}" needs a \`question\`.` };
+  }
+
+  const sources = Array.isArray(input.assertions) ? [...input.assertions] : [];
+  // `expected` is shorthand: a number asserts the count, a string a mention.
+  if (typeof input.expected === "number") {
+    sources.push(`count == ${input.expected}`);
+  } else if (optionalText(input.expected)) {
+    sources.push(`mentions ${input.expected.trim()}`);
+  }
+
+  if (sources.length === 0) {
+    return {
+      error: `Case "${id}" needs \`assertions\` or an \`expected\` answer.`,
+    };
+  }
+
+  try {
+    const answerMode = resolveAnswerMode(
+      input.answerMode ?? defaults.answerMode
+    ).name;
+    return {
+      value: {
+        id,
+        question,
+        answerMode,
+        assertions: sources.map(parseAssertion),
+      },
+    };
+  } catch (error) {
+    return { error: `Case "${id}": ${error.message}` };
+  }
+}
+
+export function normalizeSuite(input) {
+  if (!input || typeof input !== "object" || Array.isArray(input)) {
+    return { error: "Suite must be a JSON object." };
+  }
+
+  if (!Array.isArray(input.cases) || input.cases.length === 0) {
+    return { error: "Suite needs a non-empty `cases` array." };
+  }
+
+  if (input.cases.length > MAX_EVAL_CASES) {
+    return { error: `A suite holds at most ${MAX_EVAL_CASES} cases.` };
+  }
+
+  const cases = [];
+  const seenIds = new Set();
+  for (const [index, entry] of input.cases.entries()) {
+    const normalized = normalizeCase(entry, index, input);
+    if (normalized.error) {
+      return normalized;
+    }
+
+    if (seenIds.has(normalized.value.id)) {
+      return { error: `Case id "${normalized.value.id}" is used twice.` };
+    }
+    seenIds.add(normalized.value.id);
+    cases.push(normalized.value);
+  }
+
+  return {
+    value: {
+      name: optionalText(input.name) ?? "Untitled suite",
+      schematicSetId: optionalText(input.schematicSetId),
+      cases,
+    },
+  };
+}
+
+export function normalizeTargets(input) {
+  const entries =
+    input === undefined ? [{}] : Array.isArray(input) ? input : [input];
+
+  if (entries.length === 0 || entries.length > MAX_EVAL_TARGETS) {
+    return {
+      error: `Provide between 1 and ${MAX_EVAL_TARGETS} evaluation targets.`,
+    };
+  }
+
+  const targets = [];
+  for (const entry of entries) {
+    if (!entry || typeof entry !== "object" || Array.isArray(entry)) {
+      return { error: "Each target must be an object like { provider, model }." };
+    }
+
+    let provider;
+    try {
+      provider = resolveVisionProvider(entry.provider);
+    } catch (error) {
+      return { error: error.message };
+    }
+
+    if (provider.missingConfiguration) {
+      return { error: `${provider.label}: ${provider.missingConfiguration}` };
+    }
+
+    const model = optionalText(entry.model) ?? provider.defaultModel;
+    targets.push({
+      label: `${provider.name}:${model}`,
+      provider: provider.name,
+      model,
+    });
+  }
+
+  return { value: targets };
+}
+
+async function runCase(
+  testCase,
+  target,
+  { schematicSetId, workspaceId, headers, signal }
+) {
+  const startedAt = Date.now();
+  const result = {
+    caseId: testCase.id,
+    question: testCase.question,
+    answerMode: testCase.answerMode,
+  };
+
+  try {
+    const response = await analyze(
+      new Request("http://localhost/api/analyze", {
+        method: "POST",
+        headers: { ...headers, "Content-Type": "application/json" },
+        body: JSON.stringify({
+          prompt: testCase.question,
+          answerMode: testCase.answerMode,
+          provider: target.provider,
+          model: target.model,
+          schematicSetId,
+          // Scores must reflect a fresh model call, not a replayed answer.
+          cache: false,
+        }),
+        signal,
+      }),
+      { skipRateLimit: true }
+    );
+    const payload = await response.json();
+
+    if (payload.threadId) {
+      // Evaluation runs should not clutter the conversation history.
+      await deleteThread(payload.threadId, workspaceId);
+    }
+
+    if (!response.ok) {
+      throw new Error(payload.details ?? payload.error ?? "Analyze failed.");
+    }
+
+    const assertions = await Promise.all(
+      testCase.assertions.map((assertion) =>
+        evaluateAssertion(assertion, payload)
+      )
+    );
+
+    return {
+      ...result,
+      passed: assertions.every((assertion) => assertion.passed),
+      assertions,
+      output: payload.output,
+      structured: payload.structured,
+      validation: payload.validation,
+      usage: payload.usage,
+      costEstimate: payload.costEstimate,
+      durationMs: Date.now() - startedAt,
+    };
+  } catch (error) {
+    return {
+      ...result,
+      passed: false,
+      assertions: [],
+      error: error instanceof Error ? error.message : "Unknown error occurred.",
+      durationMs: Date.now() - startedAt,
+    };
+  }
+}
+
+function summarizeTarget(target, cases) {
+  const costs = cases
+    .map((entry) => entry.costEstimate?.totalUsd)
+    .filter((value) => typeof value === "number");
+
+  return {
+    ...target,
+    total: cases.length,
+    passed: cases.filter((entry) => entry.passed).length,
+    failed: cases.filter((entry) => !entry.passed && !entry.error).length,
+    errored: cases.filter((entry) => entry.error).length,
+    usage: mergeUsage(...cases.map((entry) => entry.usage)) ?? null,
+    totalCostUsd:
+      costs.length > 0 ? costs.reduce((total, value) => total + value, 0) : null,
+    cases,
+  };
+}
+
+function diffTargets(suite, targets) {
+  if (targets.length < 2) {
+    return [];
+  }
+
+  return suite.cases.map((testCase) => {
+    const results = targets.map((target) => {
+      const entry = target.cases.find((item) => item.caseId === testCase.id);
+      return {
+        label: target.label,
+        passed: entry.passed,
+        failedAssertions: entry.error
+          ? [entry.error]
+          : entry.assertions
+              .filter((assertion) => !assertion.passed)
+              .map((assertion) => `${assertion.assertion} (${assertion.detail})`),
+      };
+    });
+
+    return {
+      caseId: testCase.id,
+      question: testCase.question,
+      divergent: new Set(results.map((item) => item.passed)).size > 1,
+      results,
+    };
+  });
+}
+
+/**
+ * Runs every case against every target through the analyze route, one call
+ * at a time so provider rate limits and the local machine are not swamped.
+ */
+export async function runEvaluation({
+  suite,
+  targets,
+  schematicSetId = suite.schematicSetId,
+  workspaceId,
+  headers = {},
+  signal,
+}) {
+  const startedAt = new Date().toISOString();
+  const targetReports = [];
+
+  for (const target of targets) {
+    const cases = [];
+    for (const testCase of suite.cases) {
+      if (signal?.aborted) {
+        throw new Error("Evaluation cancelled.");
+      }
+
+      cases.push(
+        await runCase(testCase, target, {
+          schematicSetId,
+          workspaceId,
+          headers,
+          signal,
+        })
+      );
+    }
+    targetReports.push(summarizeTarget(target, cases));
+  }
+
+  return {
+    id: randomUUID(),
+    suite: suite.name,
+    createdAt: startedAt,
+    completedAt: new Date().toISOString(),
+    schematicSetId,
+    workspaceId,
+    targets: targetReports,
+    diffs: diffTargets(suite, targetReports),
+  };
+}
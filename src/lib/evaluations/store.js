@@ -0,0 +1,34 @@
+import { inWorkspace } from "@/lib/auth";
+import { createJsonStore } from "@/lib/persistence/jsonStore";
+
+const reports = createJsonStore("evaluations");
+
+export const summarizeReport = (report) => ({
+  id: report.id,
+  suite: report.suite,
+  createdAt: report.createdAt,
+  schematicSetId: report.schematicSetId,
+  targets: report.targets.map((target) => ({
+    label: target.label,
+    passed: target.passed,
+    total: target.total,
+    totalCostUsd: target.totalCostUsd,
+  })),
+});
+
+export async function listEvaluationReports(workspaceId) {
+  const records = await reports.list();
+  return records
+    .filter((report) => inWorkspace(report, workspaceId))
+    .sort((a, b) => b.createdAt.localeCompare(a.createdAt))
+    .map(summarizeReport);
+}
+
+export async function getEvaluationReport(reportId, workspaceId) {
+  const report = await reports.get(reportId);
+  return inWorkspace(report, workspaceId) ? report : null;
+}
+
+export function saveEvaluationReport(report) {
+  return reports.put(report);
+}
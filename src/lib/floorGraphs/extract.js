@@ -0,0 +1,144 @@
+import { POST as analyze } from "@/app/api/analyze/route";
+import { edgeKey } from "@/lib/floorGraphs/store";
+import { deleteThread } from "@/lib/threads/store";
+
+const EXTRACTION_PROMPT =
+  "Extract the navigable floor graph of these schematics: every space, door, corridor, stair, elevator and entrance, and the walkable connections between them.";
+
+// Models often echo the whole label ("Library upload-2"), so fall back to the
+// longest image id contained in the reference.
+function findImage(images, imageId) {
+  return (
+    images.find((image) => image.id === imageId) ??
+    images
+      .filter((image) => imageId.includes(image.id))
+      .sort((a, b) => b.id.length - a.id.length)[0] ??
+    null
+  );
+}
+
+/**
+ * Keeps what is usable from the model's graph: the first node for each id
+ * and edges joining two distinct known nodes. Image references are pinned to
+ * the library image so the graph survives the set being reordered, and each
+ * node takes its image's building and floor.
+ */
+function cleanExtractedGraph(structured, uploadSummaries) {
+  const nodes = new Map();
+  let dropped = 0;
+
+  for (const node of structured.nodes) {
+    if (nodes.has(node.id)) {
+      dropped += 1;
+      continue;
+    }
+
+    const image = findImage(uploadSummaries, node.imageId);
+    nodes.set(node.id, {
+      ...node,
+      imageId: image?.id ?? node.imageId,
+      libraryImageId: image?.libraryImageId,
+      building: image?.building,
+      floor: image?.floor,
+      coreId: node.coreId ?? undefined,
+    });
+  }
+
+  const edges = new Map();
+  for (const edge of structured.edges) {
+    if (
+      edge.from === edge.to ||
+      !nodes.has(edge.from) ||
+      !nodes.has(edge.to) ||
+      edges.has(edgeKey(edge))
+    ) {
+      dropped += 1;
+      continue;
+    }
+
+    edges.set(edgeKey(edge), edge);
+  }
+
+  return { nodes: [...nodes.values()], edges: [...edges.values()], dropped };
+}
+
+/**
+ * Asks the model for a schematic set's floor graph through the analyze route,
+ * once, with the `floor-graph` answer mode. Returns `{ value: { nodes, edges,
+ * dropped, source } }` or `{ status, error }`.
+ */
+export async function extractFloorGraph({
+  schematicSetId,
+  workspaceId,
+  provider,
+  model,
+  cache,
+  headers = {},
+  signal,
+}) {
+  const response = await analyze(
+    new Request("http://localhost/api/analyze", {
+      method: "POST",
+      headers: { ...headers, "Content-Type": "application/json" },
+      body: JSON.stringify({
+        prompt: EXTRACTION_PROMPT,
+        answerMode: "floor-graph",
+        provider,
+        model,
+        schematicSetId,
+        cache,
+      }),
+      signal,
+    })
+  );
+  const payload = await response.json();
+
+  if (payload.threadId) {
+    // The graph is the result; the extraction turn is not a conversation.
+    await deleteThread(payload.threadId, workspaceId);
+  }
+
+  if (!response.ok) {
+    return {
+      status: response.status,
+      error:
+        payload.details ?? payload.error ?? "Floor graph extraction failed.",
+    };
+  }
+
+  if (!payload.structured) {
+    return {
+      status: 502,
+      error: `The model did not return a valid floor graph: ${
+        payload.validation?.errors?.join("; ") ?? "no structured output"
+      }.`,
+    };
+  }
+
+  const { nodes, edges, dropped } = cleanExtractedGraph(
+    payload.structured,
+    payload.uploadSummaries ?? []
+  );
+  if (nodes.length === 0) {
+    return {
+      status: 502,
+      error: "The model did not find any floor graph nodes.",
+    };
+  }
+
+  return {
+    value: {
+      nodes,
+      edges,
+      dropped,
+      source: {
+        provider: payload.provider,
+        model: payload.model,
+        notes: payload.structured.notes ?? undefined,
+        historyId: payload.historyId,
+        costEstimate: payload.costEstimate,
+        extractedAt: new Date().toISOString(),
+      },
+    },
+  };
+}
@@ -0,0 +1,319 @@
+import { FLOOR_GRAPH_NODE_TYPES } from "@/config/answerModes";
+import { schematicConfig } from "@/config/schematic";
+import {
+  compareFloors,
+  describeFloor,
+  describeLocation,
+  floorRank,
+  normalizeLocation,
+  sameFloor,
+} from "@/lib/vision/building";
+
+// Coordinates are per image, so a connection between two images (a stair
+// drawn on two sheets) has no measurable length; count it as one sheet width.
+const CROSS_IMAGE_LENGTH = 1;
+
+const normalizeLabel = (value) =>
+  value.toLowerCase().replace(/[^a-z0-9]+/g, " ").trim();
+
+const VERTICAL_TYPES = ["stair", "elevator"];
+
+/**
+ * Finds the node a route endpoint refers to: an exact id, then an exact
+ * label, then a unique partial label match. `reference` is a string or
+ * `{ label, floor, building }` to pick between same-named nodes on different
+ * floors. Returns `{ value }` or `{ status, error }` listing candidates when
+ * the reference is ambiguous.
+ */
+export function resolveGraphNode(graph, reference, name) {
+  const { label, ...location } =
+    reference && typeof reference === "object"
+      ? reference
+      : { label: reference };
+  if (typeof label !== "string" || !label.trim()) {
+    return { status: 400, error: `${name} must be a node id or label.` };
+  }
+
+  const { building, floor } = normalizeLocation(location);
+  const candidates = graph.nodes.filter(
+    (node) =>
+      (!floor || sameFloor(node.floor, floor)) &&
+      (!building || node.building === building)
+  );
+  const byId = candidates.find((node) => node.id === label.trim());
+  if (byId) {
+    return { value: byId };
+  }
+
+  const query = normalizeLabel(label);
+  const exact = candidates.filter(
+    (node) => normalizeLabel(node.label) === query
+  );
+  const matches =
+    exact.length > 0
+      ? exact
+      : candidates.filter((node) =>
+          normalizeLabel(node.label).includes(query)
+        );
+  if (matches.length === 1) {
+    return { value: matches[0] };
+  }
+
+  const where = describeLocation({ building, floor });
+  const described = where ? `"${label}" on ${where}` : `"${label}"`;
+
+  if (matches.length === 0) {
+    return {
+      status: 404,
+      error: `No node in this floor graph matches ${name} ${described}.`,
+    };
+  }
+
+  return {
+    status: 409,
+    error: `${name} ${described} matches ${
+      matches.length
+    } nodes: ${matches
+      .slice(0, 10)
+      .map(
+        (node) =>
+          `${node.label} (${[node.id, node.floor && describeFloor(node.floor)]
+            .filter(Boolean)
+            .join(", ")})`
+      )
+      .join(", ")}. Use a node id or give a floor.`,
+  };
+}
+
+export function normalizeAvoidTypes(value) {
+  if (value === undefined || value === null) {
+    return { value: [] };
+  }
+
+  const types = Array.isArray(value) ? value : [value];
+  const unknown = types.filter(
+    (type) => !FLOOR_GRAPH_NODE_TYPES.includes(type)
+  );
+  if (unknown.length > 0) {
+    return {
+      error: `avoid must list node types from: ${FLOOR_GRAPH_NODE_TYPES.join(
+        ", "
+      )}.`,
+    };
+  }
+
+  return { value: types };
+}
+
+const edgeLength = (edge, from, to) =>
+  edge.length ??
+  (from.imageId === to.imageId
+    ? Math.hypot(from.x - to.x, from.y - to.y)
+    : CROSS_IMAGE_LENGTH);
+
+// The same stair or elevator on each floor it serves.
+const coreKey = (node) =>
+  VERTICAL_TYPES.includes(node.type) && node.floor
+    ? [
+        node.type,
+        node.building ?? "",
+        normalizeLabel(node.coreId ?? node.label),
+      ].join("\u0000")
+    : null;
+
+/**
+ * Links each stair and elevator to the same core on the next floor up, so
+ * routes can change floors without hand-drawn edges. Floors the label does
+ * not rank (e.g. "Roof") sort after numbered ones.
+ */
+function verticalEdges(nodes) {
+  const cores = new Map();
+  for (const node of nodes) {
+    const key = coreKey(node);
+    if (key) {
+      cores.set(key, [...(cores.get(key) ?? []), node]);
+    }
+  }
+
+  const lengths = schematicConfig.floorGraphs?.floorChangeLength ?? {};
+  const edges = [];
+  for (const stops of cores.values()) {
+    stops.sort((a, b) => compareFloors(a.floor, b.floor));
+    for (let index = 1; index < stops.length; index += 1) {
+      const [lower, upper] = [stops[index - 1], stops[index]];
+      if (sameFloor(lower.floor, upper.floor)) {
+        continue;
+      }
+
+      const ranks = [floorRank(lower.floor), floorRank(upper.floor)];
+      const floors = ranks.includes(null)
+        ? 1
+        : Math.max(Math.abs(ranks[1] - ranks[0]), 1);
+      edges.push({
+        from: lower.id,
+        to: upper.id,
+        length: (lengths[lower.type] ?? 1) * floors,
+      });
+    }
+  }
+
+  return edges;
+}
+
+function buildAdjacency(graph, avoid, endpoints) {
+  const nodes = new Map(graph.nodes.map((node) => [node.id, node]));
+  // The start and destination stay usable even when their type is avoided.
+  const usable = (node) =>
+    node && (endpoints.has(node.id) || !avoid.includes(node.type));
+  const adjacency = new Map();
+
+  for (const edge of [...graph.edges, ...verticalEdges(graph.nodes)]) {
+    const from = nodes.get(edge.from);
+    const to = nodes.get(edge.to);
+    if (!usable(from) || !usable(to)) {
+      continue;
+    }
+
+    const length = edgeLength(edge, from, to);
+    for (const [a, b] of [
+      [from.id, to.id],
+      [to.id, from.id],
+    ]) {
+      if (!adjacency.has(a)) {
+        adjacency.set(a, []);
+      }
+      adjacency.get(a).push({ id: b, length });
+    }
+  }
+
+  return { nodes, adjacency };
+}
+
+/**
+ * Dijkstra's shortest path over the graph's undirected edges. Ties are
+ * broken by node id so the same graph always yields the same route. Returns
+ * `{ nodes, length }` or null when the destination is unreachable.
+ */
+export function findShortestPath(graph, startId, endId, { avoid = [] } = {}) {
+  const { nodes, adjacency } = buildAdjacency(
+    graph,
+    avoid,
+    new Set([startId, endId])
+  );
+  const distances = new Map([[startId, 0]]);
+  const previous = new Map();
+  const visited = new Set();
+
+  // Graphs hold a few thousand nodes at most, so a linear scan is enough.
+  while (true) {
+    let current = null;
+    for (const [id, distance] of distances) {
+      if (
+        !visited.has(id) &&
+        (current === null ||
+          distance < distances.get(current) ||
+          (distance === distances.get(current) && id < current))
+      ) {
+        current = id;
+      }
+    }
+
+    if (current === null) {
+      return null;
+    }
+
+    if (current === endId) {
+      break;
+    }
+
+    visited.add(current);
+    for (const neighbour of adjacency.get(current) ?? []) {
+      const distance = distances.get(current) + neighbour.length;
+      if (distance < (distances.get(neighbour.id) ?? Infinity)) {
+        distances.set(neighbour.id, distance);
+        previous.set(neighbour.id, current);
+      }
+    }
+  }
+
+  const path = [endId];
+  while (path[0] !== startId) {
+    path.unshift(previous.get(path[0]));
+  }
+
+  return {
+    nodes: path.map((id) => nodes.get(id)),
+    length: distances.get(endId),
+  };
+}
+
+const STEP_VERBS = {
+  door: "Go through",
+  corridor: "Follow",
+  stair: "Take",
+  elevator: "Take",
+  entrance: "Pass",
+};
+
+const onFloor = (node) =>
+  node.floor ? ` on ${describeFloor(node.floor)}` : "";
+
+/**
+ * Turns a path into wayfinding steps. Corridor segments in a row collapse
+ * into one step, since each is a junction rather than a decision point, and
+ * so does riding one stair or elevator across several floors, including a
+ * ride from the start. Each node belongs to one step: a ride that ends at
+ * the destination leaves it to the arrival step.
+ */
+export function describePath(path) {
+  const steps = [];
+  const last = path.nodes.length - 1;
+
+  for (const [index, node] of path.nodes.entries()) {
+    const previous = steps.at(-1);
+    const previousNode = path.nodes[index - 1];
+    const changesFloor =
+      index > 0 &&
+      coreKey(node) !== null &&
+      coreKey(node) === coreKey(previousNode) &&
+      !sameFloor(node.floor, previousNode.floor);
+
+    if (changesFloor && previous.nodeIds.at(-1) === previousNode.id) {
+      previous.instruction = `Take ${previous.label} from ${describeFloor(
+        previous.floor
+      )} to ${describeFloor(node.floor)}`;
+      if (index < last) {
+        previous.nodeIds.push(node.id);
+        continue;
+      }
+    } else if (
+      steps.length > 1 &&
+      index < last &&
+      node.type === "corridor" &&
+      previous.type === "corridor"
+    ) {
+      previous.nodeIds.push(node.id);
+      continue;
+    }
+
+    const instruction =
+      index === 0
+        ? `Start at ${node.label}${onFloor(node)}`
+        : index === last
+        ? `Arrive at ${node.label}${onFloor(node)}`
+        : changesFloor
+        ? `Take ${node.label} to ${describeFloor(node.floor)}`
+        : `${STEP_VERBS[node.type] ?? "Pass"} ${node.label}`;
+    steps.push({
+      order: steps.length + 1,
+      instruction,
+      type: node.type,
+      label: node.label,
+      nodeIds: [node.id],
+      imageId: node.imageId,
+      floor: node.floor,
+    });
+  }
+
+  return steps;
+}
@@ -0,0 +1,88 @@
+import { describe, expect, it } from "vitest";
+import { describePath, findShortestPath } from "@/lib/floorGraphs/routing";
+
+const stair = (floor) => ({
+  id: `s${floor}`,
+  type: "stair",
+  label: "Stair 6",
+  coreId: "Stair 6",
+  floor: String(floor),
+  imageId: `sheet-${floor}`,
+  x: 100,
+  y: 100,
+});
+
+// Stair 6 serves floors 1 to 4; the lobby is on 1 and room 412 on 4.
+const graph = {
+  nodes: [
+    { id: "lobby", type: "entrance", label: "Lobby", floor: "1", x: 0, y: 0 },
+    { id: "c1", type: "corridor", label: "Corridor 1A", floor: "1", x: 50 },
+    ...[1, 2, 3, 4].map(stair),
+    { id: "c4a", type: "corridor", label: "Corridor 4A", floor: "4", x: 150 },
+    { id: "c4b", type: "corridor", label: "Corridor 4B", floor: "4", x: 200 },
+    { id: "d412", type: "door", label: "Door 412", floor: "4", x: 250 },
+    { id: "r412", type: "room", label: "Room 412", floor: "4", x: 300 },
+  ].map((node) => ({ y: 0, imageId: `sheet-${node.floor}`, ...node })),
+  edges: [
+    { from: "lobby", to: "c1" },
+    { from: "c1", to: "s1" },
+    { from: "s4", to: "c4a" },
+    { from: "c4a", to: "c4b" },
+    { from: "c4b", to: "d412" },
+    { from: "d412", to: "r412" },
+  ],
+};
+
+const stepsBetween = (from, to) =>
+  describePath(findShortestPath(graph, from, to)).map(
+    ({ instruction, nodeIds }) => ({ instruction, nodeIds })
+  );
+
+describe("describePath", () => {
+  it("folds a ride from the start into the first step", () => {
+    expect(stepsBetween("s1", "s4")).toEqual([
+      {
+        instruction: "Take Stair 6 from floor 1 to floor 4",
+        nodeIds: ["s1", "s2", "s3"],
+      },
+      { instruction: "Arrive at Stair 6 on floor 4", nodeIds: ["s4"] },
+    ]);
+  });
+
+  it("reports the floor a downward ride starts on", () => {
+    const steps = stepsBetween("s3", "lobby");
+
+    expect(steps.map((step) => step.instruction)).toEqual([
+      "Take Stair 6 from floor 3 to floor 1",
+      "Follow Corridor 1A",
+      "Arrive at Lobby on floor 1",
+    ]);
+  });
+
+  it("collapses a ride and a run of corridors along the way", () => {
+    expect(stepsBetween("lobby", "r412")).toEqual([
+      { instruction: "Start at Lobby on floor 1", nodeIds: ["lobby"] },
+      { instruction: "Follow Corridor 1A", nodeIds: ["c1"] },
+      {
+        instruction: "Take Stair 6 from floor 1 to floor 4",
+        nodeIds: ["s1", "s2", "s3", "s4"],
+      },
+      { instruction: "Follow Corridor 4A", nodeIds: ["c4a", "c4b"] },
+      { instruction: "Go through Door 412", nodeIds: ["d412"] },
+      { instruction: "Arrive at Room 412 on floor 4", nodeIds: ["r412"] },
+    ]);
+  });
+
+  it("lists each node once when the ride ends at the destination", () => {
+    const steps = stepsBetween("lobby", "s4");
+
+    expect(steps.at(-2)).toEqual({
+      instruction: "Take Stair 6 from floor 1 to floor 4",
+      nodeIds: ["s1", "s2", "s3"],
+    });
+    expect(steps.at(-1)).toEqual({
+      instruction: "Arrive at Stair 6 on floor 4",
+      nodeIds: ["s4"],
+    });
+  });
+});
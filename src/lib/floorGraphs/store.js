@@ -0,0 +1,247 @@
+import { FLOOR_GRAPH_NODE_TYPES } from "@/config/answerModes";
+import { inWorkspace } from "@/lib/auth";
+import { createJsonStore } from "@/lib/persistence/jsonStore";
+import { normalizeLocation } from "@/lib/vision/building";
+import { randomUUID } from "crypto";
+
+export const MAX_GRAPH_NODES = 2000;
+export const MAX_GRAPH_EDGES = 8000;
+
+const floorGraphs = createJsonStore("floor-graphs");
+
+const optionalText = (value) =>
+  typeof value === "string" && value.trim().length > 0
+    ? value.trim()
+    : undefined;
+
+const isCoordinate = (value) =>
+  typeof value === "number" &&
+  Number.isFinite(value) &&
+  value >= 0 &&
+  value <= 1;
+
+// Edges are undirected, so A-B and B-A are the same connection.
+export const edgeKey = (edge) => [edge.from, edge.to].sort().join("\u0000");
+
+function normalizeNode(input, index) {
+  const name = `Node #${index + 1}`;
+  if (!input || typeof input !== "object" || Array.isArray(input)) {
+    return { error: `${name} must be an object.` };
+  }
+
+  const id = optionalText(input.id);
+  if (!id) {
+    return { error: `${name} needs an \`id\`.` };
+  }
+
+  if (!FLOOR_GRAPH_NODE_TYPES.includes(input.type)) {
+    return {
+      error: `Node "${id}" type must be one of: ${FLOOR_GRAPH_NODE_TYPES.join(
+        ", "
+      )}.`,
+    };
+  }
+
+  if (!isCoordinate(input.x) || !isCoordinate(input.y)) {
+    return { error: `Node "${id}" needs x and y between 0 and 1.` };
+  }
+
+  return {
+    value: {
+      id,
+      type: input.type,
+      label: optionalText(input.label) ?? id,
+      imageId: optionalText(input.imageId),
+      libraryImageId: optionalText(input.libraryImageId),
+      ...normalizeLocation(input),
+      // Stairs and elevators sharing a core are linked across floors.
+      coreId: optionalText(input.coreId),
+      x: input.x,
+      y: input.y,
+    },
+  };
+}
+
+function normalizeEdge(input, index, nodeIds) {
+  const name = `Edge #${index + 1}`;
+  if (!input || typeof input !== "object" || Array.isArray(input)) {
+    return { error: `${name} must be an object.` };
+  }
+
+  const from = optionalText(input.from);
+  const to = optionalText(input.to);
+  if (!from || !to) {
+    return { error: `${name} needs \`from\` and \`to\` node ids.` };
+  }
+
+  for (const id of [from, to]) {
+    if (!nodeIds.has(id)) {
+      return { error: `${name} refers to unknown node "${id}".` };
+    }
+  }
+
+  if (from === to) {
+    return { error: `${name} connects node "${from}" to itself.` };
+  }
+
+  if (
+    input.length !== undefined &&
+    input.length !== null &&
+    !(typeof input.length === "number" && input.length > 0)
+  ) {
+    return { error: `${name} length must be a positive number.` };
+  }
+
+  return {
+    value: {
+      from,
+      to,
+      // Overrides the straight-line distance, e.g. for a long way round.
+      length: input.length ?? undefined,
+    },
+  };
+}
+
+/**
+ * Validates a hand-edited graph. `nodes` and `edges` replace the stored
+ * lists when present; edges must join two distinct known nodes.
+ */
+export function normalizeGraphInput(input, existing) {
+  if (!input || typeof input !== "object" || Array.isArray(input)) {
+    return { error: "Floor graph payload must be a JSON object." };
+  }
+
+  const value = {};
+  if (input.name === null) {
+    value.name = undefined;
+  } else if (optionalText(input.name)) {
+    value.name = input.name.trim();
+  }
+
+  let nodes = existing?.nodes ?? [];
+  if (input.nodes !== undefined) {
+    if (!Array.isArray(input.nodes)) {
+      return { error: "nodes must be an array." };
+    }
+
+    if (input.nodes.length > MAX_GRAPH_NODES) {
+      return { error: `A floor graph holds at most ${MAX_GRAPH_NODES} nodes.` };
+    }
+
+    nodes = [];
+    const seen = new Set();
+    for (const [index, node] of input.nodes.entries()) {
+      const normalized = normalizeNode(node, index);
+      if (normalized.error) {
+        return normalized;
+      }
+
+      if (seen.has(normalized.value.id)) {
+        return { error: `Node id "${normalized.value.id}" is used twice.` };
+      }
+      seen.add(normalized.value.id);
+      nodes.push(normalized.value);
+    }
+    value.nodes = nodes;
+  }
+
+  const nodeIds = new Set(nodes.map((node) => node.id));
+  const edgeInput =
+    input.edges ??
+    // Removing nodes also removes the edges that touched them.
+    (value.nodes
+      ? existing?.edges.filter(
+          (edge) => nodeIds.has(edge.from) && nodeIds.has(edge.to)
+        )
+      : undefined);
+
+  if (edgeInput !== undefined) {
+    if (!Array.isArray(edgeInput)) {
+      return { error: "edges must be an array." };
+    }
+
+    if (edgeInput.length > MAX_GRAPH_EDGES) {
+      return { error: `A floor graph holds at most ${MAX_GRAPH_EDGES} edges.` };
+    }
+
+    const edges = new Map();
+    for (const [index, edge] of edgeInput.entries()) {
+      const normalized = normalizeEdge(edge, index, nodeIds);
+      if (normalized.error) {
+        return normalized;
+      }
+      edges.set(edgeKey(normalized.value), normalized.value);
+    }
+    value.edges = [...edges.values()];
+  }
+
+  if (!existing && !value.nodes) {
+    return { error: "nodes is required." };
+  }
+
+  return { value };
+}
+
+export const summarizeFloorGraph = (graph) => ({
+  id: graph.id,
+  name: graph.name,
+  schematicSetId: graph.schematicSetId,
+  nodeCount: graph.nodes.length,
+  edgeCount: graph.edges.length,
+  source: graph.source,
+  createdAt: graph.createdAt,
+  updatedAt: graph.updatedAt,
+});
+
+export async function listFloorGraphs(workspaceId) {
+  const records = await floorGraphs.list();
+  return records
+    .filter((graph) => inWorkspace(graph, workspaceId))
+    .sort((a, b) => b.updatedAt.localeCompare(a.updatedAt))
+    .map(summarizeFloorGraph);
+}
+
+export async function getFloorGraph(graphId, workspaceId) {
+  const graph = await floorGraphs.get(graphId);
+  return inWorkspace(graph, workspaceId) ? graph : null;
+}
+
+export async function findFloorGraphForSet(schematicSetId, workspaceId) {
+  const records = await floorGraphs.list();
+  return (
+    records.find(
+      (graph) =>
+        graph.schematicSetId === schematicSetId &&
+        inWorkspace(graph, workspaceId)
+    ) ?? null
+  );
+}
+
+export function createFloorGraph(input, workspaceId) {
+  const now = new Date().toISOString();
+  return floorGraphs.put({
+    edges: [],
+    ...input,
+    id: randomUUID(),
+    workspaceId,
+    createdAt: now,
+    updatedAt: now,
+  });
+}
+
+// Callers check workspace access with getFloorGraph before updating.
+export function updateFloorGraph(graphId, updater) {
+  return floorGraphs.update(graphId, async (current) => ({
+    ...(await updater(current)),
+    id: current.id,
+    workspaceId: current.workspaceId,
+    createdAt: current.createdAt,
+    updatedAt: new Date().toISOString(),
+  }));
+}
+
+export async function deleteFloorGraph(graphId, workspaceId) {
+  return (await getFloorGraph(graphId, workspaceId))
+    ? floorGraphs.remove(graphId)
+    : false;
+}
@@ -0,0 +1,85 @@
+const formatUsd = (amount) =>
+  typeof amount === "number" ? `$${amount.toFixed(4)}` : "n/a";
+
+const fence = (text) => {
+  // Pick a fence longer than any backtick run inside the answer.
+  const longestRun = Math.max(
+    0,
+    ...(String(text).match(/`+/g) ?? []).map((run) => run.length)
+  );
+  const marker = "`".repeat(Math.max(3, longestRun + 1));
+  return `${marker}\n${text}\n${marker}`;
+};
+
+function renderEntry(entry) {
+  const lines = [
+    `## ${entry.createdAt} · ${entry.status}`,
+    "",
+    `**Question:** ${entry.prompt}`,
+    "",
+    `- Provider / model: ${entry.provider ?? "default"} / ${
+      entry.model ?? "default"
+    }`,
+    `- Answer mode: ${entry.answerMode ?? "freeform"}`,
+    `- Latency: ${
+      typeof entry.latencyMs === "number" ? `${entry.latencyMs} ms` : "n/a"
+    }`,
+    `- Tokens: ${entry.usage?.total_tokens ?? "n/a"} · cost ${formatUsd(
+      entry.costEstimate?.totalUsd
+    )}${entry.cached ? " (cached)" : ""}`,
+  ];
+
+  if (entry.threadId) {
+    lines.push(`- Thread: ${entry.threadId}`);
+  }
+  if (entry.schematicSetId) {
+    lines.push(`- Schematic set: ${entry.schematicSetId}`);
+  }
+
+  if (entry.uploadSummaries?.length) {
+    lines.push("", "**Images:**");
+    for (const summary of entry.uploadSummaries) {
+      lines.push(
+        `- ${summary.id}: ${summary.name}${
+          summary.strategy ? ` (${summary.strategy})` : ""
+        }${summary.url && !summary.url.startsWith("data:") ? ` — ${summary.url}` : ""}`
+      );
+    }
+  }
+
+  if (entry.error) {
+    lines.push(
+      "",
+      `**Error:** ${entry.error.message}${
+        entry.error.details ? ` — ${entry.error.details}` : ""
+      }`
+    );
+  }
+
+  if (entry.output) {
+    lines.push("", "**Answer:**", "", fence(entry.output));
+  }
+
+  if (entry.validation && !entry.validation.valid) {
+    lines.push(
+      "",
+      `_Schema validation failed: ${entry.validation.errors.join("; ")}_`
+    );
+  }
+
+  return lines.join("\n");
+}
+
+export function historyToMarkdown(entries, { title = "Query history" } = {}) {
+  // Transcripts read top to bottom, oldest first.
+  const ordered = [...entries].sort((a, b) =>
+    a.createdAt.localeCompare(b.createdAt)
+  );
+
+  return `${[
+    `# ${title}`,
+    "",
+    `Exported ${new Date().toISOString()} · ${ordered.length} request(s)`,
+    ...ordered.flatMap((entry) => ["", renderEntry(entry)]),
+  ].join("\n")}\n`;
+}
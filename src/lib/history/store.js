@@ -0,0 +1,73 @@
+import { schematicConfig } from "@/config/schematic";
+import { LOCAL_WORKSPACE_ID, inWorkspace } from "@/lib/auth";
+import { createJsonStore } from "@/lib/persistence/jsonStore";
+import { randomUUID } from "crypto";
+
+const history = createJsonStore("history");
+
+export const HISTORY_STATUSES = ["succeeded", "failed", "cancelled"];
+
+export const summarizeHistoryEntry = (entry) => ({
+  id: entry.id,
+  createdAt: entry.createdAt,
+  status: entry.status,
+  prompt: entry.prompt,
+  provider: entry.provider,
+  model: entry.model,
+  answerMode: entry.answerMode,
+  threadId: entry.threadId,
+  latencyMs: entry.latencyMs,
+  costUsd: entry.costEstimate?.totalUsd ?? null,
+  cached: Boolean(entry.cached),
+  error: entry.error?.message,
+});
+
+async function listSorted() {
+  const records = await history.list();
+  return records.sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+}
+
+export async function listHistoryEntries(
+  workspaceId,
+  { status, threadId, limit } = {}
+) {
+  const records = await listSorted();
+  const filtered = records.filter(
+    (entry) =>
+      inWorkspace(entry, workspaceId) &&
+      (!status || entry.status === status) &&
+      (!threadId || entry.threadId === threadId)
+  );
+
+  return typeof limit === "number" ? filtered.slice(0, limit) : filtered;
+}
+
+export async function getHistoryEntry(entryId, workspaceId) {
+  const entry = await history.get(entryId);
+  return inWorkspace(entry, workspaceId) ? entry : null;
+}
+
+export async function recordHistoryEntry(entry) {
+  const record = await history.put({
+    ...entry,
+    id: randomUUID(),
+    createdAt: new Date().toISOString(),
+  });
+
+  // The limit applies per workspace, so a busy one cannot prune the others.
+  const maxEntries = schematicConfig.history?.maxEntries ?? 1000;
+  const records = await listHistoryEntries(
+    record.workspaceId ?? LOCAL_WORKSPACE_ID
+  );
+  for (const stale of records.slice(maxEntries)) {
+    await history.remove(stale.id);
+  }
+
+  return record;
+}
+
+export async function deleteHistoryEntry(entryId, workspaceId) {
+  return (await getHistoryEntry(entryId, workspaceId))
+    ? history.remove(entryId)
+    : false;
+}
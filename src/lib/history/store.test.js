@@ -0,0 +1,39 @@
+import { afterEach, describe, expect, it, vi } from "vitest";
+import { schematicConfig } from "@/config/schematic";
+import {
+  listHistoryEntries,
+  recordHistoryEntry,
+} from "@/lib/history/store";
+
+const configuredMax = schematicConfig.history.maxEntries;
+
+afterEach(() => {
+  schematicConfig.history.maxEntries = configuredMax;
+  vi.useRealTimers();
+});
+
+// Entries sort by createdAt, so give each one its own second.
+let clock = Date.parse("2026-01-01T00:00:00Z");
+const record = (workspaceId, prompt) => {
+  vi.setSystemTime((clock += 1000));
+  return recordHistoryEntry({ workspaceId, prompt });
+};
+
+describe("recordHistoryEntry", () => {
+  it("prunes each workspace to its own maxEntries", async () => {
+    vi.useFakeTimers({ toFake: ["Date"] });
+    schematicConfig.history.maxEntries = 2;
+
+    await record("quiet", "first");
+    for (const prompt of ["a", "b", "c", "d"]) {
+      await record("busy", prompt);
+    }
+
+    expect(
+      (await listHistoryEntries("quiet")).map((entry) => entry.prompt)
+    ).toEqual(["first"]);
+    expect(
+      (await listHistoryEntries("busy")).map((entry) => entry.prompt)
+    ).toEqual(["d", "c"]);
+  });
+});
@@ -0,0 +1,230 @@
+import { inWorkspace } from "@/lib/auth";
+import { createJsonStore } from "@/lib/persistence/jsonStore";
+import { STORAGE_BACKENDS } from "@/lib/storage";
+import { trimSlashes } from "@/lib/uploads/constants";
+import { normalizeLocation } from "@/lib/vision/building";
+import { randomUUID } from "crypto";
+
+export const MAX_SET_IMAGES = 12;
+
+const DETAIL_LEVELS = new Set(["low", "high", "auto"]);
+const SET_TEXT_FIELDS = ["name", "building", "floor", "revision", "description"];
+
+const schematicSets = createJsonStore("schematic-sets");
+
+const optionalText = (value) =>
+  typeof value === "string" && value.trim().length > 0
+    ? value.trim()
+    : undefined;
+
+export function normalizeImageInput(input, existing = {}) {
+  if (!input || typeof input !== "object" || Array.isArray(input)) {
+    return { error: "Each image must be an object." };
+  }
+
+  const url = optionalText(input.url) ?? existing.url;
+  const s3Key = optionalText(input.s3Key)
+    ? trimSlashes(input.s3Key.trim())
+    : existing.s3Key;
+  const blobPathname = optionalText(input.blobPathname)
+    ? trimSlashes(input.blobPathname.trim())
+    : existing.blobPathname;
+  const storageKey = optionalText(input.storageKey)
+    ? trimSlashes(input.storageKey.trim())
+    : existing.storageKey;
+  const storageBackend = input.storageKey
+    ? input.storageBackend
+    : existing.storageBackend;
+
+  if (!url && !s3Key && !storageKey) {
+    return {
+      error: "Each image needs a blob `url`, an `s3Key` or a `storageKey`.",
+    };
+  }
+
+  if (storageKey && !STORAGE_BACKENDS.includes(storageBackend)) {
+    return {
+      error: `storageBackend must be one of: ${STORAGE_BACKENDS.join(", ")}.`,
+    };
+  }
+
+  const detail = input.detail ?? existing.detail ?? "high";
+  if (!DETAIL_LEVELS.has(detail)) {
+    return { error: "Image detail must be one of low, high or auto." };
+  }
+
+  const label = optionalText(input.label) ?? existing.label;
+  if (!label) {
+    return { error: "Each image needs a `label`." };
+  }
+
+  return {
+    value: {
+      id: existing.id ?? randomUUID(),
+      label,
+      caption:
+        input.caption === null
+          ? undefined
+          : optionalText(input.caption) ?? existing.caption,
+      // Per-image location, for sets that span several floors.
+      ...Object.fromEntries(
+        ["building", "floor"].map((field) => [
+          field,
+          input[field] === null
+            ? undefined
+            : normalizeLocation(input)[field] ?? existing[field],
+        ])
+      ),
+      detail,
+      url,
+      s3Key,
+      blobPathname,
+      storageKey,
+      storageBackend,
+      uploadId: optionalText(input.uploadId) ?? existing.uploadId,
+      mimeType: optionalText(input.mimeType) ?? existing.mimeType,
+      bytes:
+        typeof input.bytes === "number" && Number.isFinite(input.bytes)
+          ? input.bytes
+          : existing.bytes,
+    },
+  };
+}
+
+export function normalizeSetInput(input, existing) {
+  if (!input || typeof input !== "object" || Array.isArray(input)) {
+    return { error: "Schematic set payload must be a JSON object." };
+  }
+
+  const value = {};
+  for (const field of SET_TEXT_FIELDS) {
+    if (input[field] === null) {
+      value[field] = undefined;
+    } else if (optionalText(input[field])) {
+      value[field] = input[field].trim();
+    }
+  }
+
+  if (!existing && !value.name) {
+    return { error: "name is required." };
+  }
+
+  if (input.images !== undefined) {
+    if (!Array.isArray(input.images)) {
+      return { error: "images must be an array." };
+    }
+
+    if (input.images.length > MAX_SET_IMAGES) {
+      return {
+        error: `A schematic set holds at most ${MAX_SET_IMAGES} images.`,
+      };
+    }
+
+    const images = [];
+    for (const image of input.images) {
+      const previous = existing?.images.find(
+        (candidate) => candidate.id === image?.id
+      );
+      const normalized = normalizeImageInput(image, previous);
+      if (normalized.error) {
+        return normalized;
+      }
+      images.push(normalized.value);
+    }
+    value.images = images;
+  }
+
+  return { value };
+}
+
+export async function listSchematicSets(workspaceId) {
+  const records = await schematicSets.list();
+  return records
+    .filter((set) => inWorkspace(set, workspaceId))
+    .sort((a, b) => a.name.localeCompare(b.name));
+}
+
+export async function getSchematicSet(setId, workspaceId) {
+  const set = await schematicSets.get(setId);
+  return inWorkspace(set, workspaceId) ? set : null;
+}
+
+export function createSchematicSet(input, workspaceId) {
+  const now = new Date().toISOString();
+  return schematicSets.put({
+    images: [],
+    ...input,
+    id: randomUUID(),
+    workspaceId,
+    createdAt: now,
+    updatedAt: now,
+  });
+}
+
+// Callers check workspace access with getSchematicSet before updating.
+export function updateSchematicSet(setId, updater) {
+  return schematicSets.update(setId, async (current) => ({
+    ...(await updater(current)),
+    id: current.id,
+    workspaceId: current.workspaceId,
+    createdAt: current.createdAt,
+    updatedAt: new Date().toISOString(),
+  }));
+}
+
+export async function deleteSchematicSet(setId, workspaceId) {
+  return (await getSchematicSet(setId, workspaceId))
+    ? schematicSets.remove(setId)
+    : false;
+}
+
+// Every storage key or URL a saved set points at, across all workspaces.
+export async function listSetImageReferences() {
+  const references = new Set();
+  for (const set of await schematicSets.list()) {
+    for (const image of set.images) {
+      for (const reference of [
+        image.url,
+        image.s3Key,
+        image.blobPathname,
+        image.storageKey,
+      ]) {
+        if (reference) {
+          references.add(reference);
+        }
+      }
+    }
+  }
+
+  return references;
+}
+
+export const describeSchematicSet = (set) =>
+  [
+    set.name,
+    set.building,
+    set.floor && `floor ${set.floor}`,
+    set.revision && `rev ${set.revision}`,
+  ]
+    .filter(Boolean)
+    .join(" · ");
+
+// Shapes library images like client upload payloads for buildImageInputs.
+export const toUploadPayloads = (set) =>
+  set.images.map((image) => ({
+    name: image.label,
+    caption: image.caption,
+    ...normalizeLocation(image, set),
+    detail: image.detail,
+    url: image.url,
+    s3Key: image.url ? undefined : image.s3Key,
+    blobPathname: image.blobPathname,
+    storageKey: image.storageKey,
+    storageBackend: image.storageBackend,
+    uploadId: image.uploadId,
+    mimeType: image.mimeType,
+    bytes: image.bytes,
+    source: "library",
+    schematicSetId: set.id,
+    libraryImageId: image.id,
+  }));
@@ -0,0 +1,110 @@
+import { sanitizeEnv } from "@/lib/uploads/constants";
+import { promises as fs } from "fs";
+import path from "path";
+
+export const DATA_DIR =
+  sanitizeEnv(process.env.APP_DATA_DIR) ?? path.join(process.cwd(), ".data");
+
+// Serialise writes per collection so concurrent requests don't clobber each other.
+const writeQueues = new Map();
+
+const collectionPath = (collection) =>
+  path.join(DATA_DIR, `${collection}.json`);
+
+// Records are keyed by ids that can come from request input, so the map has
+// no prototype: "__proto__" or "constructor" only ever match stored records.
+const emptyRecords = () => Object.create(null);
+
+async function readCollection(collection) {
+  try {
+    const raw = await fs.readFile(collectionPath(collection), "utf8");
+    const parsed = JSON.parse(raw);
+    return parsed && typeof parsed === "object"
+      ? Object.assign(emptyRecords(), parsed)
+      : emptyRecords();
+  } catch (error) {
+    if (error?.code === "ENOENT") {
+      return emptyRecords();
+    }
+
+    throw error;
+  }
+}
+
+async function writeCollection(collection, records) {
+  await fs.mkdir(DATA_DIR, { recursive: true });
+  const target = collectionPath(collection);
+  const tempPath = `${target}.${process.pid}.tmp`;
+  await fs.writeFile(tempPath, JSON.stringify(records, null, 2));
+  await fs.rename(tempPath, target);
+}
+
+function enqueue(collection, task) {
+  const previous = writeQueues.get(collection) ?? Promise.resolve();
+  const next = previous.then(task, task);
+  writeQueues.set(collection, next.catch(() => undefined));
+  return next;
+}
+
+export function createJsonStore(collection) {
+  return {
+    async list() {
+      return Object.values(await readCollection(collection));
+    },
+
+    async get(id) {
+      if (typeof id !== "string" || id.length === 0) {
+        return null;
+      }
+
+      const records = await readCollection(collection);
+      return records[id] ?? null;
+    },
+
+    put(record) {
+      return enqueue(collection, async () => {
+        const records = await readCollection(collection);
+        records[record.id] = record;
+        await writeCollection(collection, records);
+        return record;
+      });
+    },
+
+    update(id, updater) {
+      return enqueue(collection, async () => {
+        const records = await readCollection(collection);
+        if (!records[id]) {
+          return null;
+        }
+
+        records[id] = await updater(records[id]);
+        await writeCollection(collection, records);
+        return records[id];
+      });
+    },
+
+    // Like update, but the updater also runs, with null, for a missing
+    // record; reading and writing happen in one queued task.
+    upsert(id, updater) {
+      return enqueue(collection, async () => {
+        const records = await readCollection(collection);
+        records[id] = await updater(records[id] ?? null);
+        await writeCollection(collection, records);
+        return records[id];
+      });
+    },
+
+    remove(id) {
+      return enqueue(collection, async () => {
+        const records = await readCollection(collection);
+        if (!records[id]) {
+          return false;
+        }
+
+        delete records[id];
+        await writeCollection(collection, records);
+        return true;
+      });
+    },
+  };
+}
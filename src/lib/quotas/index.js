@@ -0,0 +1,241 @@
+import { schematicConfig } from "@/config/schematic";
+import { addSpend, periodResetsAt, readSpend } from "@/lib/quotas/ledger";
+import {
+  beginRun,
+  consumeRateLimit,
+  countActiveRuns,
+  endRun,
+  peekRateLimit,
+} from "@/lib/quotas/rateLimit";
+
+const quotaConfig = schematicConfig.quotas ?? {};
+
+export const quotasEnabled = () => quotaConfig.enabled !== false;
+
+const BUDGET_FIELDS = { day: "dailyBudgetUsd", month: "monthlyBudgetUsd" };
+const PERIOD_LABELS = { day: "daily", month: "monthly" };
+
+// Every caller is limited as a user; API key calls are limited as the key too.
+const quotaSubjects = (auth) => [
+  {
+    scope: "user",
+    subject: `user:${auth.user.id}`,
+    budgets: quotaConfig.user ?? {},
+  },
+  ...(auth.apiKeyId
+    ? [
+        {
+          scope: "api-key",
+          subject: `key:${auth.apiKeyId}`,
+          budgets: quotaConfig.apiKey ?? {},
+        },
+      ]
+    : []),
+];
+
+const limitOrNull = (value) =>
+  typeof value === "number" && Number.isFinite(value) ? value : null;
+
+// `bucket` keeps limits apart: estimates don't use up analyze requests.
+function limitPerMinute(auth, limit, { bucket, noun, field }) {
+  if (!quotasEnabled() || limit === null) {
+    return null;
+  }
+
+  const subjects = quotaSubjects(auth).map((entry) => ({
+    ...entry,
+    subject: `${bucket}${entry.subject}`,
+  }));
+  const blocked = subjects
+    .map((entry) => ({ ...entry, status: peekRateLimit(entry.subject, limit) }))
+    .find((entry) => entry.status.remaining === 0);
+
+  if (blocked) {
+    return {
+      status: 429,
+      error: `Rate limit exceeded: at most ${limit} ${noun} per minute per ${
+        blocked.scope === "api-key" ? "API key" : "user"
+      }. Retry in ${blocked.status.retryAfterSeconds}s.`,
+      retryAfterSeconds: blocked.status.retryAfterSeconds,
+      quota: { scope: blocked.scope, [field]: limit },
+    };
+  }
+
+  for (const entry of subjects) {
+    consumeRateLimit(entry.subject, limit);
+  }
+  return null;
+}
+
+/**
+ * Counts one analyze request against the per-minute limit of the user and
+ * key. Returns null when allowed, otherwise a 429 failure.
+ */
+export const checkRateLimit = (auth) =>
+  limitPerMinute(auth, limitOrNull(quotaConfig.requestsPerMinute), {
+    bucket: "",
+    noun: "requests",
+    field: "requestsPerMinute",
+  });
+
+/** Same as checkRateLimit, for cost estimates, under their own limit. */
+export const checkEstimateRateLimit = (auth) =>
+  limitPerMinute(auth, limitOrNull(quotaConfig.estimatesPerMinute), {
+    bucket: "estimate:",
+    noun: "estimates",
+    field: "estimatesPerMinute",
+  });
+
+/**
+ * Admits a batch run (an evaluation or audit). Its model calls skip the
+ * per-minute limit, so the run itself takes one slot, and each user and key
+ * may have `maxConcurrentRuns` runs in progress. Returns null when allowed,
+ * otherwise a 429 failure; call finishBatchRun once an admitted run ends.
+ */
+export function startBatchRun(auth) {
+  if (!quotasEnabled()) {
+    return null;
+  }
+
+  const maxRuns = limitOrNull(quotaConfig.maxConcurrentRuns);
+  const subjects = quotaSubjects(auth);
+  const busy =
+    maxRuns === null
+      ? null
+      : subjects.find((entry) => countActiveRuns(entry.subject) >= maxRuns);
+  if (busy) {
+    return {
+      status: 429,
+      error: `At most ${maxRuns} evaluation or audit run${
+        maxRuns === 1 ? "" : "s"
+      } may be in progress per ${
+        busy.scope === "api-key" ? "API key" : "user"
+      }. Wait for the current run to finish.`,
+      quota: { scope: busy.scope, maxConcurrentRuns: maxRuns },
+    };
+  }
+
+  const limited = checkRateLimit(auth);
+  if (limited) {
+    return limited;
+  }
+
+  for (const entry of subjects) {
+    beginRun(entry.subject);
+  }
+  return null;
+}
+
+export function finishBatchRun(auth) {
+  if (!quotasEnabled()) {
+    return;
+  }
+
+  for (const entry of quotaSubjects(auth)) {
+    endRun(entry.subject);
+  }
+}
+
+/**
+ * Rejects a call whose expected cost exceeds the per-request cap or would
+ * overrun a daily/monthly budget. Returns null when it may proceed.
+ */
+export async function checkBudget(auth, expectedUsd) {
+  if (!quotasEnabled() || typeof expectedUsd !== "number") {
+    return null;
+  }
+
+  const cap = limitOrNull(quotaConfig.maxRequestCostUsd);
+  if (cap !== null && expectedUsd > cap) {
+    return {
+      status: 402,
+      error: `This request could cost up to $${expectedUsd.toFixed(
+        4
+      )}, above the $${cap.toFixed(
+        2
+      )} per-request cap. Attach fewer images, use low detail, or lower the output limit.`,
+      quota: { scope: "request", limitUsd: cap, expectedUsd },
+    };
+  }
+
+  for (const entry of quotaSubjects(auth)) {
+    const spent = await readSpend(entry.subject);
+    for (const period of ["day", "month"]) {
+      const limitUsd = limitOrNull(entry.budgets[BUDGET_FIELDS[period]]);
+      if (limitUsd !== null && spent[period].spentUsd + expectedUsd > limitUsd) {
+        return {
+          status: 402,
+          error: `The ${PERIOD_LABELS[period]} ${
+            entry.scope === "api-key" ? "API key" : "user"
+          } budget of $${limitUsd.toFixed(2)} would be exceeded ($${spent[
+            period
+          ].spentUsd.toFixed(4)} spent). It resets at ${periodResetsAt(period)}.`,
+          quota: {
+            scope: entry.scope,
+            period,
+            limitUsd,
+            spentUsd: spent[period].spentUsd,
+            expectedUsd,
+            resetsAt: periodResetsAt(period),
+          },
+        };
+      }
+    }
+  }
+
+  return null;
+}
+
+export async function recordSpend(auth, amountUsd) {
+  if (typeof amountUsd !== "number" || amountUsd <= 0) {
+    return;
+  }
+
+  for (const entry of quotaSubjects(auth)) {
+    await addSpend(entry.subject, amountUsd);
+  }
+}
+
+export async function describeQuotas(auth) {
+  const requestsPerMinute = limitOrNull(quotaConfig.requestsPerMinute);
+
+  const budgets = await Promise.all(
+    quotaSubjects(auth).map(async (entry) => {
+      const spent = await readSpend(entry.subject);
+      const periods = Object.fromEntries(
+        ["day", "month"].map((period) => {
+          const limitUsd = limitOrNull(entry.budgets[BUDGET_FIELDS[period]]);
+          return [
+            period,
+            {
+              limitUsd,
+              spentUsd: spent[period].spentUsd,
+              remainingUsd:
+                limitUsd === null
+                  ? null
+                  : Math.max(limitUsd - spent[period].spentUsd, 0),
+              requests: spent[period].requests,
+              resetsAt: periodResetsAt(period),
+            },
+          ];
+        })
+      );
+
+      return {
+        scope: entry.scope,
+        ...periods,
+        rateLimit:
+          requestsPerMinute === null
+            ? null
+            : peekRateLimit(entry.subject, requestsPerMinute),
+      };
+    })
+  );
+
+  return {
+    enabled: quotasEnabled(),
+    requestsPerMinute,
+    maxRequestCostUsd: limitOrNull(quotaConfig.maxRequestCostUsd),
+    budgets,
+  };
+}
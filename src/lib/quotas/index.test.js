@@ -0,0 +1,39 @@
+import { describe, expect, it } from "vitest";
+import { checkBudget, recordSpend } from "@/lib/quotas";
+import { readSpend } from "@/lib/quotas/ledger";
+
+const auth = (userId, apiKeyId) => ({ user: { id: userId }, apiKeyId });
+
+describe("recordSpend", () => {
+  it("charges the user and the API key", async () => {
+    await recordSpend(auth("u1", "k1"), 0.4);
+
+    expect((await readSpend("user:u1")).day.spentUsd).toBe(0.4);
+    expect((await readSpend("key:k1")).day.spentUsd).toBe(0.4);
+  });
+
+  it("ignores missing and zero amounts", async () => {
+    await recordSpend(auth("u2"), null);
+    await recordSpend(auth("u2"), 0);
+
+    expect((await readSpend("user:u2")).day.requests).toBe(0);
+  });
+});
+
+describe("checkBudget", () => {
+  it("rejects a call above the per-request cap", async () => {
+    const failure = await checkBudget(auth("u3"), 2);
+
+    expect(failure).toMatchObject({ status: 402, quota: { scope: "request" } });
+  });
+
+  it("rejects a call that would overrun the key's daily budget", async () => {
+    await recordSpend(auth("u4", "k4"), 4.5);
+
+    expect(await checkBudget(auth("u4"), 0.75)).toBeNull();
+    expect(await checkBudget(auth("u4", "k4"), 0.75)).toMatchObject({
+      status: 402,
+      quota: { scope: "api-key", period: "day", limitUsd: 5 },
+    });
+  });
+});
@@ -0,0 +1,81 @@
+import { createJsonStore } from "@/lib/persistence/jsonStore";
+
+const spend = createJsonStore("spend");
+
+// Daily totals are only needed for the current month's reporting.
+const DAILY_RETENTION_DAYS = 35;
+
+export const periodKeys = (date = new Date()) => {
+  const iso = date.toISOString();
+  return { day: iso.slice(0, 10), month: iso.slice(0, 7) };
+};
+
+export function periodResetsAt(period, date = new Date()) {
+  const year = date.getUTCFullYear();
+  const month = date.getUTCMonth();
+  return period === "day"
+    ? new Date(Date.UTC(year, month, date.getUTCDate() + 1)).toISOString()
+    : new Date(Date.UTC(year, month + 1, 1)).toISOString();
+}
+
+const recordId = (subject, period, key) => `${subject}|${period}:${key}`;
+
+export async function readSpend(subject, date = new Date()) {
+  const keys = periodKeys(date);
+  const [day, month] = await Promise.all([
+    spend.get(recordId(subject, "day", keys.day)),
+    spend.get(recordId(subject, "month", keys.month)),
+  ]);
+
+  return {
+    day: { spentUsd: day?.spentUsd ?? 0, requests: day?.requests ?? 0 },
+    month: { spentUsd: month?.spentUsd ?? 0, requests: month?.requests ?? 0 },
+  };
+}
+
+async function pruneDailyRecords(now) {
+  const cutoff = new Date(now.getTime() - DAILY_RETENTION_DAYS * 86_400_000)
+    .toISOString()
+    .slice(0, 10);
+  for (const record of await spend.list()) {
+    if (record.period === "day" && record.key < cutoff) {
+      await spend.remove(record.id);
+    }
+  }
+}
+
+export async function addSpend(subject, amountUsd, now = new Date()) {
+  const keys = periodKeys(now);
+  let startedNewDay = false;
+
+  for (const period of ["day", "month"]) {
+    const id = recordId(subject, period, keys[period]);
+    // One queued read-modify-write, so concurrent first requests of a period
+    // cannot both create the record and lose one another's spend.
+    await spend.upsert(id, (record) => {
+      if (!record) {
+        startedNewDay ||= period === "day";
+        return {
+          id,
+          subject,
+          period,
+          key: keys[period],
+          spentUsd: amountUsd,
+          requests: 1,
+          updatedAt: now.toISOString(),
+        };
+      }
+
+      return {
+        ...record,
+        spentUsd: record.spentUsd + amountUsd,
+        requests: record.requests + 1,
+        updatedAt: now.toISOString(),
+      };
+    });
+  }
+
+  if (startedNewDay) {
+    await pruneDailyRecords(now);
+  }
+}
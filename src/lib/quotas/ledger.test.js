@@ -0,0 +1,60 @@
+import { describe, expect, it } from "vitest";
+import {
+  addSpend,
+  periodKeys,
+  periodResetsAt,
+  readSpend,
+} from "@/lib/quotas/ledger";
+
+describe("spend ledger", () => {
+  it("adds spend to the day and month of the call", async () => {
+    const now = new Date("2026-03-14T10:00:00Z");
+    await addSpend("user:ada", 0.25, now);
+    await addSpend("user:ada", 0.5, now);
+
+    expect(await readSpend("user:ada", now)).toEqual({
+      day: { spentUsd: 0.75, requests: 2 },
+      month: { spentUsd: 0.75, requests: 2 },
+    });
+    expect((await readSpend("user:grace", now)).day.spentUsd).toBe(0);
+  });
+
+  it("starts a new day but keeps the month running", async () => {
+    await addSpend("user:day", 1, new Date("2026-04-01T23:59:00Z"));
+    const next = new Date("2026-04-02T00:01:00Z");
+    await addSpend("user:day", 2, next);
+
+    expect(await readSpend("user:day", next)).toEqual({
+      day: { spentUsd: 2, requests: 1 },
+      month: { spentUsd: 3, requests: 2 },
+    });
+  });
+
+  it("keeps concurrent first calls of a period", async () => {
+    const now = new Date("2026-05-05T08:00:00Z");
+    await Promise.all(
+      Array.from({ length: 5 }, () => addSpend("user:busy", 0.1, now))
+    );
+
+    const { month } = await readSpend("user:busy", now);
+    expect(month.requests).toBe(5);
+    expect(month.spentUsd).toBeCloseTo(0.5);
+  });
+
+  it("drops daily totals older than the retention window", async () => {
+    const old = new Date("2026-06-01T12:00:00Z");
+    await addSpend("user:old", 1, old);
+    await addSpend("user:old", 1, new Date("2026-07-20T12:00:00Z"));
+
+    expect((await readSpend("user:old", old)).day.spentUsd).toBe(0);
+    expect((await readSpend("user:old", old)).month.spentUsd).toBe(1);
+  });
+
+  it("reports UTC period keys and reset times", () => {
+    const date = new Date("2026-12-31T18:30:00Z");
+
+    expect(periodKeys(date)).toEqual({ day: "2026-12-31", month: "2026-12" });
+    expect(periodResetsAt("day", date)).toBe("2027-01-01T00:00:00.000Z");
+    expect(periodResetsAt("month", date)).toBe("2027-01-01T00:00:00.000Z");
+  });
+});
@@ -0,0 +1,55 @@
+const WINDOW_MS = 60_000;
+
+// Per process, like the memory cache; each server instance counts separately.
+const windows = new Map();
+
+function recentRequests(subject, now) {
+  const timestamps = (windows.get(subject) ?? []).filter(
+    (timestamp) => now - timestamp < WINDOW_MS
+  );
+  windows.set(subject, timestamps);
+  return timestamps;
+}
+
+export function peekRateLimit(subject, limit, now = Date.now()) {
+  const timestamps = recentRequests(subject, now);
+  return {
+    limit,
+    remaining: Math.max(limit - timestamps.length, 0),
+    retryAfterSeconds:
+      timestamps.length >= limit
+        ? Math.ceil((timestamps[0] + WINDOW_MS - now) / 1000)
+        : 0,
+  };
+}
+
+/**
+ * Sliding one-minute window. Records the request only when it is allowed.
+ */
+export function consumeRateLimit(subject, limit, now = Date.now()) {
+  const status = peekRateLimit(subject, limit, now);
+  if (status.remaining === 0) {
+    return { ...status, allowed: false };
+  }
+
+  windows.get(subject).push(now);
+  return { ...status, remaining: status.remaining - 1, allowed: true };
+}
+
+// Batch runs (evaluations and audits) in progress per subject, also per process.
+const activeRuns = new Map();
+
+export const countActiveRuns = (subject) => activeRuns.get(subject) ?? 0;
+
+export function beginRun(subject) {
+  activeRuns.set(subject, countActiveRuns(subject) + 1);
+}
+
+export function endRun(subject) {
+  const remaining = countActiveRuns(subject) - 1;
+  if (remaining > 0) {
+    activeRuns.set(subject, remaining);
+  } else {
+    activeRuns.delete(subject);
+  }
+}
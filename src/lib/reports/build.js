@@ -0,0 +1,424 @@
+import { answerModes } from "@/config/answerModes";
+import { schematicConfig } from "@/config/schematic";
+import { getSchematicSet, toUploadPayloads } from "@/lib/library/store";
+import { inWorkspace } from "@/lib/auth";
+import { findUploadObjectByKey } from "@/lib/uploads/objects";
+import { checkImageSources } from "@/lib/uploads/validation";
+import { describeLocation } from "@/lib/vision/building";
+import { loadUploadBuffer } from "@/lib/vision/imageInputs";
+import sharp from "sharp";
+
+const DEFAULT_THUMBNAIL_EDGE_PX = 1024;
+const WHITE = { r: 255, g: 255, b: 255 };
+const ANNOTATION_COLOUR = "#2563eb";
+
+// Drawn on the thumbnails and listed as locations instead.
+const GROUNDING_FIELDS = new Set(["annotations", "route"]);
+
+const humanize = (key) =>
+  key
+    .replace(/([a-z0-9])([A-Z])/g, "$1 $2")
+    .replace(/^./, (first) => first.toUpperCase());
+
+const formatValue = (value) =>
+  value === null || value === undefined
+    ? ""
+    : Array.isArray(value)
+    ? value.map(formatValue).join(", ")
+    : typeof value === "object"
+    ? JSON.stringify(value)
+    : String(value);
+
+const formatUsd = (amount) =>
+  typeof amount === "number"
+    ? `$${amount.toFixed(amount < 0.01 ? 4 : 2)}`
+    : null;
+
+const escapeXml = (text) =>
+  String(text).replace(
+    /[<>&"]/g,
+    (char) => ({ "<": "&lt;", ">": "&gt;", "&": "&amp;", '"': "&quot;" })[char]
+  );
+
+/**
+ * Turns a structured answer into blocks every format can render: text for
+ * scalar fields, lists for arrays of values and tables for arrays of objects.
+ */
+export function describeStructuredAnswer(structured) {
+  const blocks = [];
+  for (const [key, value] of Object.entries(structured)) {
+    if (
+      GROUNDING_FIELDS.has(key) ||
+      value === null ||
+      value === undefined ||
+      value === "" ||
+      (Array.isArray(value) && value.length === 0)
+    ) {
+      continue;
+    }
+
+    const title = humanize(key);
+    if (
+      Array.isArray(value) &&
+      value.every((item) => item && typeof item === "object")
+    ) {
+      const columns = [...new Set(value.flatMap((item) => Object.keys(item)))];
+      blocks.push({
+        kind: "table",
+        title,
+        columns: columns.map(humanize),
+        rows: value.map((item) =>
+          columns.map((column) => formatValue(item[column]))
+        ),
+      });
+    } else if (Array.isArray(value)) {
+      blocks.push({ kind: "list", title, items: value.map(formatValue) });
+    } else {
+      blocks.push({ kind: "text", title, text: formatValue(value) });
+    }
+  }
+
+  return blocks;
+}
+
+// PDF and Word text has no Markdown, so drop the emphasis and heading marks
+// models commonly use and keep list markers as bullets.
+export const plainText = (markdown) =>
+  markdown
+    .replace(/\*\*(.+?)\*\*/g, "$1")
+    .replace(/__(.+?)__/g, "$1")
+    .replace(/`([^`]+)`/g, "$1")
+    .replace(/^#{1,6}\s+/gm, "")
+    .replace(/^(\s*)[-*]\s+/gm, "$1• ");
+
+// Annotations on a zoomed-in crop ("upload-1-roi") belong to the image it
+// was cut from; their coordinates are already on the source file.
+const onImage = (item, imageId) =>
+  item.imageId === imageId || item.imageId === `${imageId}-roi`;
+
+// Names can repeat, so uploads are matched by id, then by where they live.
+const isSameUpload = (summary, candidate) =>
+  summary.uploadId
+    ? candidate.uploadId === summary.uploadId
+    : Boolean(
+        (summary.storageKey &&
+          (candidate.storageKey ?? candidate.s3Key) === summary.storageKey) ||
+          (summary.blobPathname &&
+            candidate.blobPathname === summary.blobPathname) ||
+          (summary.url && candidate.url === summary.url)
+      );
+
+// Inline images are not in the rerun request, but the copy the server
+// offloaded to send one stays until it expires.
+async function findOffloadedCopy(summary, workspaceId) {
+  if (!summary.key || !summary.backend) {
+    return null;
+  }
+
+  const record = await findUploadObjectByKey(summary.backend, summary.key);
+  return inWorkspace(record, workspaceId)
+    ? {
+        name: summary.name,
+        storageKey: record.key,
+        storageBackend: record.backend,
+        mimeType: record.mimeType,
+      }
+    : null;
+}
+
+/**
+ * Finds the stored copy of an image the entry sent: the library image, the
+ * upload in the entry's rerun request, or the offloaded copy of an inline
+ * image. Returns null when none is left.
+ */
+async function resolveImagePayload(summary, entry, workspaceId) {
+  if (summary.schematicSetId) {
+    const set = await getSchematicSet(summary.schematicSetId, workspaceId);
+    return (
+      set &&
+      toUploadPayloads(set).find(
+        (image) => image.libraryImageId === summary.libraryImageId
+      )
+    );
+  }
+
+  const upload =
+    entry.rerun?.uploads?.find((candidate) =>
+      isSameUpload(summary, candidate)
+    ) ?? (await findOffloadedCopy(summary, workspaceId));
+  // Allowed hosts may have changed since the question was asked.
+  if (!upload || (await checkImageSources([upload], workspaceId))) {
+    return null;
+  }
+
+  return upload;
+}
+
+const svgElement = (tag, attributes, content) => {
+  const attributeText = Object.entries(attributes)
+    .map(([name, value]) => `${name}="${escapeXml(value)}"`)
+    .join(" ");
+  return content === undefined
+    ? `<${tag} ${attributeText}/>`
+    : `<${tag} ${attributeText}>${escapeXml(content)}</${tag}>`;
+};
+
+// Numbered boxes and points, and the dashed route, in source-image coordinates.
+function drawGrounding(annotations, route, width, height) {
+  const stroke = Math.max(2, Math.round(Math.max(width, height) / 400));
+  const fontSize = stroke * 7;
+  const outline = { stroke: ANNOTATION_COLOUR, "stroke-width": stroke };
+  const fill = { fill: ANNOTATION_COLOUR, "fill-opacity": 0.15 };
+
+  const segments = route.map((segment) =>
+    svgElement("polyline", {
+      points: segment.points
+        .map((point) => `${point.x * width},${point.y * height}`)
+        .join(" "),
+      fill: "none",
+      "stroke-dasharray": `${stroke * 4} ${stroke * 3}`,
+      ...outline,
+    })
+  );
+
+  const markers = annotations.flatMap((annotation) => {
+    const x = annotation.x * width;
+    const y = annotation.y * height;
+    const labelX = Math.min(x, width - fontSize * 1.6);
+    const labelY = Math.max(y - fontSize * 1.2, 0);
+    return [
+      annotation.kind === "box"
+        ? svgElement("rect", {
+            x,
+            y,
+            width: annotation.width * width,
+            height: annotation.height * height,
+            ...fill,
+            ...outline,
+          })
+        : svgElement("circle", {
+            cx: x,
+            cy: y,
+            r: stroke * 4,
+            ...fill,
+            ...outline,
+          }),
+      svgElement("rect", {
+        x: labelX,
+        y: labelY,
+        width: fontSize * 1.6,
+        height: fontSize * 1.2,
+        fill: ANNOTATION_COLOUR,
+      }),
+      svgElement(
+        "text",
+        {
+          x: labelX + fontSize * 0.8,
+          y: labelY + fontSize,
+          "font-family": "DejaVu Sans, Arial, sans-serif",
+          "font-size": fontSize,
+          "font-weight": "bold",
+          "text-anchor": "middle",
+          fill: "#ffffff",
+        },
+        annotation.number
+      ),
+    ];
+  });
+
+  const content = [...segments, ...markers].join("");
+  return `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}">${content}</svg>`;
+}
+
+async function renderThumbnail(buffer, annotations, route, edge) {
+  const { data, info } = await sharp(buffer, { limitInputPixels: false })
+    .flatten({ background: WHITE })
+    .resize(edge, edge, { fit: "inside", withoutEnlargement: true })
+    .png()
+    .toBuffer({ resolveWithObject: true });
+  const { width, height } = info;
+
+  let image = sharp(data);
+  if (annotations.length > 0 || route.length > 0) {
+    image = image.composite([
+      {
+        input: Buffer.from(drawGrounding(annotations, route, width, height)),
+      },
+    ]);
+  }
+
+  return {
+    buffer: await image.jpeg({ quality: 85 }).toBuffer(),
+    mimeType: "image/jpeg",
+    width,
+    height,
+  };
+}
+
+async function buildImage(summary, context) {
+  const location =
+    summary.building || summary.floor ? describeLocation(summary) : null;
+  const image = {
+    id: summary.id,
+    name: summary.name,
+    title: `${summary.id}: ${summary.name}${location ? ` (${location})` : ""}`,
+    annotations: context.annotations.filter((annotation) =>
+      onImage(annotation, summary.id)
+    ),
+    thumbnail: null,
+  };
+
+  try {
+    const payload = await resolveImagePayload(
+      summary,
+      context.entry,
+      context.workspaceId
+    );
+    if (!payload) {
+      return {
+        ...image,
+        note: "Preview unavailable: the image was not stored.",
+      };
+    }
+
+    const buffer = await loadUploadBuffer({
+      ...payload,
+      pages: summary.pdfPage
+        ? String(summary.pdfPage.pageNumber)
+        : payload.pages,
+    });
+    return {
+      ...image,
+      thumbnail: await renderThumbnail(
+        buffer,
+        image.annotations,
+        context.route.filter((segment) => onImage(segment, summary.id)),
+        context.thumbnailEdgePx
+      ),
+    };
+  } catch (error) {
+    console.error("Failed to render report thumbnail", error);
+    return {
+      ...image,
+      note: "Preview unavailable: the image could not be loaded.",
+    };
+  }
+}
+
+/**
+ * Gathers what a report about one history entry shows: the question and
+ * answer, model, usage and cost, each attached schematic as an annotated
+ * thumbnail and the answer's located places. The result is format-neutral;
+ * see reportToMarkdown, reportToPdf and reportToDocx.
+ */
+export async function buildReport(entry, workspaceId) {
+  const grounding = entry.grounding ?? { annotations: [], route: [] };
+  const annotations = grounding.annotations.map((annotation, index) => ({
+    ...annotation,
+    number: index + 1,
+  }));
+  const context = {
+    entry,
+    workspaceId,
+    annotations,
+    route: grounding.route,
+    thumbnailEdgePx:
+      schematicConfig.reports?.thumbnailEdgePx ?? DEFAULT_THUMBNAIL_EDGE_PX,
+  };
+
+  const images = [];
+  // One at a time: each thumbnail decodes a full-resolution sheet.
+  for (const summary of entry.uploadSummaries ?? []) {
+    images.push(await buildImage(summary, context));
+  }
+
+  const set = entry.schematicSetId
+    ? await getSchematicSet(entry.schematicSetId, workspaceId)
+    : null;
+  const usage = entry.usage;
+  const cost = entry.costEstimate;
+  const meta = [
+    ["Asked", entry.createdAt],
+    ["Status", entry.status],
+    [
+      "Provider / model",
+      `${entry.provider ?? "default"} / ${entry.model ?? "default"}`,
+    ],
+    [
+      "Answer mode",
+      answerModes[entry.answerMode]?.label ??
+        entry.answerMode ??
+        "Free-form answer",
+    ],
+    [
+      "Tokens",
+      usage
+        ? `${usage.input_tokens ?? "—"} input · ${
+            usage.output_tokens ?? "—"
+          } output · ${usage.total_tokens ?? "—"} total${
+            entry.cached ? " (cached answer)" : ""
+          }`
+        : null,
+    ],
+    [
+      "Estimated cost",
+      formatUsd(cost?.totalUsd) &&
+        `${formatUsd(cost.totalUsd)} (input ${formatUsd(
+          cost.inputUsd
+        )}, output ${formatUsd(cost.outputUsd)})`,
+    ],
+    [
+      "Latency",
+      typeof entry.latencyMs === "number" ? `${entry.latencyMs} ms` : null,
+    ],
+    [
+      "Schematic set",
+      entry.schematicSetId
+        ? [
+            set?.name ?? entry.schematicSetId,
+            set?.revision && `rev ${set.revision}`,
+          ]
+            .filter(Boolean)
+            .join(" · ")
+        : null,
+    ],
+  ].filter(([, value]) => value);
+
+  const structured = entry.structured;
+  return {
+    title: "Schematic answer report",
+    question: entry.prompt,
+    meta,
+    // Grounded free-form answers keep their text in `answer`.
+    answer:
+      structured && typeof structured.answer === "string"
+        ? structured.answer
+        : structured
+        ? null
+        : entry.output ?? null,
+    blocks: structured
+      ? describeStructuredAnswer(
+          typeof structured.answer === "string"
+            ? { ...structured, answer: undefined }
+            : structured
+        )
+      : [],
+    error: entry.error
+      ? [entry.error.message, entry.error.details].filter(Boolean).join(" — ")
+      : null,
+    validationErrors:
+      entry.validation && !entry.validation.valid
+        ? entry.validation.errors
+        : [],
+    locations: annotations.map((annotation) => ({
+      number: annotation.number,
+      label: annotation.label,
+      image:
+        images.find((image) => onImage(annotation, image.id))?.name ??
+        annotation.imageId,
+      answerIndex: annotation.answerIndex,
+    })),
+    images,
+    generatedAt: new Date().toISOString(),
+  };
+}
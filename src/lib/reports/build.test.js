@@ -0,0 +1,96 @@
+import sharp from "sharp";
+import { beforeAll, describe, expect, it } from "vitest";
+import { buildReport } from "@/lib/reports/build";
+import { getStorageBackend } from "@/lib/storage";
+import {
+  completeUploadObject,
+  trackUploadObject,
+} from "@/lib/uploads/objects";
+
+process.env.STORAGE_BACKEND = "local";
+
+const sheet = (width, height) =>
+  sharp({ create: { width, height, channels: 3, background: "#ffffff" } })
+    .png()
+    .toBuffer();
+
+async function store(key, buffer, origin = "client-upload") {
+  await getStorageBackend("local").put(key, buffer, "image/png");
+  const record = await trackUploadObject({
+    backend: "local",
+    key,
+    name: "plan.png",
+    workspaceId: "local",
+    mimeType: "image/png",
+    bytes: buffer.length,
+    origin,
+  });
+  return completeUploadObject(record.id, { bytes: buffer.length });
+}
+
+let wide;
+let tall;
+beforeAll(async () => {
+  wide = await store("uploads/wide.png", await sheet(800, 400));
+  tall = await store("uploads/tall.png", await sheet(400, 800));
+});
+
+const thumbnailSizes = (report) =>
+  report.images.map((image) =>
+    image.thumbnail
+      ? `${image.thumbnail.width}x${image.thumbnail.height}`
+      : image.note
+  );
+
+describe("buildReport thumbnails", () => {
+  it("matches uploads by id when their names repeat", async () => {
+    const rerunUpload = (record) => ({
+      name: "plan.png",
+      uploadId: record.id,
+      storageKey: record.key,
+      storageBackend: "local",
+    });
+    const report = await buildReport(
+      {
+        prompt: "Compare the two sheets",
+        uploadSummaries: [
+          { id: "upload-1", name: "plan.png", uploadId: tall.id },
+          { id: "upload-2", name: "plan.png", uploadId: wide.id },
+        ],
+        rerun: { uploads: [rerunUpload(wide), rerunUpload(tall)] },
+      },
+      "local"
+    );
+
+    expect(thumbnailSizes(report)).toEqual(["400x800", "800x400"]);
+  });
+
+  it("uses the offloaded copy of an inline upload", async () => {
+    const copy = await store(
+      "offload/local/inline.png",
+      await sheet(600, 300),
+      "offload"
+    );
+    const report = await buildReport(
+      {
+        prompt: "What is this?",
+        uploadSummaries: [
+          {
+            id: "upload-1",
+            name: "Uploaded image 1",
+            backend: "local",
+            key: copy.key,
+          },
+          { id: "upload-2", name: "Uploaded image 2", strategy: "inline" },
+        ],
+        rerun: { uploads: [], omittedUploads: 2 },
+      },
+      "local"
+    );
+
+    expect(thumbnailSizes(report)).toEqual([
+      "600x300",
+      "Preview unavailable: the image was not stored.",
+    ]);
+  });
+});
@@ -0,0 +1,200 @@
+import { plainText } from "@/lib/reports/build";
+import {
+  BorderStyle,
+  Document,
+  HeadingLevel,
+  ImageRun,
+  Packer,
+  Paragraph,
+  Table,
+  TableCell,
+  TableRow,
+  TextRun,
+  WidthType,
+} from "docx";
+
+// Printable width of an A4 page with Word's default margins, in pixels at
+// 96 dpi, which is what ImageRun sizes are given in.
+const MAX_IMAGE_WIDTH = 600;
+const MAX_IMAGE_HEIGHT = 700;
+
+const MUTED_COLOUR = "52525B";
+const RULE = { style: BorderStyle.SINGLE, size: 4, color: "D4D4D8" };
+const NO_BORDER = { style: BorderStyle.NONE, size: 0, color: "FFFFFF" };
+
+const paragraph = (text, options = {}) =>
+  new Paragraph({
+    spacing: { after: options.after ?? 120 },
+    children: [
+      new TextRun({
+        text,
+        bold: options.bold,
+        color: options.colour,
+        size: options.size,
+      }),
+    ],
+  });
+
+// One paragraph per line so line breaks in the answer survive.
+const paragraphs = (text, options) =>
+  text.split("\n").map((line) => paragraph(line, options));
+
+const cell = (text, { bold, share }) =>
+  new TableCell({
+    width: { size: share, type: WidthType.PERCENTAGE },
+    borders: {
+      top: NO_BORDER,
+      left: NO_BORDER,
+      right: NO_BORDER,
+      bottom: RULE,
+    },
+    children: [
+      paragraph(String(text ?? ""), {
+        bold,
+        colour: bold ? undefined : MUTED_COLOUR,
+        size: 17,
+        after: 40,
+      }),
+    ],
+  });
+
+function table(columns, rows, shares) {
+  const shareOf = (index) =>
+    (shares ? shares[index] : 1 / columns.length) * 100;
+  const hasHeader = columns.some(Boolean);
+
+  return new Table({
+    width: { size: 100, type: WidthType.PERCENTAGE },
+    rows: [
+      ...(hasHeader
+        ? [
+            new TableRow({
+              tableHeader: true,
+              children: columns.map((column, index) =>
+                cell(column, { bold: true, share: shareOf(index) })
+              ),
+            }),
+          ]
+        : []),
+      ...rows.map(
+        (row) =>
+          new TableRow({
+            children: row.map((value, index) =>
+              cell(value, { bold: false, share: shareOf(index) })
+            ),
+          })
+      ),
+    ],
+  });
+}
+
+function image(thumbnail) {
+  const scale = Math.min(
+    1,
+    MAX_IMAGE_WIDTH / thumbnail.width,
+    MAX_IMAGE_HEIGHT / thumbnail.height
+  );
+  return new Paragraph({
+    spacing: { after: 160 },
+    children: [
+      new ImageRun({
+        type: "jpg",
+        data: thumbnail.buffer,
+        transformation: {
+          width: Math.round(thumbnail.width * scale),
+          height: Math.round(thumbnail.height * scale),
+        },
+      }),
+    ],
+  });
+}
+
+/**
+ * Renders a report from buildReport as a Word document, with the thumbnails
+ * embedded as images.
+ */
+export async function reportToDocx(report) {
+  const children = [
+    new Paragraph({ text: report.title, heading: HeadingLevel.TITLE }),
+    paragraph("Question", { bold: true, colour: MUTED_COLOUR, after: 40 }),
+    paragraph(report.question, { size: 24, after: 200 }),
+    table(["", ""], report.meta, [0.25, 0.75]),
+    new Paragraph({ text: "Answer", heading: HeadingLevel.HEADING_1 }),
+  ];
+
+  if (report.error) {
+    children.push(paragraph(`Error: ${report.error}`, { colour: "B91C1C" }));
+  }
+  if (report.answer) {
+    children.push(...paragraphs(plainText(report.answer)));
+  }
+  for (const block of report.blocks) {
+    children.push(
+      new Paragraph({ text: block.title, heading: HeadingLevel.HEADING_3 })
+    );
+    if (block.kind === "table") {
+      children.push(table(block.columns, block.rows), paragraph(""));
+    } else if (block.kind === "list") {
+      children.push(
+        ...block.items.map(
+          (item) => new Paragraph({ text: item, bullet: { level: 0 } })
+        )
+      );
+    } else {
+      children.push(...paragraphs(block.text));
+    }
+  }
+  if (report.validationErrors.length > 0) {
+    children.push(
+      paragraph(
+        `Schema validation failed: ${report.validationErrors.join("; ")}`,
+        { colour: MUTED_COLOUR, size: 18 }
+      )
+    );
+  }
+
+  if (report.locations.length > 0) {
+    children.push(
+      new Paragraph({ text: "Locations", heading: HeadingLevel.HEADING_1 }),
+      table(
+        ["#", "Location", "Image", "Answer item"],
+        report.locations.map((location) => [
+          location.number,
+          location.label,
+          location.image,
+          location.answerIndex ?? "",
+        ]),
+        [0.08, 0.46, 0.3, 0.16]
+      )
+    );
+  }
+
+  if (report.images.length > 0) {
+    children.push(
+      new Paragraph({ text: "Schematics", heading: HeadingLevel.HEADING_1 })
+    );
+    for (const item of report.images) {
+      children.push(
+        new Paragraph({ text: item.title, heading: HeadingLevel.HEADING_3 }),
+        item.thumbnail
+          ? image(item.thumbnail)
+          : paragraph(item.note, { colour: MUTED_COLOUR, size: 18 })
+      );
+    }
+  }
+
+  children.push(
+    paragraph(`Generated ${report.generatedAt}`, {
+      colour: MUTED_COLOUR,
+      size: 16,
+    })
+  );
+
+  const doc = new Document({
+    title: report.title,
+    subject: report.question,
+    creator: "Schematic Vision",
+    sections: [{ children }],
+  });
+  return Packer.toBuffer(doc);
+}
@@ -0,0 +1,92 @@
+// Table cells cannot hold pipes or line breaks.
+const cell = (text) =>
+  String(text ?? "")
+    .replace(/\|/g, "\\|")
+    .replace(/\s*\n\s*/g, " ");
+
+const table = (columns, rows) => [
+  `| ${columns.map(cell).join(" | ")} |`,
+  `| ${columns.map(() => "---").join(" | ")} |`,
+  ...rows.map((row) => `| ${row.map(cell).join(" | ")} |`),
+];
+
+function renderBlock(block) {
+  const lines = [`### ${block.title}`, ""];
+  if (block.kind === "table") {
+    lines.push(...table(block.columns, block.rows));
+  } else if (block.kind === "list") {
+    lines.push(...block.items.map((item) => `- ${item}`));
+  } else {
+    lines.push(block.text);
+  }
+
+  return lines;
+}
+
+/**
+ * Renders a report from buildReport as one self-contained Markdown file.
+ * Thumbnails are embedded as data URLs, which most editors and converters
+ * display (GitHub does not).
+ */
+export function reportToMarkdown(report) {
+  const lines = [
+    `# ${report.title}`,
+    "",
+    `**Question:** ${report.question}`,
+    "",
+    ...table(["", ""], report.meta),
+  ];
+
+  lines.push("", "## Answer", "");
+  if (report.error) {
+    lines.push(`**Error:** ${report.error}`, "");
+  }
+  if (report.answer) {
+    lines.push(report.answer, "");
+  }
+  for (const block of report.blocks) {
+    lines.push(...renderBlock(block), "");
+  }
+  if (report.validationErrors.length > 0) {
+    lines.push(
+      `_Schema validation failed: ${report.validationErrors.join("; ")}_`,
+      ""
+    );
+  }
+
+  if (report.locations.length > 0) {
+    lines.push(
+      "## Locations",
+      "",
+      ...table(
+        ["#", "Location", "Image", "Answer item"],
+        report.locations.map((location) => [
+          location.number,
+          location.label,
+          location.image,
+          location.answerIndex ?? "",
+        ])
+      ),
+      ""
+    );
+  }
+
+  if (report.images.length > 0) {
+    lines.push("## Schematics", "");
+    for (const image of report.images) {
+      lines.push(
+        `### ${image.title}`,
+        "",
+        image.thumbnail
+          ? `![${image.name}](data:${
+              image.thumbnail.mimeType
+            };base64,${image.thumbnail.buffer.toString("base64")})`
+          : `_${image.note}_`,
+        ""
+      );
+    }
+  }
+
+  lines.push(`_Generated ${report.generatedAt}._`);
+  return `${lines.join("\n")}\n`;
+}
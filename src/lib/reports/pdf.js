@@ -0,0 +1,262 @@
+import { plainText } from "@/lib/reports/build";
+import { PDFDocument, loadImage } from "@napi-rs/canvas";
+
+// A4 in points.
+const PAGE_WIDTH = 595.28;
+const PAGE_HEIGHT = 841.89;
+const MARGIN = 48;
+const CONTENT_WIDTH = PAGE_WIDTH - MARGIN * 2;
+const MAX_IMAGE_HEIGHT = 520;
+
+const TEXT_COLOUR = "#18181b";
+const MUTED_COLOUR = "#52525b";
+const RULE_COLOUR = "#d4d4d8";
+
+const font = (size, bold) =>
+  `${bold ? "bold " : ""}${size}px DejaVu Sans, Helvetica, sans-serif`;
+
+const fitImage = (thumbnail) => {
+  const scale = Math.min(
+    CONTENT_WIDTH / thumbnail.width,
+    MAX_IMAGE_HEIGHT / thumbnail.height
+  );
+  return { width: thumbnail.width * scale, height: thumbnail.height * scale };
+};
+
+/**
+ * Lays text, tables and images out top to bottom, starting a new page when
+ * the next item does not fit.
+ */
+function createLayout(doc) {
+  let ctx = null;
+  let y = 0;
+
+  const newPage = () => {
+    if (ctx) {
+      doc.endPage();
+    }
+    ctx = doc.beginPage(PAGE_WIDTH, PAGE_HEIGHT);
+    y = MARGIN;
+  };
+
+  // Items taller than a page are drawn anyway rather than paging forever.
+  const ensureSpace = (height) => {
+    if (y + height > PAGE_HEIGHT - MARGIN && y > MARGIN) {
+      newPage();
+    }
+  };
+
+  // Greedy word wrap; words wider than the line are split by character.
+  const wrap = (text, width, size, bold) => {
+    ctx.font = font(size, bold);
+    const lines = [];
+    for (const paragraph of String(text).split("\n")) {
+      let line = "";
+      for (const word of paragraph.split(/\s+/).filter(Boolean)) {
+        const candidate = line ? `${line} ${word}` : word;
+        if (ctx.measureText(candidate).width <= width) {
+          line = candidate;
+          continue;
+        }
+
+        if (line) {
+          lines.push(line);
+        }
+        line = "";
+        for (const char of word) {
+          if (line && ctx.measureText(line + char).width > width) {
+            lines.push(line);
+            line = "";
+          }
+          line += char;
+        }
+      }
+      lines.push(line);
+    }
+
+    return lines;
+  };
+
+  const text = (value, options = {}) => {
+    const {
+      size = 10,
+      bold = false,
+      colour = TEXT_COLOUR,
+      after = 6,
+      indent = 0,
+    } = options;
+    const lineHeight = size * 1.35;
+    for (const line of wrap(value, CONTENT_WIDTH - indent, size, bold)) {
+      ensureSpace(lineHeight);
+      ctx.font = font(size, bold);
+      ctx.fillStyle = colour;
+      ctx.fillText(line, MARGIN + indent, y + size);
+      y += lineHeight;
+    }
+    y += after;
+  };
+
+  // `keep` is how much of what follows stays on the heading's page; a
+  // couple of lines by default.
+  const heading = (value, size = 13, keep = 40) => {
+    ensureSpace(size * 1.35 + keep);
+    text(value, { size, bold: true, after: 4 });
+  };
+
+  // `shares` splits the width between columns; equal by default.
+  const table = (columns, rows, { size = 8.5, shares } = {}) => {
+    const widths = columns.map(
+      (_, index) =>
+        CONTENT_WIDTH * (shares ? shares[index] : 1 / columns.length)
+    );
+    const offsets = widths.map((_, index) =>
+      widths.slice(0, index).reduce((total, value) => total + value, 0)
+    );
+    const lineHeight = size * 1.3;
+    const padding = 3;
+    const hasHeader = columns.some(Boolean);
+
+    const measureRow = (cells, bold) => {
+      const wrapped = cells.map((cell, column) =>
+        wrap(cell, widths[column] - padding * 2, size, bold)
+      );
+      const lineCount = Math.max(...wrapped.map((lines) => lines.length));
+      return { wrapped, bold, height: lineCount * lineHeight + padding * 2 };
+    };
+
+    const drawRow = ({ wrapped, bold, height }) => {
+      ctx.font = font(size, bold);
+      ctx.fillStyle = bold ? TEXT_COLOUR : MUTED_COLOUR;
+      for (const [column, lines] of wrapped.entries()) {
+        for (const [index, line] of lines.entries()) {
+          ctx.fillText(
+            line,
+            MARGIN + offsets[column] + padding,
+            y + padding + size + index * lineHeight
+          );
+        }
+      }
+      y += height;
+      ctx.strokeStyle = RULE_COLOUR;
+      ctx.lineWidth = 0.5;
+      ctx.beginPath();
+      ctx.moveTo(MARGIN, y);
+      ctx.lineTo(MARGIN + CONTENT_WIDTH, y);
+      ctx.stroke();
+    };
+
+    const header = measureRow(columns, true);
+    const first = measureRow(rows[0] ?? columns, false);
+    ensureSpace((hasHeader ? header.height : 0) + first.height);
+    if (hasHeader) {
+      drawRow(header);
+    }
+    for (const row of rows) {
+      const measured = measureRow(row, false);
+      if (y + measured.height > PAGE_HEIGHT - MARGIN) {
+        newPage();
+        // Repeat the header on each page the table spans.
+        if (hasHeader) {
+          drawRow(header);
+        }
+      }
+      drawRow(measured);
+    }
+    y += 8;
+  };
+
+  const image = async (thumbnail) => {
+    const { width, height } = fitImage(thumbnail);
+    ensureSpace(height);
+    ctx.drawImage(await loadImage(thumbnail.buffer), MARGIN, y, width, height);
+    y += height + 8;
+  };
+
+  newPage();
+  return { text, heading, table, image };
+}
+
+/**
+ * Renders a report from buildReport as an A4 PDF with the canvas package's
+ * PDF backend, so no browser or external service is needed. Text uses the
+ * system's sans-serif font.
+ */
+export async function reportToPdf(report) {
+  const doc = new PDFDocument({
+    title: report.title,
+    subject: report.question,
+    creator: "Schematic Vision",
+    encodingQuality: 85,
+  });
+  const layout = createLayout(doc);
+
+  layout.text(report.title, { size: 18, bold: true, after: 10 });
+  layout.text("Question", {
+    size: 9,
+    bold: true,
+    colour: MUTED_COLOUR,
+    after: 2,
+  });
+  layout.text(report.question, { size: 11, after: 10 });
+  layout.table(["", ""], report.meta, { shares: [0.25, 0.75] });
+
+  layout.heading("Answer");
+  if (report.error) {
+    layout.text(`Error: ${report.error}`, { colour: "#b91c1c" });
+  }
+  if (report.answer) {
+    layout.text(plainText(report.answer));
+  }
+  for (const block of report.blocks) {
+    layout.text(block.title, { size: 10.5, bold: true, after: 3 });
+    if (block.kind === "table") {
+      layout.table(block.columns, block.rows);
+    } else if (block.kind === "list") {
+      for (const item of block.items) {
+        layout.text(`• ${item}`, { indent: 8, after: 2 });
+      }
+      layout.text("", { after: 4 });
+    } else {
+      layout.text(block.text);
+    }
+  }
+  if (report.validationErrors.length > 0) {
+    layout.text(
+      `Schema validation failed: ${report.validationErrors.join("; ")}`,
+      { size: 9, colour: MUTED_COLOUR }
+    );
+  }
+
+  if (report.locations.length > 0) {
+    layout.heading("Locations");
+    layout.table(
+      ["#", "Location", "Image", "Answer item"],
+      report.locations.map((location) => [
+        String(location.number),
+        location.label,
+        location.image,
+        location.answerIndex ? String(location.answerIndex) : "",
+      ])
+    );
+  }
+
+  for (const image of report.images) {
+    layout.heading(
+      image.title,
+      11,
+      image.thumbnail ? fitImage(image.thumbnail).height : undefined
+    );
+    if (image.thumbnail) {
+      await layout.image(image.thumbnail);
+    } else {
+      layout.text(image.note, { size: 9, colour: MUTED_COLOUR });
+    }
+  }
+
+  layout.text(`Generated ${report.generatedAt}`, {
+    size: 8,
+    colour: MUTED_COLOUR,
+  });
+  doc.endPage();
+  return doc.close();
+}
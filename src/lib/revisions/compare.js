@@ -0,0 +1,201 @@
+import { POST as analyze } from "@/app/api/analyze/route";
+import { getSchematicSet, toUploadPayloads } from "@/lib/library/store";
+import {
+  diffRevisions,
+  renderRegionPair,
+  resolveCompareOptions,
+} from "@/lib/revisions/diff";
+import { deleteThread } from "@/lib/threads/store";
+import { checkImageSources } from "@/lib/uploads/validation";
+import { loadUploadBuffer } from "@/lib/vision/imageInputs";
+
+const formatRange = (start, size) =>
+  `${Math.round(start * 100)}–${Math.round((start + size) * 100)}%`;
+
+/**
+ * Turns one side of a compare request into an upload payload: either
+ * `{ schematicSetId, imageId }` for a library image or an upload payload as
+ * sent to /api/analyze. Returns `{ value: { payload, label } }` or
+ * `{ status, error }`.
+ */
+export async function resolveRevision(reference, workspaceId, name) {
+  if (!reference || typeof reference !== "object" || Array.isArray(reference)) {
+    return {
+      status: 400,
+      error: `${name} must be a library image ({ schematicSetId, imageId }) or an upload.`,
+    };
+  }
+
+  if (typeof reference.schematicSetId === "string") {
+    const set = await getSchematicSet(reference.schematicSetId, workspaceId);
+    const payload = set
+      ? toUploadPayloads(set).find(
+          (image) => image.libraryImageId === reference.imageId
+        )
+      : null;
+    if (!payload) {
+      return {
+        status: 404,
+        error: `${name} image "${reference.imageId}" was not found in schematic set "${reference.schematicSetId}".`,
+      };
+    }
+
+    return {
+      value: {
+        payload,
+        label: [set.name, set.revision && `rev ${set.revision}`, payload.name]
+          .filter(Boolean)
+          .join(" · "),
+      },
+    };
+  }
+
+  const rejected = await checkImageSources([reference], workspaceId);
+  if (rejected) {
+    return rejected;
+  }
+
+  return {
+    value: {
+      payload: reference,
+      label: reference.name?.trim() || name,
+    },
+  };
+}
+
+// Models sometimes cite the upload id ("upload-2") rather than the region.
+function matchRegionId(regions, reference) {
+  if (regions.some((region) => region.id === reference)) {
+    return reference;
+  }
+
+  const uploadIndex = /upload-(?<index>\d+)/.exec(reference ?? "")?.groups
+    ?.index;
+  return regions[Number(uploadIndex) - 1]?.id ?? null;
+}
+
+/**
+ * Aligns and diffs two revisions locally, then asks the model to describe
+ * each changed region through the analyze route with the `revision-compare`
+ * mode. Identical sheets skip the model call. Returns `{ value }` with the
+ * regions, a PNG diff overlay and the change list, or `{ status, error }`.
+ */
+export async function compareRevisions({
+  before,
+  after,
+  question,
+  workspaceId,
+  provider,
+  model,
+  cache,
+  headers = {},
+  signal,
+}) {
+  const options = resolveCompareOptions();
+  const [beforeBuffer, afterBuffer] = await Promise.all([
+    loadUploadBuffer(before.payload),
+    loadUploadBuffer(after.payload),
+  ]);
+  const diff = await diffRevisions(beforeBuffer, afterBuffer, options);
+  const comparison = {
+    before: { label: before.label },
+    after: { label: after.label },
+    alignment: diff.alignment,
+    regions: diff.regions,
+    omittedRegions: Math.max(0, diff.regionCount - diff.regions.length),
+    overlay: `data:image/png;base64,${diff.overlay.toString("base64")}`,
+  };
+
+  if (diff.regions.length === 0) {
+    return {
+      value: {
+        ...comparison,
+        summary: "No visible differences were found between the revisions.",
+        changes: [],
+        unchangedRegions: [],
+      },
+    };
+  }
+
+  const uploads = [];
+  for (const region of diff.regions) {
+    const pair = await renderRegionPair(
+      beforeBuffer,
+      afterBuffer,
+      region,
+      diff.alignment,
+      options
+    );
+    uploads.push({
+      name: `${region.id} (x ${formatRange(region.x, region.width)}, y ${formatRange(
+        region.y,
+        region.height
+      )} of the sheet)`,
+      dataUrl: `data:image/png;base64,${pair.toString("base64")}`,
+      mimeType: "image/png",
+      detail: "high",
+    });
+  }
+
+  const response = await analyze(
+    new Request("http://localhost/api/analyze", {
+      method: "POST",
+      headers: { ...headers, "Content-Type": "application/json" },
+      body: JSON.stringify({
+        prompt: [
+          `What changed between ${before.label} (earlier) and ${after.label} (later)?`,
+          typeof question === "string" && question.trim()
+            ? question.trim()
+            : null,
+        ]
+          .filter(Boolean)
+          .join(" "),
+        answerMode: "revision-compare",
+        uploads,
+        // Region crops are already small; tiling or resizing would blur them.
+        tiling: false,
+        preprocess: false,
+        provider,
+        model,
+        cache,
+      }),
+      signal,
+    })
+  );
+  const payload = await response.json();
+
+  if (payload.threadId) {
+    // The change list is the result; the comparison is not a conversation.
+    await deleteThread(payload.threadId, workspaceId);
+  }
+
+  if (!response.ok) {
+    return {
+      status: response.status,
+      error: payload.details ?? payload.error ?? "Revision comparison failed.",
+    };
+  }
+
+  const structured = payload.structured;
+  return {
+    value: {
+      ...comparison,
+      summary: structured?.summary ?? payload.output,
+      changes:
+        structured?.changes.map((change) => ({
+          ...change,
+          regionId: matchRegionId(diff.regions, change.regionId),
+        })) ?? [],
+      unchangedRegions:
+        structured?.unchangedRegions
+          .map((regionId) => matchRegionId(diff.regions, regionId))
+          .filter(Boolean) ?? [],
+      validation: payload.validation,
+      provider: payload.provider,
+      model: payload.model,
+      usage: payload.usage,
+      costEstimate: payload.costEstimate,
+      historyId: payload.historyId,
+    },
+  };
+}
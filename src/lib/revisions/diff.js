@@ -0,0 +1,356 @@
+import { schematicConfig } from "@/config/schematic";
+import { MAX_UPLOAD_COUNT } from "@/lib/uploads/constants";
+import sharp from "sharp";
+
+const DEFAULTS = {
+  workingEdgePx: 1600,
+  maxShiftPx: 24,
+  diffThreshold: 64,
+  cellPx: 16,
+  minCellPixels: 8,
+  minRegionCells: 2,
+  maxRegions: 6,
+  regionPaddingRatio: 0.15,
+  regionImageEdgePx: 768,
+};
+
+// Search downscaled first, then refine around the best shift at full size.
+const COARSE_FACTOR = 4;
+const REFINE_RADIUS = 3;
+
+const WHITE = { r: 255, g: 255, b: 255 };
+
+export function resolveCompareOptions() {
+  const options = { ...DEFAULTS, ...(schematicConfig.compare ?? {}) };
+  // Each region is sent as one upload.
+  return {
+    ...options,
+    maxRegions: Math.min(options.maxRegions, MAX_UPLOAD_COUNT),
+  };
+}
+
+function greyscale(buffer, width, height) {
+  return sharp(buffer, { limitInputPixels: false })
+    .flatten({ background: WHITE })
+    .greyscale()
+    .resize(width, height, { fit: "fill" })
+    // Softens anti-aliasing so redrawn but unchanged lines don't count.
+    .blur(0.8)
+    .raw()
+    .toBuffer();
+}
+
+// Mean grey-level difference where the images overlap with `before` shifted.
+function shiftScore(before, after, width, height, dx, dy) {
+  let total = 0;
+  let count = 0;
+  for (let y = Math.max(0, dy); y < Math.min(height, height + dy); y += 1) {
+    const row = y * width;
+    const beforeRow = (y - dy) * width - dx;
+    for (let x = Math.max(0, dx); x < Math.min(width, width + dx); x += 1) {
+      total += Math.abs(after[row + x] - before[beforeRow + x]);
+      count += 1;
+    }
+  }
+
+  return count > 0 ? total / count : Infinity;
+}
+
+function bestShift(before, after, width, height, center, radius) {
+  let best = { dx: center.dx, dy: center.dy, score: Infinity };
+  for (let dy = center.dy - radius; dy <= center.dy + radius; dy += 1) {
+    for (let dx = center.dx - radius; dx <= center.dx + radius; dx += 1) {
+      const score = shiftScore(before, after, width, height, dx, dy);
+      // Prefer the smaller shift on ties so identical sheets stay put.
+      if (
+        score < best.score ||
+        (score === best.score &&
+          Math.abs(dx) + Math.abs(dy) < Math.abs(best.dx) + Math.abs(best.dy))
+      ) {
+        best = { dx, dy, score };
+      }
+    }
+  }
+
+  return best;
+}
+
+/**
+ * Scales both revisions to the same working size and finds the translation
+ * that best lines `before` up with `after`. Revisions of one sheet share its
+ * extents, so scale is taken from the sheet size and only shift is searched.
+ */
+async function alignRevisions(beforeBuffer, afterBuffer, options) {
+  const metadata = await sharp(afterBuffer, {
+    limitInputPixels: false,
+  }).metadata();
+  const scale = Math.min(
+    1,
+    options.workingEdgePx / Math.max(metadata.width, metadata.height)
+  );
+  const width = Math.max(1, Math.round(metadata.width * scale));
+  const height = Math.max(1, Math.round(metadata.height * scale));
+
+  const coarseWidth = Math.max(1, Math.round(width / COARSE_FACTOR));
+  const coarseHeight = Math.max(1, Math.round(height / COARSE_FACTOR));
+  const [coarseBefore, coarseAfter, before, after] = await Promise.all([
+    greyscale(beforeBuffer, coarseWidth, coarseHeight),
+    greyscale(afterBuffer, coarseWidth, coarseHeight),
+    greyscale(beforeBuffer, width, height),
+    greyscale(afterBuffer, width, height),
+  ]);
+
+  const coarse = bestShift(
+    coarseBefore,
+    coarseAfter,
+    coarseWidth,
+    coarseHeight,
+    { dx: 0, dy: 0 },
+    Math.ceil(options.maxShiftPx / COARSE_FACTOR)
+  );
+  const shift = bestShift(
+    before,
+    after,
+    width,
+    height,
+    { dx: coarse.dx * COARSE_FACTOR, dy: coarse.dy * COARSE_FACTOR },
+    REFINE_RADIUS
+  );
+
+  return {
+    width,
+    height,
+    before,
+    after,
+    dx: shift.dx,
+    dy: shift.dy,
+    source: { width: metadata.width, height: metadata.height },
+  };
+}
+
+// Groups changed cells into regions; cells up to one apart are merged so a
+// redrawn room becomes one region rather than a cloud of strokes.
+function findRegions(cells, columns, rows, options) {
+  const seen = new Uint8Array(columns * rows);
+  const regions = [];
+
+  for (let start = 0; start < cells.length; start += 1) {
+    if (cells[start] === 0 || seen[start]) {
+      continue;
+    }
+
+    const queue = [start];
+    seen[start] = 1;
+    let bounds = { left: Infinity, top: Infinity, right: -1, bottom: -1 };
+    let changedPixels = 0;
+    let cellCount = 0;
+
+    while (queue.length > 0) {
+      const index = queue.pop();
+      const column = index % columns;
+      const row = Math.floor(index / columns);
+      changedPixels += cells[index];
+      cellCount += 1;
+      bounds = {
+        left: Math.min(bounds.left, column),
+        top: Math.min(bounds.top, row),
+        right: Math.max(bounds.right, column),
+        bottom: Math.max(bounds.bottom, row),
+      };
+
+      for (let y = row - 2; y <= row + 2; y += 1) {
+        for (let x = column - 2; x <= column + 2; x += 1) {
+          const neighbour = y * columns + x;
+          if (
+            x >= 0 &&
+            y >= 0 &&
+            x < columns &&
+            y < rows &&
+            cells[neighbour] > 0 &&
+            !seen[neighbour]
+          ) {
+            seen[neighbour] = 1;
+            queue.push(neighbour);
+          }
+        }
+      }
+    }
+
+    if (cellCount >= options.minRegionCells) {
+      regions.push({ ...bounds, changedPixels });
+    }
+  }
+
+  return regions.sort((a, b) => b.changedPixels - a.changedPixels);
+}
+
+// Red where linework was removed, green where it was added, over a faded
+// copy of the later revision.
+async function renderOverlay(alignment, options) {
+  const { width, height, before, after, dx, dy } = alignment;
+  const pixels = Buffer.alloc(width * height * 3);
+
+  for (let y = 0; y < height; y += 1) {
+    for (let x = 0; x < width; x += 1) {
+      const index = y * width + x;
+      const bx = x - dx;
+      const by = y - dy;
+      const previous =
+        bx >= 0 && by >= 0 && bx < width && by < height
+          ? before[by * width + bx]
+          : 255;
+      const current = after[index];
+      const faded = 255 - Math.round((255 - current) * 0.35);
+      let colour = [faded, faded, faded];
+      if (previous - current > options.diffThreshold) {
+        colour = [22, 163, 74];
+      } else if (current - previous > options.diffThreshold) {
+        colour = [220, 38, 38];
+      }
+      pixels.set(colour, index * 3);
+    }
+  }
+
+  return sharp(pixels, { raw: { width, height, channels: 3 } })
+    .png({ compressionLevel: 9 })
+    .toBuffer();
+}
+
+/**
+ * Aligns two revisions of a sheet and finds where they differ. Returns the
+ * changed `regions` (normalized 0-1 boxes on the later revision, largest
+ * change first, at most `maxRegions` of `regionCount`), the `alignment`
+ * shift of the earlier revision as a share of the sheet, and a PNG `overlay`
+ * with removed linework in red and added linework in green.
+ */
+export async function diffRevisions(beforeBuffer, afterBuffer, options) {
+  const alignment = await alignRevisions(beforeBuffer, afterBuffer, options);
+  const { width, height, before, after, dx, dy } = alignment;
+  const columns = Math.ceil(width / options.cellPx);
+  const rows = Math.ceil(height / options.cellPx);
+  const counts = new Uint32Array(columns * rows);
+
+  for (let y = 0; y < height; y += 1) {
+    for (let x = 0; x < width; x += 1) {
+      const bx = x - dx;
+      const by = y - dy;
+      const previous =
+        bx >= 0 && by >= 0 && bx < width && by < height
+          ? before[by * width + bx]
+          : 255;
+      if (Math.abs(after[y * width + x] - previous) > options.diffThreshold) {
+        counts[
+          Math.floor(y / options.cellPx) * columns +
+            Math.floor(x / options.cellPx)
+        ] += 1;
+      }
+    }
+  }
+
+  const cells = counts.map((count) =>
+    count >= options.minCellPixels ? count : 0
+  );
+  const found = findRegions(cells, columns, rows, options);
+  const regions = found.slice(0, options.maxRegions).map(
+    (region, index) => {
+      const left = region.left * options.cellPx;
+      const top = region.top * options.cellPx;
+      const right = Math.min(width, (region.right + 1) * options.cellPx);
+      const bottom = Math.min(height, (region.bottom + 1) * options.cellPx);
+      return {
+        id: `region-${index + 1}`,
+        x: left / width,
+        y: top / height,
+        width: (right - left) / width,
+        height: (bottom - top) / height,
+        changedPixels: region.changedPixels,
+      };
+    }
+  );
+
+  return {
+    regions,
+    regionCount: found.length,
+    alignment: { dx: dx / width, dy: dy / height },
+    overlay: await renderOverlay(alignment, options),
+  };
+}
+
+// Pads a normalized box and clamps it to the sheet, in source pixels.
+function toPixelBox(region, size, padding, shift = { dx: 0, dy: 0 }) {
+  const padX = region.width * padding;
+  const padY = region.height * padding;
+  const left = Math.max(0, (region.x - shift.dx - padX) * size.width);
+  const top = Math.max(0, (region.y - shift.dy - padY) * size.height);
+  const right = Math.min(
+    size.width,
+    (region.x - shift.dx + region.width + padX) * size.width
+  );
+  const bottom = Math.min(
+    size.height,
+    (region.y - shift.dy + region.height + padY) * size.height
+  );
+
+  return {
+    left: Math.floor(left),
+    top: Math.floor(top),
+    width: Math.max(1, Math.ceil(right - left)),
+    height: Math.max(1, Math.ceil(bottom - top)),
+  };
+}
+
+async function cropSide(buffer, box, edge) {
+  return sharp(buffer, { limitInputPixels: false })
+    .extract(box)
+    .flatten({ background: WHITE })
+    .resize(edge, edge, { fit: "contain", background: WHITE })
+    .png()
+    .toBuffer();
+}
+
+/**
+ * Cuts one changed region out of both revisions at full resolution and lays
+ * them side by side, earlier revision on the left, for the model to read.
+ */
+export async function renderRegionPair(
+  beforeBuffer,
+  afterBuffer,
+  region,
+  alignment,
+  options
+) {
+  const [beforeSize, afterSize] = await Promise.all(
+    [beforeBuffer, afterBuffer].map((buffer) =>
+      sharp(buffer, { limitInputPixels: false }).metadata()
+    )
+  );
+  const edge = options.regionImageEdgePx;
+  const gap = Math.max(4, Math.round(edge / 64));
+  const [left, right] = await Promise.all([
+    cropSide(
+      beforeBuffer,
+      toPixelBox(region, beforeSize, options.regionPaddingRatio, alignment),
+      edge
+    ),
+    cropSide(
+      afterBuffer,
+      toPixelBox(region, afterSize, options.regionPaddingRatio),
+      edge
+    ),
+  ]);
+
+  return sharp({
+    create: {
+      width: edge * 2 + gap,
+      height: edge,
+      channels: 3,
+      background: { r: 64, g: 64, b: 64 },
+    },
+  })
+    .composite([
+      { input: left, left: 0, top: 0 },
+      { input: right, left: edge + gap, top: 0 },
+    ])
+    .png()
+    .toBuffer();
+}
@@ -0,0 +1,59 @@
+import { MAX_UPLOAD_BYTES } from "@/lib/uploads/constants";
+import { del, head, put } from "@vercel/blob";
+import { generateClientTokenFromReadWriteToken } from "@vercel/blob/client";
+
+export function createBlobStorageBackend({ token, allowedContentTypes }) {
+  return {
+    name: "blob",
+    publicReadUrls: true,
+
+    // The browser uploads with `put` from `@vercel/blob/client` and a token
+    // scoped to this one pathname.
+    async createUploadTarget({ key, maxBytes = MAX_UPLOAD_BYTES }) {
+      const clientToken = await generateClientTokenFromReadWriteToken({
+        token,
+        pathname: key,
+        maximumSizeInBytes: maxBytes,
+        allowedContentTypes,
+        addRandomSuffix: false,
+        allowOverwrite: false,
+      });
+
+      return { method: "vercel-blob", token: clientToken, pathname: key };
+    },
+
+    async put(key, buffer, contentType) {
+      const blob = await put(key, buffer, {
+        access: "public",
+        token,
+        contentType,
+        addRandomSuffix: false,
+        allowOverwrite: true,
+      });
+
+      return { key, url: blob.url };
+    },
+
+    async getReadUrl(key) {
+      return (await head(key, { token })).url;
+    },
+
+    async stat(key) {
+      const blob = await head(key, { token });
+      return { bytes: blob.size, url: blob.url };
+    },
+
+    async get(key) {
+      const res = await fetch(await this.getReadUrl(key));
+      if (!res.ok) {
+        throw new Error(`Failed to download blob "${key}" (HTTP ${res.status}).`);
+      }
+
+      return Buffer.from(await res.arrayBuffer());
+    },
+
+    async delete(key) {
+      await del(key, { token });
+    },
+  };
+}
@@ -0,0 +1,62 @@
+import { promises as fs } from "fs";
+import path from "path";
+
+export function createLocalStorageBackend({ directory }) {
+  const root = path.resolve(directory);
+
+  // Keys are built by the server, but never let one escape the directory.
+  const objectPath = (key) => {
+    const resolved = path.resolve(root, key);
+    if (!resolved.startsWith(`${root}${path.sep}`)) {
+      throw new Error(`Invalid storage key "${key}".`);
+    }
+
+    return resolved;
+  };
+
+  return {
+    name: "local",
+    // The model provider cannot reach this disk, so images are inlined.
+    publicReadUrls: false,
+
+    // The browser PUTs the bytes to the app, which writes them here.
+    async createUploadTarget({ uploadId, contentType }) {
+      return {
+        method: "put",
+        url: `/api/uploads/${uploadId}/content`,
+        headers: { "Content-Type": contentType },
+      };
+    },
+
+    async put(key, buffer) {
+      const target = objectPath(key);
+      await fs.mkdir(path.dirname(target), { recursive: true });
+      const tempPath = `${target}.${process.pid}.tmp`;
+      await fs.writeFile(tempPath, buffer);
+      await fs.rename(tempPath, target);
+      return { key };
+    },
+
+    async getReadUrl() {
+      return null;
+    },
+
+    async stat(key) {
+      return { bytes: (await fs.stat(objectPath(key))).size };
+    },
+
+    async get(key) {
+      return fs.readFile(objectPath(key));
+    },
+
+    async delete(key) {
+      try {
+        await fs.unlink(objectPath(key));
+      } catch (error) {
+        if (error?.code !== "ENOENT") {
+          throw error;
+        }
+      }
+    },
+  };
+}
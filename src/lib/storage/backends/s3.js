@@ -0,0 +1,104 @@
+import { MAX_UPLOAD_BYTES, trimSlashes } from "@/lib/uploads/constants";
+import {
+  DeleteObjectCommand,
+  GetObjectCommand,
+  HeadObjectCommand,
+  PutObjectCommand,
+  S3Client,
+} from "@aws-sdk/client-s3";
+import { createPresignedPost } from "@aws-sdk/s3-presigned-post";
+import { getSignedUrl } from "@aws-sdk/s3-request-presigner";
+
+// `endpoint` points the client at an S3-compatible server such as MinIO.
+export function createS3StorageBackend({
+  bucket,
+  region,
+  endpoint,
+  accessKeyId,
+  secretAccessKey,
+  signedUrlTtlSeconds = 60 * 60,
+}) {
+  const client = new S3Client({
+    region,
+    endpoint,
+    forcePathStyle: Boolean(endpoint),
+    credentials: { accessKeyId, secretAccessKey },
+  });
+
+  return {
+    name: "s3",
+    // Presigned GET URLs let the model provider fetch objects directly.
+    publicReadUrls: true,
+
+    // The browser POSTs the file as a form to a presigned URL, whose policy
+    // caps the size and pins the type. The bucket needs CORS rules that allow
+    // it from the app's origin.
+    async createUploadTarget({ key, contentType, maxBytes = MAX_UPLOAD_BYTES }) {
+      const { url, fields } = await createPresignedPost(client, {
+        Bucket: bucket,
+        Key: key,
+        Conditions: [["content-length-range", 1, maxBytes]],
+        Fields: { "Content-Type": contentType },
+        Expires: signedUrlTtlSeconds,
+      });
+
+      return { method: "post", url, fields };
+    },
+
+    async put(key, buffer, contentType) {
+      await client.send(
+        new PutObjectCommand({
+          Bucket: bucket,
+          Key: key,
+          Body: buffer,
+          ContentType: contentType,
+          CacheControl: "max-age=3600",
+        })
+      );
+
+      return { key };
+    },
+
+    async getReadUrl(key) {
+      return getSignedUrl(
+        client,
+        new GetObjectCommand({
+          Bucket: bucket,
+          Key: trimSlashes(key),
+        }),
+        { expiresIn: signedUrlTtlSeconds }
+      );
+    },
+
+    async stat(key) {
+      const object = await client.send(
+        new HeadObjectCommand({
+          Bucket: bucket,
+          Key: trimSlashes(key),
+        })
+      );
+
+      return { bytes: object.ContentLength };
+    },
+
+    async get(key) {
+      const object = await client.send(
+        new GetObjectCommand({
+          Bucket: bucket,
+          Key: trimSlashes(key),
+        })
+      );
+
+      return Buffer.from(await object.Body.transformToByteArray());
+    },
+
+    async delete(key) {
+      await client.send(
+        new DeleteObjectCommand({
+          Bucket: bucket,
+          Key: trimSlashes(key),
+        })
+      );
+    },
+  };
+}
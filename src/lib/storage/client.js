@@ -0,0 +1,99 @@
+import { put } from "@vercel/blob/client";
+
+// Browser side of the upload flow; imports nothing server-only.
+
+const hashFile = async (file) => {
+  const digest = await crypto.subtle.digest("SHA-256", await file.arrayBuffer());
+  return Array.from(new Uint8Array(digest), (byte) =>
+    byte.toString(16).padStart(2, "0")
+  ).join("");
+};
+
+async function readJson(response, fallbackError) {
+  const payload = await response.json().catch(() => null);
+  if (!response.ok) {
+    throw new Error(payload?.error ?? fallbackError);
+  }
+
+  return payload;
+}
+
+// Sends the file to the target `/api/uploads` returned.
+async function sendToTarget(target, file, contentType) {
+  if (target.method === "vercel-blob") {
+    await put(target.pathname, file, {
+      access: "public",
+      token: target.token,
+      contentType,
+    });
+    return;
+  }
+
+  // S3 takes a form whose policy fields come first and the file last.
+  let body = file;
+  if (target.method === "post") {
+    body = new FormData();
+    for (const [name, value] of Object.entries(target.fields)) {
+      body.append(name, value);
+    }
+    body.append("file", file);
+  }
+
+  const response = await fetch(target.url, {
+    method: target.method === "post" ? "POST" : "PUT",
+    headers: target.headers,
+    body,
+  });
+  if (!response.ok) {
+    const payload = await response.json().catch(() => null);
+    throw new Error(
+      payload?.error ?? `Upload failed (HTTP ${response.status}).`
+    );
+  }
+}
+
+/**
+ * Stores a file with whichever backend the server is configured for and
+ * returns `{ uploadId, storageKey, storageBackend, previewUrl, mimeType }`.
+ * A file the workspace already stored is reused without uploading it again.
+ */
+export async function uploadFileToStorage(file) {
+  const prepared = await readJson(
+    await fetch("/api/uploads", {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify({
+        filename: file.name,
+        contentType: file.type,
+        size: file.size,
+        contentHash: await hashFile(file).catch(() => undefined),
+      }),
+    }),
+    "Failed to prepare upload."
+  );
+
+  if (prepared.existing) {
+    return {
+      uploadId: prepared.existing.uploadId,
+      storageKey: prepared.existing.key,
+      storageBackend: prepared.existing.backend,
+      previewUrl: prepared.existing.previewUrl,
+      mimeType: prepared.existing.contentType || file.type,
+    };
+  }
+
+  const mimeType = (prepared.contentType || file.type || "").toLowerCase();
+  await sendToTarget(prepared.target, file, mimeType);
+  const completed = await readJson(
+    await fetch(`/api/uploads/${prepared.uploadId}`, { method: "PATCH" }),
+    "Failed to confirm upload."
+  );
+
+  return {
+    uploadId: prepared.uploadId,
+    storageKey: prepared.key,
+    storageBackend: prepared.backend,
+    previewUrl: completed.upload.previewUrl,
+    mimeType,
+  };
+}
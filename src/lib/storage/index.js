@@ -0,0 +1,155 @@
+import { schematicConfig } from "@/config/schematic";
+import { DATA_DIR } from "@/lib/persistence/jsonStore";
+import { createBlobStorageBackend } from "@/lib/storage/backends/blob";
+import { createLocalStorageBackend } from "@/lib/storage/backends/local";
+import { createS3StorageBackend } from "@/lib/storage/backends/s3";
+import {
+  EXT_LOOKUP_BY_MIME,
+  sanitizeEnv,
+  trimSlashes,
+} from "@/lib/uploads/constants";
+import path from "path";
+
+export const STORAGE_BACKENDS = ["s3", "blob", "local"];
+
+const storageConfig = schematicConfig.storage ?? {};
+
+const KEY_PREFIX =
+  sanitizeEnv(process.env.BLOB_UPLOAD_PREFIX) ??
+  sanitizeEnv(process.env.AWS_VISION_PREFIX) ??
+  "vision-uploads";
+const KEY_FOLDER =
+  sanitizeEnv(process.env.BLOB_UPLOAD_FOLDER) ??
+  sanitizeEnv(process.env.AWS_SCHEMATICS_FOLDER) ??
+  "schematics";
+
+// Each factory returns null when its credentials are not configured.
+const BACKEND_FACTORIES = {
+  s3: () => {
+    const bucket = sanitizeEnv(process.env.AWS_BUCKET_NAME);
+    const accessKeyId = sanitizeEnv(process.env.AWS_ACCESS_KEY_ID);
+    const secretAccessKey = sanitizeEnv(process.env.AWS_ACCESS_KEY_SECRET);
+    if (!bucket || !accessKeyId || !secretAccessKey) {
+      return null;
+    }
+
+    return createS3StorageBackend({
+      bucket,
+      region: sanitizeEnv(process.env.AWS_REGION) ?? "us-east-1",
+      endpoint: sanitizeEnv(process.env.AWS_S3_ENDPOINT),
+      accessKeyId,
+      secretAccessKey,
+      signedUrlTtlSeconds: storageConfig.signedUrlTtlSeconds,
+    });
+  },
+  blob: () => {
+    const token = sanitizeEnv(process.env.BLOB_READ_WRITE_TOKEN);
+    return token
+      ? createBlobStorageBackend({
+          token,
+          allowedContentTypes: Object.keys(EXT_LOOKUP_BY_MIME),
+        })
+      : null;
+  },
+  local: () =>
+    createLocalStorageBackend({
+      directory:
+        sanitizeEnv(process.env.LOCAL_STORAGE_DIR) ??
+        storageConfig.localDirectory ??
+        path.join(DATA_DIR, "uploads"),
+    }),
+};
+
+const backends = new Map();
+
+/**
+ * Returns the named backend, or null when its credentials are missing.
+ * Tracked objects use this to reach whichever backend stored them.
+ */
+export function getStorageBackend(name) {
+  const factory = BACKEND_FACTORIES[name];
+  if (!factory) {
+    return null;
+  }
+
+  if (!backends.has(name)) {
+    backends.set(name, factory());
+  }
+
+  return backends.get(name);
+}
+
+function resolveBackendName(envName, configured) {
+  const name = sanitizeEnv(process.env[envName]) ?? configured ?? "auto";
+  if (name !== "auto" && name !== "none" && !BACKEND_FACTORIES[name]) {
+    throw new Error(
+      `Unknown storage backend "${name}". Allowed: ${STORAGE_BACKENDS.join(
+        ", "
+      )}, auto.`
+    );
+  }
+
+  return name;
+}
+
+function requireBackend(name) {
+  const backend = getStorageBackend(name);
+  if (!backend) {
+    throw new Error(
+      `Storage backend "${name}" is selected but its credentials are not configured.`
+    );
+  }
+
+  return backend;
+}
+
+/**
+ * Where browser uploads go. "auto" picks Vercel Blob when a token is set,
+ * then S3, then the local disk.
+ */
+export function getUploadStorage() {
+  const name = resolveBackendName("STORAGE_BACKEND", storageConfig.backend);
+  if (name === "auto" || name === "none") {
+    return (
+      getStorageBackend("blob") ??
+      getStorageBackend("s3") ??
+      getStorageBackend("local")
+    );
+  }
+
+  return requireBackend(name);
+}
+
+/**
+ * Where the server copies images it would otherwise inline, so the provider
+ * can fetch them by URL. "auto" prefers S3, then the upload backend if it
+ * serves public URLs; null means images are inlined.
+ */
+export function getOffloadStorage() {
+  const name = resolveBackendName(
+    "STORAGE_OFFLOAD_BACKEND",
+    storageConfig.offloadBackend
+  );
+  if (name === "none") {
+    return null;
+  }
+
+  if (name === "auto") {
+    const uploads = getUploadStorage();
+    return (
+      getStorageBackend("s3") ?? (uploads.publicReadUrls ? uploads : null)
+    );
+  }
+
+  const backend = requireBackend(name);
+  return backend.publicReadUrls ? backend : null;
+}
+
+export const buildStorageKey = (...segments) =>
+  [trimSlashes(KEY_PREFIX), trimSlashes(KEY_FOLDER), ...segments]
+    .filter(Boolean)
+    .join("/");
+
+// Browsers read stored objects through the app unless they have a public URL.
+export const previewUrlFor = (record) =>
+  record.url ?? `/api/uploads/${record.id}/content`;
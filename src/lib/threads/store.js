@@ -0,0 +1,54 @@
+import { inWorkspace } from "@/lib/auth";
+import { createJsonStore } from "@/lib/persistence/jsonStore";
+import { randomUUID } from "crypto";
+
+const threads = createJsonStore("threads");
+
+export const summarizeThread = (thread) => ({
+  id: thread.id,
+  title: thread.turns[0]?.question ?? "Untitled conversation",
+  createdAt: thread.createdAt,
+  updatedAt: thread.updatedAt,
+  turnCount: thread.turns.length,
+});
+
+export async function listThreads(workspaceId) {
+  const records = await threads.list();
+  return records
+    .filter((thread) => inWorkspace(thread, workspaceId))
+    .sort((a, b) => b.updatedAt.localeCompare(a.updatedAt))
+    .map(summarizeThread);
+}
+
+export async function getThread(threadId, workspaceId) {
+  const thread = await threads.get(threadId);
+  return inWorkspace(thread, workspaceId) ? thread : null;
+}
+
+export function createThread(workspaceId) {
+  const now = new Date().toISOString();
+  return threads.put({
+    id: randomUUID(),
+    workspaceId,
+    createdAt: now,
+    updatedAt: now,
+    turns: [],
+  });
+}
+
+export function appendThreadTurn(threadId, turn) {
+  return threads.update(threadId, (thread) => ({
+    ...thread,
+    updatedAt: turn.createdAt,
+    turns: [...thread.turns, turn],
+  }));
+}
+
+export async function deleteThread(threadId, workspaceId) {
+  return (await getThread(threadId, workspaceId))
+    ? threads.remove(threadId)
+    : false;
+}
+
+export const lastTurn = (thread) =>
+  thread?.turns?.[thread.turns.length - 1] ?? null;
@@ -7,6 +7,7 @@ export const MIME_LOOKUP = {
   ".webp": "image/webp",
   ".tif": "image/tiff",
   ".tiff": "image/tiff",
+  ".pdf": "application/pdf",
 };
 
 export const EXT_LOOKUP_BY_MIME = {
@@ -14,6 +15,7 @@ export const EXT_LOOKUP_BY_MIME = {
   "image/jpeg": "jpg",
   "image/webp": "webp",
   "image/tiff": "tiff",
+  "application/pdf": "pdf",
 };
 
 export const MAX_UPLOAD_BYTES = 45 * 1024 * 1024; // 45 MB hard cap per image
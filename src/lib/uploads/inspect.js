@@ -0,0 +1,90 @@
+import { schematicConfig } from "@/config/schematic";
+import { sniffMimeType } from "@/lib/uploads/sniff";
+import sharp from "sharp";
+
+// A download or upload cut short still has a readable header, so decode the
+// image to find out. Trailing data after the end marker (padding, EXIF
+// trailers) is ignored by the decoders. A tiny thumbnail lets JPEGs decode at
+// a fraction of their size.
+async function decodes(buffer) {
+  try {
+    await sharp(buffer, { failOn: "truncated", limitInputPixels: false })
+      .resize(64, 64, { fit: "inside" })
+      .raw()
+      .toBuffer();
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Identifies an uploaded file from its content rather than its name or
+ * declared type, and checks its pixel size against `imageLimits`. The header
+ * is parsed first, so oversized images are rejected before anything decodes
+ * them. Returns `{ value: { mimeType, width, height } }` (no size for PDFs,
+ * whose pages are checked when rasterized) or `{ status, error }`.
+ */
+export async function inspectImage(buffer, name) {
+  const mimeType = sniffMimeType(buffer);
+  if (!mimeType) {
+    return {
+      status: 415,
+      error: `"${name}" is not a PNG, JPEG, WebP, TIFF or PDF file.`,
+    };
+  }
+
+  if (mimeType === "application/pdf") {
+    return { value: { mimeType } };
+  }
+
+  let metadata;
+  try {
+    metadata = await sharp(buffer, { limitInputPixels: false }).metadata();
+  } catch {
+    metadata = null;
+  }
+
+  const corrupt = {
+    status: 422,
+    error: `"${name}" looks like ${mimeType} but is corrupt or incomplete.`,
+  };
+  if (
+    !metadata?.width ||
+    !metadata?.height ||
+    `image/${metadata.format}` !== mimeType
+  ) {
+    return corrupt;
+  }
+
+  const { width, height } = metadata;
+  const limits = schematicConfig.imageLimits ?? {};
+  const size = `${width}x${height} px`;
+
+  if (
+    (limits.maxPixels && width * height > limits.maxPixels) ||
+    (limits.maxEdgePx && Math.max(width, height) > limits.maxEdgePx)
+  ) {
+    return {
+      status: 413,
+      error: `"${name}" is ${size}, above the ${
+        limits.maxEdgePx
+      } px edge / ${Math.round(
+        (limits.maxPixels ?? 0) / 1_000_000
+      )} MP limit. Export it at a lower resolution.`,
+    };
+  }
+
+  if (limits.minEdgePx && Math.min(width, height) < limits.minEdgePx) {
+    return {
+      status: 422,
+      error: `"${name}" is only ${size}; schematics need at least ${limits.minEdgePx} px on each side to be legible.`,
+    };
+  }
+
+  if (!(await decodes(buffer))) {
+    return corrupt;
+  }
+
+  return { value: { mimeType, width, height } };
+}
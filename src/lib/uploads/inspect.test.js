@@ -0,0 +1,82 @@
+import sharp from "sharp";
+import { afterEach, beforeAll, describe, expect, it } from "vitest";
+import { schematicConfig } from "@/config/schematic";
+import { inspectImage } from "@/lib/uploads/inspect";
+
+const configuredLimits = { ...schematicConfig.imageLimits };
+
+// Text gives the encoders some entropy, so files are not all header.
+const drawing = (width, height) =>
+  sharp({
+    create: { width, height, channels: 3, background: "#f4f4f4" },
+  }).composite([
+    {
+      input: Buffer.from(
+        `<svg width="${width}" height="${height}"><text x="20" y="80" font-size="48">Level 4 plan</text></svg>`
+      ),
+    },
+  ]);
+
+let png;
+let jpeg;
+beforeAll(async () => {
+  png = await drawing(640, 480).png().toBuffer();
+  jpeg = await drawing(640, 480).jpeg().toBuffer();
+});
+
+afterEach(() => {
+  Object.assign(schematicConfig.imageLimits, configuredLimits);
+});
+
+describe("inspectImage", () => {
+  it("reads the type and size from the content", async () => {
+    expect(await inspectImage(png, "plan.jpg")).toEqual({
+      value: { mimeType: "image/png", width: 640, height: 480 },
+    });
+    expect((await inspectImage(jpeg, "plan")).value.mimeType).toBe(
+      "image/jpeg"
+    );
+  });
+
+  it("accepts JPEGs with data after the end marker", async () => {
+    const trailer = Buffer.alloc(8 * 1024, 0x41);
+
+    expect(
+      (await inspectImage(Buffer.concat([jpeg, trailer]), "plan.jpg")).value
+    ).toMatchObject({ mimeType: "image/jpeg", width: 640 });
+  });
+
+  it("rejects files cut short", async () => {
+    for (const buffer of [
+      jpeg.subarray(0, jpeg.length - 2),
+      jpeg.subarray(0, jpeg.length / 2),
+      png.subarray(0, png.length - 200),
+    ]) {
+      expect(await inspectImage(buffer, "plan")).toMatchObject({
+        status: 422,
+        error: expect.stringContaining("corrupt or incomplete"),
+      });
+    }
+  });
+
+  it("rejects unknown signatures", async () => {
+    expect(
+      (await inspectImage(Buffer.from("GIF89a..."), "plan.gif")).status
+    ).toBe(415);
+  });
+
+  it("lets PDFs through to be checked when rasterized", async () => {
+    expect(
+      await inspectImage(Buffer.from("%PDF-1.7\n..."), "plan.pdf")
+    ).toEqual({ value: { mimeType: "application/pdf" } });
+  });
+
+  it("enforces the configured pixel limits", async () => {
+    schematicConfig.imageLimits.maxPixels = 100_000;
+    expect((await inspectImage(png, "plan.png")).status).toBe(413);
+
+    schematicConfig.imageLimits.maxPixels = configuredLimits.maxPixels;
+    schematicConfig.imageLimits.minEdgePx = 500;
+    expect((await inspectImage(png, "plan.png")).status).toBe(422);
+  });
+});
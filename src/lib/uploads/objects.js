@@ -0,0 +1,241 @@
+import { schematicConfig } from "@/config/schematic";
+import { inWorkspace } from "@/lib/auth";
+import { listSetImageReferences } from "@/lib/library/store";
+import { createJsonStore } from "@/lib/persistence/jsonStore";
+import { getStorageBackend } from "@/lib/storage";
+import { randomUUID } from "crypto";
+
+// Every stored object the app creates, so it can be reused and cleaned up.
+const uploadObjects = createJsonStore("upload-objects");
+
+const HOUR_MS = 60 * 60 * 1000;
+
+const retention = () => schematicConfig.uploadRetention ?? {};
+
+// Client uploads live for `clientUploadTtlHours` after their last use; copies
+// made for a single model call expire after `offloadTtlHours`.
+const expiresAt = (origin, from = Date.now()) => {
+  const hours =
+    origin === "offload"
+      ? retention().offloadTtlHours ?? 24
+      : retention().clientUploadTtlHours ?? 72;
+  return new Date(from + hours * HOUR_MS).toISOString();
+};
+
+export const summarizeUploadObject = (record) => ({
+  id: record.id,
+  backend: record.backend,
+  key: record.key,
+  url: record.url,
+  status: record.status,
+  mimeType: record.mimeType,
+  bytes: record.bytes,
+  width: record.width,
+  height: record.height,
+  createdAt: record.createdAt,
+  lastUsedAt: record.lastUsedAt,
+  expiresAt: record.expiresAt,
+  releasedAt: record.releasedAt,
+});
+
+/**
+ * Records an object the app created. `origin` is "client-upload" for files
+ * the browser sends to an upload target (pending until the upload is
+ * confirmed) or "offload" for copies the server writes itself.
+ */
+export function trackUploadObject({
+  backend,
+  key,
+  name,
+  url,
+  workspaceId,
+  userId,
+  contentHash,
+  mimeType,
+  bytes,
+  origin,
+}) {
+  const now = new Date().toISOString();
+  return uploadObjects.put({
+    id: randomUUID(),
+    backend,
+    key,
+    name,
+    url,
+    workspaceId,
+    userId,
+    contentHash,
+    mimeType,
+    bytes,
+    origin,
+    status: origin === "offload" ? "stored" : "pending",
+    createdAt: now,
+    lastUsedAt: now,
+    expiresAt: expiresAt(origin),
+  });
+}
+
+export async function getUploadObject(objectId, workspaceId) {
+  const record = await uploadObjects.get(objectId);
+  return inWorkspace(record, workspaceId) ? record : null;
+}
+
+export async function findUploadObjectByKey(backend, key) {
+  return (
+    (await uploadObjects.list()).find(
+      (record) => record.backend === backend && record.key === key
+    ) ?? null
+  );
+}
+
+export async function findUploadObjectByUrl(url) {
+  return (
+    (await uploadObjects.list()).find((record) => record.url === url) ?? null
+  );
+}
+
+// Dedup lookup: an already stored object with the same bytes in the workspace.
+export async function findUploadObjectByHash({
+  backend,
+  workspaceId,
+  contentHash,
+}) {
+  if (!contentHash) {
+    return null;
+  }
+
+  return (
+    (await uploadObjects.list()).find(
+      (record) =>
+        record.backend === backend &&
+        record.status === "stored" &&
+        record.contentHash === contentHash &&
+        inWorkspace(record, workspaceId)
+    ) ?? null
+  );
+}
+
+// `detected` is what inspectImage found in the stored bytes, and
+// `contentHash` their sha256.
+export function completeUploadObject(
+  objectId,
+  { url, bytes, contentHash, detected = {} }
+) {
+  return uploadObjects.update(objectId, (current) => ({
+    ...current,
+    url: url ?? current.url,
+    bytes: bytes ?? current.bytes,
+    contentHash,
+    mimeType: detected.mimeType ?? current.mimeType,
+    width: detected.width,
+    height: detected.height,
+    status: "stored",
+  }));
+}
+
+export async function touchUploadObject(backend, key) {
+  const record = await findUploadObjectByKey(backend, key);
+  if (!record) {
+    return null;
+  }
+
+  return uploadObjects.update(record.id, (current) => ({
+    ...current,
+    lastUsedAt: new Date().toISOString(),
+    expiresAt: expiresAt(current.origin),
+    releasedAt: undefined,
+  }));
+}
+
+/**
+ * Marks an upload the browser removed. Dedup means other attachments, tabs
+ * and history reruns may share the object, so it is not deleted here: it
+ * expires `releasedTtlHours` after its last use instead, unless that is
+ * sooner than it would anyway, and using it again restores the usual expiry.
+ */
+export function releaseUploadObject(objectId) {
+  return uploadObjects.update(objectId, (current) => {
+    const releasedExpiry =
+      Date.parse(current.lastUsedAt) +
+      (retention().releasedTtlHours ?? 24) * HOUR_MS;
+    return {
+      ...current,
+      releasedAt: new Date().toISOString(),
+      expiresAt: new Date(
+        Math.min(releasedExpiry, Date.parse(current.expiresAt))
+      ).toISOString(),
+    };
+  });
+}
+
+/**
+ * Deletes the stored object and its tracking record. Objects a saved
+ * schematic set still points at are kept; the result says why.
+ */
+export async function deleteUploadObject(record) {
+  const references = await listSetImageReferences();
+  if (references.has(record.key) || references.has(record.url)) {
+    return { error: "This image is part of a saved schematic set." };
+  }
+
+  const storage = getStorageBackend(record.backend);
+  if (!storage) {
+    throw new Error(
+      `Storage backend "${record.backend}" is not configured on the server.`
+    );
+  }
+
+  await storage.delete(record.key);
+
+  await uploadObjects.remove(record.id);
+  return { value: summarizeUploadObject(record) };
+}
+
+/**
+ * Deletes every expired object, optionally within one workspace. Objects used
+ * by saved schematic sets are never removed. With `dryRun`, only reports what
+ * would be deleted.
+ */
+export async function sweepUploadObjects({
+  workspaceId,
+  dryRun = false,
+  now = Date.now(),
+} = {}) {
+  const references = await listSetImageReferences();
+  const expired = (await uploadObjects.list()).filter(
+    (record) =>
+      (!workspaceId || inWorkspace(record, workspaceId)) &&
+      Date.parse(record.expiresAt) <= now
+  );
+  const result = { deleted: [], kept: [], failed: [] };
+
+  for (const record of expired) {
+    if (references.has(record.key) || references.has(record.url)) {
+      result.kept.push(summarizeUploadObject(record));
+      continue;
+    }
+
+    if (dryRun) {
+      result.deleted.push(summarizeUploadObject(record));
+      continue;
+    }
+
+    try {
+      const deleted = await deleteUploadObject(record);
+      (deleted.error ? result.kept : result.deleted).push(
+        summarizeUploadObject(record)
+      );
+    } catch (error) {
+      console.error("Failed to delete expired upload object", {
+        error,
+        key: record.key,
+      });
+      result.failed.push({
+        ...summarizeUploadObject(record),
+        error: error instanceof Error ? error.message : "Unknown error",
+      });
+    }
+  }
+
+  return result;
+}
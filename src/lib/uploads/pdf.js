@@ -0,0 +1,150 @@
+import { schematicConfig } from "@/config/schematic";
+import path from "path";
+
+const POINTS_PER_INCH = 72;
+
+// Matches common drawing sheet numbers such as "A-101", "M2.03" or "FP-201".
+const SHEET_NUMBER_PATTERN = /\b([A-Z]{1,3}-?\d{1,3}(?:\.\d{1,3})?)\b/;
+
+let pdfjsPromise;
+
+const loadPdfjs = () => {
+  pdfjsPromise ??= import("pdfjs-dist/legacy/build/pdf.mjs");
+  return pdfjsPromise;
+};
+
+export const isPdfUpload = (upload) =>
+  upload?.mimeType === "application/pdf" ||
+  (typeof upload?.name === "string" && /\.pdf$/i.test(upload.name));
+
+export function parsePageSelection(selection, pageCount) {
+  if (Array.isArray(selection)) {
+    return [
+      ...new Set(
+        selection
+          .map((value) => Number.parseInt(value, 10))
+          .filter((page) => page >= 1 && page <= pageCount)
+      ),
+    ];
+  }
+
+  if (typeof selection !== "string" || selection.trim().length === 0) {
+    return Array.from({ length: pageCount }, (_, index) => index + 1);
+  }
+
+  const pages = new Set();
+  for (const part of selection.split(",")) {
+    const match = /^\s*(\d+)\s*(?:-\s*(\d+)\s*)?$/.exec(part);
+    if (!match) {
+      throw new Error(
+        `Invalid page selection "${selection}". Use a list like "1-3,5".`
+      );
+    }
+
+    const start = Number.parseInt(match[1], 10);
+    const end = Math.min(
+      match[2] ? Number.parseInt(match[2], 10) : start,
+      pageCount
+    );
+    for (let page = Math.max(1, start); page <= end; page += 1) {
+      pages.add(page);
+    }
+  }
+
+  return [...pages].sort((a, b) => a - b);
+}
+
+async function detectSheetNumber(page) {
+  try {
+    const textContent = await page.getTextContent();
+    const text = textContent.items.map((item) => item.str).join(" ");
+    return SHEET_NUMBER_PATTERN.exec(text)?.[1];
+  } catch {
+    return undefined;
+  }
+}
+
+/**
+ * Renders the selected PDF pages to PNG buffers. DPI is clamped to the
+ * configured maximum and lowered further for pages that would exceed
+ * `maxPagePixels`.
+ */
+export async function rasterizePdf(buffer, { pages, dpi } = {}) {
+  const options = schematicConfig.pdf ?? {};
+  const { getDocument } = await loadPdfjs();
+  const document = await getDocument({
+    data: new Uint8Array(buffer),
+    standardFontDataUrl: `${path.join(
+      process.cwd(),
+      "node_modules",
+      "pdfjs-dist",
+      "standard_fonts"
+    )}/`,
+    isEvalSupported: false,
+  }).promise;
+
+  try {
+    const selectedPages = parsePageSelection(pages, document.numPages);
+    const maxPages = options.maxPages ?? 10;
+    if (selectedPages.length === 0) {
+      throw new Error("The page selection does not match any page in the PDF.");
+    }
+    if (selectedPages.length > maxPages) {
+      throw new Error(
+        `PDF page selection covers ${selectedPages.length} pages; the limit is ${maxPages}. Select fewer pages.`
+      );
+    }
+
+    const requestedDpi = Number.isFinite(Number(dpi))
+      ? Number(dpi)
+      : options.defaultDpi ?? 300;
+    const targetDpi = Math.min(
+      Math.max(requestedDpi, options.minDpi ?? 72),
+      options.maxDpi ?? 600
+    );
+    const maxPagePixels = options.maxPagePixels ?? 150_000_000;
+    const rendered = [];
+
+    for (const pageNumber of selectedPages) {
+      const page = await document.getPage(pageNumber);
+      const baseViewport = page.getViewport({ scale: 1 });
+      const areaAtTarget =
+        baseViewport.width *
+        baseViewport.height *
+        (targetDpi / POINTS_PER_INCH) ** 2;
+      const effectiveDpi =
+        areaAtTarget > maxPagePixels
+          ? Math.floor(targetDpi * Math.sqrt(maxPagePixels / areaAtTarget))
+          : targetDpi;
+      const viewport = page.getViewport({
+        scale: effectiveDpi / POINTS_PER_INCH,
+      });
+      const { canvas, context } = document.canvasFactory.create(
+        Math.ceil(viewport.width),
+        Math.ceil(viewport.height)
+      );
+
+      await page.render({ canvasContext: context, viewport, canvas }).promise;
+
+      const sheetNumber = await detectSheetNumber(page);
+      rendered.push({
+        pageNumber,
+        sheetNumber,
+        label: sheetNumber
+          ? `Sheet ${sheetNumber}, page ${pageNumber}`
+          : `Page ${pageNumber}`,
+        dpi: effectiveDpi,
+        width: canvas.width,
+        height: canvas.height,
+        buffer: canvas.toBuffer("image/png"),
+        mimeType: "image/png",
+      });
+
+      page.cleanup();
+    }
+
+    return { pageCount: document.numPages, pages: rendered };
+  } finally {
+    await document.destroy();
+  }
+}
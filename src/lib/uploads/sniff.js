@@ -0,0 +1,41 @@
+// File signatures of the formats uploads may use, checked in order.
+const SIGNATURES = [
+  {
+    mimeType: "image/png",
+    bytes: [0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a],
+  },
+  { mimeType: "image/jpeg", bytes: [0xff, 0xd8, 0xff] },
+  { mimeType: "image/tiff", bytes: [0x49, 0x49, 0x2a, 0x00] },
+  { mimeType: "image/tiff", bytes: [0x4d, 0x4d, 0x00, 0x2a] },
+  { mimeType: "application/pdf", bytes: [0x25, 0x50, 0x44, 0x46, 0x2d] },
+];
+
+const matchesAt = (buffer, bytes, offset = 0) =>
+  buffer.length >= offset + bytes.length &&
+  bytes.every((byte, index) => buffer[offset + index] === byte);
+
+const ascii = (text) => Array.from(text, (char) => char.charCodeAt(0));
+
+// Bytes needed to recognise every supported format.
+export const SNIFF_BYTES = 16;
+
+/**
+ * Returns the MIME type a file's leading bytes identify, or null when they
+ * match none of the supported formats.
+ */
+export function sniffMimeType(buffer) {
+  const found = SIGNATURES.find(({ bytes }) => matchesAt(buffer, bytes));
+  if (found) {
+    return found.mimeType;
+  }
+
+  // WebP is a RIFF container: "RIFF", a 4-byte size, then "WEBP".
+  if (
+    matchesAt(buffer, ascii("RIFF")) &&
+    matchesAt(buffer, ascii("WEBP"), 8)
+  ) {
+    return "image/webp";
+  }
+
+  return null;
+}
@@ -0,0 +1,283 @@
+import { schematicConfig } from "@/config/schematic";
+import { inWorkspace } from "@/lib/auth";
+import { STORAGE_BACKENDS, getUploadStorage } from "@/lib/storage";
+import {
+  EXT_LOOKUP_BY_MIME,
+  MAX_UPLOAD_BYTES,
+  trimSlashes,
+} from "@/lib/uploads/constants";
+import { inspectImage } from "@/lib/uploads/inspect";
+import {
+  findUploadObjectByKey,
+  findUploadObjectByUrl,
+} from "@/lib/uploads/objects";
+import { SNIFF_BYTES, sniffMimeType } from "@/lib/uploads/sniff";
+
+const SUPPORTED_MIME_TYPES = new Set(Object.keys(EXT_LOOKUP_BY_MIME));
+const VERIFY_MODES = ["none", "head", "sniff"];
+
+const remoteConfig = () => schematicConfig.remoteImages ?? {};
+
+const sizeLimitMb = () => Math.floor(MAX_UPLOAD_BYTES / (1024 * 1024));
+
+const optionalKey = (value) =>
+  typeof value === "string" && value.trim() ? trimSlashes(value.trim()) : null;
+
+// "*.example.com" matches subdomains of example.com, not example.com itself.
+const hostMatches = (hostname, pattern) =>
+  pattern.startsWith("*.")
+    ? hostname.endsWith(pattern.slice(1))
+    : hostname === pattern.toLowerCase();
+
+function isAllowlisted(url) {
+  const { allowedHosts = [], allowedUrlPrefixes = [] } = remoteConfig();
+  return (
+    allowedHosts.some((pattern) => hostMatches(url.hostname, pattern)) ||
+    allowedUrlPrefixes.some((prefix) => url.href.startsWith(prefix))
+  );
+}
+
+const DATA_URL_PATTERN = /^data:[^;]+;base64,(?<data>.+)$/i;
+
+// The bytes a payload carries inline (multipart files or a data URL), if any.
+function inlineBytes(image) {
+  if (Buffer.isBuffer(image.buffer)) {
+    return image.buffer;
+  }
+
+  if (
+    image.buffer instanceof ArrayBuffer ||
+    image.buffer instanceof Uint8Array
+  ) {
+    return Buffer.from(image.buffer);
+  }
+
+  const data =
+    typeof image.dataUrl === "string"
+      ? DATA_URL_PATTERN.exec(image.dataUrl.trim())?.groups?.data
+      : undefined;
+  return data ? Buffer.from(data, "base64") : null;
+}
+
+// The stored objects a payload refers to, as [backend, key] pairs.
+function storedReferences(image) {
+  const references = [];
+  const storageKey = optionalKey(image.storageKey);
+  if (storageKey) {
+    references.push([
+      STORAGE_BACKENDS.includes(image.storageBackend)
+        ? image.storageBackend
+        : getUploadStorage().name,
+      storageKey,
+    ]);
+  }
+
+  const s3Key = optionalKey(image.s3Key);
+  if (s3Key) {
+    references.push(["s3", s3Key]);
+  }
+
+  const blobPathname = optionalKey(image.blobPathname ?? image.blobPath);
+  if (blobPathname) {
+    references.push(["blob", blobPathname]);
+  }
+
+  return references;
+}
+
+async function readLeadingBytes(url, signal) {
+  const res = await fetch(url, {
+    headers: { Range: `bytes=0-${SNIFF_BYTES - 1}` },
+    redirect: "error",
+    signal,
+  });
+  if (!res.ok) {
+    throw new Error(`HTTP ${res.status}`);
+  }
+
+  // Servers that ignore Range send the whole file; stop after the signature.
+  const reader = res.body.getReader();
+  const chunks = [];
+  let length = 0;
+  while (length < SNIFF_BYTES) {
+    const { done, value } = await reader.read();
+    if (done) {
+      break;
+    }
+    chunks.push(value);
+    length += value.length;
+  }
+  await reader.cancel().catch(() => undefined);
+
+  return Buffer.concat(chunks);
+}
+
+/**
+ * Asks the remote server for the file's type and size, and with "sniff" also
+ * reads its signature. Returns null when the file looks like a supported
+ * image within the size limit.
+ */
+async function verifyRemoteImage(url, name) {
+  const config = remoteConfig();
+  const mode = VERIFY_MODES.includes(config.verify) ? config.verify : "head";
+  if (mode === "none") {
+    return null;
+  }
+
+  const signal = AbortSignal.timeout(config.verifyTimeoutMs ?? 5000);
+  let res;
+  try {
+    res = await fetch(url, { method: "HEAD", redirect: "error", signal });
+  } catch (error) {
+    return {
+      status: 400,
+      error: `Image URL for "${name}" could not be reached (${
+        error instanceof Error ? error.message : "network error"
+      }).`,
+    };
+  }
+
+  if (!res.ok) {
+    return {
+      status: 400,
+      error: `Image URL for "${name}" returned HTTP ${res.status}.`,
+    };
+  }
+
+  const declaredLength = Number(res.headers.get("content-length"));
+  if (declaredLength > MAX_UPLOAD_BYTES) {
+    return {
+      status: 413,
+      error: `Image URL for "${name}" exceeds the ${sizeLimitMb()}MB limit.`,
+    };
+  }
+
+  let mimeType = res.headers
+    .get("content-type")
+    ?.split(";")[0]
+    .trim()
+    .toLowerCase();
+
+  if (mode === "sniff") {
+    try {
+      mimeType = sniffMimeType(await readLeadingBytes(url, signal));
+    } catch (error) {
+      return {
+        status: 400,
+        error: `Image URL for "${name}" could not be read (${
+          error instanceof Error ? error.message : "network error"
+        }).`,
+      };
+    }
+  }
+
+  if (!SUPPORTED_MIME_TYPES.has(mimeType)) {
+    return {
+      status: 415,
+      error: `Image URL for "${name}" is not a supported image (${
+        mimeType ?? "unknown type"
+      }). Allowed: ${Array.from(SUPPORTED_MIME_TYPES).join(", ")}.`,
+    };
+  }
+
+  return null;
+}
+
+async function checkImageSource(image, workspaceId, name) {
+  // Inline bytes are inspected here; stored uploads were inspected when the
+  // browser confirmed them.
+  if (image.buffer || image.dataUrl) {
+    const bytes = inlineBytes(image);
+    if (!bytes) {
+      return {
+        status: 400,
+        error: `"${name}" is missing a valid base64 data URL.`,
+      };
+    }
+
+    const { error, status } = await inspectImage(bytes, name);
+    return error ? { status, error } : null;
+  }
+
+  for (const [backend, key] of storedReferences(image)) {
+    const record = await findUploadObjectByKey(backend, key);
+    if (!record || !inWorkspace(record, workspaceId)) {
+      return {
+        status: 403,
+        error: `"${name}" refers to a stored file that is not one of this workspace's uploads.`,
+      };
+    }
+
+    if (record.status !== "stored") {
+      return {
+        status: 409,
+        error: `"${name}" has not finished uploading.`,
+      };
+    }
+  }
+
+  // A storage key takes precedence, so the URL is never used.
+  if (optionalKey(image.storageKey) || optionalKey(image.s3Key)) {
+    return null;
+  }
+
+  if (typeof image.url !== "string" || !image.url.trim()) {
+    return null;
+  }
+
+  let url;
+  try {
+    url = new URL(image.url.trim());
+  } catch {
+    url = null;
+  }
+
+  if (!url || url.protocol !== "https:" || url.username || url.password) {
+    return {
+      status: 400,
+      error: `Image URL for "${name}" must be a plain https URL.`,
+    };
+  }
+
+  const tracked = await findUploadObjectByUrl(url.href);
+  if (tracked) {
+    return inWorkspace(tracked, workspaceId)
+      ? null
+      : {
+          status: 403,
+          error: `"${name}" refers to a stored file that is not one of this workspace's uploads.`,
+        };
+  }
+
+  if (!isAllowlisted(url)) {
+    return {
+      status: 403,
+      error: `Image URL host "${url.hostname}" for "${name}" is not allowed. Add it to remoteImages.allowedHosts or allowedUrlPrefixes in src/config/schematic.js.`,
+    };
+  }
+
+  return verifyRemoteImage(url.href, name);
+}
+
+/**
+ * Checks the URLs and storage keys of upload payloads or library images
+ * before the server signs, fetches or forwards them. Stored objects must be
+ * the workspace's own uploads; other URLs must be on the `remoteImages`
+ * allowlist; inline bytes must pass inspectImage. Returns null when every source is acceptable, otherwise the
+ * first failure as `{ status, error }`.
+ */
+export async function checkImageSources(images, workspaceId) {
+  for (const [index, image] of images.entries()) {
+    if (!image || typeof image !== "object") {
+      continue;
+    }
+
+    const name = image.name ?? image.label ?? `Image #${index + 1}`;
+    const rejected = await checkImageSource(image, workspaceId, name);
+    if (rejected) {
+      return rejected;
+    }
+  }
+
+  return null;
+}
@@ -0,0 +1,85 @@
+import { DEFAULT_ANSWER_MODE, answerModes } from "@/config/answerModes";
+import Ajv from "ajv";
+
+const ajv = new Ajv({ allErrors: true, strict: false });
+// Keyed by schema so grounded variants of a mode get their own validator.
+const validators = new WeakMap();
+
+const getValidator = (schema) => {
+  if (!validators.has(schema)) {
+    validators.set(schema, ajv.compile(schema));
+  }
+
+  return validators.get(schema);
+};
+
+export function resolveAnswerMode(name) {
+  const key =
+    typeof name === "string" && name.trim().length > 0
+      ? name.trim()
+      : DEFAULT_ANSWER_MODE;
+  const mode = answerModes[key];
+
+  if (!mode) {
+    throw new Error(
+      `Unknown answer mode "${key}". Allowed: ${Object.keys(answerModes).join(
+        ", "
+      )}.`
+    );
+  }
+
+  return { name: key, ...mode };
+}
+
+export function buildResponseFormat(mode) {
+  if (!mode.schema) {
+    return undefined;
+  }
+
+  return {
+    name: mode.name.replace(/[^a-zA-Z0-9_-]/g, "_"),
+    schema: mode.schema,
+  };
+}
+
+export function validateStructuredOutput(mode, outputText) {
+  if (!mode.schema) {
+    return { data: null, errors: [] };
+  }
+
+  let data;
+  try {
+    data = JSON.parse(outputText);
+  } catch (error) {
+    return {
+      data: null,
+      errors: [`Output is not valid JSON: ${error.message}`],
+    };
+  }
+
+  const validate = getValidator(mode.schema);
+  if (validate(data)) {
+    return { data, errors: [] };
+  }
+
+  return {
+    data,
+    errors: validate.errors.map(
+      (issue) => `${issue.instancePath || "(root)"} ${issue.message}`
+    ),
+  };
+}
+
+export function mergeUsage(...usages) {
+  const present = usages.filter(Boolean);
+  if (present.length <= 1) {
+    return present[0];
+  }
+
+  return present.reduce((total, usage) => ({
+    ...total,
+    input_tokens: (total.input_tokens ?? 0) + (usage.input_tokens ?? 0),
+    output_tokens: (total.output_tokens ?? 0) + (usage.output_tokens ?? 0),
+    total_tokens: (total.total_tokens ?? 0) + (usage.total_tokens ?? 0),
+  }));
+}
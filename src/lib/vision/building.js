@@ -0,0 +1,109 @@
+// Building and floor metadata for images, shared by the prompt and routing.
+
+const optionalText = (value) =>
+  typeof value === "string" && value.trim().length > 0
+    ? value.trim()
+    : typeof value === "number" && Number.isFinite(value)
+    ? String(value)
+    : undefined;
+
+// Floors may be given as numbers (`4`) as well as labels ("Level 4").
+export const normalizeLocation = (input, fallback = {}) => ({
+  building: optionalText(input?.building) ?? fallback.building,
+  floor: optionalText(input?.floor) ?? fallback.floor,
+});
+
+const BASEMENT_PATTERN = /^(?:b|basement|lower level|ll|p)\s*-?\s*(?<depth>\d+)?$/i;
+const GROUND_PATTERN = /^(?:g|gf|ground(?: floor)?|lobby|street)$/i;
+
+/**
+ * Vertical position of a floor label: "B2" is -2, "Ground" is 0 and
+ * "Level 4" is 4. Returns null for labels with no number, such as "Roof".
+ */
+export function floorRank(floor) {
+  if (typeof floor !== "string") {
+    return null;
+  }
+
+  const label = floor
+    .trim()
+    .replace(/^(?:level|floor|lvl|l)\s*(?=-?\d)/i, "");
+  if (GROUND_PATTERN.test(label)) {
+    return 0;
+  }
+
+  const basement = BASEMENT_PATTERN.exec(label);
+  if (basement) {
+    return -Number(basement.groups.depth ?? 1);
+  }
+
+  const number = /-?\d+/.exec(label);
+  return number ? Number(number[0]) : null;
+}
+
+const normalizeFloorLabel = (floor) =>
+  floor.toLowerCase().replace(/[^a-z0-9-]+/g, " ").trim();
+
+// "1" and "Level 1" name the same floor.
+export function sameFloor(a, b) {
+  if (typeof a !== "string" || typeof b !== "string") {
+    return false;
+  }
+
+  if (normalizeFloorLabel(a) === normalizeFloorLabel(b)) {
+    return true;
+  }
+
+  const rank = floorRank(a);
+  return rank !== null && rank === floorRank(b);
+}
+
+export const compareFloors = (a, b) =>
+  (floorRank(a) ?? Infinity) - (floorRank(b) ?? Infinity) ||
+  a.localeCompare(b);
+
+// Short codes read as "floor 4"; labels such as "Mezzanine" stand alone.
+export const describeFloor = (floor) =>
+  /^-?[a-z]?\d+[a-z]?$/i.test(floor) ? `floor ${floor}` : floor;
+
+export const describeLocation = ({ building, floor }) =>
+  [building, floor && describeFloor(floor)].filter(Boolean).join(" · ");
+
+/**
+ * Lists which image shows which building and floor, lowest floor first, so
+ * the model can tell levels apart and change floors through shared cores.
+ * Returns null when no image carries location metadata.
+ */
+export function buildBuildingManifest(entries) {
+  if (!entries.some((entry) => entry.building || entry.floor)) {
+    return null;
+  }
+
+  const groups = new Map();
+  for (const entry of entries) {
+    const key = entry.building || entry.floor ? describeLocation(entry) : "";
+    if (!groups.has(key)) {
+      groups.set(key, { ...entry, images: [] });
+    }
+    groups.get(key).images.push(`${entry.imageId} (${entry.name})`);
+  }
+
+  const lines = [...groups.entries()]
+    .sort(
+      ([keyA, a], [keyB, b]) =>
+        // Images without a location go last.
+        (keyA ? 0 : 1) - (keyB ? 0 : 1) ||
+        (a.building ?? "").localeCompare(b.building ?? "") ||
+        compareFloors(a.floor ?? "", b.floor ?? "")
+    )
+    .map(
+      ([key, group]) =>
+        `- ${key || "No floor given"}: ${group.images.join(", ")}`
+    );
+
+  return [
+    "Building manifest (which image shows which floor):",
+    ...lines,
+    "Stairs and elevators with the same name on different floors of a building are the same stair or shaft. Routes between floors must change floors through one of them, at the same position on both plans.",
+  ].join("\n");
+}
@@ -0,0 +1,145 @@
+import { schematicConfig } from "@/config/schematic";
+
+export function estimateCostUsd(usage, pricingUsdPerMTok) {
+  if (!usage || !pricingUsdPerMTok) {
+    return null;
+  }
+
+  const { input_tokens: inputTokens = 0, output_tokens: outputTokens = 0 } =
+    usage;
+  const { input: inputRate, output: outputRate } = pricingUsdPerMTok;
+
+  const inputUsd = (inputTokens / 1_000_000) * inputRate;
+  const outputUsd = (outputTokens / 1_000_000) * outputRate;
+
+  return {
+    inputUsd,
+    outputUsd,
+    totalUsd: inputUsd + outputUsd,
+  };
+}
+
+/**
+ * Notes on a thrown error the usage the provider had already reported, so a
+ * call that fails or is cancelled part-way can still be charged for it.
+ */
+export function withReportedUsage(error, usage) {
+  if (usage && error && typeof error === "object") {
+    error.usage = usage;
+  }
+
+  return error;
+}
+
+// Rough English-text ratio; exact counts would need the provider's tokenizer.
+const CHARS_PER_TOKEN = 4;
+
+const countTextTokens = (text) =>
+  typeof text === "string" ? Math.ceil(text.length / CHARS_PER_TOKEN) : 0;
+
+const IMAGE_BASE_TOKENS = 85;
+const IMAGE_TILE_TOKENS = 170;
+
+/**
+ * Input tokens for one image under OpenAI's vision sizing: `low` is a flat
+ * 85; otherwise the image is fit within 2048x2048, its short side scaled to
+ * 768, and each 512 px tile costs 170. Unknown sizes use the configured
+ * worst case.
+ */
+export function estimateImageTokens({ detail, width, height }) {
+  if (detail === "low") {
+    return IMAGE_BASE_TOKENS;
+  }
+
+  if (!width || !height) {
+    return schematicConfig.quotas?.unknownImageTokens ?? 1445;
+  }
+
+  const fitScale = Math.min(1, 2048 / Math.max(width, height));
+  const shortScale = Math.min(
+    1,
+    768 / (Math.min(width, height) * fitScale)
+  );
+  const scale = fitScale * shortScale;
+  const tiles =
+    Math.ceil((width * scale) / 512) * Math.ceil((height * scale) / 512);
+
+  return IMAGE_BASE_TOKENS + IMAGE_TILE_TOKENS * tiles;
+}
+
+/**
+ * Input a chained follow-up is billed for on top of its own message: the
+ * provider reprocesses the whole conversation behind `previousResponseId`.
+ * The newest turn with recorded usage already covers everything before it,
+ * so count its input and output; later turns without usage (cached answers)
+ * count by their text and the worst case for each attached image.
+ */
+export function estimateChainedContextTokens(turns = []) {
+  let tokens = 0;
+  for (const turn of [...turns].reverse()) {
+    if (typeof turn.usage?.input_tokens === "number") {
+      return (
+        tokens + turn.usage.input_tokens + (turn.usage.output_tokens ?? 0)
+      );
+    }
+
+    tokens +=
+      countTextTokens(turn.question) +
+      countTextTokens(turn.output) +
+      (turn.uploadsAttached ?? 0) * estimateImageTokens({ detail: "high" });
+  }
+
+  return tokens;
+}
+
+/**
+ * Predicts the usage of a provider request before it is sent: text is
+ * counted by length, images by `imageSizes` (in the order they appear), and
+ * the output at its full `maxOutputTokens`. `contextTokens` is the chained
+ * conversation a follow-up carries (see estimateChainedContextTokens).
+ */
+export function estimateRequestUsage(
+  request,
+  imageSizes = [],
+  { contextTokens = 0 } = {}
+) {
+  const images = { low: 0, high: 0 };
+  const imageTokens = [];
+  let inputTokens =
+    contextTokens +
+    countTextTokens(request.instructions) +
+    countTextTokens(
+      request.responseFormat ? JSON.stringify(request.responseFormat) : ""
+    );
+
+  for (const message of request.messages) {
+    const parts =
+      typeof message.content === "string"
+        ? [{ type: "input_text", text: message.content }]
+        : message.content;
+
+    for (const part of parts) {
+      if (part.type === "input_image") {
+        const detail = part.detail === "low" ? "low" : "high";
+        const tokens = estimateImageTokens({
+          ...imageSizes[imageTokens.length],
+          detail,
+        });
+        images[detail] += 1;
+        imageTokens.push(tokens);
+        inputTokens += tokens;
+      } else {
+        inputTokens += countTextTokens(part.text);
+      }
+    }
+  }
+
+  return {
+    input_tokens: inputTokens,
+    output_tokens: request.maxOutputTokens,
+    total_tokens: inputTokens + request.maxOutputTokens,
+    contextTokens,
+    images,
+    imageTokens,
+  };
+}
@@ -0,0 +1,255 @@
+import { describeTileId } from "@/lib/vision/tiling";
+
+const nullableString = { type: ["string", "null"] };
+const coordinate = { type: "number", minimum: 0, maximum: 1 };
+const nullableCoordinate = { type: ["number", "null"], minimum: 0, maximum: 1 };
+
+const ANNOTATIONS_SCHEMA = {
+  type: "array",
+  items: {
+    type: "object",
+    additionalProperties: false,
+    required: [
+      "id",
+      "label",
+      "imageId",
+      "tileId",
+      "kind",
+      "x",
+      "y",
+      "width",
+      "height",
+      "answerIndex",
+    ],
+    properties: {
+      id: { type: "string" },
+      label: { type: "string" },
+      imageId: { type: "string" },
+      tileId: nullableString,
+      kind: { type: "string", enum: ["box", "point"] },
+      x: coordinate,
+      y: coordinate,
+      width: nullableCoordinate,
+      height: nullableCoordinate,
+      answerIndex: { type: ["integer", "null"], minimum: 1 },
+    },
+  },
+};
+
+const ROUTE_SCHEMA = {
+  type: "array",
+  items: {
+    type: "object",
+    additionalProperties: false,
+    required: ["imageId", "tileId", "points"],
+    properties: {
+      imageId: { type: "string" },
+      tileId: nullableString,
+      points: {
+        type: "array",
+        items: {
+          type: "object",
+          additionalProperties: false,
+          required: ["x", "y"],
+          properties: { x: coordinate, y: coordinate },
+        },
+      },
+    },
+  },
+};
+
+const GROUNDING_INSTRUCTIONS = [
+  "Ground every landmark, room, fixture or path you cite: add one `annotations` entry per location, using the image id from the image's label (e.g. upload-2) and coordinates normalized to 0-1 within that image.",
+  "If you located it on a detail tile, set `tileId` to the tile (e.g. r1c2) and give coordinates within that tile; otherwise set `tileId` to null and use the whole image or overview.",
+  "Use kind `box` with x/y as the top-left corner plus width/height, or kind `point` with width/height null. Set `answerIndex` to the 1-based step, item or finding the location supports, or null.",
+  "Fill `route` with the walking path as ordered points per image when the answer describes a route; otherwise leave it empty.",
+];
+
+const groundedModes = new Map();
+
+// Grounded variants are memoised so their schemas compile once.
+export function withGrounding(mode) {
+  if (!groundedModes.has(mode.name)) {
+    const schema = mode.schema
+      ? {
+          ...mode.schema,
+          required: [...mode.schema.required, "annotations", "route"],
+          properties: {
+            ...mode.schema.properties,
+            annotations: ANNOTATIONS_SCHEMA,
+            route: ROUTE_SCHEMA,
+          },
+        }
+      : {
+          type: "object",
+          additionalProperties: false,
+          required: ["answer", "annotations", "route"],
+          properties: {
+            answer: { type: "string" },
+            annotations: ANNOTATIONS_SCHEMA,
+            route: ROUTE_SCHEMA,
+          },
+        };
+
+    groundedModes.set(mode.name, {
+      ...mode,
+      grounded: true,
+      schema,
+      instructions: [...(mode.instructions ?? []), ...GROUNDING_INSTRUCTIONS],
+      maxOutputTokens: mode.maxOutputTokens ?? 2048,
+    });
+  }
+
+  return groundedModes.get(mode.name);
+}
+
+const clamp = (value) => Math.min(Math.max(value, 0), 1);
+
+// Models often echo the whole label ("Uploaded upload-2"), so fall back to the
+// longest frame id contained in the reference.
+function findFrame(frames, imageId) {
+  if (typeof imageId !== "string") {
+    return null;
+  }
+
+  return (
+    frames.get(imageId) ??
+    [...frames.values()]
+      .filter((frame) => imageId.includes(frame.imageId))
+      .sort((a, b) => b.imageId.length - a.imageId.length)[0] ??
+    null
+  );
+}
+
+// Converts tile-relative coordinates into coordinates on the full sheet.
+function toSheetPoint(frame, tileId, x, y) {
+  const tile = tileId ? frame.tiles?.[tileId] : null;
+  if (!tile || !frame.width || !frame.height) {
+    return { x: clamp(x), y: clamp(y) };
+  }
+
+  return {
+    x: clamp((tile.left + x * tile.width) / frame.width),
+    y: clamp((tile.top + y * tile.height) / frame.height),
+  };
+}
+
+// Undoes a crop and then a clockwise rotation, so points on an edited image
+// land on the file as uploaded.
+function toSourcePoint(frame, { x, y }) {
+  const region = frame.transform?.region;
+  const rotated = region
+    ? { x: region.x + x * region.width, y: region.y + y * region.height }
+    : { x, y };
+
+  switch (frame.transform?.rotate) {
+    case 90:
+      return { x: rotated.y, y: 1 - rotated.x };
+    case 180:
+      return { x: 1 - rotated.x, y: 1 - rotated.y };
+    case 270:
+      return { x: 1 - rotated.y, y: rotated.x };
+    default:
+      return rotated;
+  }
+}
+
+const toImagePoint = (frame, tileId, x, y) =>
+  toSourcePoint(frame, toSheetPoint(frame, tileId, x, y));
+
+/**
+ * Maps the model's annotations and route onto the images attached to the
+ * conversation. Entries pointing at unknown images are dropped and counted.
+ */
+export function resolveGrounding(structured, imageFrames) {
+  if (!structured || !Array.isArray(structured.annotations)) {
+    return null;
+  }
+
+  const frames = new Map(imageFrames.map((frame) => [frame.imageId, frame]));
+  const annotations = [];
+  const route = [];
+  let dropped = 0;
+
+  for (const annotation of structured.annotations) {
+    const frame = findFrame(frames, annotation.imageId);
+    if (!frame) {
+      dropped += 1;
+      continue;
+    }
+
+    const isBox =
+      annotation.kind === "box" &&
+      typeof annotation.width === "number" &&
+      typeof annotation.height === "number";
+    const corner = toImagePoint(
+      frame,
+      annotation.tileId,
+      annotation.x,
+      annotation.y
+    );
+    // Boxes are mapped corner to corner since a rotation can swap them.
+    const farCorner = isBox
+      ? toImagePoint(
+          frame,
+          annotation.tileId,
+          annotation.x + annotation.width,
+          annotation.y + annotation.height
+        )
+      : corner;
+    annotations.push({
+      id: annotation.id,
+      label: annotation.label,
+      imageId: frame.imageId,
+      kind: isBox ? "box" : "point",
+      answerIndex: annotation.answerIndex ?? null,
+      x: Math.min(corner.x, farCorner.x),
+      y: Math.min(corner.y, farCorner.y),
+      width: isBox ? Math.abs(farCorner.x - corner.x) : null,
+      height: isBox ? Math.abs(farCorner.y - corner.y) : null,
+      target: frame.target,
+    });
+  }
+
+  for (const segment of structured.route ?? []) {
+    const frame = findFrame(frames, segment.imageId);
+    if (!frame || segment.points.length < 2) {
+      dropped += 1;
+      continue;
+    }
+
+    route.push({
+      imageId: frame.imageId,
+      points: segment.points.map((point) =>
+        toImagePoint(frame, segment.tileId, point.x, point.y)
+      ),
+      target: frame.target,
+    });
+  }
+
+  return { annotations, route, dropped };
+}
+
+/**
+ * Describes how one attached image maps back onto its source file: the tile
+ * grid when it was tiled, and `transform` ({ rotate, region }) when it was
+ * rotated or cropped before sending.
+ */
+export function buildImageFrame(imageId, target, tileSet, transform) {
+  const base = transform ? { imageId, target, transform } : { imageId, target };
+  if (!tileSet) {
+    return base;
+  }
+
+  return {
+    ...base,
+    width: tileSet.width,
+    height: tileSet.height,
+    tiles: Object.fromEntries(
+      tileSet.tiles.map((tile) => [
+        describeTileId(tile),
+        { left: tile.left, top: tile.top, width: tile.width, height: tile.height },
+      ])
+    ),
+  };
+}
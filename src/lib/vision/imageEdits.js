@@ -0,0 +1,122 @@
+import sharp from "sharp";
+
+export const IMAGE_DETAILS = ["low", "high", "auto"];
+export const CROP_MODES = ["focus", "replace"];
+const ROTATIONS = [0, 90, 180, 270];
+
+// Crops narrower than this (as a fraction of the sheet) are treated as a stray click.
+const MIN_CROP_FRACTION = 0.02;
+
+const round = (value) => Math.round(value * 10_000) / 10_000;
+
+function normalizeCrop(crop, name) {
+  if (crop === undefined || crop === null) {
+    return null;
+  }
+
+  const fields = ["x", "y", "width", "height"].map((key) => crop?.[key]);
+  if (
+    fields.some(
+      (value) =>
+        typeof value !== "number" ||
+        !Number.isFinite(value) ||
+        value < 0 ||
+        value > 1
+    )
+  ) {
+    throw new Error(
+      `Crop for "${name}" needs x, y, width and height between 0 and 1.`
+    );
+  }
+
+  const [x, y, width, height] = fields;
+  if (width < MIN_CROP_FRACTION || height < MIN_CROP_FRACTION) {
+    throw new Error(`Crop for "${name}" is too small.`);
+  }
+
+  return {
+    x: round(x),
+    y: round(y),
+    width: round(Math.min(width, 1 - x)),
+    height: round(Math.min(height, 1 - y)),
+  };
+}
+
+/**
+ * Reads `rotate`, `crop` and `cropMode` from an upload payload. Crop
+ * coordinates are 0-1 fractions of the image after rotation. Returns null when
+ * the image is sent as-is; throws on invalid values.
+ */
+export function normalizeImageEdits(upload, name) {
+  const rotate =
+    upload.rotate === undefined || upload.rotate === null
+      ? 0
+      : Number(upload.rotate);
+  if (!ROTATIONS.includes(rotate)) {
+    throw new Error(
+      `Rotation for "${name}" must be one of ${ROTATIONS.join(", ")} degrees.`
+    );
+  }
+
+  const crop = normalizeCrop(upload.crop, name);
+  const cropMode = upload.cropMode ?? "focus";
+  if (crop && !CROP_MODES.includes(cropMode)) {
+    throw new Error(
+      `Crop mode for "${name}" must be one of: ${CROP_MODES.join(", ")}.`
+    );
+  }
+
+  if (rotate === 0 && !crop) {
+    return null;
+  }
+
+  return { rotate, crop, cropMode: crop ? cropMode : undefined };
+}
+
+/**
+ * Checks the edits of every upload payload before the request is built.
+ * Returns null when they are valid, otherwise a 400 failure.
+ */
+export function checkImageEdits(uploads) {
+  for (const [index, upload] of uploads.entries()) {
+    try {
+      normalizeImageEdits(
+        upload,
+        upload.name?.trim() || `Uploaded image ${index + 1}`
+      );
+    } catch (error) {
+      return { status: 400, error: error.message };
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Rotates (clockwise) and then crops an image, returning a PNG so line work
+ * stays sharp. Either step may be omitted.
+ */
+export async function applyImageEdits(buffer, { rotate = 0, crop = null }) {
+  const metadata = await sharp(buffer).metadata();
+  const quarterTurn = rotate === 90 || rotate === 270;
+  const width = quarterTurn ? metadata.height : metadata.width;
+  const height = quarterTurn ? metadata.width : metadata.height;
+
+  let pipeline = sharp(buffer).rotate(rotate);
+  let size = { width, height };
+  if (crop) {
+    const left = Math.min(Math.floor(crop.x * width), width - 1);
+    const top = Math.min(Math.floor(crop.y * height), height - 1);
+    size = {
+      width: Math.max(1, Math.min(Math.round(crop.width * width), width - left)),
+      height: Math.max(
+        1,
+        Math.min(Math.round(crop.height * height), height - top)
+      ),
+    };
+    pipeline = pipeline.extract({ left, top, ...size });
+  }
+
+  const output = await pipeline.png().toBuffer();
+  return { buffer: output, mimeType: "image/png", ...size };
+}
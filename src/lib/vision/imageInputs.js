@@ -0,0 +1,1165 @@
+import { schematicConfig } from "@/config/schematic";
+import { hashContent } from "@/lib/cache";
+import {
+  EXT_LOOKUP_BY_MIME,
+  MAX_UPLOAD_BYTES,
+  MAX_UPLOAD_COUNT,
+  MIME_LOOKUP,
+  trimSlashes,
+} from "@/lib/uploads/constants";
+import {
+  findUploadObjectByKey,
+  touchUploadObject,
+  trackUploadObject,
+} from "@/lib/uploads/objects";
+import { inspectImage } from "@/lib/uploads/inspect";
+import { isPdfUpload, rasterizePdf } from "@/lib/uploads/pdf";
+import {
+  STORAGE_BACKENDS,
+  buildStorageKey,
+  getOffloadStorage,
+  getStorageBackend,
+  getUploadStorage,
+} from "@/lib/storage";
+import {
+  buildBuildingManifest,
+  describeLocation,
+  normalizeLocation,
+} from "@/lib/vision/building";
+import { buildImageFrame } from "@/lib/vision/grounding";
+import {
+  IMAGE_DETAILS,
+  applyImageEdits,
+  normalizeImageEdits,
+} from "@/lib/vision/imageEdits";
+import {
+  preprocessImage,
+  resolvePreprocessOptions,
+} from "@/lib/vision/preprocess";
+import {
+  createTiledImageSet,
+  describeTile,
+  readImageSize,
+  resolveTilingOptions,
+} from "@/lib/vision/tiling";
+import { promises as fs } from "fs";
+import path from "path";
+
+// Dry runs (cost estimates) put this in place of image URLs they never send.
+const DRY_RUN_IMAGE_URL = "dry-run://not-uploaded";
+
+// Upload summary strategies for images sent by a stored object's URL.
+const STORED_STRATEGIES = { s3: "s3-key", blob: "vercel-blob" };
+const OFFLOAD_STRATEGIES = { s3: "s3", blob: "vercel-blob" };
+
+function toDataUrl(filePath, fileBuffer) {
+  const ext = path.extname(filePath).toLowerCase();
+  const mimeType = MIME_LOOKUP[ext];
+
+  if (!mimeType) {
+    throw new Error(
+      `Unsupported schematic image extension "${ext}". Update MIME_LOOKUP to continue.`
+    );
+  }
+
+  return `data:${mimeType};base64,${fileBuffer.toString("base64")}`;
+}
+
+const formatLocationTag = (location) => {
+  const description = describeLocation(location);
+  return description ? ` [${description}]` : "";
+};
+
+function bufferToDataUrl(buffer, mimeType = "application/octet-stream") {
+  return `data:${mimeType};base64,${buffer.toString("base64")}`;
+}
+
+function normalizeUploads(
+  uploads = [],
+  { idOffset = 0, maxCount = MAX_UPLOAD_COUNT } = {}
+) {
+  if (!Array.isArray(uploads) || uploads.length === 0) {
+    return [];
+  }
+
+  return uploads
+    .slice(0, maxCount)
+    .map((upload, index) => {
+      const id = `upload-${idOffset + index + 1}`;
+      const name = upload.name?.trim() || `Uploaded image ${index + 1}`;
+      const detail = IMAGE_DETAILS.includes(upload.detail)
+        ? upload.detail
+        : "high";
+      const provenance = {
+        edits: normalizeImageEdits(upload, name) ?? undefined,
+        caption:
+          typeof upload.caption === "string" && upload.caption.trim()
+            ? upload.caption.trim()
+            : undefined,
+        source: upload.source === "library" ? "library" : "upload",
+        ...normalizeLocation(upload),
+        uploadId:
+          typeof upload.uploadId === "string" ? upload.uploadId : undefined,
+        schematicSetId: upload.schematicSetId,
+        libraryImageId: upload.libraryImageId,
+        pdfOptions: {
+          pages: upload.pages,
+          dpi: upload.dpi,
+        },
+      };
+      const dataUrl = typeof upload.dataUrl === "string" ? upload.dataUrl.trim() : "";
+      const remoteUrl =
+        typeof upload.url === "string" ? upload.url.trim() : "";
+      // `s3Key` is the older spelling of an S3 `storageKey`.
+      const storageKey =
+        typeof upload.storageKey === "string"
+          ? trimSlashes(upload.storageKey.trim())
+          : typeof upload.s3Key === "string"
+          ? trimSlashes(upload.s3Key.trim())
+          : undefined;
+      const storageBackend =
+        typeof upload.storageKey === "string"
+          ? STORAGE_BACKENDS.includes(upload.storageBackend)
+            ? upload.storageBackend
+            : getUploadStorage().name
+          : "s3";
+      const blobPathname =
+        typeof upload.blobPathname === "string"
+          ? trimSlashes(upload.blobPathname.trim())
+          : typeof upload.blobPath === "string"
+          ? trimSlashes(upload.blobPath.trim())
+          : undefined;
+      const bufferCandidate =
+        Buffer.isBuffer(upload.buffer)
+          ? upload.buffer
+          : upload.buffer instanceof ArrayBuffer
+          ? Buffer.from(upload.buffer)
+          : upload.buffer instanceof Uint8Array
+          ? Buffer.from(upload.buffer)
+          : null;
+      const reportedBytes =
+        typeof upload.bytes === "number" && Number.isFinite(upload.bytes)
+          ? upload.bytes
+          : typeof upload.size === "number" && Number.isFinite(upload.size)
+          ? upload.size
+          : undefined;
+      const explicitMime =
+        typeof upload.mimeType === "string"
+          ? upload.mimeType.toLowerCase()
+          : typeof upload.type === "string"
+          ? upload.type.toLowerCase()
+          : undefined;
+
+      if (bufferCandidate) {
+        const bytes = reportedBytes ?? bufferCandidate.length;
+        if (bytes > MAX_UPLOAD_BYTES) {
+          throw new Error(
+            `Uploaded image "${
+              upload.name ?? `#${index + 1}`
+            }" exceeds the ${MAX_UPLOAD_BYTES / (1024 * 1024)}MB limit.`
+          );
+        }
+
+        const ext = path.extname(name).toLowerCase();
+        const inferredMime =
+          explicitMime ?? MIME_LOOKUP[ext] ?? "application/octet-stream";
+
+        return {
+          id,
+          name,
+          detail,
+          buffer: bufferCandidate,
+          mimeType: inferredMime,
+          bytes,
+          dataUrl: dataUrl || undefined,
+          blobPathname,
+          ...provenance,
+        };
+      }
+
+      if (dataUrl) {
+        const dataUrlMatch =
+          /^data:(?<mime>[^;]+);base64,(?<data>.+)$/i.exec(dataUrl);
+
+        if (!dataUrlMatch?.groups?.data) {
+          throw new Error(
+            `Uploaded image #${index + 1} is missing a valid base64 data URL.`
+          );
+        }
+
+        const buffer = Buffer.from(dataUrlMatch.groups.data, "base64");
+        if (buffer.length > MAX_UPLOAD_BYTES) {
+          throw new Error(
+            `Uploaded image "${
+              upload.name ?? `#${index + 1}`
+            }" exceeds the ${MAX_UPLOAD_BYTES / (1024 * 1024)}MB limit.`
+          );
+        }
+
+        return {
+          id,
+          name,
+          detail,
+          dataUrl,
+          buffer,
+          mimeType: dataUrlMatch.groups.mime?.toLowerCase() ?? "application/octet-stream",
+          bytes: buffer.length,
+          blobPathname,
+          ...provenance,
+        };
+      }
+
+      if (storageKey) {
+        return {
+          id,
+          name,
+          detail,
+          storageKey,
+          storageBackend,
+          bytes: reportedBytes,
+          mimeType:
+            explicitMime ?? MIME_LOOKUP[path.extname(storageKey).toLowerCase()],
+          ...provenance,
+        };
+      }
+
+      if (remoteUrl) {
+        return {
+          id,
+          name,
+          detail,
+          remoteUrl,
+          bytes: reportedBytes,
+          mimeType: explicitMime,
+          blobPathname,
+          ...provenance,
+        };
+      }
+
+      throw new Error(
+        `Upload "${name}" must include either a base64 dataUrl, direct url, or storageKey.`
+      );
+    });
+}
+
+// Offloaded copies are keyed by content, so re-sending an image reuses its object.
+async function offloadBuffer(buffer, mimeType, workspaceId) {
+  const storage = getOffloadStorage();
+  if (!storage) {
+    return null;
+  }
+
+  const contentHash = hashContent(buffer);
+  const extension = EXT_LOOKUP_BY_MIME[mimeType] ?? "bin";
+  const key = buildStorageKey(
+    "offload",
+    workspaceId,
+    `${contentHash}.${extension}`
+  );
+
+  let url;
+  const existing = await findUploadObjectByKey(storage.name, key);
+  if (existing) {
+    await touchUploadObject(storage.name, key);
+    url = existing.url;
+  } else {
+    ({ url } = await storage.put(key, buffer, mimeType));
+    await trackUploadObject({
+      backend: storage.name,
+      key,
+      url,
+      workspaceId,
+      contentHash,
+      mimeType,
+      bytes: buffer.length,
+      origin: "offload",
+    });
+  }
+
+  return {
+    backend: storage.name,
+    key,
+    url: url ?? (await storage.getReadUrl(key)),
+    strategy: OFFLOAD_STRATEGIES[storage.name],
+  };
+}
+
+// The URL the provider can fetch a stored upload from, or null when its
+// backend only serves the app (the bytes are then loaded and sent inline).
+async function resolveStoredImageUrl(upload) {
+  const storage = getStorageBackend(upload.storageBackend);
+  if (!storage) {
+    throw new Error(
+      `Storage backend "${upload.storageBackend}" for "${upload.name}" is not configured.`
+    );
+  }
+
+  if (!storage.publicReadUrls) {
+    return null;
+  }
+
+  const tracked = await findUploadObjectByKey(storage.name, upload.storageKey);
+  return {
+    url: tracked?.url ?? (await storage.getReadUrl(upload.storageKey)),
+    strategy: STORED_STRATEGIES[storage.name],
+  };
+}
+
+// Nothing checked a remote image's bytes before they were downloaded, so
+// they get the same inspection as an upload before anything decodes them;
+// tiling and preprocessing lift sharp's own pixel limit.
+async function downloadRemoteImage(upload) {
+  // URLs were checked against the allowlist; a redirect could leave it.
+  const res = await fetch(upload.remoteUrl, { redirect: "error" });
+  if (!res.ok) {
+    throw new Error(`Failed to download "${upload.name}" (HTTP ${res.status}).`);
+  }
+
+  const tooLarge = () =>
+    new Error(
+      `Uploaded image "${upload.name}" exceeds the ${
+        MAX_UPLOAD_BYTES / (1024 * 1024)
+      }MB limit.`
+    );
+  const declaredLength = Number(res.headers.get("content-length"));
+  if (declaredLength > MAX_UPLOAD_BYTES) {
+    await res.body?.cancel().catch(() => undefined);
+    throw tooLarge();
+  }
+
+  // The header can be missing or wrong, so count what actually arrives.
+  const reader = res.body.getReader();
+  const chunks = [];
+  let length = 0;
+  while (true) {
+    const { done, value } = await reader.read();
+    if (done) {
+      break;
+    }
+    length += value.length;
+    if (length > MAX_UPLOAD_BYTES) {
+      await reader.cancel().catch(() => undefined);
+      throw tooLarge();
+    }
+    chunks.push(value);
+  }
+
+  const buffer = Buffer.concat(chunks);
+  const { value, error } = await inspectImage(buffer, upload.name);
+  if (error) {
+    throw new Error(error);
+  }
+
+  return { buffer, detected: value };
+}
+
+async function fetchUploadBuffer(upload) {
+  if (upload.remoteUrl) {
+    return (await downloadRemoteImage(upload)).buffer;
+  }
+
+  if (upload.storageKey) {
+    const storage = getStorageBackend(upload.storageBackend);
+    return storage ? storage.get(upload.storageKey) : null;
+  }
+
+  return null;
+}
+
+// `storage` is { dryRun, workspaceId }: where the server may store the image.
+async function resolveBufferImageUrl(buffer, mimeType, storage) {
+  if (storage.dryRun) {
+    return DRY_RUN_IMAGE_URL;
+  }
+
+  try {
+    const offloadResult = await offloadBuffer(
+      buffer,
+      mimeType,
+      storage.workspaceId
+    );
+    if (offloadResult?.url) {
+      return offloadResult.url;
+    }
+  } catch (error) {
+    console.error("Failed to offload tile, falling back to inline", {
+      error,
+    });
+  }
+
+  return bufferToDataUrl(buffer, mimeType);
+}
+
+async function buildTiledContents(label, tileSet, storage) {
+  const contents = [
+    {
+      type: "input_text",
+      text: `${label} — downscaled overview of the full ${tileSet.width}x${tileSet.height} px sheet; ${tileSet.tiles.length} overlapping detail tiles follow.`,
+    },
+    {
+      type: "input_image",
+      image_url: await resolveBufferImageUrl(
+        tileSet.overview.buffer,
+        tileSet.overview.mimeType,
+        storage
+      ),
+      detail: tileSet.overview.detail,
+    },
+  ];
+
+  for (const tile of tileSet.tiles) {
+    contents.push({
+      type: "input_text",
+      text: `${label} — ${describeTile(tile, tileSet)}`,
+    });
+    contents.push({
+      type: "input_image",
+      image_url: await resolveBufferImageUrl(
+        tile.buffer,
+        tile.mimeType,
+        storage
+      ),
+      detail: "high",
+    });
+  }
+
+  return contents;
+}
+
+// Rotation and "replace" crops swap the upload's bytes for the edited image;
+// a "focus" crop is returned as an extra image sent after the full sheet.
+async function applyUploadEdits(upload) {
+  const { edits } = upload;
+  if (!edits) {
+    return null;
+  }
+
+  upload.buffer ??= await fetchUploadBuffer(upload);
+  if (!upload.buffer) {
+    throw new Error(`Unable to load "${upload.name}" to rotate or crop it.`);
+  }
+
+  const focus =
+    edits.crop && edits.cropMode === "focus"
+      ? await applyImageEdits(upload.buffer, edits)
+      : null;
+
+  if (edits.rotate || edits.cropMode === "replace") {
+    const edited = await applyImageEdits(upload.buffer, {
+      rotate: edits.rotate,
+      crop: edits.cropMode === "replace" ? edits.crop : null,
+    });
+    Object.assign(upload, {
+      buffer: edited.buffer,
+      mimeType: edited.mimeType,
+      bytes: edited.buffer.length,
+      dataUrl: undefined,
+      remoteUrl: undefined,
+      storageKey: undefined,
+    });
+  }
+
+  return focus;
+}
+
+// Swaps the upload's bytes for the preprocessed image and returns the steps
+// taken. Failures are logged and the original image is sent as-is.
+async function preprocessUpload(upload, preprocessOptions) {
+  if (!preprocessOptions.enabled) {
+    return null;
+  }
+
+  try {
+    upload.buffer ??= await fetchUploadBuffer(upload);
+    if (!upload.buffer) {
+      return null;
+    }
+
+    const result = await preprocessImage(upload.buffer, preprocessOptions);
+    if (!result) {
+      return null;
+    }
+
+    Object.assign(upload, {
+      buffer: result.buffer,
+      mimeType: result.mimeType,
+      bytes: result.buffer.length,
+      dataUrl: undefined,
+      remoteUrl: undefined,
+      storageKey: undefined,
+    });
+    return result.steps;
+  } catch (error) {
+    console.error("Failed to preprocess upload, sending it unchanged", {
+      error,
+      name: upload.name,
+    });
+    return null;
+  }
+}
+
+// The real type and pixel size of an upload, whatever the client declared.
+// Stored uploads reuse what was found when they were confirmed. A remote
+// image the server will decode is downloaded here, so one that fails
+// inspection fails the request rather than being tiled or sent as-is.
+async function detectUpload(upload, { download }) {
+  if (download && upload.remoteUrl && !upload.buffer) {
+    const { buffer, detected } = await downloadRemoteImage(upload);
+    upload.buffer = buffer;
+    return detected;
+  }
+
+  if (upload.buffer) {
+    const { value } = await inspectImage(upload.buffer, upload.name);
+    return value ?? null;
+  }
+
+  if (upload.storageKey) {
+    const record = await findUploadObjectByKey(
+      upload.storageBackend,
+      upload.storageKey
+    );
+    return record?.width
+      ? {
+          mimeType: record.mimeType,
+          width: record.width,
+          height: record.height,
+        }
+      : null;
+  }
+
+  return null;
+}
+
+const formatPercentRange = (start, length) =>
+  `${Math.round(start * 100)}-${Math.round((start + length) * 100)}%`;
+
+async function buildFocusInput(upload, focus, frameTarget, storage) {
+  const { rotate, crop } = upload.edits;
+  const imageId = `${upload.id}-roi`;
+  const label = `${upload.source === "library" ? "Library" : "Uploaded"} ${imageId}: ${
+    upload.name
+  } — zoomed-in region of ${upload.id} (x ${formatPercentRange(
+    crop.x,
+    crop.width
+  )}, y ${formatPercentRange(crop.y, crop.height)}${
+    rotate ? `, rotated ${rotate}°` : ""
+  }).`;
+
+  return {
+    contents: [
+      { type: "input_text", text: label },
+      {
+        type: "input_image",
+        image_url: await resolveBufferImageUrl(
+          focus.buffer,
+          focus.mimeType,
+          storage
+        ),
+        detail: "high",
+      },
+    ],
+    fingerprint: { label, detail: "high", contentHash: hashContent(focus.buffer) },
+    frame: buildImageFrame(imageId, frameTarget, null, { rotate, region: crop }),
+    size: { detail: "high", width: focus.width, height: focus.height },
+  };
+}
+
+async function loadTileSet(upload, tilingOptions) {
+  if (!tilingOptions.enabled || upload.detail === "low") {
+    return null;
+  }
+
+  try {
+    // Keep the download on the upload so it can be hashed for the cache key.
+    upload.buffer ??= await fetchUploadBuffer(upload);
+    return await createTiledImageSet(upload.buffer, tilingOptions);
+  } catch (error) {
+    console.error("Failed to tile upload, sending it whole", {
+      error,
+      name: upload.name,
+    });
+    return null;
+  }
+}
+
+async function expandPdfUploads(uploads) {
+  const expanded = [];
+
+  for (const upload of uploads) {
+    if (!isPdfUpload(upload)) {
+      expanded.push(upload);
+      continue;
+    }
+
+    const buffer = upload.buffer ?? (await fetchUploadBuffer(upload));
+    if (!buffer) {
+      throw new Error(`Unable to load PDF "${upload.name}" for rasterizing.`);
+    }
+
+    const { pages } = await rasterizePdf(buffer, upload.pdfOptions);
+    for (const page of pages) {
+      expanded.push({
+        ...upload,
+        id: `${upload.id}-p${page.pageNumber}`,
+        name: `${upload.name} — ${page.label}`,
+        buffer: page.buffer,
+        mimeType: page.mimeType,
+        bytes: page.buffer.length,
+        dataUrl: undefined,
+        remoteUrl: undefined,
+        storageKey: undefined,
+        pdfPage: {
+          sourceName: upload.name,
+          pageNumber: page.pageNumber,
+          sheetNumber: page.sheetNumber,
+          dpi: page.dpi,
+          width: page.width,
+          height: page.height,
+        },
+      });
+    }
+  }
+
+  return expanded;
+}
+
+/**
+ * Reads the bytes of one upload payload, library image or remote URL, taking
+ * the first selected page of a PDF. Callers check the source with checkImageSources.
+ */
+export async function loadUploadBuffer(payload) {
+  const [upload] = await expandPdfUploads(
+    normalizeUploads([{ ...payload, pages: payload.pages || "1" }], {
+      maxCount: 1,
+    })
+  );
+  const buffer = upload && (upload.buffer ?? (await fetchUploadBuffer(upload)));
+  if (!buffer) {
+    throw new Error(`Unable to load "${payload.name ?? "image"}".`);
+  }
+
+  return buffer;
+}
+
+// Sizes of the images a tile set sends, in the order buildTiledContents adds them.
+const tiledImageSizes = (tileSet) => [
+  { detail: tileSet.overview.detail, ...tileSet.overview.sentSize },
+  ...tileSet.tiles.map((tile) => ({ detail: "high", ...tile.sentSize })),
+];
+
+async function measureImage(buffer, detail) {
+  if (detail === "low" || !buffer) {
+    return { detail, width: null, height: null };
+  }
+
+  try {
+    return { detail, width: null, height: null, ...(await readImageSize(buffer)) };
+  } catch {
+    return { detail, width: null, height: null };
+  }
+}
+
+// What building inputs produces; the add*Inputs helpers append to it.
+const createOutputs = () => ({
+  contents: [],
+  uploadSummaries: [],
+  imageFingerprints: [],
+  imageFrames: [],
+  imageSizes: [],
+  manifestEntries: [],
+  tiledImageCount: 0,
+});
+
+const OUTPUT_LISTS = [
+  "contents",
+  "uploadSummaries",
+  "imageFingerprints",
+  "imageFrames",
+  "imageSizes",
+  "manifestEntries",
+];
+
+// Estimates re-run as the form changes, so dry runs keep what each image
+// produced (parts, summaries and sizes; no pixels) for a few minutes instead
+// of downloading, rasterizing and tiling it again. Per process.
+const DRY_RUN_CACHE_TTL_MS = 10 * 60_000;
+const DRY_RUN_CACHE_ENTRIES = 200;
+const dryRunCache = new Map();
+
+async function addCachedOutputs(outputs, cacheKey, produce) {
+  const cached = cacheKey ? dryRunCache.get(cacheKey) : null;
+  if (cached && cached.expiresAt > Date.now()) {
+    const copy = structuredClone(cached.outputs);
+    for (const list of OUTPUT_LISTS) {
+      outputs[list].push(...copy[list]);
+    }
+    outputs.tiledImageCount += copy.tiledImageCount;
+    return;
+  }
+
+  const before = Object.fromEntries(
+    OUTPUT_LISTS.map((list) => [list, outputs[list].length])
+  );
+  const tiledBefore = outputs.tiledImageCount;
+  await produce();
+  if (!cacheKey) {
+    return;
+  }
+
+  dryRunCache.delete(cacheKey);
+  if (dryRunCache.size >= DRY_RUN_CACHE_ENTRIES) {
+    dryRunCache.delete(dryRunCache.keys().next().value);
+  }
+  dryRunCache.set(cacheKey, {
+    expiresAt: Date.now() + DRY_RUN_CACHE_TTL_MS,
+    outputs: structuredClone({
+      ...Object.fromEntries(
+        OUTPUT_LISTS.map((list) => [list, outputs[list].slice(before[list])])
+      ),
+      tiledImageCount: outputs.tiledImageCount - tiledBefore,
+    }),
+  });
+}
+
+// Everything that shapes an image's parts: the normalized upload (id, source,
+// edits, PDF pages), the tiling and preprocessing options and the workspace.
+const dryRunCacheKey = (source, context) =>
+  hashContent(
+    JSON.stringify({
+      source: { ...source, buffer: undefined },
+      tiling: context.tilingOptions,
+      preprocess: context.preprocessOptions,
+      workspaceId: context.workspaceId,
+    })
+  );
+
+async function addReferenceInputs(image, { outputs, tilingOptions, storage }) {
+  const {
+    contents,
+    imageFingerprints,
+    imageFrames,
+    imageSizes,
+    manifestEntries,
+  } = outputs;
+
+  const absolutePath = path.join(
+    process.cwd(),
+    "public",
+    image.path.replace(/^\/+/, "")
+  );
+
+  const file = await fs.readFile(absolutePath);
+  const location = normalizeLocation(image);
+  const label = `Reference ${image.id}: ${image.label}${formatLocationTag(
+    location
+  )}${image.caption ? ` — ${image.caption}` : ""}`;
+  manifestEntries.push({ imageId: image.id, name: image.label, ...location });
+  imageFingerprints.push({
+    label,
+    detail: image.detail ?? "high",
+    contentHash: hashContent(file),
+  });
+  const tileSet =
+    image.detail === "low"
+      ? null
+      : await createTiledImageSet(file, tilingOptions);
+  imageFrames.push(
+    buildImageFrame(
+      image.id,
+      { source: "reference", referenceId: image.id, ...location },
+      tileSet
+    )
+  );
+
+  if (tileSet) {
+    contents.push(...(await buildTiledContents(label, tileSet, storage)));
+    imageSizes.push(...tiledImageSizes(tileSet));
+    outputs.tiledImageCount += 1;
+    return;
+  }
+
+  imageSizes.push(await measureImage(file, image.detail ?? "high"));
+
+  contents.push({
+    type: "input_text",
+    text: label,
+  });
+
+  contents.push({
+    type: "input_image",
+    image_url: toDataUrl(absolutePath, file),
+    detail: image.detail ?? "high",
+  });
+}
+
+async function addUploadInputs(upload, context) {
+  const {
+    outputs,
+    dryRun,
+    workspaceId,
+    storage,
+    tilingOptions,
+    preprocessOptions,
+  } = context;
+  const {
+    contents,
+    uploadSummaries,
+    imageFingerprints,
+    imageFrames,
+    imageSizes,
+    manifestEntries,
+  } = outputs;
+  let imageUrlPayload;
+  let strategy;
+  const summary = {
+    id: upload.id,
+    name: upload.name,
+    source: upload.source,
+  };
+  if (upload.schematicSetId) {
+    summary.schematicSetId = upload.schematicSetId;
+    summary.libraryImageId = upload.libraryImageId;
+  }
+  if (upload.pdfPage) {
+    summary.pdfPage = upload.pdfPage;
+  }
+  // Reports find the attached file again by these; names can repeat.
+  if (upload.uploadId) {
+    summary.uploadId = upload.uploadId;
+  }
+  if (upload.storageKey) {
+    summary.storageKey = upload.storageKey;
+  }
+  const label = `${upload.source === "library" ? "Library" : "Uploaded"} ${
+    upload.id
+  }: ${upload.name}${formatLocationTag(upload)}${
+    upload.caption ? ` — ${upload.caption}` : ""
+  }`;
+  if (upload.building || upload.floor) {
+    summary.building = upload.building;
+    summary.floor = upload.floor;
+  }
+  manifestEntries.push({
+    imageId: upload.id,
+    name: upload.name,
+    building: upload.building,
+    floor: upload.floor,
+  });
+
+  // Using a browser upload keeps it from expiring.
+  if (!dryRun && upload.source === "upload" && upload.storageKey) {
+    await touchUploadObject(upload.storageBackend, upload.storageKey);
+  } else if (!dryRun && upload.source === "upload" && upload.blobPathname) {
+    await touchUploadObject("blob", upload.blobPathname);
+  }
+
+  const detected = await detectUpload(upload, {
+    download:
+      Boolean(upload.edits) ||
+      preprocessOptions.enabled ||
+      (upload.detail !== "low" && (tilingOptions.enabled || dryRun)),
+  });
+  if (detected) {
+    summary.detected = detected;
+    upload.mimeType = detected.mimeType;
+  }
+
+  // Overlays match answers to the file the user attached, not the edited copy.
+  const sourceUrl = upload.remoteUrl;
+  const edited = await applyUploadEdits(upload);
+  if (upload.edits) {
+    summary.edits = upload.edits;
+  }
+  // Crops and rotation come first so they work on full-resolution pixels.
+  const preprocessing = await preprocessUpload(upload, preprocessOptions);
+  if (preprocessing) {
+    summary.preprocessing = preprocessing;
+  }
+  const focus =
+    edited && preprocessOptions.enabled
+      ? (await preprocessImage(edited.buffer, preprocessOptions)) ?? edited
+      : edited;
+
+  if (typeof upload.bytes === "number") {
+    summary.bytes = upload.bytes;
+  }
+
+  if (typeof upload.mimeType === "string") {
+    summary.mimeType = upload.mimeType;
+  }
+
+  const tileSet = await loadTileSet(upload, tilingOptions);
+  // Undownloaded URLs and stored objects fall back to hashing their address.
+  summary.contentHash = hashContent(
+    upload.buffer ?? upload.remoteUrl ?? upload.storageKey
+  );
+  imageFingerprints.push({
+    label,
+    detail: upload.detail,
+    contentHash: summary.contentHash,
+  });
+  const frameTarget = {
+    source: upload.source,
+    name: upload.name,
+    url: sourceUrl,
+    uploadId: upload.uploadId,
+    libraryImageId: upload.libraryImageId,
+    pdfPage: upload.pdfPage?.pageNumber,
+    building: upload.building,
+    floor: upload.floor,
+  };
+  // The zoomed-in crop goes right after the image it was cut from.
+  const addFocusInput = async () => {
+    if (!focus) {
+      return;
+    }
+
+    const input = await buildFocusInput(upload, focus, frameTarget, storage);
+    contents.push(...input.contents);
+    imageFingerprints.push(input.fingerprint);
+    imageFrames.push(input.frame);
+    imageSizes.push(input.size);
+  };
+  imageFrames.push(
+    buildImageFrame(
+      upload.id,
+      frameTarget,
+      tileSet,
+      upload.edits && {
+        rotate: upload.edits.rotate,
+        region: upload.edits.cropMode === "replace" ? upload.edits.crop : null,
+      }
+    )
+  );
+  if (tileSet) {
+    summary.strategy = "tiled";
+    if (upload.remoteUrl) {
+      summary.url = upload.remoteUrl;
+    }
+    summary.tiling = {
+      rows: tileSet.rows,
+      columns: tileSet.columns,
+      overlapRatio: tileSet.overlapRatio,
+      tileCount: tileSet.tiles.length,
+      sourceWidth: tileSet.width,
+      sourceHeight: tileSet.height,
+    };
+    uploadSummaries.push(summary);
+    upload.buffer = undefined;
+    outputs.tiledImageCount += 1;
+
+    contents.push(...(await buildTiledContents(label, tileSet, storage)));
+    imageSizes.push(...tiledImageSizes(tileSet));
+    await addFocusInput();
+    return;
+  }
+
+  if (upload.remoteUrl) {
+    imageUrlPayload = upload.remoteUrl;
+    strategy = upload.blobPathname ? "vercel-blob" : "remote-url";
+    summary.strategy = strategy;
+    summary.url = upload.remoteUrl;
+    if (upload.blobPathname) {
+      summary.blobPathname = upload.blobPathname;
+    }
+  }
+
+  // Untouched stored uploads are measured without downloading them.
+  const knownSize =
+    !upload.buffer && upload.detail !== "low" && summary.detected?.width
+      ? summary.detected
+      : null;
+  if (dryRun && upload.detail !== "low" && !knownSize) {
+    upload.buffer ??= await fetchUploadBuffer(upload);
+  }
+  imageSizes.push(
+    knownSize
+      ? {
+          detail: upload.detail,
+          width: knownSize.width,
+          height: knownSize.height,
+        }
+      : await measureImage(upload.buffer, upload.detail)
+  );
+
+  if (dryRun) {
+    imageUrlPayload = DRY_RUN_IMAGE_URL;
+    summary.strategy ??=
+      (upload.storageKey && STORED_STRATEGIES[upload.storageBackend]) ??
+      OFFLOAD_STRATEGIES[getOffloadStorage()?.name] ??
+      "inline";
+  }
+
+  if (!imageUrlPayload && upload.storageKey) {
+    try {
+      const stored = await resolveStoredImageUrl(upload);
+      if (stored?.url) {
+        imageUrlPayload = stored.url;
+        strategy = stored.strategy;
+        summary.strategy = strategy;
+        summary.backend = upload.storageBackend;
+        summary.key = upload.storageKey;
+        summary.url = stored.url;
+      } else {
+        upload.buffer ??= await fetchUploadBuffer(upload);
+      }
+    } catch (error) {
+      console.error("Failed to resolve stored upload", {
+        error,
+        backend: upload.storageBackend,
+        key: upload.storageKey,
+        name: upload.name,
+      });
+      throw new Error(
+        `Unable to load uploaded image "${upload.name}" from storage.`
+      );
+    }
+  }
+
+  if (!imageUrlPayload && upload.buffer) {
+    try {
+      const offloadResult = await offloadBuffer(
+        upload.buffer,
+        upload.mimeType,
+        workspaceId
+      );
+
+      if (offloadResult?.url) {
+        imageUrlPayload = offloadResult.url;
+        strategy = offloadResult.strategy;
+        summary.strategy = strategy;
+        summary.key = offloadResult.key;
+        summary.backend = offloadResult.backend;
+        summary.url = offloadResult.url;
+      }
+    } catch (error) {
+      console.error("Failed to offload upload, falling back to inline", {
+        error,
+        name: upload.name,
+      });
+    }
+  }
+
+  if (!imageUrlPayload) {
+    const inlineDataUrl =
+      upload.dataUrl ||
+      (upload.buffer && upload.mimeType
+        ? bufferToDataUrl(upload.buffer, upload.mimeType)
+        : null);
+
+    if (inlineDataUrl) {
+      imageUrlPayload = inlineDataUrl;
+      strategy = "inline";
+      summary.strategy = strategy;
+    }
+  }
+
+  if (!imageUrlPayload) {
+    throw new Error(
+      `Unable to determine an image URL for upload "${upload.name}".`
+    );
+  }
+
+  uploadSummaries.push(summary);
+
+  if (upload.buffer) {
+    upload.buffer = undefined;
+  }
+
+  contents.push({
+    type: "input_text",
+    text: label,
+  });
+  contents.push({
+    type: "input_image",
+    image_url: imageUrlPayload,
+    detail: upload.detail,
+  });
+  await addFocusInput();
+}
+
+/**
+ * Turns reference images, library images and uploads into `input_text` /
+ * `input_image` parts. `imageSizes` lists the pixel size of every image part
+ * in order, for token estimates. With `dryRun`, nothing is written to storage
+ * or signed, undownloaded images are fetched only to measure them, and each
+ * image's result is reused by later dry runs.
+ */
+export async function buildImageInputs(
+  uploadPayloads,
+  {
+    tiling,
+    preprocess,
+    workspaceId,
+    dryRun = false,
+    includeReferenceImages = true,
+    uploadIdOffset = 0,
+    libraryImages = [],
+  } = {}
+) {
+  // Library sets carry their own image cap, so they don't eat session slots.
+  const normalizedUploads = normalizeUploads(
+    [...libraryImages, ...uploadPayloads],
+    {
+      idOffset: uploadIdOffset,
+      maxCount: libraryImages.length + MAX_UPLOAD_COUNT,
+    }
+  );
+  const outputs = createOutputs();
+  const context = {
+    outputs,
+    dryRun,
+    workspaceId,
+    storage: { dryRun, workspaceId },
+    tilingOptions: resolveTilingOptions(tiling),
+    preprocessOptions: resolvePreprocessOptions(preprocess),
+  };
+
+  // Follow-up turns chain onto a response that already carries the references.
+  const referenceImages = includeReferenceImages ? schematicConfig.images : [];
+
+  for (const image of referenceImages) {
+    await addCachedOutputs(
+      outputs,
+      dryRun ? dryRunCacheKey({ reference: image }, context) : null,
+      () => addReferenceInputs(image, context)
+    );
+  }
+
+  for (const upload of normalizedUploads) {
+    await addCachedOutputs(
+      outputs,
+      dryRun ? dryRunCacheKey(upload, context) : null,
+      async () => {
+        // A PDF becomes one upload per selected page.
+        for (const page of await expandPdfUploads([upload])) {
+          await addUploadInputs(page, context);
+        }
+      }
+    );
+  }
+
+  const {
+    contents,
+    uploadSummaries,
+    imageFingerprints,
+    imageFrames,
+    imageSizes,
+    manifestEntries,
+    tiledImageCount,
+  } = outputs;
+  const manifest = buildBuildingManifest(manifestEntries);
+  if (manifest) {
+    contents.unshift({ type: "input_text", text: manifest });
+  }
+
+  return {
+    contents,
+    uploadSummaries,
+    imageFingerprints,
+    imageFrames,
+    imageSizes,
+    tiledImageCount,
+  };
+}
@@ -0,0 +1,88 @@
+import sharp from "sharp";
+import { afterEach, beforeAll, describe, expect, it, vi } from "vitest";
+import { schematicConfig } from "@/config/schematic";
+import { buildImageInputs } from "@/lib/vision/imageInputs";
+
+const configuredLimits = { ...schematicConfig.imageLimits };
+
+let png;
+beforeAll(async () => {
+  png = await sharp({
+    create: { width: 900, height: 600, channels: 3, background: "#ffffff" },
+  })
+    .png()
+    .toBuffer();
+});
+
+afterEach(() => {
+  Object.assign(schematicConfig.imageLimits, configuredLimits);
+  vi.unstubAllGlobals();
+});
+
+const serve = (bytes) =>
+  vi.stubGlobal(
+    "fetch",
+    vi.fn(async () => new Response(bytes, { status: 200 }))
+  );
+
+const buildRemote = (name, options = {}) =>
+  buildImageInputs([{ url: `https://plans.example.com/${name}`, name }], {
+    workspaceId: "local",
+    includeReferenceImages: false,
+    dryRun: true,
+    ...options,
+  });
+
+describe("remote images", () => {
+  it("are inspected once downloaded", async () => {
+    serve(png);
+
+    const { uploadSummaries } = await buildRemote("level-4.png");
+
+    expect(uploadSummaries[0].detected).toEqual({
+      mimeType: "image/png",
+      width: 900,
+      height: 600,
+    });
+    expect(fetch).toHaveBeenCalledTimes(1);
+  });
+
+  it("are rejected above the pixel limits before tiling", async () => {
+    serve(png);
+    schematicConfig.imageLimits.maxPixels = 100_000;
+
+    await expect(buildRemote("huge.png")).rejects.toThrow(
+      /"huge\.png" is 900x600 px, above/
+    );
+  });
+
+  it("are rejected when they are not images", async () => {
+    serve(Buffer.from("<html>Sign in</html>"));
+
+    await expect(
+      buildRemote("login.png", { tiling: false, preprocess: false })
+    ).rejects.toThrow(/is not a PNG, JPEG/);
+  });
+
+  it("are not downloaded when nothing will decode them", async () => {
+    serve(png);
+
+    const { uploadSummaries } = await buildImageInputs(
+      [
+        {
+          url: "https://plans.example.com/thumb.png",
+          name: "thumb.png",
+          detail: "low",
+        },
+      ],
+      {
+        workspaceId: "local",
+        includeReferenceImages: false,
+        preprocess: false,
+      }
+    );
+
+    expect(fetch).not.toHaveBeenCalled();
+    expect(uploadSummaries[0].strategy).toBe("remote-url");
+  });
+});
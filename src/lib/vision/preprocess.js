@@ -0,0 +1,109 @@
+import { schematicConfig } from "@/config/schematic";
+import sharp from "sharp";
+
+export const ENHANCE_MODES = ["none", "sharpen", "binarize"];
+
+const OUTPUT_FORMATS = {
+  png: "image/png",
+  jpeg: "image/jpeg",
+  webp: "image/webp",
+};
+
+const FORMAT_BY_MIME = Object.fromEntries(
+  Object.entries(OUTPUT_FORMATS).map(([format, mime]) => [mime, format])
+);
+
+/**
+ * Merges a request's `preprocess` overrides (`false`, or `{ enhance }`) with
+ * the `preprocessing` defaults. Only the enhancement can be chosen per
+ * request; format and size limits stay server-side.
+ */
+export function resolvePreprocessOptions(overrides) {
+  const defaults = schematicConfig.preprocessing ?? {};
+
+  if (overrides === false) {
+    return { ...defaults, enabled: false };
+  }
+
+  const enhance =
+    overrides && ENHANCE_MODES.includes(overrides.enhance)
+      ? overrides.enhance
+      : ENHANCE_MODES.includes(defaults.enhance)
+      ? defaults.enhance
+      : "none";
+
+  return {
+    ...defaults,
+    enabled: defaults.enabled !== false,
+    enhance,
+    outputFormat: OUTPUT_FORMATS[defaults.outputFormat]
+      ? defaults.outputFormat
+      : "png",
+  };
+}
+
+/**
+ * Converts formats vision APIs may reject, caps the longest side and applies
+ * the optional linework enhancement. Returns null when the image can be sent
+ * untouched, otherwise the new bytes plus the steps taken.
+ */
+export async function preprocessImage(buffer, options) {
+  if (!options.enabled) {
+    return null;
+  }
+
+  const sharpOptions = { limitInputPixels: options.maxInputPixels ?? false };
+  const metadata = await sharp(buffer, sharpOptions).metadata();
+  const sourceMime = metadata.format ? `image/${metadata.format}` : undefined;
+  const keepFormat =
+    !(options.convertMimeTypes ?? []).includes(sourceMime) &&
+    FORMAT_BY_MIME[sourceMime];
+  const format = keepFormat || options.outputFormat;
+  const steps = [];
+
+  if (OUTPUT_FORMATS[format] !== sourceMime) {
+    steps.push({
+      step: "convert",
+      from: sourceMime ?? "unknown",
+      to: OUTPUT_FORMATS[format],
+    });
+  }
+
+  let pipeline = sharp(buffer, sharpOptions);
+  const maxEdge = options.maxLongEdgePx;
+  if (maxEdge && Math.max(metadata.width, metadata.height) > maxEdge) {
+    const scale = maxEdge / Math.max(metadata.width, metadata.height);
+    pipeline = pipeline.resize({
+      width: maxEdge,
+      height: maxEdge,
+      fit: "inside",
+    });
+    steps.push({
+      step: "downscale",
+      from: { width: metadata.width, height: metadata.height },
+      to: {
+        width: Math.round(metadata.width * scale),
+        height: Math.round(metadata.height * scale),
+      },
+    });
+  }
+
+  if (options.enhance === "sharpen") {
+    pipeline = pipeline.sharpen();
+    steps.push({ step: "sharpen" });
+  } else if (options.enhance === "binarize") {
+    const threshold = options.binarizeThreshold ?? 180;
+    pipeline = pipeline.greyscale().normalise().threshold(threshold);
+    steps.push({ step: "binarize", threshold });
+  }
+
+  if (steps.length === 0) {
+    return null;
+  }
+
+  const output = await pipeline
+    .toFormat(format, format === "jpeg" ? { quality: 90 } : {})
+    .toBuffer();
+
+  return { buffer: output, mimeType: OUTPUT_FORMATS[format], steps };
+}
@@ -0,0 +1,108 @@
+import { withReportedUsage } from "@/lib/vision/cost";
+
+const toChatContent = (part) =>
+  part.type === "input_image"
+    ? {
+        type: "image_url",
+        image_url: { url: part.image_url, detail: part.detail },
+      }
+    : { type: "text", text: part.text };
+
+const toPayload = (request) => ({
+  model: request.model,
+  max_tokens: request.maxOutputTokens,
+  response_format: request.responseFormat
+    ? {
+        type: "json_schema",
+        json_schema: {
+          name: request.responseFormat.name,
+          schema: request.responseFormat.schema,
+          strict: true,
+        },
+      }
+    : undefined,
+  messages: [
+    ...(request.instructions
+      ? [{ role: "system", content: request.instructions }]
+      : []),
+    ...request.messages.map((message) =>
+      typeof message.content === "string"
+        ? message
+        : { role: message.role, content: message.content.map(toChatContent) }
+    ),
+  ],
+});
+
+const normalizeUsage = (usage) =>
+  usage
+    ? {
+        input_tokens: usage.prompt_tokens ?? 0,
+        output_tokens: usage.completion_tokens ?? 0,
+        total_tokens:
+          usage.total_tokens ??
+          (usage.prompt_tokens ?? 0) + (usage.completion_tokens ?? 0),
+      }
+    : undefined;
+
+// Chat Completions is what most local OpenAI-compatible servers implement,
+// so this variant cannot chain previous_response_id.
+export function createChatCompletionsProvider({ createClient, ...details }) {
+  let client;
+  const getClient = () => {
+    client ??= createClient();
+    return client;
+  };
+
+  return {
+    ...details,
+    supportsPreviousResponse: false,
+
+    async generate(request, { signal } = {}) {
+      const completion = await getClient().chat.completions.create(
+        toPayload(request),
+        { signal }
+      );
+
+      return {
+        id: completion.id,
+        text: completion.choices[0]?.message?.content ?? "",
+        usage: normalizeUsage(completion.usage),
+        status: completion.choices[0]?.finish_reason ?? "completed",
+      };
+    },
+
+    async *stream(request, { signal } = {}) {
+      const chunks = await getClient().chat.completions.create(
+        {
+          ...toPayload(request),
+          stream: true,
+          stream_options: { include_usage: true },
+        },
+        { signal }
+      );
+      let id;
+      let text = "";
+      let usage;
+      let status = "completed";
+
+      try {
+        for await (const chunk of chunks) {
+          id ??= chunk.id;
+          usage = normalizeUsage(chunk.usage) ?? usage;
+          const choice = chunk.choices?.[0];
+          if (choice?.finish_reason) {
+            status = choice.finish_reason;
+          }
+          if (choice?.delta?.content) {
+            text += choice.delta.content;
+            yield { type: "delta", text: choice.delta.content };
+          }
+        }
+      } catch (error) {
+        throw withReportedUsage(error, usage);
+      }
+
+      yield { type: "completed", response: { id, text, usage, status } };
+    },
+  };
+}
@@ -0,0 +1,49 @@
+import { describe, expect, it } from "vitest";
+import { createChatCompletionsProvider } from "@/lib/vision/providers/chatCompletions";
+
+const providerStreaming = (chunks, failure) =>
+  createChatCompletionsProvider({
+    name: "test",
+    createClient: () => ({
+      chat: {
+        completions: {
+          create: async () =>
+            (async function* () {
+              yield* chunks;
+              throw failure;
+            })(),
+        },
+      },
+    }),
+  });
+
+const request = { model: "m", messages: [] };
+
+describe("chat completions stream", () => {
+  it("keeps the reported usage on an error that ends the stream", async () => {
+    const failure = new Error("connection reset");
+    const provider = providerStreaming(
+      [
+        { id: "c1", choices: [{ delta: { content: "Four" } }] },
+        {
+          id: "c1",
+          choices: [],
+          usage: { prompt_tokens: 900, completion_tokens: 3 },
+        },
+      ],
+      failure
+    );
+
+    const events = [];
+    await expect(async () => {
+      for await (const event of provider.stream(request)) {
+        events.push(event);
+      }
+    }).rejects.toBe(failure);
+    expect(events).toEqual([{ type: "delta", text: "Four" }]);
+    expect(failure.usage).toMatchObject({
+      input_tokens: 900,
+      output_tokens: 3,
+    });
+  });
+});
@@ -0,0 +1,122 @@
+import { schematicConfig } from "@/config/schematic";
+import { sanitizeEnv } from "@/lib/uploads/constants";
+import OpenAI, { AzureOpenAI } from "openai";
+import { createChatCompletionsProvider } from "@/lib/vision/providers/chatCompletions";
+import { createMockProvider } from "@/lib/vision/providers/mock";
+import { createResponsesProvider } from "@/lib/vision/providers/responses";
+
+const providerConfig = schematicConfig.providers ?? {};
+
+const missingEnv = (names) => {
+  const missing = names.filter((name) => !sanitizeEnv(process.env[name]));
+  return missing.length > 0
+    ? `${missing.join(", ")} ${
+        missing.length === 1 ? "is" : "are"
+      } not configured on the server.`
+    : null;
+};
+
+const PROVIDER_FACTORIES = {
+  openai: () =>
+    createResponsesProvider({
+      name: "openai",
+      label: "OpenAI",
+      defaultModel:
+        sanitizeEnv(process.env.OPENAI_VISION_MODEL) ??
+        schematicConfig.model.name,
+      pricingUsdPerMTok: schematicConfig.model.pricingUsdPerMTok,
+      missingConfiguration: missingEnv(["OPENAI_API_KEY"]),
+      createClient: () =>
+        new OpenAI({ apiKey: sanitizeEnv(process.env.OPENAI_API_KEY) }),
+    }),
+  "azure-openai": () =>
+    createResponsesProvider({
+      name: "azure-openai",
+      label: "Azure OpenAI",
+      defaultModel:
+        sanitizeEnv(process.env.AZURE_OPENAI_DEPLOYMENT) ??
+        schematicConfig.model.name,
+      pricingUsdPerMTok:
+        providerConfig["azure-openai"]?.pricingUsdPerMTok ??
+        schematicConfig.model.pricingUsdPerMTok,
+      missingConfiguration: missingEnv([
+        "AZURE_OPENAI_ENDPOINT",
+        "AZURE_OPENAI_API_KEY",
+      ]),
+      createClient: () =>
+        new AzureOpenAI({
+          endpoint: sanitizeEnv(process.env.AZURE_OPENAI_ENDPOINT),
+          apiKey: sanitizeEnv(process.env.AZURE_OPENAI_API_KEY),
+          apiVersion:
+            sanitizeEnv(process.env.AZURE_OPENAI_API_VERSION) ??
+            providerConfig["azure-openai"]?.apiVersion,
+        }),
+    }),
+  "openai-compatible": () =>
+    createChatCompletionsProvider({
+      name: "openai-compatible",
+      label: "OpenAI-compatible server",
+      defaultModel:
+        sanitizeEnv(process.env.OPENAI_COMPATIBLE_MODEL) ??
+        providerConfig["openai-compatible"]?.defaultModel,
+      pricingUsdPerMTok:
+        providerConfig["openai-compatible"]?.pricingUsdPerMTok ?? null,
+      missingConfiguration: missingEnv(["OPENAI_COMPATIBLE_BASE_URL"]),
+      createClient: () =>
+        new OpenAI({
+          baseURL: sanitizeEnv(process.env.OPENAI_COMPATIBLE_BASE_URL),
+          // Local servers usually ignore the key, but the SDK requires one.
+          apiKey:
+            sanitizeEnv(process.env.OPENAI_COMPATIBLE_API_KEY) ?? "not-needed",
+        }),
+    }),
+  mock: () =>
+    createMockProvider({
+      name: "mock",
+      label: "Mock (offline)",
+      defaultModel: "mock-vision",
+      pricingUsdPerMTok: providerConfig.mock?.pricingUsdPerMTok ?? null,
+      missingConfiguration: null,
+    }),
+};
+
+const providers = new Map();
+
+export const DEFAULT_VISION_PROVIDER =
+  sanitizeEnv(process.env.VISION_PROVIDER) ??
+  providerConfig.default ??
+  "openai";
+
+export function resolveVisionProvider(name) {
+  const key =
+    typeof name === "string" && name.trim().length > 0
+      ? name.trim()
+      : DEFAULT_VISION_PROVIDER;
+  const factory = PROVIDER_FACTORIES[key];
+
+  if (!factory) {
+    throw new Error(
+      `Unknown vision provider "${key}". Allowed: ${Object.keys(
+        PROVIDER_FACTORIES
+      ).join(", ")}.`
+    );
+  }
+
+  if (!providers.has(key)) {
+    providers.set(key, factory());
+  }
+
+  return providers.get(key);
+}
+
+export const listVisionProviders = () =>
+  Object.keys(PROVIDER_FACTORIES).map((key) => {
+    const provider = resolveVisionProvider(key);
+    return {
+      name: provider.name,
+      label: provider.label,
+      defaultModel: provider.defaultModel ?? null,
+      configured: !provider.missingConfiguration,
+      isDefault: key === DEFAULT_VISION_PROVIDER,
+    };
+  });
@@ -0,0 +1,143 @@
+import { sanitizeEnv } from "@/lib/uploads/constants";
+import { createHash } from "crypto";
+import { promises as fs } from "fs";
+
+const MOCK_FIXTURES_PATH = sanitizeEnv(process.env.MOCK_VISION_FIXTURES);
+const STREAM_CHUNK_CHARS = 24;
+
+let fixturesPromise;
+
+const loadFixtures = () => {
+  if (!MOCK_FIXTURES_PATH) {
+    return Promise.resolve([]);
+  }
+
+  fixturesPromise ??= fs
+    .readFile(MOCK_FIXTURES_PATH, "utf8")
+    .then((raw) => JSON.parse(raw))
+    .then((parsed) => (Array.isArray(parsed) ? parsed : []));
+
+  return fixturesPromise;
+};
+
+// Builds the smallest document that satisfies a strict answer-mode schema.
+function sampleFromSchema(schema) {
+  const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+
+  if (schema.enum) {
+    return schema.enum[0];
+  }
+
+  if (types.includes("object")) {
+    return Object.fromEntries(
+      Object.entries(schema.properties ?? {}).map(([key, value]) => [
+        key,
+        sampleFromSchema(value),
+      ])
+    );
+  }
+
+  if (types.includes("array")) {
+    return [sampleFromSchema(schema.items ?? { type: "string" })];
+  }
+
+  if (types.includes("integer") || types.includes("number")) {
+    return Math.max(schema.minimum ?? 1, 1);
+  }
+
+  if (types.includes("boolean")) {
+    return false;
+  }
+
+  if (types.includes("string")) {
+    return "Mock value";
+  }
+
+  return null;
+}
+
+async function buildMockResponse(request) {
+  const latestUserMessage = request.messages.findLast(
+    (message) => message.role === "user" && Array.isArray(message.content)
+  );
+  const parts = latestUserMessage?.content ?? [];
+  const promptText = parts
+    .filter((part) => part.type === "input_text")
+    .map((part) => part.text)
+    .join("\n");
+  const imageCount = parts.filter((part) => part.type === "input_image").length;
+  const question =
+    /Question: (?<question>.+)$/m.exec(promptText)?.groups?.question ??
+    promptText;
+
+  const fixtures = await loadFixtures();
+  const fixture = fixtures.find(
+    (candidate) =>
+      typeof candidate?.match === "string" &&
+      question.toLowerCase().includes(candidate.match.toLowerCase())
+  );
+
+  let text;
+  if (fixture) {
+    text =
+      typeof fixture.output === "string"
+        ? fixture.output
+        : JSON.stringify(fixture.output);
+  } else if (request.responseFormat) {
+    text = JSON.stringify(sampleFromSchema(request.responseFormat.schema));
+  } else {
+    text = `Mock answer (${imageCount} image(s) attached): ${question}`;
+  }
+
+  const inputTokens =
+    Math.ceil(((request.instructions ?? "").length + promptText.length) / 4) +
+    imageCount * 85;
+  const outputTokens = Math.ceil(text.length / 4);
+  const id = `mock_${createHash("sha256")
+    .update(JSON.stringify([request.model, promptText, imageCount, text]))
+    .digest("hex")
+    .slice(0, 24)}`;
+
+  return {
+    id,
+    text,
+    usage: {
+      input_tokens: inputTokens,
+      output_tokens: outputTokens,
+      total_tokens: inputTokens + outputTokens,
+    },
+    status: "completed",
+  };
+}
+
+export function createMockProvider(details) {
+  return {
+    ...details,
+    supportsPreviousResponse: false,
+
+    generate(request) {
+      return buildMockResponse(request);
+    },
+
+    async *stream(request, { signal } = {}) {
+      const response = await buildMockResponse(request);
+
+      for (
+        let offset = 0;
+        offset < response.text.length;
+        offset += STREAM_CHUNK_CHARS
+      ) {
+        if (signal?.aborted) {
+          return;
+        }
+
+        yield {
+          type: "delta",
+          text: response.text.slice(offset, offset + STREAM_CHUNK_CHARS),
+        };
+      }
+
+      yield { type: "completed", response };
+    },
+  };
+}
@@ -0,0 +1,95 @@
+import { withReportedUsage } from "@/lib/vision/cost";
+
+const toTextFormat = (responseFormat) =>
+  responseFormat
+    ? {
+        format: {
+          type: "json_schema",
+          name: responseFormat.name,
+          schema: responseFormat.schema,
+          strict: true,
+        },
+      }
+    : undefined;
+
+const toPayload = (request) => ({
+  model: request.model,
+  max_output_tokens: request.maxOutputTokens,
+  previous_response_id: request.previousResponseId,
+  text: toTextFormat(request.responseFormat),
+  input: [
+    ...(request.instructions
+      ? [
+          {
+            role: "system",
+            content: [{ type: "input_text", text: request.instructions }],
+          },
+        ]
+      : []),
+    ...request.messages,
+  ],
+});
+
+// Covers OpenAI and Azure OpenAI, which share the Responses API surface.
+export function createResponsesProvider({ createClient, ...details }) {
+  let client;
+  const getClient = () => {
+    client ??= createClient();
+    return client;
+  };
+
+  return {
+    ...details,
+    supportsPreviousResponse: true,
+
+    async generate(request, { signal } = {}) {
+      const response = await getClient().responses.create(toPayload(request), {
+        signal,
+      });
+
+      return {
+        id: response.id,
+        text: response.output_text,
+        usage: response.usage,
+        status: response.status,
+      };
+    },
+
+    async *stream(request, { signal } = {}) {
+      const events = await getClient().responses.create(
+        { ...toPayload(request), stream: true },
+        { signal }
+      );
+      let text = "";
+
+      for await (const event of events) {
+        if (event.type === "response.output_text.delta") {
+          text += event.delta;
+          yield { type: "delta", text: event.delta };
+        } else if (event.type === "response.completed") {
+          yield {
+            type: "completed",
+            response: {
+              id: event.response.id,
+              text,
+              usage: event.response.usage,
+              status: event.response.status,
+            },
+          };
+        } else if (
+          event.type === "response.failed" ||
+          event.type === "error"
+        ) {
+          throw withReportedUsage(
+            new Error(
+              event.response?.error?.message ??
+                event.message ??
+                "Vision stream failed."
+            ),
+            event.response?.usage
+          );
+        }
+      }
+    },
+  };
+}
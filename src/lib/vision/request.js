@@ -0,0 +1,138 @@
+import { schematicConfig } from "@/config/schematic";
+import { toUploadPayloads } from "@/lib/library/store";
+import { lastTurn } from "@/lib/threads/store";
+import { buildResponseFormat } from "@/lib/vision/answerModes";
+import { estimateChainedContextTokens } from "@/lib/vision/cost";
+import { buildImageInputs } from "@/lib/vision/imageInputs";
+
+/**
+ * Assembles the provider request for one analyze turn: attached images,
+ * prompt, guidance and either a chained `previousResponseId` or a replayed
+ * transcript. With `dryRun` nothing is uploaded (see buildImageInputs).
+ */
+export async function buildVisionRequest({
+  question,
+  uploadPayloads,
+  tiling,
+  preprocess,
+  workspaceId,
+  thread,
+  schematicSet,
+  answerMode,
+  provider,
+  modelName,
+  dryRun = false,
+}) {
+  // Chain onto the previous turn when the provider keeps server-side state;
+  // otherwise replay the transcript as text alongside fresh reference images.
+  const previousTurn = lastTurn(thread);
+  const previousResponseId =
+    provider.supportsPreviousResponse &&
+    previousTurn &&
+    (previousTurn.provider ?? "openai") === provider.name
+      ? previousTurn.responseId
+      : undefined;
+  const replayedTurns = previousResponseId ? [] : thread?.turns ?? [];
+  const setAlreadyInContext =
+    Boolean(previousResponseId) &&
+    thread.turns.some((turn) => turn.schematicSetId === schematicSet?.id);
+
+  const model =
+    typeof modelName === "string" && modelName.trim().length > 0
+      ? modelName.trim()
+      : provider.defaultModel;
+  const {
+    contents: imageInputs,
+    uploadSummaries,
+    imageFingerprints,
+    imageFrames,
+    imageSizes,
+    tiledImageCount,
+  } = await buildImageInputs(uploadPayloads, {
+    tiling,
+    preprocess,
+    workspaceId,
+    dryRun,
+    includeReferenceImages: !previousResponseId,
+    libraryImages:
+      schematicSet && !setAlreadyInContext ? toUploadPayloads(schematicSet) : [],
+    uploadIdOffset:
+      thread?.turns.reduce(
+        (total, turn) => total + (turn.uploadSummaries?.length ?? 0),
+        0
+      ) ?? 0,
+  });
+
+  const userPrompt = previousResponseId
+    ? [
+        "Follow-up question in the same conversation. The schematics attached earlier still apply.",
+        ...(imageInputs.length > 0
+          ? ["Additional schematics for this turn are attached below."]
+          : []),
+        "",
+        `Question: ${question}`,
+      ]
+    : [
+        "A facilities manager is asking a question about the schematic.",
+        "Return a concise, direct answer grounded in the drawing.",
+        "If applicable, lay out instructions step-by-step with bullet numbers.",
+        "If information is missing or unreadable, describe what else is needed.",
+        "",
+        `Question: ${question}`,
+      ];
+
+  const guidance = [
+    ...(tiledImageCount > 0
+      ? [
+          "Large sheets arrive as a downscaled overview followed by overlapping detail tiles.",
+          "Use the overview for overall layout and the tiles for labels and symbols; do not double-count items that appear in overlapping tile edges.",
+        ]
+      : []),
+    ...(answerMode.instructions ?? []),
+  ];
+  userPrompt.splice(userPrompt.length - 2, 0, ...guidance);
+
+  const request = {
+    model,
+    instructions: previousResponseId ? undefined : schematicConfig.systemPrompt,
+    maxOutputTokens:
+      answerMode.maxOutputTokens ?? schematicConfig.model.maxOutputTokens,
+    responseFormat: buildResponseFormat(answerMode),
+    previousResponseId,
+    messages: [
+      ...replayedTurns.flatMap((turn) => [
+        {
+          role: "user",
+          content: [{ type: "input_text", text: `Question: ${turn.question}` }],
+        },
+        { role: "assistant", content: turn.output },
+      ]),
+      {
+        role: "user",
+        content: [
+          {
+            type: "input_text",
+            text: userPrompt.join("\n"),
+          },
+          ...imageInputs,
+        ],
+      },
+    ],
+  };
+
+  return {
+    model,
+    request,
+    guidance,
+    imageInputs,
+    uploadSummaries,
+    imageFingerprints,
+    imageFrames,
+    imageSizes,
+    tiledImageCount,
+    // What the provider bills again for the chained conversation.
+    contextTokens: previousResponseId
+      ? estimateChainedContextTokens(thread.turns)
+      : 0,
+  };
+}
@@ -0,0 +1,232 @@
+import { schematicConfig } from "@/config/schematic";
+import sharp from "sharp";
+
+const TILE_MIME_BY_FORMAT = {
+  png: "image/png",
+  jpeg: "image/jpeg",
+};
+
+const clampInteger = (value, min, max) => {
+  const parsed = Number.parseInt(value, 10);
+  if (!Number.isFinite(parsed)) {
+    return undefined;
+  }
+
+  return Math.min(Math.max(parsed, min), max);
+};
+
+const clampNumber = (value, min, max) => {
+  const parsed = typeof value === "string" ? Number.parseFloat(value) : value;
+  if (typeof parsed !== "number" || !Number.isFinite(parsed)) {
+    return undefined;
+  }
+
+  return Math.min(Math.max(parsed, min), max);
+};
+
+export function resolveTilingOptions(overrides) {
+  const defaults = schematicConfig.tiling ?? {};
+
+  if (overrides === false) {
+    return { ...defaults, enabled: false };
+  }
+
+  const source =
+    overrides && typeof overrides === "object" && !Array.isArray(overrides)
+      ? overrides
+      : {};
+  const maxTiles = defaults.maxTiles ?? 16;
+
+  return {
+    ...defaults,
+    enabled:
+      typeof source.enabled === "boolean"
+        ? source.enabled
+        : defaults.enabled ?? false,
+    rows: clampInteger(source.rows, 1, maxTiles) ?? defaults.rows,
+    columns: clampInteger(source.columns, 1, maxTiles) ?? defaults.columns,
+    overlapRatio:
+      clampNumber(source.overlapRatio, 0, 0.5) ?? defaults.overlapRatio ?? 0.1,
+    minLongEdgePx:
+      clampInteger(source.minLongEdgePx, 512, 100_000) ??
+      defaults.minLongEdgePx ??
+      4096,
+    maxTiles,
+  };
+}
+
+function resolveGridSize(width, height, options) {
+  const target = options.targetTileEdgePx ?? 2048;
+  let rows = options.rows ?? Math.ceil(height / target);
+  let columns = options.columns ?? Math.ceil(width / target);
+
+  rows = Math.max(1, rows);
+  columns = Math.max(1, columns);
+
+  // Shrink the longer axis first until the grid fits inside maxTiles.
+  while (rows * columns > options.maxTiles) {
+    if (columns >= rows && columns > 1) {
+      columns -= 1;
+    } else if (rows > 1) {
+      rows -= 1;
+    } else {
+      break;
+    }
+  }
+
+  return { rows, columns };
+}
+
+export function computeTileGrid({ width, height, rows, columns, overlapRatio }) {
+  const baseWidth = width / columns;
+  const baseHeight = height / rows;
+  const overlapX = Math.round(baseWidth * overlapRatio);
+  const overlapY = Math.round(baseHeight * overlapRatio);
+  const tiles = [];
+
+  for (let row = 0; row < rows; row += 1) {
+    for (let column = 0; column < columns; column += 1) {
+      const left = Math.max(0, Math.floor(column * baseWidth) - overlapX);
+      const top = Math.max(0, Math.floor(row * baseHeight) - overlapY);
+      const right = Math.min(
+        width,
+        Math.ceil((column + 1) * baseWidth) + overlapX
+      );
+      const bottom = Math.min(
+        height,
+        Math.ceil((row + 1) * baseHeight) + overlapY
+      );
+
+      tiles.push({
+        row: row + 1,
+        column: column + 1,
+        left,
+        top,
+        width: right - left,
+        height: bottom - top,
+      });
+    }
+  }
+
+  return tiles;
+}
+
+// Size after a `fit: "inside"` resize that never enlarges.
+const fitInside = (width, height, maxEdge) => {
+  const scale = Math.min(1, maxEdge / Math.max(width, height));
+  return {
+    width: Math.round(width * scale),
+    height: Math.round(height * scale),
+  };
+};
+
+export async function readImageSize(buffer) {
+  const { width, height } = await sharp(buffer, {
+    limitInputPixels: false,
+  }).metadata();
+  return width && height ? { width, height } : null;
+}
+
+function encode(pipeline, format) {
+  return format === "jpeg"
+    ? pipeline.jpeg({ quality: 90 }).toBuffer()
+    : pipeline.png({ compressionLevel: 9 }).toBuffer();
+}
+
+/**
+ * Splits a large schematic into a downscaled overview plus a grid of
+ * overlapping tiles. Returns null when the image is small enough to send whole.
+ */
+export async function createTiledImageSet(buffer, options) {
+  if (!options?.enabled || !buffer) {
+    return null;
+  }
+
+  const sharpOptions = { limitInputPixels: options.maxInputPixels ?? false };
+  const metadata = await sharp(buffer, sharpOptions).metadata();
+  const { width, height } = metadata;
+
+  if (!width || !height) {
+    return null;
+  }
+
+  const longEdge = Math.max(width, height);
+  const { rows, columns } = resolveGridSize(width, height, options);
+
+  if (longEdge < options.minLongEdgePx || rows * columns < 2) {
+    return null;
+  }
+
+  const format = options.tileFormat === "jpeg" ? "jpeg" : "png";
+  const mimeType = TILE_MIME_BY_FORMAT[format];
+  const tileMaxEdge = options.tileMaxEdgePx ?? 2048;
+  const overviewMaxEdge = options.overviewMaxEdgePx ?? 2048;
+
+  const overview = await encode(
+    sharp(buffer, sharpOptions).resize({
+      width: overviewMaxEdge,
+      height: overviewMaxEdge,
+      fit: "inside",
+      withoutEnlargement: true,
+    }),
+    format
+  );
+
+  const tiles = [];
+  for (const region of computeTileGrid({
+    width,
+    height,
+    rows,
+    columns,
+    overlapRatio: options.overlapRatio,
+  })) {
+    const tileBuffer = await encode(
+      sharp(buffer, sharpOptions)
+        .extract({
+          left: region.left,
+          top: region.top,
+          width: region.width,
+          height: region.height,
+        })
+        .resize({
+          width: tileMaxEdge,
+          height: tileMaxEdge,
+          fit: "inside",
+          withoutEnlargement: true,
+        }),
+      format
+    );
+
+    tiles.push({
+      ...region,
+      buffer: tileBuffer,
+      mimeType,
+      sentSize: fitInside(region.width, region.height, tileMaxEdge),
+    });
+  }
+
+  return {
+    width,
+    height,
+    rows,
+    columns,
+    overlapRatio: options.overlapRatio,
+    overview: {
+      buffer: overview,
+      mimeType,
+      detail: options.overviewDetail ?? "high",
+      sentSize: fitInside(width, height, overviewMaxEdge),
+    },
+    tiles,
+  };
+}
+
+export const describeTileId = (tile) => `r${tile.row}c${tile.column}`;
+
+export function describeTile(tile, tileSet) {
+  return [
+    `tile ${describeTileId(tile)} of ${tileSet.rows}x${tileSet.columns}`,
+    `(source pixels x ${tile.left}-${tile.left + tile.width},`,
+    `y ${tile.top}-${tile.top + tile.height} of ${tileSet.width}x${tileSet.height})`,
+  ].join(" ");
+}
@@ -0,0 +1,13 @@
+import path from "path";
+import { defineConfig } from "vitest/config";
+
+export default defineConfig({
+  resolve: {
+    alias: { "@": path.resolve(import.meta.dirname, "src") },
+  },
+  test: {
+    environment: "node",
+    include: ["src/**/*.test.js"],
+    setupFiles: ["./vitest.setup.mjs"],
+  },
+});
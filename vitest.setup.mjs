@@ -0,0 +1,9 @@
+import { mkdtempSync } from "fs";
+import { tmpdir } from "os";
+import path from "path";
+
+// Each test file gets its own empty data directory and runs as the local
+// workspace owner, as with AUTH_DISABLED=true.
+process.env.APP_DATA_DIR = mkdtempSync(path.join(tmpdir(), "vision-test-"));
+process.env.AUTH_DISABLED = "true";
+process.env.VISION_PROVIDER = "mock";